@@ -23,19 +23,149 @@ export function drelu(mat) {
   return mat.map(x => (x > 0 ? 1 : 0));
 }
 
-// Softmax activation for a column vector
+// Softmax activation, applied independently to each column (one sample per column)
 export function softmax(mat) {
-  const values = mat.toArray();
-  const maxVal = Math.max(...values);
-  const exps = values.map(v => Math.exp(v - maxVal));
-  const sum = exps.reduce((acc, v) => acc + v, 0);
-  const result = exps.map(v => v / sum);
-  return Matrix.fromArray(result);
+  const result = new Matrix(mat.rows, mat.cols);
+  for (let j = 0; j < mat.cols; j++) {
+    let maxVal = -Infinity;
+    for (let i = 0; i < mat.rows; i++) {
+      maxVal = Math.max(maxVal, mat.get(i, j));
+    }
+    let sum = 0;
+    for (let i = 0; i < mat.rows; i++) {
+      const e = Math.exp(mat.get(i, j) - maxVal);
+      result.set(i, j, e);
+      sum += e;
+    }
+    for (let i = 0; i < mat.rows; i++) {
+      result.set(i, j, result.get(i, j) / sum);
+    }
+  }
+  return result;
 }
 
 // Note: For training with cross-entropy loss, combine softmax and loss derivative directly
 export function dsoftmax_softmaxCrossEntropy(output, target) {
-  // output: softmax probabilities (Matrix), target: one-hot Matrix
+  // output: softmax probabilities (Matrix), target: one-hot Matrix, one sample per column
   // derivative of loss L = -sum(t * log(o)) w.r.t. inputs: o - t
   return output.subtract(target);
 }
+
+// Backward pass through softmax for each column: dz = a * (g - sum(g * a))
+export function softmaxBackward(grad, a) {
+  const result = new Matrix(a.rows, a.cols);
+  for (let j = 0; j < a.cols; j++) {
+    let dotGA = 0;
+    for (let i = 0; i < a.rows; i++) {
+      dotGA += grad.get(i, j) * a.get(i, j);
+    }
+    for (let i = 0; i < a.rows; i++) {
+      result.set(i, j, a.get(i, j) * (grad.get(i, j) - dotGA));
+    }
+  }
+  return result;
+}
+
+// ACTIVATION REGISTRY
+// Each entry has forward(z) and either derivative(z, a), the element-wise da/dz given
+// the pre-activation z and the output a, or backward(grad, z, a) for activations that
+// are not element-wise, mapping dL/da to dL/dz.
+const registry = new Map();
+
+export function registerActivation(name, { forward, derivative, backward }) {
+  if (typeof forward !== 'function') {
+    throw new Error(`Activation '${name}' needs a forward(z) function`);
+  }
+  if (typeof derivative !== 'function' && typeof backward !== 'function') {
+    throw new Error(`Activation '${name}' needs a derivative(z, a) or backward(grad, z, a) function`);
+  }
+  registry.set(name, { name, forward, derivative, backward });
+}
+
+export function getActivation(name) {
+  const activation = registry.get(name);
+  if (!activation) {
+    throw new Error(`Unknown activation '${name}'. Registered: ${listActivations().join(', ')}`);
+  }
+  return activation;
+}
+
+export function listActivations() {
+  return Array.from(registry.keys());
+}
+
+// Element-wise derivative from the pre-activation z and output a
+const elementWise = fn => (z, a) => z.map((x, i, j) => fn(x, a.get(i, j)));
+
+const SQRT_2_OVER_PI = Math.sqrt(2 / Math.PI);
+const SELU_ALPHA = 1.6732632423543772;
+const SELU_SCALE = 1.0507009873554805;
+const LEAKY_SLOPE = 0.01;
+
+registerActivation('linear', {
+  forward: z => z.clone(),
+  derivative: z => z.map(() => 1)
+});
+
+registerActivation('sigmoid', {
+  forward: sigmoid,
+  derivative: (z, a) => dsigmoid(a)
+});
+
+registerActivation('tanh', {
+  forward: z => z.map(Math.tanh),
+  derivative: elementWise((x, t) => 1 - t * t)
+});
+
+registerActivation('relu', {
+  forward: relu,
+  derivative: z => drelu(z)
+});
+
+registerActivation('leakyRelu', {
+  forward: z => z.map(x => (x > 0 ? x : LEAKY_SLOPE * x)),
+  derivative: z => z.map(x => (x > 0 ? 1 : LEAKY_SLOPE))
+});
+
+// ELU with alpha = 1: x for x > 0, e^x - 1 otherwise
+registerActivation('elu', {
+  forward: z => z.map(x => (x > 0 ? x : Math.expm1(x))),
+  derivative: elementWise((x, y) => (x > 0 ? 1 : y + 1))
+});
+
+// Self-normalizing ELU (Klambauer et al. 2017)
+registerActivation('selu', {
+  forward: z => z.map(x => SELU_SCALE * (x > 0 ? x : SELU_ALPHA * Math.expm1(x))),
+  derivative: z => z.map(x => SELU_SCALE * (x > 0 ? 1 : SELU_ALPHA * Math.exp(x)))
+});
+
+// GELU, tanh approximation: 0.5x(1 + tanh(sqrt(2/pi)(x + 0.044715x^3)))
+registerActivation('gelu', {
+  forward: z => z.map(x => 0.5 * x * (1 + Math.tanh(SQRT_2_OVER_PI * (x + 0.044715 * x * x * x)))),
+  derivative: z => z.map(x => {
+    const t = Math.tanh(SQRT_2_OVER_PI * (x + 0.044715 * x * x * x));
+    return 0.5 * (1 + t) + 0.5 * x * (1 - t * t) * SQRT_2_OVER_PI * (1 + 3 * 0.044715 * x * x);
+  })
+});
+
+// Swish / SiLU: x * sigmoid(x)
+const swish = {
+  forward: z => z.map(x => x / (1 + Math.exp(-x))),
+  derivative: elementWise((x, y) => {
+    const s = 1 / (1 + Math.exp(-x));
+    return y + s * (1 - y);
+  })
+};
+registerActivation('swish', swish);
+registerActivation('silu', swish);
+
+// Softplus: log(1 + e^x), computed without overflow
+registerActivation('softplus', {
+  forward: z => z.map(x => Math.max(x, 0) + Math.log1p(Math.exp(-Math.abs(x)))),
+  derivative: z => z.map(x => 1 / (1 + Math.exp(-x)))
+});
+
+registerActivation('softmax', {
+  forward: softmax,
+  backward: (grad, z, a) => softmaxBackward(grad, a)
+});
@@ -2,26 +2,30 @@
 // Browser script: load model weights, capture canvas input, preprocess, predict and display
 
 import Network from './network.js';
-import Matrix from './matrix.js';
+import { decodeModel } from './binary.js';
+
+// The binary container written by train.js when it exists, else the JSON model
+const MODEL_URLS = ['weights.bin', 'weights.json'];
 
 let net;
 
-// Load weights and biases
+// Load the trained model (architecture, preprocessing and weights)
 async function loadModel() {
-  const resp = await fetch('weights.json');
-  const layersData = await resp.json();
-  // network sizes from weights
-  const sizes = [784, ...layersData.map(l => l.biases.length)];
-  net = new Network(sizes);
-  // overwrite random weights with trained values
-  layersData.forEach((layerObj, i) => {
-    const { weights, biases, rows, cols } = layerObj;
-    net.layers[i].weights = new Matrix(rows, cols, new Float32Array(weights));
-    net.layers[i].biases = new Matrix(rows, 1, new Float32Array(biases));
-  });
+  for (const url of MODEL_URLS) {
+    const resp = await fetch(url);
+    if (!resp.ok) continue;
+    net = url.endsWith('.bin')
+      ? decodeModel(await resp.arrayBuffer())
+      : Network.fromJSON(await resp.json());
+    break;
+  }
+  if (!net) throw new Error(`No model found at ${MODEL_URLS.join(' or ')}`);
+  if (net.inputSize !== 784) {
+    throw new Error(`Model expects ${net.inputSize} inputs, the canvas gives 784`);
+  }
 }
 
-// Preprocess canvas to 28x28 grayscale array
+// Preprocess canvas to 28x28 grayscale array of ink intensities (0-255)
 function getCanvasData() {
   const canvas = document.getElementById('canvas');
   const tmp = document.createElement('canvas');
@@ -34,16 +38,17 @@ function getCanvasData() {
     const r = img[i], g = img[i+1], b = img[i+2], a = img[i+3];
     // if fully transparent, assume white (255)
     const avg = (a === 0) ? 255 : (r + g + b) / 3;
-    // normalize & invert
-    input.push((255 - avg) / 255);
+    // invert: dark strokes on white become high values
+    input.push(255 - avg);
   }
-  return input;
+  return net.normalize(input);
 }
 
 // Display prediction
 function showPrediction(arr) {
   const pred = arr.indexOf(Math.max(...arr));
-  document.getElementById('prediction').innerText = `Prediction: ${pred}`;
+  const label = net.labels ? net.labels[pred] : pred;
+  document.getElementById('prediction').innerText = `Prediction: ${label}`;
 }
 
 // Setup canvas drawing
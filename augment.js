@@ -0,0 +1,193 @@
+// augment.js
+// Data augmentation for grayscale images stored row-major as flat arrays (28x28 for
+// MNIST, any width x height in general). The transforms work in the network's input
+// units, with the background at `fill` (0 for normalized MNIST). All randomness comes
+// from the RNG passed in, so seeded runs are reproducible.
+
+import { getRNG } from './random.js';
+
+// Bilinear sample of image at (x, y), fill outside the image
+function sample(image, width, height, x, y, fill) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const at = (i, j) => (i >= 0 && i < width && j >= 0 && j < height ? image[j * width + i] : fill);
+  return (at(x0, y0) * (1 - fx) + at(x0 + 1, y0) * fx) * (1 - fy) +
+    (at(x0, y0 + 1) * (1 - fx) + at(x0 + 1, y0 + 1) * fx) * fy;
+}
+
+const radians = degrees => degrees * Math.PI / 180;
+
+// Affine transform about the image center: scale, then shear (degrees, along x), then
+// rotate (degrees, counter-clockwise on screen), then shift (pixels, [dx, dy])
+export function affine(image, width, height, { rotate = 0, shift = [0, 0], scale = 1, shear = 0 } = {}, fill = 0) {
+  const [sx, sy] = Array.isArray(scale) ? scale : [scale, scale];
+  const cos = Math.cos(radians(-rotate));
+  const sin = Math.sin(radians(-rotate));
+  const k = Math.tan(radians(shear));
+  // forward matrix A = R * Sh * S; each output pixel is read from A^-1 (p - c - shift) + c
+  const a = cos * sx;
+  const b = (cos * k - sin) * sy;
+  const c = sin * sx;
+  const d = (sin * k + cos) * sy;
+  const det = a * d - b * c;
+  const cx = (width - 1) / 2;
+  const cy = (height - 1) / 2;
+  const out = new Float32Array(width * height);
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const u = i - cx - shift[0];
+      const v = j - cy - shift[1];
+      const x = (d * u - b * v) / det + cx;
+      const y = (-c * u + a * v) / det + cy;
+      out[j * width + i] = sample(image, width, height, x, y, fill);
+    }
+  }
+  return out;
+}
+
+// Separable Gaussian blur of a width x height field
+function gaussianBlur(field, width, height, sigma) {
+  const radius = Math.ceil(3 * sigma);
+  const kernel = Array.from({ length: 2 * radius + 1 }, (_, t) => Math.exp(-((t - radius) ** 2) / (2 * sigma * sigma)));
+  const total = kernel.reduce((s, w) => s + w, 0);
+  const pass = (src, horizontal) => {
+    const dst = new Float32Array(src.length);
+    for (let j = 0; j < height; j++) {
+      for (let i = 0; i < width; i++) {
+        let sum = 0;
+        for (let t = -radius; t <= radius; t++) {
+          const ii = horizontal ? Math.min(Math.max(i + t, 0), width - 1) : i;
+          const jj = horizontal ? j : Math.min(Math.max(j + t, 0), height - 1);
+          sum += kernel[t + radius] * src[jj * width + ii];
+        }
+        dst[j * width + i] = sum / total;
+      }
+    }
+    return dst;
+  };
+  return pass(pass(field, true), false);
+}
+
+// Elastic distortion (Simard et al. 2003): a random displacement field, smoothed with a
+// Gaussian of width sigma and scaled by alpha pixels
+export function elastic(image, width, height, { alpha = 8, sigma = 3 } = {}, rng = getRNG(), fill = 0) {
+  const noise = () => Float32Array.from({ length: width * height }, () => rng.uniform(-1, 1));
+  const dx = gaussianBlur(noise(), width, height, sigma);
+  const dy = gaussianBlur(noise(), width, height, sigma);
+  const out = new Float32Array(width * height);
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const p = j * width + i;
+      out[p] = sample(image, width, height, i + alpha * dx[p], j + alpha * dy[p], fill);
+    }
+  }
+  return out;
+}
+
+// Grayscale morphology over a (2 * radius + 1) square: max thickens strokes, min thins them
+function morphology(image, width, height, radius, pick) {
+  const out = new Float32Array(width * height);
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      let value = image[j * width + i];
+      for (let dj = -radius; dj <= radius; dj++) {
+        for (let di = -radius; di <= radius; di++) {
+          const ii = i + di;
+          const jj = j + dj;
+          if (ii >= 0 && ii < width && jj >= 0 && jj < height) value = pick(value, image[jj * width + ii]);
+        }
+      }
+      out[j * width + i] = value;
+    }
+  }
+  return out;
+}
+
+export function dilate(image, width, height, radius = 1) {
+  return morphology(image, width, height, radius, Math.max);
+}
+
+export function erode(image, width, height, radius = 1) {
+  return morphology(image, width, height, radius, Math.min);
+}
+
+// Add N(0, std^2) noise to every pixel
+export function gaussianNoise(image, std, rng = getRNG()) {
+  return Float32Array.from(image, v => v + rng.normal(0, std));
+}
+
+// Uniform draw from a symmetric range (a number r means [-r, r]) or an explicit [min, max]
+const draw = (range, rng) => (Array.isArray(range) ? rng.uniform(range[0], range[1]) : rng.uniform(-range, range));
+
+// Random augmentation applied per sample. Options (all off by default):
+//   rotate: max degrees either way, shift: max pixels along each axis,
+//   scale: max relative change (0.1 -> [0.9, 1.1]) or [min, max], shear: max degrees,
+//   elastic: { alpha, sigma, probability }, dilate / erode: probability of thickening or
+//   thinning strokes by `radius` pixels, noise: Gaussian std,
+//   range: [min, max] to clamp the result to, fill: background value.
+// Each ranged option also accepts an explicit [min, max].
+export class Augmenter {
+  constructor({
+    width = 28,
+    height = 28,
+    rotate = 0,
+    shift = 0,
+    scale = 0,
+    shear = 0,
+    elastic: elasticOptions = null,
+    dilate: dilateProb = 0,
+    erode: erodeProb = 0,
+    radius = 1,
+    noise = 0,
+    range = null,
+    fill = 0
+  } = {}) {
+    if (dilateProb + erodeProb > 1) throw new Error('dilate + erode probabilities must not exceed 1');
+    Object.assign(this, { width, height, rotate, shift, scale, shear, radius, noise, range, fill });
+    this.elastic = elasticOptions && { alpha: 8, sigma: 3, probability: 1, ...elasticOptions };
+    this.dilate = dilateProb;
+    this.erode = erodeProb;
+  }
+
+  // A randomly transformed copy of one input array
+  augment(input, rng = getRNG()) {
+    const { width, height, fill } = this;
+    if (input.length !== width * height) {
+      throw new Error(`Augmenter expects ${width}x${height} = ${width * height} inputs, got ${input.length}`);
+    }
+    let image = input;
+    if (this.dilate || this.erode) {
+      const r = rng.next();
+      if (r < this.dilate) image = dilate(image, width, height, this.radius);
+      else if (r < this.dilate + this.erode) image = erode(image, width, height, this.radius);
+    }
+    if (this.rotate || this.shift || this.scale || this.shear) {
+      const scale = Array.isArray(this.scale) ? draw(this.scale, rng) : 1 + draw(this.scale, rng);
+      image = affine(image, width, height, {
+        rotate: draw(this.rotate, rng),
+        shift: [draw(this.shift, rng), draw(this.shift, rng)],
+        scale,
+        shear: draw(this.shear, rng)
+      }, fill);
+    }
+    if (this.elastic && rng.next() < this.elastic.probability) {
+      image = elastic(image, width, height, this.elastic, rng, fill);
+    }
+    if (this.noise) image = gaussianNoise(image, this.noise, rng);
+    if (this.range) {
+      const [lo, hi] = this.range;
+      image = Float32Array.from(image, v => Math.min(Math.max(v, lo), hi));
+    }
+    return image === input ? Float32Array.from(input) : image;
+  }
+}
+
+// Augmenter from options; an Augmenter is passed through and a plain
+// (input, rng) => output function is wrapped
+export function createAugmenter(spec) {
+  if (spec instanceof Augmenter) return spec;
+  if (typeof spec === 'function') return { augment: spec };
+  return new Augmenter(spec);
+}
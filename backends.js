@@ -0,0 +1,430 @@
+// backends.js
+// Compute backends for Matrix operations and the registry used to pick one at runtime.
+// Every backend implements dot, add, subtract and multiply over Matrix operands and
+// returns a Float32Array (or null to let the CPU backend handle the call).
+
+// CPU backend: plain loops over the Float32Array data, works everywhere
+export const cpuBackend = {
+  name: 'cpu',
+
+  dot(a, b) {
+    const result = new Float32Array(a.rows * b.cols);
+    // Transpose b once so the inner loop walks both operands contiguously
+    const bT = new Float32Array(b.rows * b.cols);
+    for (let k = 0; k < b.rows; k++) {
+      for (let j = 0; j < b.cols; j++) {
+        bT[j * b.rows + k] = b.data[k * b.cols + j];
+      }
+    }
+    for (let i = 0; i < a.rows; i++) {
+      const aOff = i * a.cols;
+      for (let j = 0; j < b.cols; j++) {
+        const bOff = j * b.rows;
+        let sum = 0;
+        for (let k = 0; k < a.cols; k++) {
+          sum += a.data[aOff + k] * bT[bOff + k];
+        }
+        result[i * b.cols + j] = sum;
+      }
+    }
+    return result;
+  },
+
+  add(a, b) {
+    return elementWiseCPU(a, b, (x, y) => x + y);
+  },
+
+  subtract(a, b) {
+    return elementWiseCPU(a, b, (x, y) => x - y);
+  },
+
+  multiply(a, b) {
+    return elementWiseCPU(a, b, (x, y) => x * y);
+  }
+};
+
+// Apply a binary op element-wise; b is either a same-shaped matrix or a scalar
+function elementWiseCPU(a, b, op) {
+  const result = new Float32Array(a.data.length);
+  if (typeof b === 'number') {
+    for (let i = 0; i < result.length; i++) result[i] = op(a.data[i], b);
+  } else {
+    for (let i = 0; i < result.length; i++) result[i] = op(a.data[i], b.data[i]);
+  }
+  return result;
+}
+
+class WebGLCompute {
+  constructor() {
+    this.gl = null;
+    this.isWebGLAvailable = false;
+    this.programs = {};
+    this.buffers = new Map();
+    this.init();
+  }
+
+  init() {
+    try {
+      const canvas = document.createElement('canvas');
+      this.gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+
+      if (!this.gl) {
+        console.warn('WebGL not available, falling back to CPU');
+        return;
+      }
+
+      // Check for required extensions
+      const ext = this.gl.getExtension('OES_texture_float');
+      if (!ext) {
+        console.warn('Float textures not supported, falling back to CPU');
+        return;
+      }
+
+      this.isWebGLAvailable = true;
+      this.setupShaders();
+    } catch (e) {
+      console.warn('WebGL initialization failed:', e);
+      this.isWebGLAvailable = false;
+    }
+  }
+
+  setupShaders() {
+    const gl = this.gl;
+
+    // Vertex shader (same for all operations)
+    const vertexShaderSource = `
+      attribute vec2 a_position;
+      varying vec2 v_texCoord;
+      void main() {
+        gl_Position = vec4(a_position, 0.0, 1.0);
+        v_texCoord = a_position * 0.5 + 0.5;
+      }
+    `;
+
+    // Matrix multiplication shader
+    const matMulFragmentShader = `
+      precision mediump float;
+      uniform sampler2D u_matrixA;
+      uniform sampler2D u_matrixB;
+      uniform float u_aRows;
+      uniform float u_aCols;
+      uniform float u_bCols;
+      varying vec2 v_texCoord;
+
+      void main() {
+        float row = floor(v_texCoord.y * u_aRows);
+        float col = floor(v_texCoord.x * u_bCols);
+
+        float sum = 0.0;
+        for (float k = 0.0; k < u_aCols; k += 1.0) {
+          vec2 aCoord = vec2((k + 0.5) / u_aCols, (row + 0.5) / u_aRows);
+          vec2 bCoord = vec2((col + 0.5) / u_bCols, (k + 0.5) / u_aCols);
+
+          float aVal = texture2D(u_matrixA, aCoord).r;
+          float bVal = texture2D(u_matrixB, bCoord).r;
+          sum += aVal * bVal;
+        }
+
+        gl_FragColor = vec4(sum, 0.0, 0.0, 1.0);
+      }
+    `;
+
+    // Element-wise operation shader
+    const elementWiseFragmentShader = `
+      precision mediump float;
+      uniform sampler2D u_matrixA;
+      uniform sampler2D u_matrixB;
+      uniform float u_operation; // 0=add, 1=subtract, 2=multiply
+      uniform float u_scalar;
+      uniform float u_useScalar;
+      varying vec2 v_texCoord;
+
+      void main() {
+        float a = texture2D(u_matrixA, v_texCoord).r;
+        float b = u_useScalar > 0.5 ? u_scalar : texture2D(u_matrixB, v_texCoord).r;
+
+        float result;
+        if (u_operation < 0.5) {
+          result = a + b; // add
+        } else if (u_operation < 1.5) {
+          result = a - b; // subtract
+        } else {
+          result = a * b; // multiply
+        }
+
+        gl_FragColor = vec4(result, 0.0, 0.0, 1.0);
+      }
+    `;
+
+    this.programs.matMul = this.createProgram(vertexShaderSource, matMulFragmentShader);
+    this.programs.elementWise = this.createProgram(vertexShaderSource, elementWiseFragmentShader);
+
+    // Create vertex buffer for quad
+    const positions = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+  }
+
+  createProgram(vertexSource, fragmentSource) {
+    const gl = this.gl;
+
+    const vertexShader = this.createShader(gl.VERTEX_SHADER, vertexSource);
+    const fragmentShader = this.createShader(gl.FRAGMENT_SHADER, fragmentSource);
+
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    gl.linkProgram(program);
+
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error('Program link error: ' + gl.getProgramInfoLog(program));
+    }
+
+    return program;
+  }
+
+  createShader(type, source) {
+    const gl = this.gl;
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error('Shader compile error: ' + gl.getShaderInfoLog(shader));
+    }
+
+    return shader;
+  }
+
+  createTexture(data, width, height) {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, width, height, 0, gl.LUMINANCE, gl.FLOAT, data);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    return texture;
+  }
+
+  matrixMultiply(a, b) {
+    if (!this.isWebGLAvailable) return null;
+
+    const gl = this.gl;
+    const program = this.programs.matMul;
+
+    // Create textures
+    const texA = this.createTexture(a.data, a.cols, a.rows);
+    const texB = this.createTexture(b.data, b.cols, b.rows);
+
+    // Create framebuffer for output
+    const fb = gl.createFramebuffer();
+    const outputTex = this.createTexture(null, b.cols, a.rows);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, outputTex, 0);
+
+    // Setup viewport and program
+    gl.viewport(0, 0, b.cols, a.rows);
+    gl.useProgram(program);
+
+    // Set uniforms
+    gl.uniform1f(gl.getUniformLocation(program, 'u_aRows'), a.rows);
+    gl.uniform1f(gl.getUniformLocation(program, 'u_aCols'), a.cols);
+    gl.uniform1f(gl.getUniformLocation(program, 'u_bCols'), b.cols);
+
+    // Bind textures
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, texA);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_matrixA'), 0);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, texB);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_matrixB'), 1);
+
+    // Setup vertex attributes
+    const positionLoc = gl.getAttribLocation(program, 'a_position');
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.enableVertexAttribArray(positionLoc);
+    gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
+
+    // Draw
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+    // Read result
+    const result = new Float32Array(a.rows * b.cols);
+    gl.readPixels(0, 0, b.cols, a.rows, gl.LUMINANCE, gl.FLOAT, result);
+
+    // Cleanup
+    gl.deleteTexture(texA);
+    gl.deleteTexture(texB);
+    gl.deleteTexture(outputTex);
+    gl.deleteFramebuffer(fb);
+
+    return result;
+  }
+
+  elementWiseOperation(a, b, operation, scalar = 0, useScalar = false) {
+    if (!this.isWebGLAvailable) return null;
+
+    const gl = this.gl;
+    const program = this.programs.elementWise;
+
+    // Create textures
+    const texA = this.createTexture(a.data, a.cols, a.rows);
+    const texB = useScalar ? null : this.createTexture(b.data, b.cols, b.rows);
+
+    // Create framebuffer for output
+    const fb = gl.createFramebuffer();
+    const outputTex = this.createTexture(null, a.cols, a.rows);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, outputTex, 0);
+
+    // Setup viewport and program
+    gl.viewport(0, 0, a.cols, a.rows);
+    gl.useProgram(program);
+
+    // Set uniforms
+    gl.uniform1f(gl.getUniformLocation(program, 'u_operation'), operation);
+    gl.uniform1f(gl.getUniformLocation(program, 'u_scalar'), scalar);
+    gl.uniform1f(gl.getUniformLocation(program, 'u_useScalar'), useScalar ? 1.0 : 0.0);
+
+    // Bind textures
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, texA);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_matrixA'), 0);
+
+    if (!useScalar) {
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, texB);
+      gl.uniform1i(gl.getUniformLocation(program, 'u_matrixB'), 1);
+    }
+
+    // Setup vertex attributes
+    const positionLoc = gl.getAttribLocation(program, 'a_position');
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.enableVertexAttribArray(positionLoc);
+    gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
+
+    // Draw
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+    // Read result
+    const result = new Float32Array(a.rows * a.cols);
+    gl.readPixels(0, 0, a.cols, a.rows, gl.LUMINANCE, gl.FLOAT, result);
+
+    // Cleanup
+    gl.deleteTexture(texA);
+    if (texB) gl.deleteTexture(texB);
+    gl.deleteTexture(outputTex);
+    gl.deleteFramebuffer(fb);
+
+    return result;
+  }
+}
+
+// WebGL backend: wraps WebGLCompute, only available where a canvas can be created
+function createWebGLBackend() {
+  if (typeof document === 'undefined') return null;
+  const compute = new WebGLCompute();
+  if (!compute.isWebGLAvailable) return null;
+
+  const elementWise = (a, b, operation) => (typeof b === 'number'
+    ? compute.elementWiseOperation(a, null, operation, b, true)
+    : compute.elementWiseOperation(a, b, operation));
+
+  return {
+    name: 'webgl',
+    compute,
+    dot: (a, b) => compute.matrixMultiply(a, b),
+    add: (a, b) => elementWise(a, b, 0),
+    subtract: (a, b) => elementWise(a, b, 1),
+    multiply: (a, b) => elementWise(a, b, 2)
+  };
+}
+
+// BACKEND REGISTRY
+const registry = new Map();
+const instances = new Map();
+let active = null;
+let activeName = null;
+
+// Register a backend under a name. factory() returns the backend object, or null
+// when it can't run in the current environment. Higher priority wins detection.
+export function registerBackend(name, factory, { priority = 0 } = {}) {
+  registry.set(name, { factory, priority });
+  instances.delete(name);
+  if (activeName === name) {
+    active = null;
+    activeName = null;
+  }
+}
+
+// Instantiate a backend once and cache it (null if unavailable)
+function instantiate(name) {
+  if (!instances.has(name)) {
+    const entry = registry.get(name);
+    instances.set(name, entry ? entry.factory() : null);
+  }
+  return instances.get(name);
+}
+
+// Names of all registered backends
+export function listBackends() {
+  return Array.from(registry.keys());
+}
+
+// Whether a registered backend can run in this environment
+export function isBackendAvailable(name) {
+  return registry.has(name) && instantiate(name) !== null;
+}
+
+// Pick a backend: NN_BACKEND env var if set, otherwise the highest-priority available one
+export function detectBackend() {
+  const requested = typeof process !== 'undefined' && process.env ? process.env.NN_BACKEND : undefined;
+  if (requested) {
+    if (!isBackendAvailable(requested)) {
+      throw new Error(`Backend '${requested}' requested by NN_BACKEND is not available`);
+    }
+    return requested;
+  }
+  const candidates = Array.from(registry.entries()).sort((x, y) => y[1].priority - x[1].priority);
+  for (const [name] of candidates) {
+    if (isBackendAvailable(name)) return name;
+  }
+  return 'cpu';
+}
+
+// Switch the active backend; throws if it is unknown or unavailable here
+export function setBackend(name) {
+  if (!registry.has(name)) {
+    throw new Error(`Unknown backend '${name}'. Registered: ${listBackends().join(', ')}`);
+  }
+  const backend = instantiate(name);
+  if (!backend) {
+    throw new Error(`Backend '${name}' is not available in this environment`);
+  }
+  active = backend;
+  activeName = name;
+  return name;
+}
+
+// The active backend object, detected on first use
+export function getBackend() {
+  if (!active) setBackend(detectBackend());
+  return active;
+}
+
+// Registry name of the active backend
+export function getBackendName() {
+  getBackend();
+  return activeName;
+}
+
+registerBackend('cpu', () => cpuBackend, { priority: 0 });
+registerBackend('webgl', createWebGLBackend, { priority: 10 });
@@ -0,0 +1,87 @@
+// benchmark-parallel.js
+// Node script: time an epoch of SGD on one thread and on WorkerPools of growing size,
+// and check that every pool trains to bit-identical weights.
+// Usage: node benchmark-parallel.js [--workers 1,2,4] [--samples 4096] [--batch-size 128]
+//   [--layers 784,128,10] [--dropout 0.2] [--runs 3]
+// --workers defaults to 1, 2, 4, ... up to the number of cores.
+
+import os from 'os';
+import { performance } from 'perf_hooks';
+import Network from './network.js';
+import RNG from './random.js';
+import { WorkerPool } from './parallel.js';
+import { parseArgs } from './cli.js';
+import { formatTable } from './evaluation.js';
+
+// Fastest of several runs, in milliseconds, plus the last result
+function time(fn, runs) {
+  let best = Infinity;
+  let result;
+  for (let r = 0; r < runs; r++) {
+    const start = performance.now();
+    result = fn();
+    best = Math.min(best, performance.now() - start);
+  }
+  return { ms: best, result };
+}
+
+const list = value => String(value).split(',').map(Number);
+
+function main() {
+  const { flags } = parseArgs(process.argv.slice(2));
+  const cores = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  const {
+    workers = [1, 2, 4, 8, 16, 32].filter(n => n <= Math.max(cores, 1)).join(','),
+    samples = 4096,
+    batchSize = 128,
+    layers = '784,128,10',
+    dropout = 0.2,
+    runs = 3
+  } = flags;
+  const sizes = list(layers);
+  const counts = list(workers);
+
+  // random inputs and labels: the timing does not depend on what is learned
+  const rng = new RNG(1);
+  const classes = sizes[sizes.length - 1];
+  const data = Array.from({ length: samples }, () => {
+    const label = rng.int(classes);
+    return [Array.from({ length: sizes[0] }, () => rng.next()), Array.from({ length: classes }, (_, c) => (c === label ? 1 : 0))];
+  });
+  const build = () => new Network([sizes[0], ...sizes.slice(1, -1).map(size => ({ size, dropout })), classes], { seed: 7 });
+  // one seeded epoch from the same start, so every run ends at the same weights
+  const epoch = parallel => {
+    const net = build();
+    net.SGD(data, 1, batchSize, { type: 'momentum', learningRate: 0.05 }, null, { parallel, verbose: false });
+    return net.getWeights().flatMap(({ weights, biases }) => [...weights.data, ...biases.data]);
+  };
+
+  console.log(
+    `One epoch of ${samples} samples in batches of ${batchSize}, layers ${sizes.join('-')}, ` +
+    `dropout ${dropout} (${cores} core${cores === 1 ? '' : 's'}, best of ${runs})`
+  );
+  const single = time(() => epoch(null), runs);
+  const rows = [['main thread', single.ms.toFixed(0), (samples / single.ms * 1000).toFixed(0), '1.00x', 'yes']];
+  let identical = true;
+  for (const n of counts) {
+    const pool = new WorkerPool(build(), { workers: n, batchSize });
+    try {
+      const run = time(() => epoch(pool), runs);
+      const same = run.result.every((v, i) => Object.is(v, single.result[i]));
+      identical = identical && same;
+      rows.push([
+        `${n} worker${n === 1 ? '' : 's'}`,
+        run.ms.toFixed(0),
+        (samples / run.ms * 1000).toFixed(0),
+        `${(single.ms / run.ms).toFixed(2)}x`,
+        same ? 'yes' : 'NO'
+      ]);
+    } finally {
+      pool.close();
+    }
+  }
+  console.log(formatTable(['training', 'ms/epoch', 'samples/s', 'speedup', 'bit-identical'], rows));
+  if (!identical) process.exit(1);
+}
+
+main();
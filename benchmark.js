@@ -0,0 +1,79 @@
+// benchmark.js
+// Node script: time Transformer.generate with and without the key/value cache, and check
+// that cached decoding gives bit-identical logits and the same tokens.
+// Usage: node benchmark.js [--tokens 64] [--prompt 8] [--d-model 64] [--heads 4]
+//   [--layers 2] [--vocab 256] [--runs 3]
+
+import { performance } from 'perf_hooks';
+import { parseArgs } from './cli.js';
+import { formatTable } from './evaluation.js';
+import './transformer.js';
+
+const { Transformer, Matrix, createCausalMask } = globalThis.Transformer;
+
+// Fastest of several runs, in milliseconds, plus the last result
+function time(fn, runs) {
+  let best = Infinity;
+  let result;
+  for (let r = 0; r < runs; r++) {
+    const start = performance.now();
+    result = fn();
+    best = Math.min(best, performance.now() - start);
+  }
+  return { ms: best, result };
+}
+
+// Whether feeding the sequence one position at a time through a KVCache reproduces
+// every row of the full causal forward pass exactly
+function cachedLogitsMatch(model, sequence) {
+  const full = model.forward(Matrix.fromArray(sequence), createCausalMask(sequence.length));
+  const kvCache = model.createKVCache();
+  return sequence.every((token, t) => {
+    const row = model.forward(Matrix.fromArray([token]), createCausalMask(1, t), kvCache);
+    const expected = full.data.subarray(t * full.cols, (t + 1) * full.cols);
+    return row.data.every((v, j) => Object.is(v, expected[j]));
+  });
+}
+
+function main() {
+  const { flags } = parseArgs(process.argv.slice(2));
+  const {
+    tokens = 64,
+    prompt: promptLength = 8,
+    dModel = 64,
+    heads = 4,
+    layers = 2,
+    vocab = 256,
+    runs = 3
+  } = flags;
+
+  const model = new Transformer({
+    dModel,
+    numHeads: heads,
+    numLayers: layers,
+    vocabSize: vocab,
+    maxLen: promptLength + tokens
+  });
+  const prompt = Array.from({ length: promptLength }, (_, i) => (i * 31 + 7) % vocab);
+  const config = { greedy: true, maxNewTokens: tokens };
+
+  console.log(
+    `Generating ${tokens} tokens after a ${promptLength}-token prompt ` +
+    `(dModel ${dModel}, ${heads} heads, ${layers} layers, vocab ${vocab}, best of ${runs})`
+  );
+  const uncached = time(() => model.generate(prompt, { ...config, useCache: false }), runs);
+  const cached = time(() => model.generate(prompt, { ...config, useCache: true }), runs);
+  const sameTokens = uncached.result.every((token, i) => token === cached.result[i]);
+  const sameLogits = cachedLogitsMatch(model, uncached.result.slice(0, -1));
+
+  const row = (name, { ms }) => [name, ms.toFixed(1), (ms / tokens).toFixed(2), (tokens / ms * 1000).toFixed(1)];
+  console.log(formatTable(['decoding', 'total ms', 'ms/token', 'tokens/s'], [
+    row('full forward', uncached),
+    row('kv cache', cached)
+  ]));
+  console.log(`Speedup: ${(uncached.ms / cached.ms).toFixed(1)}x`);
+  console.log(`Same tokens: ${sameTokens ? 'yes' : 'NO'}, bit-identical logits: ${sameLogits ? 'yes' : 'NO'}`);
+  if (!sameTokens || !sameLogits) process.exit(1);
+}
+
+main();
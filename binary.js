@@ -0,0 +1,218 @@
+// binary.js
+// Compact binary model container. Layout (all integers little-endian):
+//   bytes 0-3   magic 'NNJB'
+//   bytes 4-7   uint32 container version
+//   bytes 8-11  uint32 byte length of the JSON header
+//   JSON header: Network.toJSON() with every tensor array (weights, biases, batch norm
+//                statistics) replaced by a descriptor { dtype, offset, length }; int8
+//                descriptors add the offset of their scales and their row count,
+//                { scalesOffset, rows }
+//   tensor data, starting at the next multiple of 8; offsets are relative to it
+// Weights are stored as float32, float16, or int8 with one float32 scale per output
+// row (per-channel symmetric quantization; a row is a neuron or a conv filter). Every
+// other tensor is float32. Float32 tensors
+// are loaded as views on the buffer, with no copy, on little-endian platforms.
+
+import Network from './network.js';
+
+const MAGIC = 'NNJB';
+const CONTAINER_VERSION = 1;
+const DTYPES = ['float32', 'float16', 'int8'];
+const BYTES_PER = { float32: 4, float16: 2, int8: 1 };
+const PLATFORM_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+const align = (n, to) => Math.ceil(n / to) * to;
+
+// FLOAT16 CONVERSION
+
+const f32 = new Float32Array(1);
+const u32 = new Uint32Array(f32.buffer);
+
+// Float32 -> IEEE 754 half-precision bits, round to nearest even
+export function toFloat16(value) {
+  f32[0] = value;
+  const x = u32[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = (x >>> 23) & 0xff;
+  let mant = x & 0x7fffff;
+  if (exp === 0xff) return sign | 0x7c00 | (mant ? 0x200 : 0); // Inf / NaN
+  let e = exp - 127 + 15;
+  if (e >= 0x1f) return sign | 0x7c00; // overflow -> Inf
+  if (e <= 0) {
+    if (e < -10) return sign; // underflow -> 0
+    // subnormal half
+    mant |= 0x800000;
+    const shift = 14 - e;
+    let half = mant >>> shift;
+    const rem = mant & ((1 << shift) - 1);
+    const halfway = 1 << (shift - 1);
+    if (rem > halfway || (rem === halfway && (half & 1))) half++;
+    return sign | half;
+  }
+  let half = sign | (e << 10) | (mant >>> 13);
+  const rem = mant & 0x1fff;
+  if (rem > 0x1000 || (rem === 0x1000 && (half & 1))) half++; // may carry into the exponent, which is correct
+  return half;
+}
+
+// IEEE 754 half-precision bits -> number
+export function fromFloat16(h) {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >>> 10) & 0x1f;
+  const mant = h & 0x3ff;
+  if (exp === 0) return sign * mant * Math.pow(2, -24);
+  if (exp === 0x1f) return mant ? NaN : sign * Infinity;
+  return sign * (1 + mant / 1024) * Math.pow(2, exp - 15);
+}
+
+// TENSOR ENCODING
+
+// Per-row symmetric int8 quantization: q = round(w / scale), scale = max|w| / 127
+export function quantizeInt8(data, rows, cols) {
+  const q = new Int8Array(data.length);
+  const scales = new Float32Array(rows);
+  for (let r = 0; r < rows; r++) {
+    let maxAbs = 0;
+    for (let c = 0; c < cols; c++) maxAbs = Math.max(maxAbs, Math.abs(data[r * cols + c]));
+    const scale = maxAbs / 127 || 1;
+    scales[r] = scale;
+    for (let c = 0; c < cols; c++) q[r * cols + c] = Math.round(data[r * cols + c] / scale);
+  }
+  return { q, scales };
+}
+
+function writeFloat32(view, offset, data) {
+  for (let i = 0; i < data.length; i++) view.setFloat32(offset + 4 * i, data[i], true);
+}
+
+// Serialize a network to the binary container; dtype applies to weight matrices
+export function encodeModel(network, { dtype = 'float32' } = {}) {
+  if (!DTYPES.includes(dtype)) {
+    throw new Error(`Unknown dtype '${dtype}'. Use one of: ${DTYPES.join(', ')}`);
+  }
+  const model = network.toJSON();
+  const tensors = [];
+  let offset = 0;
+  const place = (data, type, extra = {}) => {
+    const desc = { dtype: type, offset, length: data.length, ...extra };
+    offset = align(offset + data.length * BYTES_PER[type], 8);
+    tensors.push({ desc, data, type });
+    return desc;
+  };
+
+  model.layers = network.layers.map((layer, i) => {
+    const spec = { ...model.layers[i] };
+    for (const [name, tensor] of Object.entries(layer.tensors())) {
+      if (name !== 'weights' || dtype === 'float32') {
+        spec[name] = place(tensor.data, 'float32');
+      } else if (dtype === 'int8') {
+        const { q, scales } = quantizeInt8(tensor.data, tensor.rows, tensor.cols);
+        const scalesDesc = place(scales, 'float32');
+        spec[name] = place(q, 'int8', { scalesOffset: scalesDesc.offset, rows: tensor.rows });
+      } else {
+        spec[name] = place(tensor.data, dtype);
+      }
+    }
+    return spec;
+  });
+
+  const header = new TextEncoder().encode(JSON.stringify(model));
+  const dataStart = align(12 + header.length, 8);
+  const bytes = new Uint8Array(dataStart + offset);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < 4; i++) bytes[i] = MAGIC.charCodeAt(i);
+  view.setUint32(4, CONTAINER_VERSION, true);
+  view.setUint32(8, header.length, true);
+  bytes.set(header, 12);
+
+  for (const { desc, data, type } of tensors) {
+    const at = dataStart + desc.offset;
+    if (type === 'float32') writeFloat32(view, at, data);
+    else if (type === 'float16') data.forEach((v, i) => view.setUint16(at + 2 * i, toFloat16(v), true));
+    else bytes.set(new Uint8Array(data.buffer, data.byteOffset, data.length), at);
+  }
+  return bytes.buffer;
+}
+
+// TENSOR DECODING
+
+function readFloat32(bytes, start, length) {
+  const absolute = bytes.byteOffset + start;
+  if (PLATFORM_LITTLE_ENDIAN && absolute % 4 === 0) {
+    return new Float32Array(bytes.buffer, absolute, length);
+  }
+  const view = new DataView(bytes.buffer, absolute, length * 4);
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i++) out[i] = view.getFloat32(4 * i, true);
+  return out;
+}
+
+function readTensor(bytes, dataStart, desc, what) {
+  const { dtype, offset, length, rows } = desc;
+  if (!DTYPES.includes(dtype)) throw new Error(`Invalid model file: ${what} has unknown dtype '${dtype}'`);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error(`Invalid model file: ${what} has bad offset '${offset}'`);
+  }
+  if (!Number.isInteger(length) || length < 0) {
+    throw new Error(`Invalid model file: ${what} has bad length '${length}'`);
+  }
+  const start = dataStart + offset;
+  if (start + length * BYTES_PER[dtype] > bytes.length) {
+    throw new Error(`Invalid model file: ${what} runs past the end of the file`);
+  }
+  if (dtype === 'float32') return readFloat32(bytes, start, length);
+  if (dtype === 'float16') {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + start, length * 2);
+    const out = new Float32Array(length);
+    for (let i = 0; i < length; i++) out[i] = fromFloat16(view.getUint16(2 * i, true));
+    return out;
+  }
+  // int8: dequantize with the per-row scales
+  if (!(Number.isInteger(rows) && rows > 0 && length % rows === 0)) {
+    throw new Error(`Invalid model file: ${what} has ${length} int8 values in ${rows} rows`);
+  }
+  const { scalesOffset } = desc;
+  if (!Number.isInteger(scalesOffset) || scalesOffset < 0) {
+    throw new Error(`Invalid model file: ${what} has bad scalesOffset '${scalesOffset}'`);
+  }
+  if (dataStart + scalesOffset + 4 * rows > bytes.length) {
+    throw new Error(`Invalid model file: ${what} scales run past the end of the file`);
+  }
+  const cols = length / rows;
+  const scales = readFloat32(bytes, dataStart + scalesOffset, rows);
+  const q = new Int8Array(bytes.buffer, bytes.byteOffset + start, length);
+  const out = new Float32Array(length);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) out[r * cols + c] = q[r * cols + c] * scales[r];
+  }
+  return out;
+}
+
+const isDescriptor = v => v !== null && typeof v === 'object' && !Array.isArray(v) && 'dtype' in v && 'offset' in v;
+
+// Build a Network from a binary container (ArrayBuffer, Uint8Array or Node Buffer)
+export function decodeModel(input) {
+  const bytes = input instanceof ArrayBuffer
+    ? new Uint8Array(input)
+    : new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  if (bytes.length < 12 || String.fromCharCode(...bytes.subarray(0, 4)) !== MAGIC) {
+    throw new Error(`Invalid model file: missing '${MAGIC}' header`);
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint32(4, true);
+  if (version > CONTAINER_VERSION) {
+    throw new Error(`Invalid model file: container version ${version} is newer than supported ${CONTAINER_VERSION}`);
+  }
+  const headerLength = view.getUint32(8, true);
+  if (12 + headerLength > bytes.length) throw new Error('Invalid model file: truncated header');
+  const model = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+  const dataStart = align(12 + headerLength, 8);
+
+  model.layers = (model.layers || []).map((layer, i) => Object.fromEntries(
+    Object.entries(layer).map(([key, value]) => [
+      key,
+      isDescriptor(value) ? readTensor(bytes, dataStart, value, `layer ${i} ${key}`) : value
+    ])
+  ));
+  return Network.fromJSON(model);
+}
@@ -0,0 +1,173 @@
+// callbacks.js
+// Hooks into Network.SGD. A callback is any object with some of the methods below;
+// extend Callback to get no-op defaults and access to the network as this.model.
+// Epoch logs carry loss, accuracy and lr, plus valLoss and valAccuracy when test data is given.
+// Callbacks that track progress across epochs implement getState/loadState so that a
+// run resumed from a checkpoint picks up where they left off.
+
+import Matrix from './matrix.js';
+
+export class Callback {
+  setModel(model) {
+    this.model = model;
+  }
+
+  onTrainBegin(logs) {}
+
+  onEpochBegin(epoch, logs) {}
+
+  // logs: { epoch, step, size, loss, accuracy, lr } for the batch just trained
+  onBatchEnd(batch, logs) {}
+
+  onEpochEnd(epoch, logs) {}
+
+  // logs: { history }
+  onTrainEnd(logs) {}
+
+  // JSON-safe state saved with training checkpoints (null when there is nothing to keep)
+  getState() {
+    return null;
+  }
+
+  // Restore getState() output; called right after onTrainBegin when resuming
+  loadState(state) {}
+}
+
+// Weight snapshots from Network.getWeights() to and from plain arrays
+const mapLayers = (weights, fn) => weights && weights.map(layer => Object.fromEntries(
+  Object.entries(layer).map(([name, tensor]) => [name, fn(tensor)])
+));
+
+const weightsToJSON = weights => mapLayers(weights, m => ({ rows: m.rows, cols: m.cols, data: m.toArray() }));
+
+const weightsFromJSON = json => mapLayers(json, m => new Matrix(m.rows, m.cols, new Float32Array(m.data)));
+
+// Wrap plain functions as a callback, e.g. new LambdaCallback({ onEpochEnd: (e, logs) => ... })
+export class LambdaCallback extends Callback {
+  constructor(hooks = {}) {
+    super();
+    Object.assign(this, hooks);
+  }
+}
+
+// Tracks the best value of one logged metric. mode 'auto' maximizes metrics whose name
+// mentions accuracy and minimizes everything else.
+export class MetricMonitor extends Callback {
+  constructor({ monitor = 'valLoss', mode = 'auto', minDelta = 0 } = {}) {
+    super();
+    if (!['auto', 'min', 'max'].includes(mode)) {
+      throw new Error(`mode must be 'auto', 'min' or 'max', got '${mode}'`);
+    }
+    this.monitor = monitor;
+    this.mode = mode === 'auto' ? (/acc/i.test(monitor) ? 'max' : 'min') : mode;
+    this.minDelta = minDelta;
+    this.best = null;
+  }
+
+  // Read the monitored value from the epoch logs
+  current(logs) {
+    const value = logs[this.monitor];
+    if (value === undefined) {
+      throw new Error(
+        `${this.constructor.name}: metric '${this.monitor}' is not logged ` +
+        `(available: ${Object.keys(logs).join(', ')}); pass testData to SGD for val* metrics`
+      );
+    }
+    return value;
+  }
+
+  isImprovement(value) {
+    if (this.best === null) return true;
+    return this.mode === 'max'
+      ? value > this.best + this.minDelta
+      : value < this.best - this.minDelta;
+  }
+}
+
+// Stop training once the monitored metric hasn't improved for `patience` epochs,
+// optionally rolling the weights back to the best epoch.
+export class EarlyStopping extends MetricMonitor {
+  constructor({ patience = 5, restoreBestWeights = false, ...rest } = {}) {
+    super(rest);
+    this.patience = patience;
+    this.restoreBestWeights = restoreBestWeights;
+  }
+
+  onTrainBegin() {
+    this.best = null;
+    this.wait = 0;
+    this.bestWeights = null;
+    this.bestEpoch = null;
+    this.stoppedEpoch = null;
+  }
+
+  onEpochEnd(epoch, logs) {
+    const value = this.current(logs);
+    if (this.isImprovement(value)) {
+      this.best = value;
+      this.bestEpoch = epoch;
+      this.wait = 0;
+      if (this.restoreBestWeights) this.bestWeights = this.model.getWeights();
+    } else if (++this.wait >= this.patience) {
+      this.stoppedEpoch = epoch;
+      this.model.stopTraining = true;
+    }
+  }
+
+  onTrainEnd() {
+    if (this.stoppedEpoch !== null && this.bestWeights) {
+      this.model.setWeights(this.bestWeights);
+    }
+  }
+
+  getState() {
+    return {
+      best: this.best,
+      wait: this.wait,
+      bestEpoch: this.bestEpoch,
+      bestWeights: weightsToJSON(this.bestWeights)
+    };
+  }
+
+  loadState({ best, wait, bestEpoch, bestWeights }) {
+    Object.assign(this, { best, wait, bestEpoch, bestWeights: weightsFromJSON(bestWeights) });
+  }
+}
+
+// Keep the weights of the best epoch so far and hand them to `save` whenever they
+// improve (or every epoch with saveBestOnly: false). save(network, logs, epoch) can
+// write a file; the latest best weights are also kept in this.bestWeights.
+export class ModelCheckpoint extends MetricMonitor {
+  constructor({ save = null, saveBestOnly = true, ...rest } = {}) {
+    super(rest);
+    this.save = save;
+    this.saveBestOnly = saveBestOnly;
+  }
+
+  onTrainBegin() {
+    this.best = null;
+    this.bestWeights = null;
+    this.bestEpoch = null;
+  }
+
+  onEpochEnd(epoch, logs) {
+    const value = this.current(logs);
+    const improved = this.isImprovement(value);
+    if (improved) {
+      this.best = value;
+      this.bestEpoch = epoch;
+      this.bestWeights = this.model.getWeights();
+    }
+    if (this.save && (improved || !this.saveBestOnly)) {
+      this.save(this.model, logs, epoch);
+    }
+  }
+
+  getState() {
+    return { best: this.best, bestEpoch: this.bestEpoch, bestWeights: weightsToJSON(this.bestWeights) };
+  }
+
+  loadState({ best, bestEpoch, bestWeights }) {
+    Object.assign(this, { best, bestEpoch, bestWeights: weightsFromJSON(bestWeights) });
+  }
+}
@@ -0,0 +1,145 @@
+// checkpoint.js
+// Node-only training checkpoints. A checkpoint file holds the model (Network.toJSON())
+// and the state of the training run (Network.trainingState()): optimizer, schedule, RNG,
+// callback state, the position of the next batch and the history so far. Loading one
+// and passing its state to SGD (or fitDataset) as options.resume continues the run
+// exactly where it stopped. Each checkpoint directory keeps an index.json describing
+// its files.
+
+import fs from 'fs';
+import path from 'path';
+import Network from './network.js';
+import RNG from './random.js';
+import { MetricMonitor } from './callbacks.js';
+
+export const CHECKPOINT_FORMAT = 'nn-in-js/checkpoint';
+export const CHECKPOINT_VERSION = 1;
+const INDEX_FILE = 'index.json';
+
+// Write via a temporary file so a crash mid-write never leaves a truncated file behind
+function writeFileAtomic(file, contents) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, file);
+}
+
+// Save the network and its running SGD state; call from a callback during training
+export function saveCheckpoint(network, file, logs = null) {
+  const checkpoint = {
+    format: CHECKPOINT_FORMAT,
+    version: CHECKPOINT_VERSION,
+    savedAt: new Date().toISOString(),
+    logs,
+    model: network.toJSON(),
+    training: network.trainingState()
+  };
+  writeFileAtomic(file, JSON.stringify(checkpoint));
+  return checkpoint;
+}
+
+// Read a checkpoint file (or the latest one in a checkpoint directory).
+// Returns { network, resume, logs }: the network uses a private RNG restored to the
+// checkpoint's state, and resume goes to SGD as options.resume.
+export function loadCheckpoint(file) {
+  if (fs.statSync(file).isDirectory()) {
+    const latest = latestCheckpoint(file);
+    if (!latest) throw new Error(`No checkpoints in ${file}`);
+    file = latest;
+  }
+  const checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (checkpoint.format !== CHECKPOINT_FORMAT) {
+    throw new Error(`Invalid checkpoint file ${file}: expected format '${CHECKPOINT_FORMAT}'`);
+  }
+  if (checkpoint.version > CHECKPOINT_VERSION) {
+    throw new Error(
+      `Invalid checkpoint file ${file}: version ${checkpoint.version} is newer than supported ${CHECKPOINT_VERSION}`
+    );
+  }
+  const network = Network.fromJSON(checkpoint.model);
+  network.setRNG(new RNG().setState(checkpoint.training.rngState));
+  return { network, resume: checkpoint.training, logs: checkpoint.logs };
+}
+
+// Entries of a checkpoint directory's index, oldest first: { file, epoch, batch, step, metric }
+export function listCheckpoints(dir) {
+  const indexPath = path.join(dir, INDEX_FILE);
+  if (!fs.existsSync(indexPath)) return [];
+  return JSON.parse(fs.readFileSync(indexPath, 'utf8')).checkpoints;
+}
+
+// Path of the most recent checkpoint in dir, or null
+export function latestCheckpoint(dir) {
+  const entries = listCheckpoints(dir);
+  return entries.length ? path.join(dir, entries[entries.length - 1].file) : null;
+}
+
+// Path of the kept checkpoint with the best monitored metric in dir, or null
+export function bestCheckpoint(dir) {
+  const indexPath = path.join(dir, INDEX_FILE);
+  if (!fs.existsSync(indexPath)) return null;
+  const { mode, checkpoints } = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  const scored = checkpoints.filter(c => c.metric !== null);
+  if (!scored.length) return null;
+  const best = scored.reduce((a, b) => ((mode === 'max' ? b.metric > a.metric : b.metric < a.metric) ? b : a));
+  return path.join(dir, best.file);
+}
+
+// Callback that writes checkpoints into dir every `everyEpochs` epochs and, optionally,
+// every `everyBatches` batches. Retention: the newest `keepLast` checkpoints are kept,
+// plus the `keepBest` end-of-epoch checkpoints with the best `monitor` value; older
+// files are deleted. Pass it to SGD as options.checkpoint so it runs after the other
+// callbacks and captures their end-of-epoch state.
+export class Checkpointer extends MetricMonitor {
+  constructor({ dir = 'checkpoints', everyEpochs = 1, everyBatches = 0, keepLast = 3, keepBest = 0, ...rest } = {}) {
+    super(rest);
+    if (keepLast < 1 && keepBest < 1) {
+      throw new Error('Checkpointer must keep at least one checkpoint (keepLast or keepBest)');
+    }
+    this.dir = dir;
+    this.everyEpochs = everyEpochs;
+    this.everyBatches = everyBatches;
+    this.keepLast = keepLast;
+    this.keepBest = keepBest;
+  }
+
+  onTrainBegin() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    // a resumed run continues the existing index, so retention spans both runs
+    this.entries = listCheckpoints(this.dir);
+  }
+
+  onBatchEnd(batch, logs) {
+    if (this.everyBatches && logs.step % this.everyBatches === 0) this.save(null);
+  }
+
+  onEpochEnd(epoch, logs) {
+    if ((epoch + 1) % this.everyEpochs !== 0) return;
+    this.save(logs, this.keepBest ? this.current(logs) : null);
+  }
+
+  // Write a checkpoint for the current position and apply the retention rules
+  save(logs, metric = null) {
+    const state = this.model.trainingState();
+    const file = `checkpoint-${String(state.step).padStart(8, '0')}.json`;
+    saveCheckpoint(this.model, path.join(this.dir, file), logs);
+    this.entries = this.entries.filter(e => e.file !== file);
+    this.entries.push({ file, epoch: state.epoch, batch: state.batch, step: state.step, metric });
+    this.prune();
+  }
+
+  prune() {
+    const keep = new Set((this.keepLast > 0 ? this.entries.slice(-this.keepLast) : []).map(e => e.file));
+    const sign = this.mode === 'max' ? -1 : 1;
+    this.entries
+      .filter(e => e.metric !== null)
+      .sort((a, b) => sign * (a.metric - b.metric))
+      .slice(0, this.keepBest)
+      .forEach(e => keep.add(e.file));
+    for (const e of this.entries) {
+      if (!keep.has(e.file)) fs.rmSync(path.join(this.dir, e.file), { force: true });
+    }
+    this.entries = this.entries.filter(e => keep.has(e.file));
+    const index = { monitor: this.monitor, mode: this.mode, checkpoints: this.entries };
+    writeFileAtomic(path.join(this.dir, INDEX_FILE), JSON.stringify(index, null, 2));
+  }
+}
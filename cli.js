@@ -0,0 +1,457 @@
+#!/usr/bin/env node
+// cli.js
+// Command-line interface for training and using models without editing source.
+//   nnjs train    --config run.json --data train.json --out weights.json
+//   nnjs evaluate --model weights.json --data test.json
+//   nnjs predict  --model weights.bin --input images.json --top 3
+//   nnjs inspect  weights.json
+// Flags override the JSON config; run `nnjs help <command>` for the full list.
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { gunzipSync } from 'zlib';
+import Network from './network.js';
+import RNG from './random.js';
+import { EarlyStopping } from './callbacks.js';
+import { evaluateModel, formatReport, formatTable } from './evaluation.js';
+import { encodeModel, decodeModel } from './binary.js';
+import { Checkpointer, CHECKPOINT_FORMAT, latestCheckpoint, loadCheckpoint } from './checkpoint.js';
+import { openDataset, toTrainingPairs, loadPairs, fitDataset } from './dataset.js';
+import { trainValTestSplit } from './validation.js';
+import { runSearch } from './search.js';
+import { WorkerPool, unsupportedLayers } from './parallel.js';
+
+// Training settings used when neither the config nor a flag sets them
+export const DEFAULT_CONFIG = {
+  train: null,
+  test: null,
+  validationSplit: 0,
+  layers: [784, 128, 64, 10],
+  loss: 'categoricalCrossEntropy',
+  normalization: null,
+  labels: null,
+  seed: null,
+  epochs: 20,
+  batchSize: 16,
+  optimizer: { type: 'sgd', learningRate: 0.05 },
+  schedule: null,
+  clipNorm: null,
+  clipValue: null,
+  augment: null,
+  earlyStopping: null,
+  checkpoint: null,
+  resume: false,
+  stream: false,
+  shuffleBuffer: 10000,
+  workers: 0,
+  search: null,
+  out: ['weights.json'],
+  dtype: 'float32',
+  verbose: true
+};
+
+const HELP = {
+  main: `Usage: nnjs <command> [options]
+
+Commands:
+  train      Train a network from a JSON config and/or flags
+  evaluate   Print accuracy, per-class metrics, confusion matrix and calibration
+  predict    Classify inputs with a saved model
+  search     Grid, random or successive-halving hyperparameter search
+  inspect    Describe a model or checkpoint file
+
+Run 'nnjs help <command>' for the options of a command.`,
+
+  train: `Usage: nnjs train [--config run.json] [options]
+
+Options (each also a config key, in camelCase):
+  --config <file>            JSON config; flags override its values
+  --data <file>              training data (config key: train): .json, .ndjson, .csv or
+                             IDX, optionally gzipped; see dataset.js
+  --test <file>              test data, evaluated after training
+  --validation-split <f>     hold out this (stratified) fraction of the training data
+                             for validation
+  --layers <sizes|json>      e.g. 784,128,64,10 or '[784,{"size":128,"activation":"relu"},10]';
+                             conv and pooling layers as in lenet.config.json
+  --loss <name|json>         loss name or { type, ...options }
+  --seed <n>                 seed for initialization, dropout, shuffling and the split
+  --epochs <n>               number of epochs
+  --batch-size <n>           mini-batch size
+  --optimizer <name|json>    e.g. adam or '{"type":"momentum","momentum":0.9}'
+  --lr <rate>                learning rate for the optimizer
+  --schedule <json>          learning-rate schedule, e.g. '{"type":"cosine","period":10}'
+  --clip-norm <n>            clip the gradient norm
+  --augment <json>           training-time augmentation, e.g. '{"rotate":10,"shift":2}'
+                             (see augment.js)
+  --checkpoint-dir <dir>     write a checkpoint after every epoch
+  --resume                   continue from the latest checkpoint in the checkpoint dir;
+                             an error if it holds none
+  --stream                   stream the training data from disk each epoch instead of
+                             loading it (no validation split; resumes from end-of-epoch
+                             checkpoints only)
+  --shuffle-buffer <n>       shuffle buffer size when streaming
+  --workers <n>              compute gradients on n worker threads (same results as
+                             training on one; dense layers only, see parallel.js)
+  --out <file>               where to save the model (.json or .bin); repeatable
+  --dtype <type>             weight precision for .bin outputs: float32, float16 or int8
+  --quiet                    no per-epoch log lines
+
+Config-only keys: normalization, labels, clipValue, earlyStopping
+({ monitor, patience, restoreBestWeights }) and checkpoint ({ dir, everyBatches,
+keepLast, keepBest, monitor }).`,
+
+  evaluate: `Usage: nnjs evaluate --model <file> --data <file> [--k 5] [--bins 10] [--json]
+
+Evaluates a model (.json, .bin or checkpoint) on a dataset file in any format
+dataset.js reads (.json, .ndjson, .csv or IDX, optionally gzipped).
+  --k <n>       top-k accuracy to report
+  --bins <n>    calibration histogram bins
+  --json        print the report as JSON instead of tables`,
+
+  predict: `Usage: nnjs predict --model <file> --input <file> [--top 1]
+
+Input is a JSON array of raw inputs, or of records with an 'image' field; raw values
+are normalized as the model specifies. Prints one JSON line per input:
+{ index, label, confidence, top: [{ label, probability }] }.
+  --top <n>     number of classes listed per input`,
+
+  search: `Usage: nnjs search --config search.json [train options]
+
+Trains one network per configuration and ranks them by validation accuracy (or loss).
+The config holds the usual train settings as the base of every trial plus a "search"
+section:
+  space         keys (dotted for nested values, e.g. "optimizer.learningRate") mapped
+                to a list of values, or { min, max, log, int } ranges for random search
+  strategy      "grid" (every combination, default) or "random"
+  trials        number of random configurations
+  halving       { minEpochs, eta } for successive halving up to the base epochs
+  folds         score by k-fold cross-validation on the training data instead
+  metric        "valAccuracy" (default) or "valLoss"
+  leaderboard   JSON results file (default leaderboard.json)
+Validation data comes from --validation-split, else --test. The best network is
+written to --out.`,
+
+  inspect: `Usage: nnjs inspect <file>
+
+Describes a model (.json or .bin) or checkpoint: layers, parameter counts, loss,
+preprocessing, labels and training metadata.`
+};
+
+// ARGUMENTS
+
+const BOOLEAN_FLAGS = new Set(['resume', 'stream', 'quiet', 'help', 'json']);
+
+const camelCase = s => s.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+// Numbers and JSON objects/arrays are parsed, anything else stays a string
+function parseValue(value) {
+  if (/^[[{]/.test(value)) return JSON.parse(value);
+  const n = Number(value);
+  return value.trim() !== '' && Number.isFinite(n) ? n : value;
+}
+
+// Split argv into positional arguments and camelCased flags; repeated flags collect into arrays
+export function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const key = camelCase(eq >= 0 ? arg.slice(2, eq) : arg.slice(2));
+    let value;
+    if (eq >= 0) value = parseValue(arg.slice(eq + 1));
+    else if (BOOLEAN_FLAGS.has(key)) value = true;
+    else if (i + 1 < argv.length) value = parseValue(argv[++i]);
+    else throw new Error(`Missing value for --${arg.slice(2)}`);
+    flags[key] = key in flags ? [].concat(flags[key], value) : value;
+  }
+  return { positional, flags };
+}
+
+// Merge defaults, the --config file and flags into one training config
+export function resolveConfig(flags) {
+  const { config: configPath, data, lr, checkpointDir, quiet, help, ...rest } = flags;
+  // a later --config replaces an earlier one, e.g. after the one train.js passes
+  const fileConfig = configPath ? readJSON([].concat(configPath).pop()) : {};
+  const config = { ...DEFAULT_CONFIG, ...fileConfig, ...rest };
+  if (data !== undefined) config.train = data;
+  if (typeof config.layers === 'string') config.layers = config.layers.split(',').map(Number);
+  if (typeof config.optimizer === 'string') config.optimizer = { type: config.optimizer };
+  if (lr !== undefined) config.optimizer = { ...config.optimizer, learningRate: lr };
+  if (checkpointDir !== undefined) config.checkpoint = { ...config.checkpoint, dir: checkpointDir };
+  if (quiet) config.verbose = false;
+  config.out = [].concat(config.out || []);
+  const unknown = Object.keys(config).filter(k => !(k in DEFAULT_CONFIG));
+  if (unknown.length) throw new Error(`Unknown config keys: ${unknown.join(', ')}`);
+  return config;
+}
+
+// FILES
+
+function readFile(path) {
+  const raw = fs.readFileSync(path);
+  return path.endsWith('.gz') ? gunzipSync(raw) : raw;
+}
+
+function readJSON(path) {
+  return JSON.parse(readFile(path).toString('utf8'));
+}
+
+// Model from a .json model, .bin container or checkpoint file/directory
+export function loadModel(path) {
+  if (fs.statSync(path).isDirectory()) return loadCheckpoint(path).network;
+  if (path.endsWith('.bin')) return decodeModel(fs.readFileSync(path));
+  const json = readJSON(path);
+  return json.format === CHECKPOINT_FORMAT ? loadCheckpoint(path).network : Network.fromJSON(json);
+}
+
+// Save a model as a .bin container (weights in dtype) or as .json, by file extension
+export function saveModel(net, path, dtype = 'float32') {
+  if (path.endsWith('.bin')) fs.writeFileSync(path, Buffer.from(encodeModel(net, { dtype })));
+  else fs.writeFileSync(path, JSON.stringify(net));
+}
+
+// COMMANDS
+
+export async function train(flags) {
+  const config = resolveConfig(flags);
+  if (!config.train) throw new Error('No training data: pass --data or set "train" in the config');
+  if (config.resume && !config.checkpoint) throw new Error('--resume needs a checkpoint dir (--checkpoint-dir)');
+  if (config.stream && config.validationSplit > 0) {
+    throw new Error('--stream does not support a validation split; use --test for validation');
+  }
+  const log = config.verbose ? console.log : () => {};
+
+  const latest = config.resume ? latestCheckpoint(config.checkpoint.dir) : null;
+  if (config.resume && !latest) throw new Error(`--resume: no checkpoint found in ${config.checkpoint.dir}`);
+  let net;
+  let resume = null;
+  if (latest) {
+    ({ network: net, resume } = loadCheckpoint(latest));
+    log(`Resuming from ${latest} (epoch ${resume.epoch}, batch ${resume.batch})`);
+  } else {
+    // an unseeded run still picks a seed, so the validation split can be repeated on resume
+    const seed = config.seed ?? Math.floor(Math.random() * 0x100000000);
+    net = new Network(config.layers, {
+      loss: config.loss,
+      seed,
+      normalization: config.normalization,
+      labels: config.labels,
+      metadata: { seed }
+    });
+  }
+
+  const testData = config.test ? await loadPairs(config.test, net) : null;
+  const callbacks = config.earlyStopping ? [new EarlyStopping(config.earlyStopping)] : [];
+  const layerTypes = unsupportedLayers(net);
+  if (config.workers > 1 && layerTypes.length) {
+    throw new Error(
+      `--workers supports networks of dense layers only; this one has ${layerTypes.join(', ')} layers, ` +
+      'train it without --workers'
+    );
+  }
+  const pool = config.workers > 1
+    ? new WorkerPool(net, { workers: config.workers, batchSize: config.batchSize })
+    : null;
+  const options = {
+    schedule: config.schedule,
+    clipNorm: config.clipNorm,
+    clipValue: config.clipValue,
+    augment: config.augment,
+    parallel: pool,
+    callbacks,
+    verbose: config.verbose,
+    checkpoint: config.checkpoint ? new Checkpointer(config.checkpoint) : null,
+    resume
+  };
+  let validation = null;
+  try {
+    if (config.stream) {
+      log(`Streaming ${config.train}...`);
+      // shuffled with the network's RNG, which a checkpoint restores, so a resumed run
+      // streams the same order as an uninterrupted one
+      const stream = toTrainingPairs(openDataset(config.train), net, config.train)
+        .shuffle(config.shuffleBuffer, net.rng);
+      await fitDataset(net, stream, config.epochs, config.batchSize, config.optimizer, testData, options);
+    } else {
+      log(`Loading ${config.train}...`);
+      let trainData = await loadPairs(config.train, net);
+      if (config.validationSplit > 0) {
+        const rng = new RNG(net.metadata.seed);
+        ({ train: trainData, validation } = trainValTestSplit(trainData, { validation: config.validationSplit, rng }));
+      }
+      log(`Training on ${trainData.length} samples` + (validation ? `, validating on ${validation.length}` : ''));
+      net.SGD(trainData, config.epochs, config.batchSize, config.optimizer, validation || testData, options);
+    }
+  } finally {
+    if (pool) pool.close();
+  }
+
+  const reportData = testData || validation;
+  if (reportData) log(formatReport(evaluateModel(net, reportData, { labels: net.labels })));
+  for (const path of config.out) {
+    saveModel(net, path, config.dtype);
+    log(`Model saved to ${path}`);
+  }
+  return net;
+}
+
+export async function search(flags) {
+  const config = resolveConfig(flags);
+  if (!config.search || !config.search.space) {
+    throw new Error('No search space: add a "search" section with a "space" to the config (see nnjs help search)');
+  }
+  if (!config.train) throw new Error('No training data: pass --data or set "train" in the config');
+  const log = config.verbose ? console.log : () => {};
+  const seed = config.seed ?? 0;
+
+  // every trial shares the input size, classes and preprocessing, so any of them can load the data
+  const template = new Network(config.layers, {
+    loss: config.loss,
+    normalization: config.normalization,
+    labels: config.labels
+  });
+  log(`Loading ${config.train}...`);
+  let trainData = await loadPairs(config.train, template);
+  const testData = config.test ? await loadPairs(config.test, template) : null;
+  let validation = null;
+  if (config.validationSplit > 0) {
+    const split = trainValTestSplit(trainData, { validation: config.validationSplit, rng: new RNG(seed) });
+    ({ train: trainData, validation } = split);
+  }
+
+  const { space, leaderboard = 'leaderboard.json', ...searchOptions } = config.search;
+  const baseKeys = ['layers', 'loss', 'normalization', 'labels', 'epochs', 'batchSize', 'optimizer', 'schedule',
+    'clipNorm', 'clipValue', 'augment'];
+  const base = Object.fromEntries(baseKeys.map(k => [k, config[k]]));
+  const { best } = runSearch(trainData, validation || testData, {
+    ...searchOptions,
+    space,
+    base,
+    seed,
+    leaderboard,
+    verbose: config.verbose
+  });
+  log(`Best: ${JSON.stringify(best.params)} with ${config.search.metric || 'valAccuracy'} ${best.score.toFixed(4)}`);
+  log(`Leaderboard written to ${leaderboard}`);
+  if (testData) log(formatReport(evaluateModel(best.network, testData, { labels: best.network.labels })));
+  for (const path of config.out) {
+    saveModel(best.network, path, config.dtype);
+    log(`Model saved to ${path}`);
+  }
+  return best;
+}
+
+export async function evaluate(flags, positional) {
+  const modelPath = flags.model || positional[0];
+  const dataPath = flags.data || positional[1];
+  if (!modelPath || !dataPath) throw new Error(HELP.evaluate);
+  const net = loadModel(modelPath);
+  const report = evaluateModel(net, await loadPairs(dataPath, net), {
+    k: flags.k ?? 5,
+    bins: flags.bins ?? 10,
+    labels: net.labels
+  });
+  console.log(flags.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  return report;
+}
+
+export function predict(flags, positional) {
+  const modelPath = flags.model || positional[0];
+  const inputPath = flags.input || positional[1];
+  if (!modelPath || !inputPath) throw new Error(HELP.predict);
+  const net = loadModel(modelPath);
+  const top = flags.top ?? 1;
+  const inputs = readJSON(inputPath).map(item => net.normalize(Array.isArray(item) ? item : item.image));
+  const name = k => (net.labels ? net.labels[k] : k);
+  const results = net.predictBatch(inputs).map((probs, index) => {
+    const ranked = probs.map((p, k) => [k, p]).sort((a, b) => b[1] - a[1]).slice(0, top);
+    return {
+      index,
+      label: name(ranked[0][0]),
+      confidence: ranked[0][1],
+      top: ranked.map(([k, probability]) => ({ label: name(k), probability }))
+    };
+  });
+  for (const r of results) console.log(JSON.stringify(r));
+  return results;
+}
+
+export function inspect(flags, positional) {
+  const path = flags.model || positional[0];
+  if (!path) throw new Error(HELP.inspect);
+  let net;
+  let resume = null;
+  const isCheckpoint = fs.statSync(path).isDirectory() ||
+    (!path.endsWith('.bin') && readJSON(path).format === CHECKPOINT_FORMAT);
+  if (isCheckpoint) ({ network: net, resume } = loadCheckpoint(path));
+  else net = loadModel(path);
+
+  let params = 0;
+  const rows = [['input', net.inputShape.join('x'), '-', '-', '-', '-', '-']];
+  net.layers.forEach((layer, i) => {
+    const count = Object.values(layer.params()).reduce((n, m) => n + m.data.length, 0);
+    params += count;
+    rows.push([
+      `${layer.toJSON().type || 'dense'} ${i}`,
+      layer.outputShape.join('x'),
+      layer.activation || '-',
+      layer.init || '-',
+      layer.dropout || layer.rate || '-',
+      layer.l1 || layer.l2 ? `${layer.l1}/${layer.l2}` : '-',
+      count
+    ]);
+  });
+
+  const json = net.toJSON();
+  const lines = [
+    `${path}: ${isCheckpoint ? 'checkpoint' : 'model'} (${json.format} v${json.version})`,
+    '',
+    formatTable(['layer', 'size', 'activation', 'init', 'dropout', 'l1/l2', 'params'], rows),
+    '',
+    `Parameters: ${params}`,
+    `Loss: ${json.loss ? JSON.stringify(json.loss) : 'default'}`,
+    `Normalization: ${json.normalization ? JSON.stringify(json.normalization) : 'none'}`,
+    `Labels: ${json.labels ? json.labels.join(', ') : 'none'}`
+  ];
+  if (Object.keys(json.metadata).length) lines.push(`Metadata: ${JSON.stringify(json.metadata, null, 2)}`);
+  if (resume) {
+    lines.push(
+      `Checkpoint: epoch ${resume.epoch} of ${resume.epochs}, batch ${resume.batch}, step ${resume.step}, ` +
+      `optimizer ${resume.optimizer.type}`,
+      `History: ${JSON.stringify(resume.history)}`
+    );
+  }
+  console.log(lines.join('\n'));
+}
+
+const COMMANDS = { train, evaluate, predict, search, inspect };
+
+export function run(argv) {
+  const { positional, flags } = parseArgs(argv);
+  const [command, ...rest] = positional;
+  if (!command || command === 'help') {
+    console.log(HELP[rest[0]] || HELP.main);
+    return;
+  }
+  if (!COMMANDS[command]) throw new Error(`Unknown command '${command}'\n\n${HELP.main}`);
+  if (flags.help) {
+    console.log(HELP[command]);
+    return;
+  }
+  return COMMANDS[command](flags, rest);
+}
+
+// Run when executed directly (including through the npm bin link), not when imported
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  Promise.resolve()
+    .then(() => run(process.argv.slice(2)))
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
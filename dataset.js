@@ -0,0 +1,374 @@
+// dataset.js
+// Node-only dataset loading. Files are read as streams, so a dataset never has to fit
+// in memory as JS arrays: records come out one at a time as { x: Float32Array, label }
+// and can be shuffled through a fixed-size buffer and grouped into batches.
+// Supported formats, each optionally gzipped (.gz):
+//   .json          array of { image, label } records, parsed incrementally
+//   .ndjson/.jsonl one { image, label } record per line
+//   .csv           one record per line, the label in labelColumn and the inputs in the rest
+//   IDX            MNIST's original binary format, an images file plus a labels file
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { pipeline } from 'stream';
+import { createGunzip } from 'zlib';
+import { TrainingRun } from './network.js';
+import { getRNG } from './random.js';
+
+// A re-iterable stream of records. open() returns a fresh async iterable for every pass,
+// so the same Dataset can be walked once per epoch.
+export class Dataset {
+  constructor(open) {
+    this.open = open;
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.open()[Symbol.asyncIterator]();
+  }
+
+  static fromArray(items) {
+    return new Dataset(async function* () {
+      yield* items;
+    });
+  }
+
+  map(fn) {
+    const source = this;
+    return new Dataset(async function* () {
+      let i = 0;
+      for await (const item of source) yield fn(item, i++);
+    });
+  }
+
+  filter(fn) {
+    const source = this;
+    return new Dataset(async function* () {
+      let i = 0;
+      for await (const item of source) if (fn(item, i++)) yield item;
+    });
+  }
+
+  take(n) {
+    const source = this;
+    return new Dataset(async function* () {
+      if (n <= 0) return;
+      let i = 0;
+      for await (const item of source) {
+        yield item;
+        if (++i >= n) return;
+      }
+    });
+  }
+
+  skip(n) {
+    const source = this;
+    return new Dataset(async function* () {
+      let i = 0;
+      for await (const item of source) if (i++ >= n) yield item;
+    });
+  }
+
+  // Approximate shuffle through a buffer of bufferSize items: each item read replaces a
+  // randomly chosen buffered one, which is emitted. A buffer at least as large as the
+  // dataset gives a full shuffle. Every pass draws a new order from rng.
+  shuffle(bufferSize = 10000, rng = getRNG()) {
+    const source = this;
+    return new Dataset(async function* () {
+      const buffer = [];
+      for await (const item of source) {
+        if (buffer.length < bufferSize) {
+          buffer.push(item);
+          continue;
+        }
+        const j = rng.int(bufferSize);
+        yield buffer[j];
+        buffer[j] = item;
+      }
+      yield* rng.shuffle(buffer);
+    });
+  }
+
+  // Group items into arrays of size items (the last one may be shorter)
+  batch(size) {
+    const source = this;
+    return new Dataset(async function* () {
+      let batch = [];
+      for await (const item of source) {
+        batch.push(item);
+        if (batch.length === size) {
+          yield batch;
+          batch = [];
+        }
+      }
+      if (batch.length) yield batch;
+    });
+  }
+
+  async toArray() {
+    const items = [];
+    for await (const item of this) items.push(item);
+    return items;
+  }
+}
+
+// READERS
+
+// Byte stream of a file, gunzipped when the name ends in .gz
+function openStream(file) {
+  const stream = fs.createReadStream(file);
+  return file.endsWith('.gz') ? pipeline(stream, createGunzip(), () => {}) : stream;
+}
+
+async function* readLines(file) {
+  const lines = readline.createInterface({ input: openStream(file), crlfDelay: Infinity });
+  for await (const line of lines) if (line.trim()) yield line;
+}
+
+// JSON.parse, naming the file when the text is corrupt
+function parseJSON(text, file) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file}: invalid JSON (${err.message})`);
+  }
+}
+
+function toRecord(obj, file) {
+  if (!obj || !obj.image || obj.label === undefined) {
+    throw new Error(`${file}: expected records with 'image' and 'label' fields`);
+  }
+  return { x: Float32Array.from(obj.image), label: obj.label };
+}
+
+// Elements of a top-level JSON array, parsed one at a time as the text streams in
+async function* readJSONArray(file) {
+  const stream = openStream(file);
+  stream.setEncoding('utf8');
+  let element = ''; // text of the current element carried over from earlier chunks
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let ended = false;
+  for await (const chunk of stream) {
+    let from = 0;
+    for (let i = 0; i < chunk.length && !ended; i++) {
+      const c = chunk[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (c === '\\') escaped = true;
+        else if (c === '"') inString = false;
+      } else if (c === '"') {
+        inString = true;
+      } else if (c === '[' || c === '{') {
+        if (depth++ === 0) {
+          if (c !== '[') throw new Error(`${file}: expected a JSON array of records`);
+          from = i + 1;
+        }
+      } else if ((c === ',' && depth === 1) || ((c === ']' || c === '}') && --depth === 0)) {
+        const text = (element + chunk.slice(from, i)).trim();
+        if (text) yield parseJSON(text, file);
+        element = '';
+        from = i + 1;
+        ended = depth === 0;
+      }
+    }
+    if (depth > 0) element += chunk.slice(from);
+  }
+  if (!ended) throw new Error(`${file}: truncated JSON array`);
+}
+
+async function* readJSONRecords(file) {
+  for await (const obj of readJSONArray(file)) yield toRecord(obj, file);
+}
+
+async function* readNDJSONRecords(file) {
+  for await (const line of readLines(file)) yield toRecord(parseJSON(line, file), file);
+}
+
+// CSV rows (no quoted fields); header: true, false or 'auto' to skip a first line that
+// contains a non-numeric input column
+async function* readCSVRecords(file, { labelColumn = 0, header = 'auto' } = {}) {
+  let first = true;
+  for await (const line of readLines(file)) {
+    const cells = line.split(',');
+    const label = cells.splice(labelColumn, 1)[0].trim();
+    if (first) {
+      first = false;
+      if (header === true || (header === 'auto' && cells.some(c => c.trim() === '' || isNaN(c)))) continue;
+    }
+    const x = Float32Array.from(cells, Number);
+    yield { x, label: label !== '' && !isNaN(label) ? Number(label) : label };
+  }
+}
+
+// IDX element types: code -> [bytes, DataView getter]
+const IDX_TYPES = {
+  0x08: [1, 'getUint8'],
+  0x09: [1, 'getInt8'],
+  0x0b: [2, 'getInt16'],
+  0x0c: [4, 'getInt32'],
+  0x0d: [4, 'getFloat32'],
+  0x0e: [8, 'getFloat64']
+};
+
+// IDX header: two zero bytes, the element type, the number of dimensions, then each
+// dimension as a big-endian uint32. Returns null until enough bytes have arrived.
+function parseIDXHeader(bytes, file) {
+  if (bytes.length < 4) return null;
+  if (bytes[0] !== 0 || bytes[1] !== 0 || !IDX_TYPES[bytes[2]]) {
+    throw new Error(`${file}: not an IDX file`);
+  }
+  const ndims = bytes[3];
+  const size = 4 + 4 * ndims;
+  if (bytes.length < size) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, size);
+  const dims = Array.from({ length: ndims }, (_, d) => view.getUint32(4 + 4 * d));
+  const [elementBytes, getter] = IDX_TYPES[bytes[2]];
+  const itemSize = dims.slice(1).reduce((a, b) => a * b, 1);
+  return { size, count: dims[0], dims, elementBytes, getter, itemSize };
+}
+
+// Items (the first dimension) of an IDX file as Float32Arrays
+async function* readIDX(file) {
+  let buffer = Buffer.alloc(0);
+  let header = null;
+  let count = 0;
+  for await (const chunk of openStream(file)) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    if (!header) {
+      header = parseIDXHeader(buffer, file);
+      if (!header) continue;
+      buffer = buffer.subarray(header.size);
+    }
+    const { elementBytes, getter, itemSize } = header;
+    const itemBytes = elementBytes * itemSize;
+    let offset = 0;
+    while (buffer.length - offset >= itemBytes && count < header.count) {
+      const view = new DataView(buffer.buffer, buffer.byteOffset + offset, itemBytes);
+      const item = new Float32Array(itemSize);
+      for (let k = 0; k < itemSize; k++) item[k] = view[getter](k * elementBytes);
+      yield item;
+      offset += itemBytes;
+      count++;
+    }
+    buffer = buffer.subarray(offset);
+  }
+  if (!header || count < header.count) {
+    throw new Error(`${file}: truncated IDX file (${count} of ${header ? header.count : '?'} items)`);
+  }
+}
+
+// MNIST names its files train-images-idx3-ubyte / train-labels-idx1-ubyte; the labels
+// file is looked for next to the images, gzipped or not
+function idxLabelsPath(imagesPath) {
+  const base = path.basename(imagesPath).replace(/\.gz$/, '');
+  if (base.includes('images-idx3')) {
+    const guess = path.join(path.dirname(imagesPath), base.replace('images-idx3', 'labels-idx1'));
+    const found = [guess, `${guess}.gz`].find(f => fs.existsSync(f));
+    if (found) return found;
+  }
+  throw new Error(`${imagesPath}: pass the matching IDX labels file as options.labels`);
+}
+
+async function* readIDXRecords(imagesPath, { labels: labelsPath = idxLabelsPath(imagesPath) } = {}) {
+  const labels = readIDX(labelsPath)[Symbol.asyncIterator]();
+  for await (const x of readIDX(imagesPath)) {
+    const { value, done } = await labels.next();
+    if (done) throw new Error(`${labelsPath} has fewer labels than ${imagesPath} has images`);
+    yield { x, label: value[0] };
+  }
+  if (!(await labels.next()).done) throw new Error(`${labelsPath} has more labels than ${imagesPath} has images`);
+}
+
+const READERS = {
+  json: readJSONRecords,
+  ndjson: readNDJSONRecords,
+  csv: readCSVRecords,
+  idx: readIDXRecords
+};
+
+export function detectFormat(file) {
+  const name = file.replace(/\.gz$/, '');
+  if (name.endsWith('.json')) return 'json';
+  if (/\.(ndjson|jsonl)$/.test(name)) return 'ndjson';
+  if (name.endsWith('.csv')) return 'csv';
+  if (/idx\d-u?byte$|\.idx\d?$/.test(name)) return 'idx';
+  throw new Error(`Cannot tell the format of ${file}; pass options.format (${Object.keys(READERS).join(', ')})`);
+}
+
+// Dataset of { x, label } records from a file. options.format overrides detection;
+// CSV takes labelColumn and header, IDX takes the labels file path as labels.
+export function openDataset(file, { format = detectFormat(file), ...options } = {}) {
+  const reader = READERS[format];
+  if (!reader) throw new Error(`Unknown dataset format '${format}'. Use one of: ${Object.keys(READERS).join(', ')}`);
+  if (!fs.existsSync(file)) throw new Error(`${file}: no such file`);
+  return new Dataset(() => reader(file, options));
+}
+
+// TRAINING DATA
+
+// Turn { x, label } records into the [input, oneHot] pairs Network trains on, applying
+// the network's input normalization. Labels may be class indices or names in net.labels.
+export function toTrainingPairs(dataset, net, source = 'dataset') {
+  const { inputSize, outputSize: numClasses } = net;
+  return dataset.map(({ x, label }, i) => {
+    if (x.length !== inputSize) {
+      throw new Error(`${source}: record ${i} has ${x.length} inputs, the model expects ${inputSize}`);
+    }
+    const index = typeof label === 'string' && net.labels ? net.labels.indexOf(label) : label;
+    if (!(index >= 0 && index < numClasses)) {
+      throw new Error(`${source}: record ${i} has label ${JSON.stringify(label)} outside the ${numClasses} classes`);
+    }
+    const y = new Float32Array(numClasses);
+    y[index] = 1;
+    return [net.normalization ? Float32Array.from(net.normalize(x)) : x, y];
+  });
+}
+
+// Read a whole file as [input, oneHot] pairs for Network.SGD
+export function loadPairs(file, net, options = {}) {
+  return toTrainingPairs(openDataset(file, options), net, file).toArray();
+}
+
+// Argmax matches and mean loss of a network over a dataset of pairs, batch by batch
+export async function scoreDataset(net, dataset, batchSize = 1000) {
+  const reg = net.regularizationLoss();
+  let correct = 0;
+  let dataLoss = 0;
+  let n = 0;
+  for await (const chunk of (Array.isArray(dataset) ? Dataset.fromArray(dataset) : dataset).batch(batchSize)) {
+    const score = net.score(chunk, batchSize);
+    correct += score.correct;
+    dataLoss += (score.loss - reg) * chunk.length;
+    n += chunk.length;
+  }
+  return { correct, loss: dataLoss / n + reg, samples: n };
+}
+
+// Streaming counterpart of Network.SGD: every epoch makes one pass over a dataset of
+// [input, oneHot] pairs (shuffle it with dataset.shuffle()), so only a batch at a time
+// is in memory. validation may be an array or a Dataset of pairs. Takes the same
+// options as Network.SGD and returns the same history. options.resume continues from a
+// checkpoint saved at the end of an epoch; the order of a streamed epoch cannot be
+// replayed, so checkpoints saved mid-epoch cannot be resumed.
+export async function fitDataset(net, dataset, epochs, batchSize, eta, validation = null, options = {}) {
+  if (options.resume && options.resume.batch > 0) {
+    throw new Error(
+      `Cannot resume: the checkpoint is at batch ${options.resume.batch} of epoch ${options.resume.epoch}; ` +
+      'fitDataset resumes only from end-of-epoch checkpoints'
+    );
+  }
+  const training = new TrainingRun(net, epochs, batchSize, eta, options);
+  training.begin();
+  for (let e = training.run.epoch; e < epochs && !net.stopTraining; e++) {
+    training.beginEpoch(e);
+    let b = 0;
+    for await (const batch of dataset.batch(batchSize)) {
+      training.trainBatch(batch, b++, e);
+      if (net.stopTraining) break;
+    }
+    training.endEpoch(e, validation ? await scoreDataset(net, validation) : null);
+  }
+  return training.end();
+}
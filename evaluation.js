@@ -0,0 +1,187 @@
+// evaluation.js
+// Classification metrics computed from Network.predict outputs: confusion matrix,
+// per-class precision/recall/F1 with macro and micro averages, top-k accuracy,
+// log-loss and a calibration (reliability) histogram. Everything is returned as
+// plain objects; the format* helpers render them as text tables.
+
+const argmax = arr => arr.reduce((best, v, i) => (v > arr[best] ? i : best), 0);
+
+// Rows are actual classes, columns predicted classes
+export function confusionMatrix(predicted, actual, numClasses) {
+  const matrix = Array.from({ length: numClasses }, () => new Array(numClasses).fill(0));
+  predicted.forEach((p, i) => {
+    matrix[actual[i]][p]++;
+  });
+  return matrix;
+}
+
+const f1Score = (precision, recall) => (precision + recall > 0
+  ? 2 * precision * recall / (precision + recall)
+  : 0);
+
+// Per-class precision, recall, F1 and support from a confusion matrix, plus macro
+// (unweighted mean over classes) and micro (pooled counts) averages
+export function classificationReport(matrix, labels = null) {
+  const n = matrix.length;
+  const perClass = [];
+  let tpSum = 0;
+  let fpSum = 0;
+  let fnSum = 0;
+  for (let c = 0; c < n; c++) {
+    const tp = matrix[c][c];
+    let fp = 0;
+    let fn = 0;
+    for (let k = 0; k < n; k++) {
+      if (k === c) continue;
+      fp += matrix[k][c];
+      fn += matrix[c][k];
+    }
+    const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+    perClass.push({
+      label: labels ? labels[c] : String(c),
+      precision,
+      recall,
+      f1: f1Score(precision, recall),
+      support: tp + fn
+    });
+    tpSum += tp;
+    fpSum += fp;
+    fnSum += fn;
+  }
+  const mean = key => perClass.reduce((s, c) => s + c[key], 0) / n;
+  const microPrecision = tpSum + fpSum > 0 ? tpSum / (tpSum + fpSum) : 0;
+  const microRecall = tpSum + fnSum > 0 ? tpSum / (tpSum + fnSum) : 0;
+  return {
+    perClass,
+    macro: { precision: mean('precision'), recall: mean('recall'), f1: mean('f1') },
+    micro: { precision: microPrecision, recall: microRecall, f1: f1Score(microPrecision, microRecall) }
+  };
+}
+
+// Fraction of samples whose true class is among the k highest-scoring outputs
+export function topKAccuracy(probs, actual, k) {
+  let hits = 0;
+  probs.forEach((p, i) => {
+    const target = p[actual[i]];
+    // rank = number of classes scoring strictly higher than the true class
+    let rank = 0;
+    for (const v of p) if (v > target) rank++;
+    if (rank < k) hits++;
+  });
+  return probs.length ? hits / probs.length : 0;
+}
+
+// Mean negative log-probability of the true class
+export function logLoss(probs, actual, eps = 1e-15) {
+  let sum = 0;
+  probs.forEach((p, i) => {
+    sum -= Math.log(Math.min(Math.max(p[actual[i]], eps), 1 - eps));
+  });
+  return probs.length ? sum / probs.length : 0;
+}
+
+// Reliability histogram: samples bucketed by top-1 confidence, with the mean confidence
+// and accuracy in each bin, and the expected calibration error (ECE) over all bins
+export function calibrationHistogram(probs, actual, numBins = 10) {
+  const bins = Array.from({ length: numBins }, (_, b) => ({
+    lower: b / numBins,
+    upper: (b + 1) / numBins,
+    count: 0,
+    confidence: 0,
+    accuracy: 0
+  }));
+  probs.forEach((p, i) => {
+    const pred = argmax(p);
+    const conf = p[pred];
+    const bin = bins[Math.min(Math.floor(conf * numBins), numBins - 1)];
+    bin.count++;
+    bin.confidence += conf;
+    if (pred === actual[i]) bin.accuracy++;
+  });
+  let ece = 0;
+  for (const bin of bins) {
+    if (!bin.count) continue;
+    bin.confidence /= bin.count;
+    bin.accuracy /= bin.count;
+    ece += bin.count / probs.length * Math.abs(bin.accuracy - bin.confidence);
+  }
+  return { bins, ece };
+}
+
+// Full report for a network on [input, oneHotTarget] pairs
+export function evaluateModel(network, data, { k = 5, bins = 10, labels = null, batchSize = 1000 } = {}) {
+  const probs = network.predictBatch(data.map(([x]) => x), batchSize);
+  const actual = data.map(([, y]) => argmax(y));
+  return evaluatePredictions(probs, actual, { k, bins, labels });
+}
+
+// Same report from precomputed output arrays and true class indices
+export function evaluatePredictions(probs, actual, { k = 5, bins = 10, labels = null } = {}) {
+  const numClasses = probs.length ? probs[0].length : 0;
+  const predicted = probs.map(argmax);
+  const matrix = confusionMatrix(predicted, actual, numClasses);
+  const correct = predicted.filter((p, i) => p === actual[i]).length;
+  return {
+    samples: probs.length,
+    accuracy: probs.length ? correct / probs.length : 0,
+    topK: { k, accuracy: topKAccuracy(probs, actual, k) },
+    logLoss: logLoss(probs, actual),
+    confusionMatrix: matrix,
+    ...classificationReport(matrix, labels),
+    calibration: calibrationHistogram(probs, actual, bins)
+  };
+}
+
+// TEXT OUTPUT
+
+// Render rows of cells as a right-aligned table with a rule under the header
+export function formatTable(header, rows) {
+  const widths = header.map((h, c) => Math.max(String(h).length, ...rows.map(r => String(r[c]).length)));
+  const line = cells => cells.map((cell, c) => String(cell).padStart(widths[c])).join('  ');
+  return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+const pct = v => (v * 100).toFixed(2) + '%';
+const fixed = v => v.toFixed(4);
+
+export function formatConfusionMatrix(report) {
+  const labels = report.perClass.map(c => c.label);
+  const header = ['actual \\ pred', ...labels];
+  const rows = report.confusionMatrix.map((row, i) => [labels[i], ...row]);
+  return formatTable(header, rows);
+}
+
+export function formatClassReport(report) {
+  const rows = report.perClass.map(c => [c.label, fixed(c.precision), fixed(c.recall), fixed(c.f1), c.support]);
+  rows.push(['macro avg', fixed(report.macro.precision), fixed(report.macro.recall), fixed(report.macro.f1), report.samples]);
+  rows.push(['micro avg', fixed(report.micro.precision), fixed(report.micro.recall), fixed(report.micro.f1), report.samples]);
+  return formatTable(['class', 'precision', 'recall', 'f1', 'support'], rows);
+}
+
+export function formatCalibration(report) {
+  const rows = report.calibration.bins.map(b => [
+    `${b.lower.toFixed(2)}-${b.upper.toFixed(2)}`,
+    b.count,
+    b.count ? fixed(b.confidence) : '-',
+    b.count ? fixed(b.accuracy) : '-'
+  ]);
+  return formatTable(['confidence', 'count', 'mean conf', 'accuracy'], rows);
+}
+
+// Everything in one printable block
+export function formatReport(report) {
+  return [
+    `Samples: ${report.samples}`,
+    `Accuracy: ${pct(report.accuracy)}   Top-${report.topK.k}: ${pct(report.topK.accuracy)}   ` +
+      `Log-loss: ${fixed(report.logLoss)}   ECE: ${fixed(report.calibration.ece)}`,
+    '',
+    formatClassReport(report),
+    '',
+    'Confusion matrix:',
+    formatConfusionMatrix(report),
+    '',
+    'Calibration:',
+    formatCalibration(report)
+  ].join('\n');
+}
@@ -0,0 +1,85 @@
+// initializers.js
+// Weight initialization strategies. An initializer is (rows, cols, rng) => Matrix for a
+// weight matrix of shape (fanOut x fanIn), matching Layer.weights.
+
+import Matrix from './matrix.js';
+import { getRNG } from './random.js';
+
+const registry = new Map();
+
+export function registerInitializer(name, init) {
+  if (typeof init !== 'function') {
+    throw new Error(`Initializer '${name}' must be a function (rows, cols, rng) => Matrix`);
+  }
+  registry.set(name, init);
+}
+
+export function getInitializer(name) {
+  const init = registry.get(name);
+  if (!init) {
+    throw new Error(`Unknown initializer '${name}'. Registered: ${listInitializers().join(', ')}`);
+  }
+  return init;
+}
+
+export function listInitializers() {
+  return Array.from(registry.keys());
+}
+
+// Initialize a (rows x cols) weight matrix with the named strategy
+export function initialize(name, rows, cols, rng = getRNG()) {
+  return getInitializer(name)(rows, cols, rng);
+}
+
+// Default strategy for an activation: He for the ReLU family, Xavier otherwise
+export function defaultInitializer(activation) {
+  return ['relu', 'leakyRelu', 'elu', 'gelu', 'swish', 'silu'].includes(activation)
+    ? 'heNormal'
+    : activation === 'selu' ? 'lecunNormal' : 'xavierUniform';
+}
+
+// Scaled uniform / normal initializers; scale(fanOut, fanIn) gives the limit or std
+const uniform = scale => (rows, cols, rng) => Matrix.random(rows, cols, scale(rows, cols), rng);
+const normal = scale => (rows, cols, rng) => Matrix.randomNormal(rows, cols, scale(rows, cols), rng);
+
+registerInitializer('zeros', (rows, cols) => Matrix.zeros(rows, cols));
+registerInitializer('uniform', uniform(() => 1)); // U(-1, 1), the original default
+registerInitializer('xavierUniform', uniform((fanOut, fanIn) => Math.sqrt(6 / (fanIn + fanOut))));
+registerInitializer('xavierNormal', normal((fanOut, fanIn) => Math.sqrt(2 / (fanIn + fanOut))));
+registerInitializer('heUniform', uniform((fanOut, fanIn) => Math.sqrt(6 / fanIn)));
+registerInitializer('heNormal', normal((fanOut, fanIn) => Math.sqrt(2 / fanIn)));
+registerInitializer('lecunUniform', uniform((fanOut, fanIn) => Math.sqrt(3 / fanIn)));
+registerInitializer('lecunNormal', normal((fanOut, fanIn) => Math.sqrt(1 / fanIn)));
+registerInitializer('glorotUniform', getInitializer('xavierUniform'));
+registerInitializer('glorotNormal', getInitializer('xavierNormal'));
+
+// Orthogonal (Saxe et al. 2014): orthonormal rows or columns, whichever there are fewer of,
+// from modified Gram-Schmidt on a Gaussian matrix
+registerInitializer('orthogonal', (rows, cols, rng) => {
+  const n = Math.max(rows, cols);
+  const k = Math.min(rows, cols);
+  // k orthonormal vectors of length n
+  const basis = [];
+  for (let v = 0; v < k; v++) {
+    let vec;
+    let norm = 0;
+    while (norm < 1e-6) {
+      vec = Array.from({ length: n }, () => rng.normal());
+      for (const q of basis) {
+        let proj = 0;
+        for (let i = 0; i < n; i++) proj += vec[i] * q[i];
+        for (let i = 0; i < n; i++) vec[i] -= proj * q[i];
+      }
+      norm = Math.sqrt(vec.reduce((s, x) => s + x * x, 0));
+    }
+    basis.push(vec.map(x => x / norm));
+  }
+  const m = new Matrix(rows, cols);
+  for (let v = 0; v < k; v++) {
+    for (let i = 0; i < n; i++) {
+      if (rows <= cols) m.set(v, i, basis[v][i]);
+      else m.set(i, v, basis[v][i]);
+    }
+  }
+  return m;
+});
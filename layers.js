@@ -0,0 +1,703 @@
+// layers.js
+// Layer types a Network stacks: dense, dropout, activation, reshape/flatten, embedding,
+// 2D convolution and pooling, and batch normalization. Data keeps the Network layout,
+// one sample per column; a sample with shape [channels, height, width] is stored
+// flattened channel by channel, then row by row.
+// Every layer extends BaseLayer and provides:
+//   inputShape / outputShape  shape of one input / output sample, e.g. [784] or [1, 28, 28]
+//   forward(x, training, mask) -> { output, cache }; dropout layers take a precomputed
+//                             mask instead of drawing one
+//   backward(grad, cache, inputGrad) -> { delta, grads }: dL/dinput from dL/doutput
+//                             (null allowed when inputGrad is false, for the first
+//                             layer) and the gradient of each parameter by name
+//   params()                  trainable parameters by name; each is a property of the layer
+//   tensors()                 everything saved with the model: params() plus running statistics
+//   regularizationLoss() / regularizationGradient()  penalty on `weights` and its gradient
+//   toJSON()                  { type, ...config(), ...tensors as arrays }
+// New types are added with registerLayer(type, (inputShape, options) => layer).
+
+import Matrix from './matrix.js';
+import { getActivation } from './activations.js';
+import { initialize, defaultInitializer } from './initializers.js';
+import { getRNG } from './random.js';
+
+const registry = new Map();
+
+// factory: (inputShape, options) => layer, options including the network's rng
+export function registerLayer(type, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Layer type '${type}' must be a factory (inputShape, options) => layer`);
+  }
+  registry.set(type, factory);
+}
+
+export function listLayers() {
+  return Array.from(registry.keys());
+}
+
+// Build a layer from { type, ...options } for inputs of the given shape
+export function createLayer({ type, ...options }, inputShape, rng = getRNG()) {
+  const factory = registry.get(type);
+  if (!factory) throw new Error(`Unknown layer type '${type}'. Registered: ${listLayers().join(', ')}`);
+  return factory(inputShape, { rng, ...options });
+}
+
+const product = shape => shape.reduce((n, d) => n * d, 1);
+const pair = v => (Array.isArray(v) ? v : [v, v]);
+
+function imageShape(shape, type) {
+  if (shape.length !== 3) {
+    throw new Error(`${type} needs [channels, height, width] inputs, got [${shape}]; ` +
+      'start the network with { shape: [channels, height, width] }');
+  }
+  return shape;
+}
+
+function outputSide(size, kernel, stride, pad, type) {
+  const out = Math.floor((size + 2 * pad - kernel) / stride) + 1;
+  if (out < 1) throw new Error(`${type}: a ${kernel} window does not fit an input of ${size} (padding ${pad})`);
+  return out;
+}
+
+// Map dL/da to dL/dz through an activation. A loss gradient can carry the fused dL/dz
+// for the output activation it pairs with (see outputGradient in losses.js).
+function activationBackward(name, grad, z, a) {
+  if (grad.fused && grad.fused.activation === name) return grad.fused.delta;
+  const act = getActivation(name);
+  return act.backward ? act.backward(grad, z, a) : grad.multiply(act.derivative(z, a));
+}
+
+// Weight penalty l1 * sum|w| + l2 / 2 * sum(w^2), and its gradient (null without one)
+export function weightPenalty(weights, l1, l2) {
+  if (!l1 && !l2) return 0;
+  let abs = 0;
+  let sq = 0;
+  for (const w of weights.data) {
+    abs += Math.abs(w);
+    sq += w * w;
+  }
+  return l1 * abs + l2 / 2 * sq;
+}
+
+export function weightPenaltyGradient(weights, l1, l2) {
+  if (!l1 && !l2) return null;
+  return weights.map(w => l1 * Math.sign(w) + l2 * w);
+}
+
+// Inverted dropout mask: kept units are scaled by 1 / (1 - rate), so inference needs no
+// rescaling
+export function dropoutMask(rows, cols, rate, rng = getRNG()) {
+  const keep = 1 - rate;
+  const mask = new Matrix(rows, cols);
+  for (let i = 0; i < mask.data.length; i++) {
+    mask.data[i] = rng.next() < keep ? 1 / keep : 0;
+  }
+  return mask;
+}
+
+function checkRate(rate) {
+  if (!(rate >= 0 && rate < 1)) throw new Error(`Dropout rate must be in [0, 1), got ${rate}`);
+}
+
+// Identity layer without parameters; subclasses override what they need and list their
+// options in config()
+export class BaseLayer {
+  constructor(type, inputShape) {
+    this.type = type;
+    this.inputShape = inputShape;
+    this.outputShape = inputShape;
+  }
+
+  forward(x) {
+    return { output: x, cache: null };
+  }
+
+  backward(grad) {
+    return { delta: grad, grads: {} };
+  }
+
+  params() {
+    return {};
+  }
+
+  tensors() {
+    return this.params();
+  }
+
+  // Layers with weights and l1/l2 options get the weight penalty
+  regularizationLoss() {
+    return this.weights ? weightPenalty(this.weights, this.l1, this.l2) : 0;
+  }
+
+  regularizationGradient() {
+    return this.weights ? weightPenaltyGradient(this.weights, this.l1, this.l2) : null;
+  }
+
+  config() {
+    return {};
+  }
+
+  toJSON() {
+    const tensors = Object.entries(this.tensors()).map(([name, m]) => [name, m.toArray()]);
+    return { type: this.type, ...this.config(), ...Object.fromEntries(tensors) };
+  }
+}
+
+// Fully connected layer: z = weights * x + biases, then the activation. options: l1/l2
+// penalty strengths on the weights, a dropout rate applied to the output during training,
+// the weight initializer name (see initializers.js) and the RNG used for initialization
+// and dropout
+export class Dense extends BaseLayer {
+  constructor(inputShape, {
+    size,
+    activation = 'sigmoid',
+    l1 = 0,
+    l2 = 0,
+    dropout = 0,
+    init = defaultInitializer(activation),
+    rng = getRNG()
+  } = {}) {
+    super('dense', inputShape);
+    if (inputShape.length > 1) {
+      throw new Error(`dense needs flat inputs, got [${inputShape}]; add a { type: 'flatten' } layer first`);
+    }
+    if (!Number.isInteger(size) || size < 1) throw new Error(`dense needs a positive size, got ${size}`);
+    checkRate(dropout);
+    getActivation(activation); // fail fast on unknown names
+    this.weights = initialize(init, size, inputShape[0], rng);
+    // the legacy 'uniform' scheme randomizes biases too; the scaled schemes start them at zero
+    this.biases = init === 'uniform' ? Matrix.random(size, 1, 1, rng) : Matrix.zeros(size, 1);
+    Object.assign(this, { activation, l1, l2, dropout, init, rng });
+    this.outputShape = [size];
+  }
+
+  activate(z) {
+    return getActivation(this.activation).forward(z);
+  }
+
+  // Map dL/da to dL/dz through this layer's activation
+  activateBackward(grad, z, a) {
+    return activationBackward(this.activation, grad, z, a);
+  }
+
+  dropoutMask(rows, cols) {
+    return dropoutMask(rows, cols, this.dropout, this.rng);
+  }
+
+  forward(x, training = false, mask = null) {
+    const z = Matrix.dot(this.weights, x).addColumnVector(this.biases);
+    const a = this.activate(z);
+    if (!mask && training && this.dropout) mask = this.dropoutMask(z.rows, z.cols);
+    return { output: mask ? a.multiply(mask) : a, cache: { input: x, z, a, mask } };
+  }
+
+  // dL/dz from dL/doutput, through the dropout mask and the activation
+  delta(grad, { z, a, mask }) {
+    return this.activateBackward(mask ? grad.multiply(mask) : grad, z, a);
+  }
+
+  // Parameter gradients summed over the batch, from dL/dz and the layer input
+  gradients(delta, input) {
+    return { weights: Matrix.dot(delta, Matrix.transpose(input)), biases: delta.rowSums() };
+  }
+
+  backward(grad, cache, inputGrad = true) {
+    const delta = this.delta(grad, cache);
+    return {
+      delta: inputGrad ? Matrix.dot(Matrix.transpose(this.weights), delta) : null,
+      grads: this.gradients(delta, cache.input)
+    };
+  }
+
+  params() {
+    return { weights: this.weights, biases: this.biases };
+  }
+
+  // Untyped, as in model version 1 files
+  toJSON() {
+    return {
+      size: this.weights.rows,
+      activation: this.activation,
+      init: this.init,
+      l1: this.l1,
+      l2: this.l2,
+      dropout: this.dropout,
+      weights: this.weights.toArray(),
+      biases: this.biases.toArray()
+    };
+  }
+}
+
+// Dropout on its own, for any shape: zeroes a `rate` fraction of values while training
+export class Dropout extends BaseLayer {
+  constructor(inputShape, { rate = 0.5, rng = getRNG() } = {}) {
+    super('dropout', inputShape);
+    checkRate(rate);
+    this.rate = rate;
+    this.rng = rng;
+  }
+
+  forward(x, training = false, mask = null) {
+    if (!mask && training && this.rate) mask = dropoutMask(x.rows, x.cols, this.rate, this.rng);
+    return { output: mask ? x.multiply(mask) : x, cache: mask };
+  }
+
+  backward(grad, mask) {
+    return { delta: mask ? grad.multiply(mask) : grad, grads: {} };
+  }
+
+  config() {
+    return { rate: this.rate };
+  }
+}
+
+// An activation function as a layer of its own
+export class Activation extends BaseLayer {
+  constructor(inputShape, { activation = 'linear' } = {}) {
+    super('activation', inputShape);
+    getActivation(activation);
+    this.activation = activation;
+  }
+
+  forward(x) {
+    const output = getActivation(this.activation).forward(x);
+    return { output, cache: { z: x, output } };
+  }
+
+  backward(grad, { z, output }) {
+    return { delta: activationBackward(this.activation, grad, z, output), grads: {} };
+  }
+
+  config() {
+    return { activation: this.activation };
+  }
+}
+
+// Give samples a new shape with the same number of values. Samples are stored flat,
+// so only the shape changes.
+export class Reshape extends BaseLayer {
+  constructor(inputShape, { shape } = {}) {
+    super('reshape', inputShape);
+    if (!Array.isArray(shape) || product(shape) !== product(inputShape)) {
+      throw new Error(`Cannot reshape [${inputShape}] to ${JSON.stringify(shape)}`);
+    }
+    this.outputShape = [...shape];
+  }
+
+  config() {
+    return { shape: this.outputShape };
+  }
+}
+
+// Reshape to a flat vector, e.g. between convolutions and dense layers
+export class Flatten extends BaseLayer {
+  constructor(inputShape) {
+    super('flatten', inputShape);
+    this.outputShape = [product(inputShape)];
+  }
+}
+
+// Lookup table for token ids: each of the [length] input values is an id in
+// [0, vocabSize), replaced by its row of `weights` (vocabSize x dim), giving [length, dim]
+// outputs. Ids get no gradient, so embeddings belong at the start of a network.
+export class Embedding extends BaseLayer {
+  constructor(inputShape, { vocabSize, dim, init = 'xavierUniform', l1 = 0, l2 = 0, rng = getRNG() } = {}) {
+    super('embedding', inputShape);
+    if (inputShape.length !== 1) throw new Error(`embedding needs [length] inputs of token ids, got [${inputShape}]`);
+    if (!Number.isInteger(vocabSize) || vocabSize < 1 || !Number.isInteger(dim) || dim < 1) {
+      throw new Error(`embedding needs positive integer vocabSize and dim, got ${vocabSize} and ${dim}`);
+    }
+    Object.assign(this, { vocabSize, dim, init, l1, l2 });
+    this.weights = initialize(init, vocabSize, dim, rng);
+    this.outputShape = [inputShape[0], dim];
+  }
+
+  forward(x) {
+    const { vocabSize, dim } = this;
+    const n = x.cols;
+    const output = new Matrix(x.rows * dim, n);
+    for (let t = 0; t < x.rows; t++) {
+      for (let s = 0; s < n; s++) {
+        const id = x.data[t * n + s];
+        if (!Number.isInteger(id) || id < 0 || id >= vocabSize) {
+          throw new Error(`embedding: token id ${id} is outside [0, ${vocabSize})`);
+        }
+        for (let d = 0; d < dim; d++) output.data[(t * dim + d) * n + s] = this.weights.data[id * dim + d];
+      }
+    }
+    return { output, cache: x };
+  }
+
+  backward(grad, x, inputGrad = true) {
+    const { dim } = this;
+    const n = x.cols;
+    const weights = new Matrix(this.vocabSize, dim);
+    for (let t = 0; t < x.rows; t++) {
+      for (let s = 0; s < n; s++) {
+        const id = x.data[t * n + s];
+        for (let d = 0; d < dim; d++) weights.data[id * dim + d] += grad.data[(t * dim + d) * n + s];
+      }
+    }
+    return { delta: inputGrad ? new Matrix(x.rows, n) : null, grads: { weights } };
+  }
+
+  params() {
+    return { weights: this.weights };
+  }
+
+  config() {
+    const { vocabSize, dim, init, l1, l2 } = this;
+    return { vocabSize, dim, init, l1, l2 };
+  }
+}
+
+// 2D convolution (cross-correlation) over [channels, height, width] inputs. weights is
+// (filters x channels * kh * kw), one row per filter; biases one per filter.
+// padding: zero padding in pixels (a number or [h, w]), 'valid' (0) or 'same' (odd
+// kernels only; the output keeps the input size at stride 1). Hidden convolutions
+// default to ReLU. l1/l2 penalize the weights as in dense layers.
+export class Conv2D extends BaseLayer {
+  constructor(inputShape, {
+    filters,
+    kernelSize = 3,
+    stride = 1,
+    padding = 0,
+    activation = 'relu',
+    init = defaultInitializer(activation),
+    l1 = 0,
+    l2 = 0,
+    rng = getRNG()
+  } = {}) {
+    super('conv2d', inputShape);
+    const [channels, height, width] = imageShape(inputShape, 'conv2d');
+    if (!Number.isInteger(filters) || filters < 1) {
+      throw new Error(`conv2d needs a positive filters count, got ${filters}`);
+    }
+    getActivation(activation); // fail fast on unknown names
+    const [kh, kw] = pair(kernelSize);
+    const [sh, sw] = pair(stride);
+    let pads;
+    if (padding === 'same') {
+      if (kh % 2 === 0 || kw % 2 === 0) throw new Error("conv2d padding 'same' needs an odd kernel size");
+      pads = [(kh - 1) / 2, (kw - 1) / 2];
+    } else {
+      pads = padding === 'valid' ? [0, 0] : pair(padding);
+    }
+    Object.assign(this, { filters, kernelSize, stride, padding, activation, init, l1, l2 });
+    this.geometry = {
+      channels, height, width, kh, kw, sh, sw,
+      ph: pads[0],
+      pw: pads[1],
+      outHeight: outputSide(height, kh, sh, pads[0], 'conv2d'),
+      outWidth: outputSide(width, kw, sw, pads[1], 'conv2d')
+    };
+    this.outputShape = [filters, this.geometry.outHeight, this.geometry.outWidth];
+    this.weights = initialize(init, filters, channels * kh * kw, rng);
+    this.biases = Matrix.zeros(filters, 1);
+  }
+
+  // Patches of every sample as columns: (channels * kh * kw) x (samples * outHeight * outWidth)
+  im2col(x) {
+    const { channels, height, width, kh, kw, sh, sw, ph, pw, outHeight, outWidth } = this.geometry;
+    const n = x.cols;
+    const positions = outHeight * outWidth;
+    const cols = new Matrix(channels * kh * kw, n * positions);
+    let row = 0;
+    for (let c = 0; c < channels; c++) {
+      for (let ky = 0; ky < kh; ky++) {
+        for (let kx = 0; kx < kw; kx++, row++) {
+          const rowOff = row * cols.cols;
+          for (let s = 0; s < n; s++) {
+            for (let oy = 0; oy < outHeight; oy++) {
+              const iy = oy * sh - ph + ky;
+              if (iy < 0 || iy >= height) continue;
+              for (let ox = 0; ox < outWidth; ox++) {
+                const ix = ox * sw - pw + kx;
+                if (ix < 0 || ix >= width) continue;
+                const from = ((c * height + iy) * width + ix) * n + s;
+                cols.data[rowOff + (s * outHeight + oy) * outWidth + ox] = x.data[from];
+              }
+            }
+          }
+        }
+      }
+    }
+    return cols;
+  }
+
+  // Sum patch gradients back into input positions: the adjoint of im2col
+  col2im(dcols, n) {
+    const { channels, height, width, kh, kw, sh, sw, ph, pw, outHeight, outWidth } = this.geometry;
+    const dx = new Matrix(channels * height * width, n);
+    let row = 0;
+    for (let c = 0; c < channels; c++) {
+      for (let ky = 0; ky < kh; ky++) {
+        for (let kx = 0; kx < kw; kx++, row++) {
+          const rowOff = row * dcols.cols;
+          for (let s = 0; s < n; s++) {
+            for (let oy = 0; oy < outHeight; oy++) {
+              const iy = oy * sh - ph + ky;
+              if (iy < 0 || iy >= height) continue;
+              for (let ox = 0; ox < outWidth; ox++) {
+                const ix = ox * sw - pw + kx;
+                if (ix < 0 || ix >= width) continue;
+                const to = ((c * height + iy) * width + ix) * n + s;
+                dx.data[to] += dcols.data[rowOff + (s * outHeight + oy) * outWidth + ox];
+              }
+            }
+          }
+        }
+      }
+    }
+    return dx;
+  }
+
+  forward(x) {
+    const n = x.cols;
+    const positions = this.geometry.outHeight * this.geometry.outWidth;
+    const cols = this.im2col(x);
+    const out = Matrix.dot(this.weights, cols); // filters x (samples * positions)
+    const z = new Matrix(this.filters * positions, n);
+    for (let f = 0; f < this.filters; f++) {
+      const b = this.biases.data[f];
+      for (let s = 0; s < n; s++) {
+        for (let p = 0; p < positions; p++) {
+          z.data[(f * positions + p) * n + s] = out.data[f * out.cols + s * positions + p] + b;
+        }
+      }
+    }
+    const output = getActivation(this.activation).forward(z);
+    return { output, cache: { cols, z, output } };
+  }
+
+  backward(grad, { cols, z, output }, inputGrad = true) {
+    const n = grad.cols;
+    const positions = this.geometry.outHeight * this.geometry.outWidth;
+    const dz = activationBackward(this.activation, grad, z, output);
+    // back to filters x (samples * positions), the layout of the forward product
+    const dout = new Matrix(this.filters, n * positions);
+    for (let f = 0; f < this.filters; f++) {
+      for (let s = 0; s < n; s++) {
+        for (let p = 0; p < positions; p++) {
+          dout.data[f * dout.cols + s * positions + p] = dz.data[(f * positions + p) * n + s];
+        }
+      }
+    }
+    return {
+      delta: inputGrad ? this.col2im(Matrix.dot(Matrix.transpose(this.weights), dout), n) : null,
+      grads: { weights: Matrix.dot(dout, Matrix.transpose(cols)), biases: dout.rowSums() }
+    };
+  }
+
+  params() {
+    return { weights: this.weights, biases: this.biases };
+  }
+
+  config() {
+    const { filters, kernelSize, stride, padding, activation, init, l1, l2 } = this;
+    return { filters, kernelSize, stride, padding, activation, init, l1, l2 };
+  }
+}
+
+// Max or average over size x size windows of each channel, moving by stride (default size)
+class Pool2D extends BaseLayer {
+  constructor(type, inputShape, { size = 2, stride = size } = {}) {
+    super(type, inputShape);
+    const [channels, height, width] = imageShape(inputShape, type);
+    const [kh, kw] = pair(size);
+    const [sh, sw] = pair(stride);
+    Object.assign(this, { size, stride });
+    this.geometry = {
+      channels, height, width, kh, kw, sh, sw,
+      outHeight: outputSide(height, kh, sh, 0, type),
+      outWidth: outputSide(width, kw, sw, 0, type)
+    };
+    this.outputShape = [channels, this.geometry.outHeight, this.geometry.outWidth];
+  }
+
+  // Call visit(outIndex, inIndex) for every (output position, window element) pair, by feature row
+  windows(visit) {
+    const { channels, height, width, kh, kw, sh, sw, outHeight, outWidth } = this.geometry;
+    for (let c = 0; c < channels; c++) {
+      for (let oy = 0; oy < outHeight; oy++) {
+        for (let ox = 0; ox < outWidth; ox++) {
+          const o = (c * outHeight + oy) * outWidth + ox;
+          for (let ky = 0; ky < kh; ky++) {
+            for (let kx = 0; kx < kw; kx++) {
+              visit(o, (c * height + oy * sh + ky) * width + ox * sw + kx);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  config() {
+    return { size: this.size, stride: this.stride };
+  }
+}
+
+export class MaxPool2D extends Pool2D {
+  constructor(inputShape, options) {
+    super('maxPool2d', inputShape, options);
+  }
+
+  forward(x) {
+    const n = x.cols;
+    const output = new Matrix(product(this.outputShape), n);
+    output.data.fill(-Infinity);
+    // input feature picked for each output value, for routing the gradient back
+    const argmax = new Int32Array(output.data.length);
+    this.windows((o, i) => {
+      for (let s = 0; s < n; s++) {
+        const v = x.data[i * n + s];
+        if (v > output.data[o * n + s]) {
+          output.data[o * n + s] = v;
+          argmax[o * n + s] = i;
+        }
+      }
+    });
+    return { output, cache: { argmax } };
+  }
+
+  backward(grad, { argmax }) {
+    const n = grad.cols;
+    const dx = new Matrix(product(this.inputShape), n);
+    for (let k = 0; k < grad.data.length; k++) {
+      dx.data[argmax[k] * n + (k % n)] += grad.data[k];
+    }
+    return { delta: dx, grads: {} };
+  }
+}
+
+export class AvgPool2D extends Pool2D {
+  constructor(inputShape, options) {
+    super('avgPool2d', inputShape, options);
+  }
+
+  forward(x) {
+    const n = x.cols;
+    const scale = 1 / (this.geometry.kh * this.geometry.kw);
+    const output = new Matrix(product(this.outputShape), n);
+    this.windows((o, i) => {
+      for (let s = 0; s < n; s++) output.data[o * n + s] += x.data[i * n + s] * scale;
+    });
+    return { output, cache: null };
+  }
+
+  backward(grad) {
+    const n = grad.cols;
+    const scale = 1 / (this.geometry.kh * this.geometry.kw);
+    const dx = new Matrix(product(this.inputShape), n);
+    this.windows((o, i) => {
+      for (let s = 0; s < n; s++) dx.data[i * n + s] += grad.data[o * n + s] * scale;
+    });
+    return { delta: dx, grads: {} };
+  }
+}
+
+// Batch normalization: each channel of [channels, height, width] inputs, or each feature
+// of [size] inputs, is normalized with the batch mean and variance during training and
+// with running averages of them (updated by `momentum`) at inference, then scaled by
+// gamma and shifted by beta. An optional activation follows, e.g. conv2d (linear) ->
+// batchNorm (relu). The output of a sample depends on the rest of its batch in training.
+export class BatchNorm extends BaseLayer {
+  constructor(inputShape, { momentum = 0.9, epsilon = 1e-5, activation = 'linear' } = {}) {
+    super('batchNorm', inputShape);
+    getActivation(activation);
+    Object.assign(this, { momentum, epsilon, activation });
+    this.channels = inputShape[0];
+    this.positions = product(inputShape.slice(1));
+    this.gamma = Matrix.ones(this.channels, 1);
+    this.beta = Matrix.zeros(this.channels, 1);
+    this.runningMean = Matrix.zeros(this.channels, 1);
+    this.runningVar = Matrix.ones(this.channels, 1);
+  }
+
+  // Visit every value of channel c: fn(index into x.data)
+  eachValue(c, n, fn) {
+    const start = c * this.positions * n;
+    const end = start + this.positions * n;
+    for (let k = start; k < end; k++) fn(k);
+  }
+
+  forward(x, training = false) {
+    const n = x.cols;
+    const count = this.positions * n;
+    const xhat = new Matrix(x.rows, n);
+    const z = new Matrix(x.rows, n);
+    const invStd = new Float32Array(this.channels);
+    for (let c = 0; c < this.channels; c++) {
+      let mean = this.runningMean.data[c];
+      let variance = this.runningVar.data[c];
+      if (training) {
+        let sum = 0;
+        this.eachValue(c, n, k => { sum += x.data[k]; });
+        mean = sum / count;
+        let sq = 0;
+        this.eachValue(c, n, k => { sq += (x.data[k] - mean) ** 2; });
+        variance = sq / count;
+        const unbiased = count > 1 ? sq / (count - 1) : variance;
+        this.runningMean.data[c] = this.momentum * this.runningMean.data[c] + (1 - this.momentum) * mean;
+        this.runningVar.data[c] = this.momentum * this.runningVar.data[c] + (1 - this.momentum) * unbiased;
+      }
+      invStd[c] = 1 / Math.sqrt(variance + this.epsilon);
+      const g = this.gamma.data[c];
+      const b = this.beta.data[c];
+      this.eachValue(c, n, k => {
+        xhat.data[k] = (x.data[k] - mean) * invStd[c];
+        z.data[k] = g * xhat.data[k] + b;
+      });
+    }
+    const output = getActivation(this.activation).forward(z);
+    return { output, cache: { xhat, invStd, z, output } };
+  }
+
+  backward(grad, { xhat, invStd, z, output }) {
+    const n = grad.cols;
+    const count = this.positions * n;
+    const dz = activationBackward(this.activation, grad, z, output);
+    const dx = new Matrix(dz.rows, n);
+    const gamma = new Matrix(this.channels, 1);
+    const beta = new Matrix(this.channels, 1);
+    for (let c = 0; c < this.channels; c++) {
+      let sumDz = 0;
+      let sumDzXhat = 0;
+      this.eachValue(c, n, k => {
+        sumDz += dz.data[k];
+        sumDzXhat += dz.data[k] * xhat.data[k];
+      });
+      gamma.data[c] = sumDzXhat;
+      beta.data[c] = sumDz;
+      const scale = this.gamma.data[c] * invStd[c] / count;
+      this.eachValue(c, n, k => {
+        dx.data[k] = scale * (count * dz.data[k] - sumDz - xhat.data[k] * sumDzXhat);
+      });
+    }
+    return { delta: dx, grads: { gamma, beta } };
+  }
+
+  params() {
+    return { gamma: this.gamma, beta: this.beta };
+  }
+
+  tensors() {
+    return { ...this.params(), runningMean: this.runningMean, runningVar: this.runningVar };
+  }
+
+  config() {
+    const { momentum, epsilon, activation } = this;
+    return { momentum, epsilon, activation };
+  }
+}
+
+registerLayer('dense', (shape, options) => new Dense(shape, options));
+registerLayer('dropout', (shape, options) => new Dropout(shape, options));
+registerLayer('activation', (shape, options) => new Activation(shape, options));
+registerLayer('reshape', (shape, options) => new Reshape(shape, options));
+registerLayer('embedding', (shape, options) => new Embedding(shape, options));
+registerLayer('conv2d', (shape, options) => new Conv2D(shape, options));
+registerLayer('maxPool2d', (shape, options) => new MaxPool2D(shape, options));
+registerLayer('avgPool2d', (shape, options) => new AvgPool2D(shape, options));
+registerLayer('flatten', shape => new Flatten(shape));
+registerLayer('batchNorm', (shape, options) => new BatchNorm(shape, options));
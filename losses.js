@@ -0,0 +1,136 @@
+// losses.js
+// Loss functions for Network training. A loss provides its value summed over the
+// samples (columns) of a batch and its gradient dL/da w.r.t. the network output.
+// A loss may also declare the output activation it pairs with (fusedWith) and a
+// delta(output, target) that gives dL/dz directly, e.g. o - t for softmax + cross-entropy.
+
+import { dsoftmax_softmaxCrossEntropy } from './activations.js';
+
+const EPS = 1e-12;
+const clampProb = p => Math.min(Math.max(p, EPS), 1 - EPS);
+
+// LOSS REGISTRY
+// Each entry is a factory (options) => { value, gradient, fusedWith?, delta? }
+const registry = new Map();
+
+export function registerLoss(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Loss '${name}' must be registered with a factory function`);
+  }
+  registry.set(name, factory);
+}
+
+export function listLosses() {
+  return Array.from(registry.keys());
+}
+
+// Build a loss from a name or { type, ...options }, e.g. { type: 'huber', delta: 0.5 }
+export function createLoss(spec = 'categoricalCrossEntropy') {
+  if (typeof spec === 'object' && typeof spec.value === 'function') return spec;
+  const { type, ...options } = typeof spec === 'string' ? { type: spec } : spec;
+  const factory = registry.get(type);
+  if (!factory) {
+    throw new Error(`Unknown loss '${type}'. Registered: ${listLosses().join(', ')}`);
+  }
+  const loss = factory(options);
+  if (typeof loss.value !== 'function' || typeof loss.gradient !== 'function') {
+    throw new Error(`Loss '${type}' must provide value() and gradient()`);
+  }
+  return { ...loss, type, options };
+}
+
+// dL/da for the network output, the gradient a network's last layer starts its backward
+// pass from. When the loss pairs with an activation, the fused dL/dz is attached as
+// grad.fused = { activation, delta }; a layer ending in that activation uses it as is.
+export function outputGradient(loss, output, target) {
+  const grad = loss.gradient(output, target);
+  if (loss.fusedWith && loss.delta) grad.fused = { activation: loss.fusedWith, delta: loss.delta(output, target) };
+  return grad;
+}
+
+// Mean squared error, averaged over output units
+registerLoss('mse', () => ({
+  value(output, target) {
+    let sum = 0;
+    for (let i = 0; i < output.data.length; i++) {
+      const d = output.data[i] - target.data[i];
+      sum += d * d;
+    }
+    return sum / output.rows;
+  },
+  gradient: (output, target) => output.map((o, i, j) => 2 * (o - target.get(i, j)) / output.rows)
+}));
+
+// Mean absolute error, averaged over output units
+registerLoss('mae', () => ({
+  value(output, target) {
+    let sum = 0;
+    for (let i = 0; i < output.data.length; i++) {
+      sum += Math.abs(output.data[i] - target.data[i]);
+    }
+    return sum / output.rows;
+  },
+  gradient: (output, target) => output.map((o, i, j) => Math.sign(o - target.get(i, j)) / output.rows)
+}));
+
+// Huber loss: quadratic within `delta` of the target, linear outside
+registerLoss('huber', ({ delta = 1 } = {}) => ({
+  value(output, target) {
+    let sum = 0;
+    for (let i = 0; i < output.data.length; i++) {
+      const d = Math.abs(output.data[i] - target.data[i]);
+      sum += d <= delta ? 0.5 * d * d : delta * (d - 0.5 * delta);
+    }
+    return sum / output.rows;
+  },
+  gradient: (output, target) => output.map((o, i, j) => {
+    const d = o - target.get(i, j);
+    return Math.max(-delta, Math.min(delta, d)) / output.rows;
+  })
+}));
+
+// Binary cross-entropy over independent sigmoid outputs (multi-label), summed over units
+registerLoss('binaryCrossEntropy', () => ({
+  value(output, target) {
+    let sum = 0;
+    for (let i = 0; i < output.data.length; i++) {
+      const o = clampProb(output.data[i]);
+      const t = target.data[i];
+      sum -= t * Math.log(o) + (1 - t) * Math.log(1 - o);
+    }
+    return sum;
+  },
+  gradient: (output, target) => output.map((o, i, j) => {
+    const p = clampProb(o);
+    return (p - target.get(i, j)) / (p * (1 - p));
+  }),
+  fusedWith: 'sigmoid',
+  delta: (output, target) => output.subtract(target)
+}));
+
+// Categorical cross-entropy over softmax outputs. With labelSmoothing = e the one-hot
+// target t becomes t * (1 - e) + e / K for K classes.
+registerLoss('categoricalCrossEntropy', ({ labelSmoothing = 0 } = {}) => {
+  if (labelSmoothing < 0 || labelSmoothing >= 1) {
+    throw new Error(`labelSmoothing must be in [0, 1), got ${labelSmoothing}`);
+  }
+  const smooth = target => (labelSmoothing
+    ? target.map(t => t * (1 - labelSmoothing) + labelSmoothing / target.rows)
+    : target);
+  return {
+    value(output, target) {
+      const t = smooth(target);
+      let sum = 0;
+      for (let i = 0; i < output.data.length; i++) {
+        if (t.data[i] > 0) sum -= t.data[i] * Math.log(Math.max(output.data[i], EPS));
+      }
+      return sum;
+    },
+    gradient: (output, target) => {
+      const t = smooth(target);
+      return output.map((o, i, j) => -t.get(i, j) / Math.max(o, EPS));
+    },
+    fusedWith: 'softmax',
+    delta: (output, target) => dsoftmax_softmaxCrossEntropy(output, smooth(target))
+  };
+});
@@ -1,281 +1,22 @@
-
-class WebGLCompute {
-  constructor() {
-    this.gl = null;
-    this.isWebGLAvailable = false;
-    this.programs = {};
-    this.buffers = new Map();
-    this.init();
-  }
-
-  init() {
-    try {
-      const canvas = document.createElement('canvas');
-      this.gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
-      
-      if (!this.gl) {
-        console.warn('WebGL not available, falling back to CPU');
-        return;
-      }
-
-      // Check for required extensions
-      const ext = this.gl.getExtension('OES_texture_float');
-      if (!ext) {
-        console.warn('Float textures not supported, falling back to CPU');
-        return;
-      }
-
-      this.isWebGLAvailable = true;
-      this.setupShaders();
-    } catch (e) {
-      console.warn('WebGL initialization failed:', e);
-      this.isWebGLAvailable = false;
-    }
-  }
-
-  setupShaders() {
-    const gl = this.gl;
-
-    // Vertex shader (same for all operations)
-    const vertexShaderSource = `
-      attribute vec2 a_position;
-      varying vec2 v_texCoord;
-      void main() {
-        gl_Position = vec4(a_position, 0.0, 1.0);
-        v_texCoord = a_position * 0.5 + 0.5;
-      }
-    `;
-
-    // Matrix multiplication shader
-    const matMulFragmentShader = `
-      precision mediump float;
-      uniform sampler2D u_matrixA;
-      uniform sampler2D u_matrixB;
-      uniform float u_aRows;
-      uniform float u_aCols;
-      uniform float u_bCols;
-      varying vec2 v_texCoord;
-      
-      void main() {
-        float row = floor(v_texCoord.y * u_aRows);
-        float col = floor(v_texCoord.x * u_bCols);
-        
-        float sum = 0.0;
-        for (float k = 0.0; k < u_aCols; k += 1.0) {
-          vec2 aCoord = vec2((k + 0.5) / u_aCols, (row + 0.5) / u_aRows);
-          vec2 bCoord = vec2((col + 0.5) / u_bCols, (k + 0.5) / u_aCols);
-          
-          float aVal = texture2D(u_matrixA, aCoord).r;
-          float bVal = texture2D(u_matrixB, bCoord).r;
-          sum += aVal * bVal;
-        }
-        
-        gl_FragColor = vec4(sum, 0.0, 0.0, 1.0);
-      }
-    `;
-
-    // Element-wise operation shader
-    const elementWiseFragmentShader = `
-      precision mediump float;
-      uniform sampler2D u_matrixA;
-      uniform sampler2D u_matrixB;
-      uniform float u_operation; // 0=add, 1=subtract, 2=multiply
-      uniform float u_scalar;
-      uniform float u_useScalar;
-      varying vec2 v_texCoord;
-      
-      void main() {
-        float a = texture2D(u_matrixA, v_texCoord).r;
-        float b = u_useScalar > 0.5 ? u_scalar : texture2D(u_matrixB, v_texCoord).r;
-        
-        float result;
-        if (u_operation < 0.5) {
-          result = a + b; // add
-        } else if (u_operation < 1.5) {
-          result = a - b; // subtract
-        } else {
-          result = a * b; // multiply
-        }
-        
-        gl_FragColor = vec4(result, 0.0, 0.0, 1.0);
-      }
-    `;
-
-    this.programs.matMul = this.createProgram(vertexShaderSource, matMulFragmentShader);
-    this.programs.elementWise = this.createProgram(vertexShaderSource, elementWiseFragmentShader);
-
-    // Create vertex buffer for quad
-    const positions = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
-    this.quadBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
-  }
-
-  createProgram(vertexSource, fragmentSource) {
-    const gl = this.gl;
-    
-    const vertexShader = this.createShader(gl.VERTEX_SHADER, vertexSource);
-    const fragmentShader = this.createShader(gl.FRAGMENT_SHADER, fragmentSource);
-    
-    const program = gl.createProgram();
-    gl.attachShader(program, vertexShader);
-    gl.attachShader(program, fragmentShader);
-    gl.linkProgram(program);
-    
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-      throw new Error('Program link error: ' + gl.getProgramInfoLog(program));
-    }
-    
-    return program;
-  }
-
-  createShader(type, source) {
-    const gl = this.gl;
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
-    
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-      throw new Error('Shader compile error: ' + gl.getShaderInfoLog(shader));
-    }
-    
-    return shader;
-  }
-
-  createTexture(data, width, height) {
-    const gl = this.gl;
-    const texture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, width, height, 0, gl.LUMINANCE, gl.FLOAT, data);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    
-    return texture;
-  }
-
-  matrixMultiply(a, b) {
-    if (!this.isWebGLAvailable) return null;
-    
-    const gl = this.gl;
-    const program = this.programs.matMul;
-    
-    // Create textures
-    const texA = this.createTexture(a.data, a.cols, a.rows);
-    const texB = this.createTexture(b.data, b.cols, b.rows);
-    
-    // Create framebuffer for output
-    const fb = gl.createFramebuffer();
-    const outputTex = this.createTexture(null, b.cols, a.rows);
-    
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, outputTex, 0);
-    
-    // Setup viewport and program
-    gl.viewport(0, 0, b.cols, a.rows);
-    gl.useProgram(program);
-    
-    // Set uniforms
-    gl.uniform1f(gl.getUniformLocation(program, 'u_aRows'), a.rows);
-    gl.uniform1f(gl.getUniformLocation(program, 'u_aCols'), a.cols);
-    gl.uniform1f(gl.getUniformLocation(program, 'u_bCols'), b.cols);
-    
-    // Bind textures
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, texA);
-    gl.uniform1i(gl.getUniformLocation(program, 'u_matrixA'), 0);
-    
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, texB);
-    gl.uniform1i(gl.getUniformLocation(program, 'u_matrixB'), 1);
-    
-    // Setup vertex attributes
-    const positionLoc = gl.getAttribLocation(program, 'a_position');
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
-    gl.enableVertexAttribArray(positionLoc);
-    gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
-    
-    // Draw
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-    
-    // Read result
-    const result = new Float32Array(a.rows * b.cols);
-    gl.readPixels(0, 0, b.cols, a.rows, gl.LUMINANCE, gl.FLOAT, result);
-    
-    // Cleanup
-    gl.deleteTexture(texA);
-    gl.deleteTexture(texB);
-    gl.deleteTexture(outputTex);
-    gl.deleteFramebuffer(fb);
-    
-    return result;
-  }
-
-  elementWiseOperation(a, b, operation, scalar = 0, useScalar = false) {
-    if (!this.isWebGLAvailable) return null;
-    
-    const gl = this.gl;
-    const program = this.programs.elementWise;
-    
-    // Create textures
-    const texA = this.createTexture(a.data, a.cols, a.rows);
-    const texB = useScalar ? null : this.createTexture(b.data, b.cols, b.rows);
-    
-    // Create framebuffer for output
-    const fb = gl.createFramebuffer();
-    const outputTex = this.createTexture(null, a.cols, a.rows);
-    
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, outputTex, 0);
-    
-    // Setup viewport and program
-    gl.viewport(0, 0, a.cols, a.rows);
-    gl.useProgram(program);
-    
-    // Set uniforms
-    gl.uniform1f(gl.getUniformLocation(program, 'u_operation'), operation);
-    gl.uniform1f(gl.getUniformLocation(program, 'u_scalar'), scalar);
-    gl.uniform1f(gl.getUniformLocation(program, 'u_useScalar'), useScalar ? 1.0 : 0.0);
-    
-    // Bind textures
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, texA);
-    gl.uniform1i(gl.getUniformLocation(program, 'u_matrixA'), 0);
-    
-    if (!useScalar) {
-      gl.activeTexture(gl.TEXTURE1);
-      gl.bindTexture(gl.TEXTURE_2D, texB);
-      gl.uniform1i(gl.getUniformLocation(program, 'u_matrixB'), 1);
-    }
-    
-    // Setup vertex attributes
-    const positionLoc = gl.getAttribLocation(program, 'a_position');
-    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
-    gl.enableVertexAttribArray(positionLoc);
-    gl.vertexAttribPointer(positionLoc, 2, gl.FLOAT, false, 0, 0);
-    
-    // Draw
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-    
-    // Read result
-    const result = new Float32Array(a.rows * a.cols);
-    gl.readPixels(0, 0, a.cols, a.rows, gl.LUMINANCE, gl.FLOAT, result);
-    
-    // Cleanup
-    gl.deleteTexture(texA);
-    if (texB) gl.deleteTexture(texB);
-    gl.deleteTexture(outputTex);
-    gl.deleteFramebuffer(fb);
-    
-    return result;
-  }
+// matrix.js
+// Matrix class backed by Float32Array. dot, add, subtract and multiply run on the
+// active compute backend (see backends.js); everything else runs on the CPU.
+
+import {
+  cpuBackend,
+  getBackend,
+  getBackendName,
+  setBackend,
+  listBackends,
+  isBackendAvailable
+} from './backends.js';
+import { getRNG } from './random.js';
+
+// Run an op on the active backend, falling back to the CPU if it returns nothing
+function compute(op, a, b) {
+  return getBackend()[op](a, b) || cpuBackend[op](a, b);
 }
 
-// Global WebGL compute instance
-const webglCompute = new WebGLCompute();
-
 export class Matrix {
   constructor(rows, cols, data = null) {
     this.rows = rows;
@@ -298,10 +39,19 @@ export class Matrix {
   }
 
   // Create a matrix with random values in [-scale, scale]
-  static random(rows, cols, scale = 1) {
+  static random(rows, cols, scale = 1, rng = getRNG()) {
     const m = new Matrix(rows, cols);
     for (let i = 0; i < m.data.length; i++) {
-      m.data[i] = (Math.random() * 2 - 1) * scale;
+      m.data[i] = (rng.next() * 2 - 1) * scale;
+    }
+    return m;
+  }
+
+  // Create a matrix with normally distributed values, mean 0 and the given std
+  static randomNormal(rows, cols, std = 1, rng = getRNG()) {
+    const m = new Matrix(rows, cols);
+    for (let i = 0; i < m.data.length; i++) {
+      m.data[i] = rng.normal(0, std);
     }
     return m;
   }
@@ -315,6 +65,22 @@ export class Matrix {
     return m;
   }
 
+  // Stack flat arrays as the columns of a (length x count) matrix
+  static fromColumns(columns) {
+    const rows = columns[0].length;
+    const m = new Matrix(rows, columns.length);
+    for (let j = 0; j < columns.length; j++) {
+      const col = columns[j];
+      if (col.length !== rows) {
+        throw new Error(`Column ${j} has length ${col.length}, expected ${rows}`);
+      }
+      for (let i = 0; i < rows; i++) {
+        m.data[i * m.cols + j] = col[i];
+      }
+    }
+    return m;
+  }
+
   // Create matrix from 2D array
   static from2DArray(arr) {
     const rows = arr.length;
@@ -333,6 +99,15 @@ export class Matrix {
     return Array.from(this.data);
   }
 
+  // Copy column j out as a JS array
+  column(j) {
+    const result = new Array(this.rows);
+    for (let i = 0; i < this.rows; i++) {
+      result[i] = this.data[i * this.cols + j];
+    }
+    return result;
+  }
+
   // Convert to 2D array
   to2DArray() {
     const result = [];
@@ -378,82 +153,57 @@ export class Matrix {
     return result;
   }
 
-  // Add matrix or scalar (WebGL accelerated)
+  // Add matrix or scalar
   add(n) {
-    if (n instanceof Matrix) {
-      if (n.rows !== this.rows || n.cols !== this.cols) {
-        throw new Error('Dimension mismatch');
-      }
-      
-      // Try WebGL first
-      const webglResult = webglCompute.elementWiseOperation(this, n, 0);
-      if (webglResult) {
-        return new Matrix(this.rows, this.cols, webglResult);
-      }
-      
-      // Fallback to CPU
-      return this.map((v, i, j) => v + n.get(i, j));
-    }
-    
-    // Scalar addition
-    const webglResult = webglCompute.elementWiseOperation(this, null, 0, n, true);
-    if (webglResult) {
-      return new Matrix(this.rows, this.cols, webglResult);
-    }
-    
-    return this.map(v => v + n);
+    if (n instanceof Matrix) this._checkSameShape(n);
+    return new Matrix(this.rows, this.cols, compute('add', this, n));
   }
 
-  // Subtract matrix or scalar (WebGL accelerated)
+  // Subtract matrix or scalar
   subtract(n) {
-    if (n instanceof Matrix) {
-      if (n.rows !== this.rows || n.cols !== this.cols) {
-        throw new Error('Dimension mismatch');
-      }
-      
-      // Try WebGL first
-      const webglResult = webglCompute.elementWiseOperation(this, n, 1);
-      if (webglResult) {
-        return new Matrix(this.rows, this.cols, webglResult);
-      }
-      
-      // Fallback to CPU
-      return this.map((v, i, j) => v - n.get(i, j));
-    }
-    
-    // Scalar subtraction
-    const webglResult = webglCompute.elementWiseOperation(this, null, 1, n, true);
-    if (webglResult) {
-      return new Matrix(this.rows, this.cols, webglResult);
-    }
-    
-    return this.map(v => v - n);
+    if (n instanceof Matrix) this._checkSameShape(n);
+    return new Matrix(this.rows, this.cols, compute('subtract', this, n));
   }
 
-  // Element-wise multiply (Hadamard) or scalar (WebGL accelerated)
+  // Element-wise multiply (Hadamard) or scalar
   multiply(n) {
-    if (n instanceof Matrix) {
-      if (n.rows !== this.rows || n.cols !== this.cols) {
-        throw new Error('Dimension mismatch');
-      }
-      
-      // Try WebGL first
-      const webglResult = webglCompute.elementWiseOperation(this, n, 2);
-      if (webglResult) {
-        return new Matrix(this.rows, this.cols, webglResult);
+    if (n instanceof Matrix) this._checkSameShape(n);
+    return new Matrix(this.rows, this.cols, compute('multiply', this, n));
+  }
+
+  _checkSameShape(n) {
+    if (n.rows !== this.rows || n.cols !== this.cols) {
+      throw new Error('Dimension mismatch');
+    }
+  }
+
+  // Add a column vector to every column (bias broadcasting)
+  addColumnVector(v) {
+    if (v.rows !== this.rows || v.cols !== 1) {
+      throw new Error(`Cannot broadcast ${v.rows}x${v.cols} over ${this.rows}x${this.cols}`);
+    }
+    const result = new Matrix(this.rows, this.cols);
+    for (let i = 0; i < this.rows; i++) {
+      const b = v.data[i];
+      for (let j = 0; j < this.cols; j++) {
+        const idx = i * this.cols + j;
+        result.data[idx] = this.data[idx] + b;
       }
-      
-      // Fallback to CPU
-      return this.map((v, i, j) => v * n.get(i, j));
     }
-    
-    // Scalar multiplication
-    const webglResult = webglCompute.elementWiseOperation(this, null, 2, n, true);
-    if (webglResult) {
-      return new Matrix(this.rows, this.cols, webglResult);
+    return result;
+  }
+
+  // Sum across columns, giving a (rows x 1) column vector
+  rowSums() {
+    const result = new Matrix(this.rows, 1);
+    for (let i = 0; i < this.rows; i++) {
+      let sum = 0;
+      for (let j = 0; j < this.cols; j++) {
+        sum += this.data[i * this.cols + j];
+      }
+      result.data[i] = sum;
     }
-    
-    return this.map(v => v * n);
+    return result;
   }
 
   // Transpose the matrix
@@ -467,37 +217,37 @@ export class Matrix {
     return result;
   }
 
-  // Dot product: matrix multiplication (WebGL accelerated)
+  // Dot product: matrix multiplication
   static dot(a, b) {
     if (a.cols !== b.rows) {
       throw new Error(`Cannot multiply ${a.rows}x${a.cols} with ${b.rows}x${b.cols}`);
     }
-    
-    // Try WebGL first
-    const webglResult = webglCompute.matrixMultiply(a, b);
-    if (webglResult) {
-      return new Matrix(a.rows, b.cols, webglResult);
-    }
-    
-    // Fallback to CPU
-    const result = new Matrix(a.rows, b.cols);
-    for (let i = 0; i < a.rows; i++) {
-      for (let j = 0; j < b.cols; j++) {
-        let sum = 0;
-        for (let k = 0; k < a.cols; k++) {
-          sum += a.get(i, k) * b.get(k, j);
-        }
-        result.set(i, j, sum);
-      }
-    }
-    return result;
+    return new Matrix(a.rows, b.cols, compute('dot', a, b));
+  }
+
+  // Switch the compute backend used by dot/add/subtract/multiply ('cpu', 'webgl', ...)
+  static setBackend(name) {
+    return setBackend(name);
+  }
+
+  // Name of the active compute backend
+  static getBackend() {
+    return getBackendName();
+  }
+
+  // Names of all registered compute backends
+  static listBackends() {
+    return listBackends();
   }
 
   // Get performance info
   static getPerformanceInfo() {
+    const backend = getBackend();
     return {
-      webglAvailable: webglCompute.isWebGLAvailable,
-      webglContext: webglCompute.gl ? 'Available' : 'Not available'
+      backend: getBackendName(),
+      backends: listBackends().filter(isBackendAvailable),
+      webglAvailable: isBackendAvailable('webgl'),
+      webglContext: backend.compute && backend.compute.gl ? 'Available' : 'Not available'
     };
   }
 }
@@ -1,132 +1,594 @@
 import NetworkMatrix from './matrix.js';
-import { sigmoid, dsigmoid, relu, drelu, softmax, dsoftmax_softmaxCrossEntropy } from './activations.js';
+import { listActivations } from './activations.js';
+import { createLoss, listLosses, outputGradient } from './losses.js';
+import { SGD as GradientDescent, createOptimizer } from './optimizers.js';
+import { createSchedule } from './schedules.js';
+import RNG, { getRNG } from './random.js';
+import { createAugmenter } from './augment.js';
+import { createLayer, listLayers, Dense, Dropout } from './layers.js';
 
-export class Layer {
-  constructor(inSize, outSize, activation = 'sigmoid') {
-    this.weights = NetworkMatrix.random(outSize, inSize);
-    this.biases = NetworkMatrix.random(outSize, 1);
-    this.activation = activation;
+// Dense layer with the original (inSize, outSize, activation, options) signature;
+// see Dense in layers.js
+export class Layer extends Dense {
+  constructor(inSize, outSize, activation = 'sigmoid', options = {}) {
+    super([inSize], { size: outSize, activation, ...options });
   }
+}
+
+// Model file identification written by Network.toJSON()
+export const MODEL_FORMAT = 'nn-in-js/network';
+export const MODEL_VERSION = 2; // 2 adds typed layers (layers.js) and inputShape
 
-  activate(z) {
-    if (this.activation === 'sigmoid') return sigmoid(z);
-    if (this.activation === 'relu') return relu(z);
-    if (this.activation === 'softmax') return softmax(z);
-    throw new Error('Unknown activation');
+export class Network {
+  // sizes: the input size (or { shape: [channels, height, width] } for images), then
+  // each layer: a dense layer width or spec { size, activation, init, l1, l2, dropout },
+  // or { type, ...options } for any registered layer type (see layers.js), e.g.
+  // { type: 'conv2d', filters: 6, kernelSize: 5 }. Dense layers need flat inputs, so
+  // images go through a flatten layer. Hidden dense layers default to sigmoid and an
+  // output dense layer to softmax. Sequential (sequential.js) builds the same list.
+  // options.loss: a loss name, { type, ...options } spec or loss object (see losses.js).
+  // options.seed: seeds a private RNG for initialization, dropout and shuffling;
+  // without it the shared RNG from random.js is used.
+  // options.normalization: { scale, offset } mapping raw inputs to network inputs
+  // (x * scale + offset), options.labels: class names for the outputs, and
+  // options.metadata: free-form info; all three are saved with the model.
+  constructor(sizes, {
+    loss = 'categoricalCrossEntropy',
+    seed,
+    normalization = null,
+    labels = null,
+    metadata = {}
+  } = {}) {
+    this.lossFn = createLoss(loss);
+    this.rng = seed === undefined ? getRNG() : new RNG(seed);
+    this.normalization = normalization;
+    this.labels = labels;
+    this.metadata = { ...metadata };
+    const specs = sizes.map(s => (typeof s === 'number' ? { size: s } : s));
+    this.inputShape = specs[0].shape ? [...specs[0].shape] : [specs[0].size];
+    this.layers = [];
+    let shape = this.inputShape;
+    for (let i = 1; i < specs.length; i++) {
+      let spec = specs[i];
+      if (!spec.type || spec.type === 'dense') {
+        const activation = spec.activation ?? (i === specs.length - 1 ? 'softmax' : 'sigmoid');
+        spec = { ...spec, type: 'dense', activation };
+      }
+      const layer = createLayer(spec, shape, this.rng);
+      this.layers.push(layer);
+      shape = layer.outputShape;
+    }
+    const last = this.layers[this.layers.length - 1];
+    if (last instanceof Dropout || (last instanceof Dense && last.dropout)) {
+      throw new Error('Dropout is not supported on the output layer');
+    }
+    if (labels && labels.length !== this.outputSize) {
+      throw new Error(`Got ${labels.length} labels for ${this.outputSize} outputs`);
+    }
   }
 
-  activateDerivative(a) {
-    if (this.activation === 'sigmoid') return dsigmoid(a);
-    if (this.activation === 'relu') return drelu(a);
-    throw new Error('No derivative');
+  // Values per input sample and per output
+  get inputSize() {
+    return this.inputShape.reduce((n, d) => n * d, 1);
   }
-}
 
-export class Network {
-  constructor(sizes) {
-    this.layers = [];
-    for (let i = 1; i < sizes.length; i++) {
-      const act = i === sizes.length - 1 ? 'softmax' : 'sigmoid';
-      this.layers.push(new Layer(sizes[i - 1], sizes[i], act));
+  get outputSize() {
+    return this.layers[this.layers.length - 1].outputShape.reduce((n, d) => n * d, 1);
+  }
+
+  // Apply the model's input normalization to a raw input array
+  normalize(raw) {
+    if (!this.normalization) return raw;
+    const { scale = 1, offset = 0 } = this.normalization;
+    return Array.from(raw, v => v * scale + offset);
+  }
+
+  // Versioned model description: architecture, loss, preprocessing, labels, training
+  // metadata and weights. Network.fromJSON() rebuilds exactly this model.
+  toJSON() {
+    // dense-only models keep version 1, so older readers still load them
+    const denseOnly = this.layers.every(layer => layer instanceof Dense);
+    return {
+      format: MODEL_FORMAT,
+      version: denseOnly ? 1 : MODEL_VERSION,
+      inputSize: this.inputSize,
+      ...(this.inputShape.length > 1 ? { inputShape: this.inputShape } : {}),
+      layers: this.layers.map(layer => layer.toJSON()),
+      loss: this.lossFn.type ? { type: this.lossFn.type, ...this.lossFn.options } : null,
+      normalization: this.normalization,
+      labels: this.labels,
+      metadata: this.metadata
+    };
+  }
+
+  // Rebuild a network from toJSON() output (or a legacy bare weights array),
+  // checking every shape. Float32Array weights are used without copying. Throws with
+  // a description of the first problem found.
+  static fromJSON(json) {
+    const model = Array.isArray(json) ? upgradeLegacyModel(json) : json;
+    validateModel(model);
+    // layer constructors ignore the tensor arrays in their spec; they are loaded below
+    const net = new Network([model.inputShape ? { shape: model.inputShape } : model.inputSize, ...model.layers], {
+      loss: model.loss || undefined,
+      normalization: model.normalization || null,
+      metadata: model.metadata || {}
+    });
+    if (model.labels && model.labels.length !== net.outputSize) {
+      throw new Error(`Invalid model file: expected ${net.outputSize} labels, got ${model.labels.length}`);
     }
+    net.labels = model.labels || null;
+    net.layers.forEach((layer, i) => {
+      for (const [name, tensor] of Object.entries(layer.tensors())) {
+        const values = model.layers[i][name];
+        const expected = tensor.rows * tensor.cols;
+        if (!isNumberArray(values) || values.length !== expected) {
+          throw new Error(
+            `Invalid model file: layer ${i} ${name} have ${values ? values.length : 0} values, ` +
+            `expected ${expected} (${tensor.rows}x${tensor.cols})`
+          );
+        }
+        if (!allFinite(values)) {
+          throw new Error(`Invalid model file: layer ${i} contains non-numeric or non-finite values`);
+        }
+        layer[name] = new NetworkMatrix(tensor.rows, tensor.cols, toFloat32(values));
+      }
+    });
+    return net;
+  }
+
+  // Accept a flat input array (one sample) or a (features x batchSize) matrix
+  static toBatch(x) {
+    return x instanceof NetworkMatrix ? x : NetworkMatrix.fromArray(x);
   }
 
-  feedforward(inputArr) {
-    let activation = NetworkMatrix.fromArray(inputArr);
+  // Forward pass over a batch; every column of the input is one sample. activations[i + 1]
+  // is the output of layer i and caches[i] what its backward pass needs. With
+  // training = true, dropout masks are drawn and applied; precomputed masks (one per
+  // layer, null for none) can be passed instead of drawing them.
+  feedforward(input, training = false, presetMasks = null) {
+    let activation = Network.toBatch(input);
     const activations = [activation];
-    const zs = [];
-    for (const layer of this.layers) {
-      const z = NetworkMatrix.dot(layer.weights, activation).add(layer.biases);
-      zs.push(z);
-      activation = layer.activate(z);
-      activations.push(activation);
-    }
-    return { activations, zs };
+    const caches = [];
+    this.layers.forEach((layer, i) => {
+      const { output, cache } = layer.forward(activation, training, presetMasks ? presetMasks[i] : null);
+      caches.push(cache);
+      activations.push(output);
+      activation = output;
+    });
+    return { activations, caches };
   }
 
+  // Gradients summed over every sample (column) of the batch x with targets y, plus the
+  // network output: grads[i] maps each parameter name of layer i to its gradient.
+  // Runs in training mode, so dropout is active. Each layer maps dL/d(its output) to
+  // dL/d(its input), starting from the loss gradient; the first layer's input needs none.
   backprop(x, y) {
-    const nablaW = this.layers.map(l => NetworkMatrix.zeros(l.weights.rows, l.weights.cols));
-    const nablaB = this.layers.map(l => NetworkMatrix.zeros(l.biases.rows, 1));
-    const { activations, zs } = this.feedforward(x);
-
-    // output error
-    let delta = dsoftmax_softmaxCrossEntropy(
-      activations[activations.length - 1],
-      NetworkMatrix.fromArray(y)
-    );
-    nablaB[nablaB.length - 1] = delta;
-    nablaW[nablaW.length - 1] = NetworkMatrix.dot(
-      delta,
-      NetworkMatrix.transpose(activations[activations.length - 2])
-    );
-
-    // backprop hidden layers
-    for (let l = 2; l <= this.layers.length; l++) {
-      const layerIdx = this.layers.length - l;
-      const sp = this.layers[layerIdx].activateDerivative(activations[activations.length - l]);
-      delta = NetworkMatrix.dot(
-        NetworkMatrix.transpose(this.layers[layerIdx + 1].weights),
-        delta
-      ).multiply(sp);
-      nablaB[layerIdx] = delta;
-      nablaW[layerIdx] = NetworkMatrix.dot(
-        delta,
-        NetworkMatrix.transpose(activations[activations.length - l - 1])
-      );
-    }
-
-    return { nablaW, nablaB };
-  }
-
-  updateMiniBatch(miniBatch, eta) {
-    const nablaW = this.layers.map(l => NetworkMatrix.zeros(l.weights.rows, l.weights.cols));
-    const nablaB = this.layers.map(l => NetworkMatrix.zeros(l.biases.rows, 1));
-
-    for (const [x, y] of miniBatch) {
-      const { nablaW: dW, nablaB: dB } = this.backprop(x, y);
-      for (let i = 0; i < this.layers.length; i++) {
-        nablaW[i] = nablaW[i].add(dW[i]);
-        nablaB[i] = nablaB[i].add(dB[i]);
-      }
+    const n = this.layers.length;
+    const grads = new Array(n);
+    const { activations, caches } = this.feedforward(x, true);
+    const output = activations[n];
+    let grad = outputGradient(this.lossFn, output, Network.toBatch(y));
+    for (let l = n - 1; l >= 0; l--) {
+      const result = this.layers[l].backward(grad, caches[l], l > 0);
+      grads[l] = result.grads;
+      grad = result.delta;
     }
+    return { grads, output };
+  }
+
+  // One optimizer step on a mini-batch. optimizer is an Optimizer, a spec accepted by
+  // createOptimizer, or a plain learning rate for vanilla gradient descent.
+  // options.clipNorm rescales the gradients when their global L2 norm exceeds it;
+  // options.clipValue clamps every gradient entry to [-clipValue, clipValue].
+  // options.parallel: a WorkerPool (see parallel.js) that computes the gradients on
+  // worker threads, with results identical to backprop().
+  // Returns the batch's mean loss (with regularization) and argmax match count,
+  // measured before the update.
+  updateMiniBatch(miniBatch, optimizer, options = {}) {
+    const opt = Network.toOptimizer(optimizer);
+    const x = NetworkMatrix.fromColumns(miniBatch.map(([input]) => input));
+    const y = NetworkMatrix.fromColumns(miniBatch.map(([, target]) => target));
+    const { grads, output } = options.parallel ? options.parallel.backprop(this, x, y) : this.backprop(x, y);
+    const loss = this.lossFn.value(output, y) / miniBatch.length + this.regularizationLoss();
 
     const m = miniBatch.length;
-    for (let i = 0; i < this.layers.length; i++) {
-      this.layers[i].weights = this.layers[i].weights.subtract(nablaW[i].multiply(eta / m));
-      this.layers[i].biases = this.layers[i].biases.subtract(nablaB[i].multiply(eta / m));
-    }
+    const params = [];
+    this.layers.forEach((layer, i) => {
+      for (const [name, sum] of Object.entries(grads[i])) {
+        let grad = sum.multiply(1 / m);
+        const penalty = name === 'weights' && layer.regularizationGradient ? layer.regularizationGradient() : null;
+        if (penalty) grad = grad.add(penalty);
+        params.push({ key: paramKey(name, i), layer, name, value: layer[name], grad, decay: name === 'weights' });
+      }
+    });
+    clipGradients(params, options);
+    const updated = opt.step(params);
+    params.forEach(({ layer, name }, k) => {
+      layer[name] = updated[k];
+    });
+    return { loss, correct: countCorrect(output, y) };
+  }
+
+  static toOptimizer(optimizer) {
+    return typeof optimizer === 'number'
+      ? new GradientDescent({ learningRate: optimizer })
+      : createOptimizer(optimizer);
   }
 
-  SGD(trainData, epochs, batchSize, eta, testData = null) {
-    for (let e = 0; e < epochs; e++) {
-      trainData.sort(() => Math.random() - 0.5);
+  // Mini-batch training. eta is a learning rate (plain SGD) or an optimizer, whose
+  // state carries over between batches and epochs. testData doubles as validation data.
+  // options.schedule: a Schedule (or spec) that sets the learning rate before every batch;
+  // it is fed the validation accuracy at the end of each epoch. A spec without a starting
+  // rate (initialRate) starts from the optimizer's learning rate.
+  // options.clipNorm / options.clipValue: gradient clipping, see updateMiniBatch.
+  // options.parallel: a WorkerPool for multi-threaded gradients, see updateMiniBatch.
+  // options.augment: an Augmenter, its options, or an (input, rng) => input function
+  // applied to every training input as its batch is drawn (see augment.js).
+  // options.callbacks: objects with onTrainBegin/onEpochBegin/onBatchEnd/onEpochEnd/onTrainEnd
+  // hooks (see callbacks.js); setting network.stopTraining ends the run early.
+  // options.checkpoint: a Checkpointer (see checkpoint.js), run after the other callbacks.
+  // options.resume: a trainingState() snapshot to continue from; pass the same data,
+  // batch size, schedule and callbacks as the interrupted run.
+  // options.verbose: log a line per epoch (default true).
+  // Returns the history: per-epoch loss, accuracy, valLoss, valAccuracy and lr arrays.
+  SGD(trainData, epochs, batchSize, eta, testData = null, options = {}) {
+    const training = new TrainingRun(this, epochs, batchSize, eta, options, trainData.length);
+    const { run } = training;
+    training.begin();
+    for (let e = run.epoch; e < epochs && !this.stopTraining; e++) {
+      // a resumed epoch reshuffles from the RNG state it started with, then picks up
+      // the generator where the checkpoint left it
+      const midEpoch = run.batch > 0;
+      const resumeRngState = midEpoch ? this.rng.getState() : null;
+      if (midEpoch) {
+        this.rng.setState(run.epochRngState);
+      } else {
+        training.beginEpoch(e);
+      }
+      const order = this.rng.shuffle(trainData.map((_, i) => i));
+      if (midEpoch) this.rng.setState(resumeRngState);
       const batches = [];
-      for (let k = 0; k < trainData.length; k += batchSize) {
-        batches.push(trainData.slice(k, k + batchSize));
+      for (let k = 0; k < order.length; k += batchSize) {
+        batches.push(order.slice(k, k + batchSize).map(i => trainData[i]));
       }
-      for (const batch of batches) this.updateMiniBatch(batch, eta);
-      if (testData) {
-        console.log(
-          `Epoch ${e}: ${this.evaluate(testData)} / ${testData.length}`
-        );
-      } else console.log(`Epoch ${e} complete`);
+      for (let b = run.batch; b < batches.length && !this.stopTraining; b++) {
+        training.trainBatch(batches[b], b, e);
+      }
+      const val = testData ? { ...this.score(testData), samples: testData.length } : null;
+      training.endEpoch(e, val);
     }
+    return training.end();
+  }
+
+  // JSON-safe snapshot of the SGD (or fitDataset) run in progress, for use from callbacks:
+  // the position of the next batch, the current epoch's running totals, the history so
+  // far, and the optimizer, schedule, RNG and callback state. Pass it to SGD as
+  // options.resume.
+  trainingState() {
+    if (!this._training) throw new Error('trainingState() is only available while SGD or fitDataset is running');
+    const { run, optimizer, schedule, callbacks } = this._training;
+    return {
+      ...JSON.parse(JSON.stringify(run)),
+      rngState: this.rng.getState(),
+      optimizer: optimizer.toJSON(),
+      schedule: schedule ? schedule.toJSON() : null,
+      callbacks: callbacks.map(cb => (cb.getState ? cb.getState() : null))
+    };
+  }
+
+  // Use rng for dropout and shuffling from now on, e.g. one restored from a checkpoint
+  setRNG(rng) {
+    this.rng = rng;
+    for (const layer of this.layers) layer.rng = rng;
+  }
+
+  // Count argmax matches, running the forward pass batchSize samples at a time
+  evaluate(testData, batchSize = 1000) {
+    return this.score(testData, batchSize).correct;
   }
 
-  evaluate(testData) {
+  // Mean loss over the data, including the layers' regularization penalties
+  loss(data, batchSize = 1000) {
+    return this.score(data, batchSize).loss;
+  }
+
+  // Argmax matches and mean loss (with regularization) in a single inference pass
+  score(data, batchSize = 1000) {
     let correct = 0;
-    for (const [x, y] of testData) {
+    let dataLoss = 0;
+    for (let k = 0; k < data.length; k += batchSize) {
+      const chunk = data.slice(k, k + batchSize);
+      const x = NetworkMatrix.fromColumns(chunk.map(([input]) => input));
+      const y = NetworkMatrix.fromColumns(chunk.map(([, target]) => target));
       const { activations } = this.feedforward(x);
-      const out = activations[activations.length - 1].toArray();
-      if (out.indexOf(Math.max(...out)) === y.indexOf(Math.max(...y))) correct++;
+      const out = activations[activations.length - 1];
+      dataLoss += this.lossFn.value(out, y);
+      correct += countCorrect(out, y);
+    }
+    return { correct, loss: dataLoss / data.length + this.regularizationLoss() };
+  }
+
+  // Copies of every layer's saved tensors (weights and biases for dense layers)
+  getWeights() {
+    return this.layers.map(layer => Object.fromEntries(
+      Object.entries(layer.tensors()).map(([name, tensor]) => [name, tensor.clone()])
+    ));
+  }
+
+  // Restore weights captured with getWeights()
+  setWeights(snapshot) {
+    if (snapshot.length !== this.layers.length) {
+      throw new Error(`Expected weights for ${this.layers.length} layers, got ${snapshot.length}`);
     }
-    return correct;
+    snapshot.forEach((tensors, i) => {
+      for (const [name, tensor] of Object.entries(tensors)) this.layers[i][name] = tensor.clone();
+    });
+  }
+
+  // Sum of every layer's weight penalty
+  regularizationLoss() {
+    return this.layers.reduce((sum, layer) => sum + (layer.regularizationLoss ? layer.regularizationLoss() : 0), 0);
   }
 
+  // Output for a single input array
   predict(inputArr) {
     const { activations } = this.feedforward(inputArr);
     return activations[activations.length - 1].toArray();
   }
+
+  // Outputs for many input arrays, batchSize samples per forward pass
+  predictBatch(inputs, batchSize = 1000) {
+    const outputs = [];
+    for (let k = 0; k < inputs.length; k += batchSize) {
+      const x = NetworkMatrix.fromColumns(inputs.slice(k, k + batchSize));
+      const { activations } = this.feedforward(x);
+      const out = activations[activations.length - 1];
+      for (let j = 0; j < out.cols; j++) outputs.push(out.column(j));
+    }
+    return outputs;
+  }
+}
+
+// The bookkeeping of a training run, shared by Network.SGD and fitDataset (dataset.js),
+// which own the loop over batches: the optimizer and schedule, augmentation, callbacks,
+// the running totals and history, per-epoch logging, resume state and
+// metadata.training. options and resume as for Network.SGD; samples is the number of
+// training samples, or null when it is only known after the first epoch.
+export class TrainingRun {
+  constructor(network, epochs, batchSize, eta, options = {}, samples = null) {
+    const { verbose = true, resume = null } = options;
+    this.network = network;
+    this.options = options;
+    this.verbose = verbose;
+    this.resume = resume;
+    this.optimizer = Network.toOptimizer(eta);
+    this.schedule = options.schedule ? createSchedule(options.schedule, this.optimizer.learningRate) : null;
+    this.augmenter = options.augment ? createAugmenter(options.augment) : null;
+    this.callbacks = [...(options.callbacks || []), ...(options.checkpoint ? [options.checkpoint] : [])];
+    // position of the next batch to train plus the running totals of the current epoch
+    this.run = {
+      epoch: 0,
+      batch: 0,
+      step: 0,
+      epochRngState: null,
+      lossSum: 0,
+      correct: 0,
+      seen: 0,
+      epochs,
+      batchSize,
+      samples,
+      history: { epoch: [], loss: [], accuracy: [], valLoss: [], valAccuracy: [], lr: [] }
+    };
+    if (resume) {
+      if ((samples !== null && resume.samples !== samples) || resume.batchSize !== batchSize) {
+        throw new Error(
+          `Cannot resume: the run used ${resume.samples} samples in batches of ${resume.batchSize}, ` +
+          `got ${samples ?? 'a dataset'} in batches of ${batchSize}`
+        );
+      }
+      const { epoch, batch, step, epochRngState, lossSum, correct, seen, history } = resume;
+      Object.assign(this.run, { epoch, batch, step, epochRngState, lossSum, correct, seen, samples: resume.samples });
+      this.run.history = JSON.parse(JSON.stringify(history));
+      this.optimizer.loadState(resume.optimizer);
+      if (this.schedule && resume.schedule) this.schedule.loadState(resume.schedule.state);
+      network.rng.setState(resume.rngState);
+    }
+  }
+
+  notify(hook, ...args) {
+    for (const cb of this.callbacks) if (cb[hook]) cb[hook](...args);
+  }
+
+  // Start the run: makes the state available to network.trainingState()
+  begin() {
+    const { network, run, resume } = this;
+    network._training = this;
+    for (const cb of this.callbacks) if (cb.setModel) cb.setModel(network);
+    network.stopTraining = false;
+    this.notify('onTrainBegin', { epochs: run.epochs, batchSize: run.batchSize, initialEpoch: run.epoch });
+    // callback state is matched by position in the callbacks list
+    if (resume && resume.callbacks) {
+      this.callbacks.forEach((cb, i) => {
+        if (cb.loadState && resume.callbacks[i]) cb.loadState(resume.callbacks[i]);
+      });
+    }
+  }
+
+  beginEpoch(e) {
+    this.run.epoch = e;
+    this.run.epochRngState = this.network.rng.getState();
+    this.notify('onEpochBegin', e, {});
+  }
+
+  // One optimizer step on batch b of epoch e, a list of [input, target] pairs
+  trainBatch(pairs, b, e) {
+    const { network, optimizer, schedule, augmenter, run } = this;
+    const batch = augmenter ? pairs.map(([x, y]) => [augmenter.augment(x, network.rng), y]) : pairs;
+    if (schedule) optimizer.learningRate = schedule.getRate(run.step, e);
+    const stats = network.updateMiniBatch(batch, optimizer, this.options);
+    run.lossSum += stats.loss * batch.length;
+    run.correct += stats.correct;
+    run.seen += batch.length;
+    run.batch = b + 1;
+    run.step++;
+    this.notify('onBatchEnd', b, {
+      epoch: e,
+      step: run.step,
+      size: batch.length,
+      loss: stats.loss,
+      accuracy: stats.correct / batch.length,
+      lr: optimizer.learningRate
+    });
+    return stats;
+  }
+
+  // Close epoch e; val is the validation score { correct, loss, samples }, or null
+  endEpoch(e, val = null) {
+    const { optimizer, schedule, run, verbose } = this;
+    const logs = { loss: run.lossSum / run.seen, accuracy: run.correct / run.seen, lr: optimizer.learningRate };
+    if (val) {
+      logs.valLoss = val.loss;
+      logs.valAccuracy = val.correct / val.samples;
+      if (schedule) schedule.observe(logs.valAccuracy);
+      if (verbose) {
+        console.log(
+          `Epoch ${e}: ${val.correct} / ${val.samples}, loss ${val.loss.toFixed(4)} ` +
+          `(train loss ${logs.loss.toFixed(4)}, lr ${logs.lr.toPrecision(3)})`
+        );
+      }
+    } else if (verbose) {
+      console.log(`Epoch ${e} complete (train loss ${logs.loss.toFixed(4)}, lr ${logs.lr.toPrecision(3)})`);
+    }
+
+    run.history.epoch.push(e);
+    for (const key of ['loss', 'accuracy', 'valLoss', 'valAccuracy', 'lr']) {
+      if (logs[key] !== undefined) run.history[key].push(logs[key]);
+    }
+    if (run.samples === null) run.samples = run.seen;
+    Object.assign(run, { epoch: e + 1, batch: 0, epochRngState: null, lossSum: 0, correct: 0, seen: 0 });
+    this.notify('onEpochEnd', e, logs);
+    return logs;
+  }
+
+  // Finish the run; returns the history
+  end() {
+    const { network, optimizer, run } = this;
+    const { history } = run;
+    network.metadata.training = {
+      epochs: history.epoch.length,
+      batchSize: run.batchSize,
+      samples: run.samples,
+      optimizer: { type: optimizer.constructor.type, ...optimizer.config() },
+      final: Object.fromEntries(
+        ['loss', 'accuracy', 'valLoss', 'valAccuracy'].map(k => [k, history[k][history[k].length - 1]])
+      )
+    };
+    this.notify('onTrainEnd', { history });
+    network._training = null;
+    return history;
+  }
+}
+
+// Convert the original weights.json layout, a bare array of { weights, biases, rows, cols },
+// assuming sigmoid hidden layers and a softmax output as the old Network did
+function upgradeLegacyModel(layers) {
+  if (!layers.length) throw new Error('Invalid model file: no layers');
+  return {
+    format: MODEL_FORMAT,
+    version: MODEL_VERSION,
+    inputSize: layers[0].cols,
+    layers: layers.map((l, i) => ({
+      size: l.rows,
+      activation: i === layers.length - 1 ? 'softmax' : 'sigmoid',
+      init: 'uniform',
+      weights: l.weights,
+      biases: l.biases
+    })),
+    loss: { type: 'categoricalCrossEntropy' },
+    normalization: { scale: 1 / 255, offset: 0 },
+    labels: null,
+    metadata: { upgradedFrom: 'legacy weights array' }
+  };
+}
+
+// Weights may be plain arrays (JSON) or typed arrays (binary.js)
+const isNumberArray = a => Array.isArray(a) || ArrayBuffer.isView(a);
+const toFloat32 = a => (a instanceof Float32Array ? a : new Float32Array(a));
+const allFinite = a => Array.prototype.every.call(a, Number.isFinite);
+
+// Check a model description before building anything from it
+function validateModel(model) {
+  const fail = msg => {
+    throw new Error(`Invalid model file: ${msg}`);
+  };
+  if (!model || typeof model !== 'object') fail('expected a JSON object');
+  if (model.format !== MODEL_FORMAT) fail(`unknown format '${model.format}', expected '${MODEL_FORMAT}'`);
+  if (!Number.isInteger(model.version) || model.version < 1) fail(`bad version '${model.version}'`);
+  if (model.version > MODEL_VERSION) {
+    fail(`version ${model.version} is newer than the supported version ${MODEL_VERSION}`);
+  }
+  if (!Number.isInteger(model.inputSize) || model.inputSize < 1) fail(`bad inputSize '${model.inputSize}'`);
+  if (!Array.isArray(model.layers) || !model.layers.length) fail('no layers');
+
+  if (model.inputShape !== undefined) {
+    const { inputShape } = model;
+    if (!Array.isArray(inputShape) || !inputShape.every(d => Number.isInteger(d) && d > 0) ||
+      inputShape.reduce((n, d) => n * d, 1) !== model.inputSize) {
+      fail(`inputShape ${JSON.stringify(inputShape)} does not match inputSize ${model.inputSize}`);
+    }
+  }
+
+  // tensor sizes are checked against the built layers in fromJSON
+  model.layers.forEach((layer, i) => {
+    const { type, size, activation } = layer;
+    if (type !== undefined && type !== 'dense') {
+      if (!listLayers().includes(type)) fail(`layer ${i} has unknown type '${type}'`);
+    } else if (!Number.isInteger(size) || size < 1) {
+      fail(`layer ${i} has bad size '${size}'`);
+    }
+    if (activation !== undefined && !listActivations().includes(activation)) {
+      fail(`layer ${i} uses unregistered activation '${activation}'`);
+    }
+  });
+  if (model.loss && !listLosses().includes(model.loss.type)) fail(`unregistered loss '${model.loss.type}'`);
+  if (model.labels && !Array.isArray(model.labels)) fail(`labels must be an array, got ${model.labels}`);
+}
+
+// Number of columns whose argmax matches the target's argmax
+function countCorrect(output, target) {
+  let correct = 0;
+  for (let j = 0; j < output.cols; j++) {
+    let best = 0;
+    let bestTarget = 0;
+    for (let i = 1; i < output.rows; i++) {
+      if (output.get(i, j) > output.get(best, j)) best = i;
+      if (target.get(i, j) > target.get(bestTarget, j)) bestTarget = i;
+    }
+    if (best === bestTarget) correct++;
+  }
+  return correct;
+}
+
+// Optimizer state key of a layer parameter: w0, b0, ... for weights and biases, else name + index
+const paramKey = (name, i) => ({ weights: 'w', biases: 'b' }[name] || name) + i;
+
+// Clip the batch gradients in place: by global L2 norm, then element-wise by value
+function clipGradients(params, { clipNorm, clipValue } = {}) {
+  if (clipNorm) {
+    let sq = 0;
+    for (const p of params) {
+      for (const g of p.grad.data) sq += g * g;
+    }
+    const norm = Math.sqrt(sq);
+    if (norm > clipNorm) {
+      for (const p of params) p.grad = p.grad.multiply(clipNorm / norm);
+    }
+  }
+  if (clipValue) {
+    for (const p of params) {
+      p.grad = p.grad.map(g => Math.min(Math.max(g, -clipValue), clipValue));
+    }
+  }
 }
 
 export default Network;
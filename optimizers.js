@@ -0,0 +1,215 @@
+// optimizers.js
+// Gradient-based optimizers for Network training. Each optimizer keeps its own
+// per-parameter state (velocity, moments) keyed by parameter name, e.g. 'w0' or 'b0',
+// and can be serialized with toJSON() so a training run can resume later.
+
+import Matrix from './matrix.js';
+
+export class Optimizer {
+  constructor({ learningRate = 0.01 } = {}) {
+    this.learningRate = learningRate;
+    this.t = 0;
+    this.state = {};
+  }
+
+  // Apply one update to every parameter and return the new values.
+  // params: [{ key, value, grad, decay }] where grad is already averaged over the batch
+  // and decay marks parameters that weight decay applies to (weights, not biases).
+  step(params) {
+    this.t++;
+    return params.map(p => this.update(p.key, p.value, p.grad, p.decay !== false));
+  }
+
+  // Return the updated value of a single parameter
+  update(key, value, grad, decay) {
+    throw new Error(`${this.constructor.name} does not implement update()`);
+  }
+
+  // Per-parameter state buffer, created as zeros on first use
+  _slot(key, name, like) {
+    const slots = this.state[key] || (this.state[key] = {});
+    if (!slots[name]) slots[name] = Matrix.zeros(like.rows, like.cols);
+    return slots[name];
+  }
+
+  // Hyperparameters needed to rebuild this optimizer
+  config() {
+    return { learningRate: this.learningRate };
+  }
+
+  toJSON() {
+    const state = {};
+    for (const [key, slots] of Object.entries(this.state)) {
+      state[key] = {};
+      for (const [name, m] of Object.entries(slots)) {
+        state[key][name] = { rows: m.rows, cols: m.cols, data: m.toArray() };
+      }
+    }
+    return { type: this.constructor.type, config: this.config(), t: this.t, state };
+  }
+
+  // Restore step count and per-parameter state saved by toJSON()
+  loadState(json) {
+    this.t = json.t || 0;
+    this.state = {};
+    for (const [key, slots] of Object.entries(json.state || {})) {
+      this.state[key] = {};
+      for (const [name, m] of Object.entries(slots)) {
+        this.state[key][name] = new Matrix(m.rows, m.cols, new Float32Array(m.data));
+      }
+    }
+    return this;
+  }
+}
+
+// Plain stochastic gradient descent: w -= lr * g
+export class SGD extends Optimizer {
+  update(key, value, grad) {
+    const result = new Matrix(value.rows, value.cols);
+    for (let i = 0; i < result.data.length; i++) {
+      result.data[i] = value.data[i] - this.learningRate * grad.data[i];
+    }
+    return result;
+  }
+}
+SGD.type = 'sgd';
+
+// SGD with classical momentum: v = mu * v - lr * g; w += v
+export class Momentum extends Optimizer {
+  constructor({ learningRate = 0.01, momentum = 0.9 } = {}) {
+    super({ learningRate });
+    this.momentum = momentum;
+  }
+
+  update(key, value, grad) {
+    const v = this._slot(key, 'velocity', value);
+    const result = new Matrix(value.rows, value.cols);
+    for (let i = 0; i < result.data.length; i++) {
+      v.data[i] = this.momentum * v.data[i] - this.learningRate * grad.data[i];
+      result.data[i] = value.data[i] + v.data[i];
+    }
+    return result;
+  }
+
+  config() {
+    return { ...super.config(), momentum: this.momentum };
+  }
+}
+Momentum.type = 'momentum';
+
+// Nesterov accelerated gradient, in the usual "look-ahead" reformulation:
+// v' = mu * v - lr * g; w += -mu * v + (1 + mu) * v'
+export class Nesterov extends Momentum {
+  update(key, value, grad) {
+    const v = this._slot(key, 'velocity', value);
+    const mu = this.momentum;
+    const result = new Matrix(value.rows, value.cols);
+    for (let i = 0; i < result.data.length; i++) {
+      const prev = v.data[i];
+      v.data[i] = mu * prev - this.learningRate * grad.data[i];
+      result.data[i] = value.data[i] - mu * prev + (1 + mu) * v.data[i];
+    }
+    return result;
+  }
+}
+Nesterov.type = 'nesterov';
+
+// RMSprop: scale the step by a running average of squared gradients
+export class RMSprop extends Optimizer {
+  constructor({ learningRate = 0.001, rho = 0.9, epsilon = 1e-8 } = {}) {
+    super({ learningRate });
+    this.rho = rho;
+    this.epsilon = epsilon;
+  }
+
+  update(key, value, grad) {
+    const s = this._slot(key, 'meanSquare', value);
+    const result = new Matrix(value.rows, value.cols);
+    for (let i = 0; i < result.data.length; i++) {
+      const g = grad.data[i];
+      s.data[i] = this.rho * s.data[i] + (1 - this.rho) * g * g;
+      result.data[i] = value.data[i] - this.learningRate * g / (Math.sqrt(s.data[i]) + this.epsilon);
+    }
+    return result;
+  }
+
+  config() {
+    return { ...super.config(), rho: this.rho, epsilon: this.epsilon };
+  }
+}
+RMSprop.type = 'rmsprop';
+
+// Adam: bias-corrected first and second moment estimates
+export class Adam extends Optimizer {
+  constructor({ learningRate = 0.001, beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8 } = {}) {
+    super({ learningRate });
+    this.beta1 = beta1;
+    this.beta2 = beta2;
+    this.epsilon = epsilon;
+  }
+
+  update(key, value, grad) {
+    const m = this._slot(key, 'm', value);
+    const v = this._slot(key, 'v', value);
+    const { beta1, beta2 } = this;
+    const correction1 = 1 - Math.pow(beta1, this.t);
+    const correction2 = 1 - Math.pow(beta2, this.t);
+    const result = new Matrix(value.rows, value.cols);
+    for (let i = 0; i < result.data.length; i++) {
+      const g = grad.data[i];
+      m.data[i] = beta1 * m.data[i] + (1 - beta1) * g;
+      v.data[i] = beta2 * v.data[i] + (1 - beta2) * g * g;
+      const mHat = m.data[i] / correction1;
+      const vHat = v.data[i] / correction2;
+      result.data[i] = value.data[i] - this.learningRate * mHat / (Math.sqrt(vHat) + this.epsilon);
+    }
+    return result;
+  }
+
+  config() {
+    return { ...super.config(), beta1: this.beta1, beta2: this.beta2, epsilon: this.epsilon };
+  }
+}
+Adam.type = 'adam';
+
+// AdamW: Adam with weight decay decoupled from the gradient (applied to weights only)
+export class AdamW extends Adam {
+  constructor({ weightDecay = 0.01, ...rest } = {}) {
+    super(rest);
+    this.weightDecay = weightDecay;
+  }
+
+  update(key, value, grad, decay) {
+    const result = super.update(key, value, grad);
+    if (decay && this.weightDecay) {
+      const factor = this.learningRate * this.weightDecay;
+      for (let i = 0; i < result.data.length; i++) {
+        result.data[i] -= factor * value.data[i];
+      }
+    }
+    return result;
+  }
+
+  config() {
+    return { ...super.config(), weightDecay: this.weightDecay };
+  }
+}
+AdamW.type = 'adamw';
+
+const byType = Object.fromEntries([SGD, Momentum, Nesterov, RMSprop, Adam, AdamW].map(cls => [cls.type, cls]));
+
+// Build an optimizer from a type name or { type, ...config }, e.g. { type: 'adam', learningRate: 1e-3 }
+export function createOptimizer(spec) {
+  if (spec instanceof Optimizer) return spec;
+  const { type, ...config } = typeof spec === 'string' ? { type: spec } : spec;
+  const Cls = byType[String(type).toLowerCase()];
+  if (!Cls) {
+    throw new Error(`Unknown optimizer '${type}'. Available: ${Object.keys(byType).join(', ')}`);
+  }
+  return new Cls(config);
+}
+
+// Rebuild an optimizer, including its state, from toJSON() output
+export function optimizerFromJSON(json) {
+  return createOptimizer({ type: json.type, ...json.config }).loadState(json);
+}
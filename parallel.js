@@ -0,0 +1,306 @@
+// parallel.js
+// Data-parallel gradients on worker_threads (Node only). A WorkerPool splits every
+// mini-batch across its workers, which read the weights from SharedArrayBuffers:
+//   const pool = new WorkerPool(net, { workers: 4 });
+//   net.SGD(trainData, epochs, batchSize, eta, testData, { parallel: pool });
+//   pool.close();
+// Results are identical to single-threaded training with the same seed. Each worker
+// runs the forward pass and backprop deltas for a share of the samples (columns), then,
+// once all deltas are in, sums the gradients for a share of each layer's rows over the
+// whole batch, in the same order as Network.backprop. Dropout masks are drawn on the
+// main thread from the network's RNG, as a single-threaded run draws them.
+
+import os from 'os';
+import { Worker, MessageChannel, isMainThread, workerData, receiveMessageOnPort } from 'worker_threads';
+import Network from './network.js';
+import { Dense } from './layers.js';
+import { outputGradient } from './losses.js';
+import Matrix from './matrix.js';
+
+// Slots of the shared control array
+const GEN = 0; // bumped by the main thread to start a command
+const COMMAND = 1;
+const DONE = 2; // workers finished with the current command
+const READY = 3; // workers started up
+const BATCH = 4; // columns in the current batch
+const ERROR = 5; // set by a worker that failed
+
+// Commands
+const SETUP = 1; // read new buffers from the port
+const DELTAS = 2; // forward pass and deltas for a share of the columns
+const GRADIENTS = 3; // gradient sums for a share of the rows
+const EXIT = 4;
+
+const STARTUP_TIMEOUT = 60000;
+
+const floats = n => new Float32Array(new SharedArrayBuffer(4 * n));
+
+// Rows x cols matrix over the start of a shared array, without copying
+const view = (array, rows, cols) => new Matrix(rows, cols, array.subarray(0, rows * cols));
+
+// The [start, end) share of n items for worker `index` of `count`
+const share = (n, index, count) => [Math.floor(index * n / count), Math.floor((index + 1) * n / count)];
+
+// Columns [c0, c1) of a rows x m shared matrix, copied into a new Matrix
+function readColumns(array, rows, m, c0, c1) {
+  const result = new Matrix(rows, c1 - c0);
+  for (let i = 0; i < rows; i++) {
+    result.data.set(array.subarray(i * m + c0, i * m + c1), i * (c1 - c0));
+  }
+  return result;
+}
+
+// Write mat into columns starting at c0 of a rows x m shared array
+function writeColumns(array, m, c0, mat) {
+  for (let i = 0; i < mat.rows; i++) {
+    array.set(mat.data.subarray(i * mat.cols, (i + 1) * mat.cols), i * m + c0);
+  }
+}
+
+// Types of the layers of network that a WorkerPool cannot run; it runs dense layers only
+export function unsupportedLayers(network) {
+  return [...new Set(network.layers.filter(layer => !(layer instanceof Dense)).map(layer => layer.type))];
+}
+
+// Pool of workers computing Network.backprop for one architecture of dense layers. Any
+// network with the same layer shapes, activations, dropout and loss can use it.
+// options.workers: thread count (default: one per core). options.batchSize: initial
+// buffer capacity in samples (grown as needed). options.modules: absolute paths or file
+// URLs of modules each worker imports first, e.g. ones registering custom activations or losses.
+export class WorkerPool {
+  constructor(network, {
+    workers = os.availableParallelism ? os.availableParallelism() : os.cpus().length,
+    batchSize = 32,
+    modules = []
+  } = {}) {
+    if (!Number.isInteger(workers) || workers < 1) {
+      throw new Error(`workers must be a positive integer, got ${workers}`);
+    }
+    const unsupported = unsupportedLayers(network);
+    if (unsupported.length) {
+      throw new Error(`WorkerPool supports networks of dense layers only, got ${unsupported.join(', ')} layers`);
+    }
+    if (!network.lossFn.type) throw new Error('WorkerPool needs a registered loss (a name or { type } spec)');
+    this.shapes = network.layers.map(({ weights, activation, dropout }) => (
+      { rows: weights.rows, cols: weights.cols, activation, dropout }
+    ));
+    this.inputSize = network.layers[0].weights.cols;
+    // what a worker needs to rebuild the network; weights come through the buffers
+    const specs = this.shapes.map(({ rows, activation, dropout }) => ({ size: rows, activation, dropout }));
+    const model = {
+      sizes: [this.inputSize, ...specs],
+      loss: { type: network.lossFn.type, ...network.lossFn.options }
+    };
+    this.size = workers;
+    this.capacity = 0;
+    this.control = new Int32Array(new SharedArrayBuffer(8 * Int32Array.BYTES_PER_ELEMENT));
+    // weights are copied in before every batch; the worker networks read them in place
+    this.buffers = {
+      weights: this.shapes.map(({ rows, cols }) => floats(rows * cols)),
+      biases: this.shapes.map(({ rows }) => floats(rows)),
+      gradW: this.shapes.map(({ rows, cols }) => floats(rows * cols)),
+      gradB: this.shapes.map(({ rows }) => floats(rows))
+    };
+    this.workers = [];
+    this.ports = [];
+    for (let index = 0; index < workers; index++) {
+      const { port1, port2 } = new MessageChannel();
+      const worker = new Worker(new URL(import.meta.url), {
+        workerData: { nnParallel: true, index, count: workers, model, modules, control: this.control, port: port2 },
+        transferList: [port2]
+      });
+      worker.unref();
+      this.workers.push(worker);
+      this.ports.push(port1);
+    }
+    this.wait(READY, workers, STARTUP_TIMEOUT);
+    this.reserve(batchSize);
+  }
+
+  // Block until control[slot] reaches target, failing on a worker error or timeout
+  wait(slot, target, timeout = Infinity) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      if (Atomics.load(this.control, ERROR)) this.fail();
+      const value = Atomics.load(this.control, slot);
+      if (value >= target) return;
+      const left = deadline - Date.now();
+      if (left <= 0) {
+        this.close();
+        throw new Error('WorkerPool workers did not start in time');
+      }
+      Atomics.wait(this.control, slot, value, Math.min(left, 1000));
+    }
+  }
+
+  // Throw the first error reported by a worker; the pool is closed
+  fail() {
+    let message = 'unknown error';
+    for (const port of this.ports) {
+      const received = receiveMessageOnPort(port);
+      if (received) {
+        message = received.message.error;
+        break;
+      }
+    }
+    this.close();
+    throw new Error(`WorkerPool worker failed: ${message}`);
+  }
+
+  // Run a command on every worker and wait for all of them
+  command(command) {
+    if (!this.workers) throw new Error('WorkerPool is closed');
+    Atomics.store(this.control, COMMAND, command);
+    Atomics.store(this.control, DONE, 0);
+    Atomics.add(this.control, GEN, 1);
+    Atomics.notify(this.control, GEN);
+    this.wait(DONE, this.size);
+  }
+
+  // Make sure the per-sample buffers hold batches of m columns
+  reserve(m) {
+    if (m <= this.capacity) return;
+    const { shapes } = this;
+    const last = shapes[shapes.length - 1];
+    Object.assign(this.buffers, {
+      x: floats(this.inputSize * m),
+      y: floats(last.rows * m),
+      output: floats(last.rows * m),
+      masks: shapes.map(({ rows, dropout }) => (dropout ? floats(rows * m) : null)),
+      // inputs to layers 1..n-1; layer 0 reads x
+      inputs: shapes.map(({ cols }, l) => (l > 0 ? floats(cols * m) : null)),
+      deltas: shapes.map(({ rows }) => floats(rows * m))
+    });
+    this.capacity = m;
+    for (const port of this.ports) port.postMessage(this.buffers);
+    this.command(SETUP);
+  }
+
+  // Same as network.backprop(x, y): gradients summed over the batch, plus the output.
+  // Dropout masks are drawn from the network's layers in the same order.
+  backprop(network, x, y) {
+    const { shapes, buffers } = this;
+    const matches = (layer, { rows, cols, activation, dropout }) => layer instanceof Dense &&
+      layer.weights.rows === rows && layer.weights.cols === cols &&
+      layer.activation === activation && layer.dropout === dropout;
+    if (network.layers.length !== shapes.length || !network.layers.every((layer, l) => matches(layer, shapes[l]))) {
+      throw new Error('Network does not match the architecture of this WorkerPool');
+    }
+    const m = x.cols;
+    this.reserve(m);
+    network.layers.forEach((layer, l) => {
+      buffers.weights[l].set(layer.weights.data);
+      buffers.biases[l].set(layer.biases.data);
+      if (layer.dropout) buffers.masks[l].set(layer.dropoutMask(layer.weights.rows, m).data);
+    });
+    buffers.x.set(x.data);
+    buffers.y.set(y.data);
+    Atomics.store(this.control, BATCH, m);
+    this.command(DELTAS);
+    this.command(GRADIENTS);
+    const last = shapes[shapes.length - 1];
+    return {
+      grads: shapes.map(({ rows, cols }, l) => ({
+        weights: new Matrix(rows, cols, buffers.gradW[l].slice()),
+        biases: new Matrix(rows, 1, buffers.gradB[l].slice())
+      })),
+      output: new Matrix(last.rows, m, buffers.output.slice(0, last.rows * m))
+    };
+  }
+
+  // Stop the workers
+  close() {
+    if (!this.workers) return;
+    Atomics.store(this.control, COMMAND, EXIT);
+    Atomics.add(this.control, GEN, 1);
+    Atomics.notify(this.control, GEN);
+    for (const port of this.ports) port.close();
+    this.workers = null;
+  }
+}
+
+// WORKER SIDE
+
+async function runWorker({ index, count, model, modules, control, port }) {
+  let net;
+  try {
+    for (const specifier of modules) await import(specifier);
+    net = new Network(model.sizes, { loss: model.loss });
+  } catch (err) {
+    port.postMessage({ error: err.stack || String(err) });
+    Atomics.store(control, ERROR, 1);
+    Atomics.notify(control, READY);
+    return;
+  }
+  Atomics.add(control, READY, 1);
+  Atomics.notify(control, READY);
+
+  let buffers = null;
+  let gen = 0;
+  for (;;) {
+    Atomics.wait(control, GEN, gen);
+    gen = Atomics.load(control, GEN);
+    const command = Atomics.load(control, COMMAND);
+    if (command === EXIT) break;
+    try {
+      if (command === SETUP) {
+        buffers = receiveMessageOnPort(port).message;
+        net.layers.forEach((layer, l) => {
+          layer.weights = new Matrix(layer.weights.rows, layer.weights.cols, buffers.weights[l]);
+          layer.biases = new Matrix(layer.biases.rows, 1, buffers.biases[l]);
+        });
+      } else if (command === DELTAS) {
+        computeDeltas(net, buffers, Atomics.load(control, BATCH), share(Atomics.load(control, BATCH), index, count));
+      } else if (command === GRADIENTS) {
+        computeGradients(net, buffers, Atomics.load(control, BATCH), index, count);
+      }
+    } catch (err) {
+      port.postMessage({ error: err.stack || String(err) });
+      Atomics.store(control, ERROR, 1);
+    }
+    Atomics.add(control, DONE, 1);
+    Atomics.notify(control, DONE);
+  }
+  port.close();
+}
+
+// Forward pass and deltas for columns [c0, c1) of the batch
+function computeDeltas(net, buffers, m, [c0, c1]) {
+  if (c0 === c1) return;
+  const layers = net.layers;
+  const x = readColumns(buffers.x, layers[0].weights.cols, m, c0, c1);
+  const y = readColumns(buffers.y, layers[layers.length - 1].weights.rows, m, c0, c1);
+  const masks = layers.map((layer, l) => (
+    layer.dropout ? readColumns(buffers.masks[l], layer.weights.rows, m, c0, c1) : null
+  ));
+  const { activations, caches } = net.feedforward(x, true, masks);
+  const output = activations[layers.length];
+  // Dense.backward without the gradient sums, which need every column
+  let grad = outputGradient(net.lossFn, output, y);
+  for (let l = layers.length - 1; l >= 0; l--) {
+    const delta = layers[l].delta(grad, caches[l]);
+    writeColumns(buffers.deltas[l], m, c0, delta);
+    if (l > 0) {
+      writeColumns(buffers.inputs[l], m, c0, caches[l].input);
+      grad = Matrix.dot(Matrix.transpose(layers[l].weights), delta);
+    }
+  }
+  writeColumns(buffers.output, m, c0, output);
+}
+
+// Gradient sums over the whole batch for this worker's share of every layer's rows
+function computeGradients(net, buffers, m, index, count) {
+  net.layers.forEach((layer, l) => {
+    const { rows, cols } = layer.weights;
+    const [r0, r1] = share(rows, index, count);
+    if (r0 === r1) return;
+    const delta = new Matrix(r1 - r0, m, buffers.deltas[l].subarray(r0 * m, r1 * m));
+    const input = view(l === 0 ? buffers.x : buffers.inputs[l], cols, m);
+    buffers.gradW[l].set(Matrix.dot(delta, Matrix.transpose(input)).data, r0 * cols);
+    buffers.gradB[l].set(delta.rowSums().data, r0);
+  });
+}
+
+if (!isMainThread && workerData && workerData.nnParallel) runWorker(workerData);
+
+export default WorkerPool;
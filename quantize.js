@@ -0,0 +1,70 @@
+// quantize.js
+// Node script: encode a model at every storage precision and report size and accuracy.
+// Usage: node quantize.js <model.json|model.bin> <data file> [--write <prefix>]
+// With --write, the containers are saved as <prefix>.float32.bin, <prefix>.float16.bin, ...
+
+import fs from 'fs/promises';
+import Network from './network.js';
+import { encodeModel, decodeModel } from './binary.js';
+import { formatTable } from './evaluation.js';
+import { loadPairs } from './dataset.js';
+
+async function loadModel(path) {
+  const raw = await fs.readFile(path);
+  return path.endsWith('.bin') ? decodeModel(raw) : Network.fromJSON(JSON.parse(raw.toString('utf8')));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const writeAt = args.indexOf('--write');
+  const prefix = writeAt >= 0 ? args.splice(writeAt, 2)[1] : null;
+  const [modelPath, dataPath] = args;
+  if (!modelPath || !dataPath) {
+    console.error('Usage: node quantize.js <model.json|model.bin> <data file> [--write <prefix>]');
+    process.exit(1);
+  }
+
+  const net = await loadModel(modelPath);
+  const data = await loadPairs(dataPath, net);
+  const inputs = data.map(([x]) => x);
+  const reference = net.predictBatch(inputs);
+  const baseline = net.evaluate(data) / data.length;
+  const jsonBytes = Buffer.byteLength(JSON.stringify(net));
+
+  const rows = [['json', jsonBytes, '100.0%', (baseline * 100).toFixed(2) + '%', '-', '-', '-']];
+  for (const dtype of ['float32', 'float16', 'int8']) {
+    const buffer = encodeModel(net, { dtype });
+    const restored = decodeModel(buffer);
+    const outputs = restored.predictBatch(inputs);
+    let maxDiff = 0;
+    let agree = 0;
+    outputs.forEach((out, i) => {
+      const ref = reference[i];
+      out.forEach((v, k) => {
+        maxDiff = Math.max(maxDiff, Math.abs(v - ref[k]));
+      });
+      if (out.indexOf(Math.max(...out)) === ref.indexOf(Math.max(...ref))) agree++;
+    });
+    const accuracy = restored.evaluate(data) / data.length;
+    rows.push([
+      dtype,
+      buffer.byteLength,
+      (buffer.byteLength / jsonBytes * 100).toFixed(1) + '%',
+      (accuracy * 100).toFixed(2) + '%',
+      ((accuracy - baseline) * 100).toFixed(2),
+      (agree / data.length * 100).toFixed(2) + '%',
+      maxDiff.toExponential(2)
+    ]);
+    if (prefix) {
+      await fs.writeFile(`${prefix}.${dtype}.bin`, Buffer.from(buffer));
+    }
+  }
+
+  console.log(`${data.length} samples from ${dataPath}\n`);
+  console.log(formatTable(['format', 'bytes', 'vs json', 'accuracy', 'delta pts', 'same argmax', 'max |diff|'], rows));
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+// random.js
+// Seedable pseudo-random number generator (mulberry32) used for weight initialization,
+// dropout masks and shuffling, so runs with the same seed are reproducible.
+
+export class RNG {
+  constructor(seed = Math.floor(Math.random() * 0x100000000)) {
+    this.seed(seed);
+  }
+
+  // Reset the generator to the start of the sequence for this seed
+  seed(seed) {
+    this.state = seed >>> 0;
+    this.spare = null;
+    return this;
+  }
+
+  // Uniform float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Uniform float in [min, max)
+  uniform(min = 0, max = 1) {
+    return min + (max - min) * this.next();
+  }
+
+  // Normally distributed float (Box-Muller, second value cached for the next call)
+  normal(mean = 0, std = 1) {
+    if (this.spare !== null) {
+      const z = this.spare;
+      this.spare = null;
+      return mean + std * z;
+    }
+    let u = 0;
+    while (u === 0) u = this.next();
+    const v = this.next();
+    const r = Math.sqrt(-2 * Math.log(u));
+    this.spare = r * Math.sin(2 * Math.PI * v);
+    return mean + std * r * Math.cos(2 * Math.PI * v);
+  }
+
+  // Uniform integer in [0, n)
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  // Fisher-Yates shuffle in place
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  // Snapshot of the generator position, restorable with setState()
+  getState() {
+    return { state: this.state, spare: this.spare };
+  }
+
+  setState({ state, spare = null }) {
+    this.state = state >>> 0;
+    this.spare = spare;
+    return this;
+  }
+}
+
+// Shared generator used when no explicit RNG is passed
+const globalRng = new RNG();
+
+export function getRNG() {
+  return globalRng;
+}
+
+// Seed the shared generator
+export function seed(value) {
+  globalRng.seed(value);
+}
+
+export default RNG;
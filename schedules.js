@@ -0,0 +1,285 @@
+// schedules.js
+// Learning-rate schedules. The training loop asks a schedule for the current rate
+// before every mini-batch with getRate(step, epoch), where step counts batches from
+// the start of training, and reports the epoch's test metric through observe().
+// Schedules that count in epochs use by: 'epoch' (the default); by: 'step' counts batches.
+
+export class Schedule {
+  constructor({ by = 'epoch' } = {}) {
+    if (by !== 'epoch' && by !== 'step') {
+      throw new Error(`Schedule 'by' must be 'epoch' or 'step', got '${by}'`);
+    }
+    this.by = by;
+  }
+
+  // Learning rate to use for the given global step and epoch
+  getRate(step, epoch) {
+    throw new Error(`${this.constructor.name} does not implement getRate()`);
+  }
+
+  // Feed the epoch's monitored metric (only ReduceOnPlateau uses it)
+  observe(metric) {}
+
+  // Position on this schedule's time axis
+  _time(step, epoch) {
+    return this.by === 'step' ? step : epoch;
+  }
+
+  // Hyperparameters needed to rebuild this schedule
+  config() {
+    return { by: this.by };
+  }
+
+  // Mutable state that changes during training
+  getState() {
+    return {};
+  }
+
+  loadState(state) {
+    return this;
+  }
+
+  toJSON() {
+    return { type: this.constructor.type, config: this.config(), state: this.getState() };
+  }
+}
+
+// Fixed learning rate
+export class ConstantLR extends Schedule {
+  constructor({ rate = 0.01, ...rest } = {}) {
+    super(rest);
+    this.rate = rate;
+  }
+
+  getRate() {
+    return this.rate;
+  }
+
+  config() {
+    return { ...super.config(), rate: this.rate };
+  }
+}
+ConstantLR.type = 'constant';
+
+// Multiply the rate by gamma every stepSize epochs (or steps)
+export class StepDecay extends Schedule {
+  constructor({ initialRate = 0.01, stepSize = 10, gamma = 0.1, ...rest } = {}) {
+    super(rest);
+    this.initialRate = initialRate;
+    this.stepSize = stepSize;
+    this.gamma = gamma;
+  }
+
+  getRate(step, epoch) {
+    return this.initialRate * Math.pow(this.gamma, Math.floor(this._time(step, epoch) / this.stepSize));
+  }
+
+  config() {
+    return { ...super.config(), initialRate: this.initialRate, stepSize: this.stepSize, gamma: this.gamma };
+  }
+}
+StepDecay.type = 'step';
+
+// rate = initialRate * gamma^t
+export class ExponentialDecay extends Schedule {
+  constructor({ initialRate = 0.01, gamma = 0.95, ...rest } = {}) {
+    super(rest);
+    this.initialRate = initialRate;
+    this.gamma = gamma;
+  }
+
+  getRate(step, epoch) {
+    return this.initialRate * Math.pow(this.gamma, this._time(step, epoch));
+  }
+
+  config() {
+    return { ...super.config(), initialRate: this.initialRate, gamma: this.gamma };
+  }
+}
+ExponentialDecay.type = 'exponential';
+
+// Cosine annealing with warm restarts (SGDR): the rate falls from initialRate to
+// minRate over `period`, then restarts; each cycle is periodMult times longer.
+export class CosineAnnealing extends Schedule {
+  constructor({ initialRate = 0.01, minRate = 0, period = 10, periodMult = 1, ...rest } = {}) {
+    super(rest);
+    if (period <= 0 || periodMult < 1) {
+      throw new Error('CosineAnnealing needs period > 0 and periodMult >= 1');
+    }
+    this.initialRate = initialRate;
+    this.minRate = minRate;
+    this.period = period;
+    this.periodMult = periodMult;
+  }
+
+  getRate(step, epoch) {
+    let t = this._time(step, epoch);
+    let length = this.period;
+    while (t >= length) {
+      t -= length;
+      length *= this.periodMult;
+    }
+    const cos = (1 + Math.cos(Math.PI * t / length)) / 2;
+    return this.minRate + (this.initialRate - this.minRate) * cos;
+  }
+
+  config() {
+    return {
+      ...super.config(),
+      initialRate: this.initialRate,
+      minRate: this.minRate,
+      period: this.period,
+      periodMult: this.periodMult
+    };
+  }
+}
+CosineAnnealing.type = 'cosine';
+
+// Ramp linearly from startRate to the wrapped schedule's rate over `warmup` steps
+// (or epochs), then hand over to it. after is a Schedule, a spec, or a fixed rate.
+export class LinearWarmup extends Schedule {
+  constructor({ warmup = 100, startRate = 0, after = 0.01, by = 'step' } = {}) {
+    super({ by });
+    this.warmup = warmup;
+    this.startRate = startRate;
+    this.after = typeof after === 'number' ? new ConstantLR({ rate: after }) : createSchedule(after);
+  }
+
+  getRate(step, epoch) {
+    const target = this.after.getRate(step, epoch);
+    const t = this._time(step, epoch);
+    if (t >= this.warmup) return target;
+    return this.startRate + (target - this.startRate) * (t + 1) / this.warmup;
+  }
+
+  observe(metric) {
+    this.after.observe(metric);
+  }
+
+  config() {
+    return {
+      ...super.config(),
+      warmup: this.warmup,
+      startRate: this.startRate,
+      after: { type: this.after.constructor.type, ...this.after.config() }
+    };
+  }
+
+  getState() {
+    return this.after.getState();
+  }
+
+  loadState(state) {
+    this.after.loadState(state);
+    return this;
+  }
+}
+LinearWarmup.type = 'warmup';
+
+// Cut the rate by `factor` when the test metric stops improving for `patience` epochs.
+// mode 'max' for accuracy-like metrics, 'min' for losses.
+export class ReduceOnPlateau extends Schedule {
+  constructor({
+    initialRate = 0.01,
+    factor = 0.1,
+    patience = 5,
+    mode = 'max',
+    minDelta = 0,
+    minRate = 0,
+    cooldown = 0
+  } = {}) {
+    super({ by: 'epoch' });
+    if (mode !== 'max' && mode !== 'min') {
+      throw new Error(`ReduceOnPlateau mode must be 'max' or 'min', got '${mode}'`);
+    }
+    this.initialRate = initialRate;
+    this.factor = factor;
+    this.patience = patience;
+    this.mode = mode;
+    this.minDelta = minDelta;
+    this.minRate = minRate;
+    this.cooldown = cooldown;
+    this.rate = initialRate;
+    this.best = null;
+    this.wait = 0;
+    this.cooldownLeft = 0;
+  }
+
+  getRate() {
+    return this.rate;
+  }
+
+  observe(metric) {
+    const improved = this.best === null || (this.mode === 'max'
+      ? metric > this.best + this.minDelta
+      : metric < this.best - this.minDelta);
+    if (improved) {
+      this.best = metric;
+      this.wait = 0;
+    } else if (this.cooldownLeft > 0) {
+      this.cooldownLeft--;
+    } else if (++this.wait >= this.patience) {
+      this.rate = Math.max(this.rate * this.factor, this.minRate);
+      this.wait = 0;
+      this.cooldownLeft = this.cooldown;
+    }
+  }
+
+  config() {
+    return {
+      initialRate: this.initialRate,
+      factor: this.factor,
+      patience: this.patience,
+      mode: this.mode,
+      minDelta: this.minDelta,
+      minRate: this.minRate,
+      cooldown: this.cooldown
+    };
+  }
+
+  getState() {
+    return { rate: this.rate, best: this.best, wait: this.wait, cooldownLeft: this.cooldownLeft };
+  }
+
+  loadState(state) {
+    Object.assign(this, state);
+    return this;
+  }
+}
+ReduceOnPlateau.type = 'plateau';
+
+const byType = Object.fromEntries(
+  [ConstantLR, StepDecay, ExponentialDecay, CosineAnnealing, LinearWarmup, ReduceOnPlateau]
+    .map(cls => [cls.type, cls])
+);
+
+// Fill in the starting rate a spec leaves out: initialRate, the rate of a constant
+// schedule, or the target (after) of a warmup
+function withDefaultRate(type, config, rate) {
+  if (rate === undefined) return config;
+  if (type === 'constant') return { rate, ...config };
+  if (type === 'warmup') {
+    const { after } = config;
+    if (after === undefined) return { ...config, after: rate };
+    return { ...config, after: typeof after === 'number' ? after : createSchedule(after, rate) };
+  }
+  return { initialRate: rate, ...config };
+}
+
+// Build a schedule from { type, ...config }, e.g. { type: 'cosine', initialRate: 0.1, period: 5 }.
+// defaultRate, normally the optimizer's learning rate, is used where the spec sets no
+// starting rate; without it the schedules start at 0.01.
+export function createSchedule(spec, defaultRate) {
+  if (spec instanceof Schedule) return spec;
+  const { type, ...config } = typeof spec === 'string' ? { type: spec } : spec;
+  const Cls = byType[type];
+  if (!Cls) {
+    throw new Error(`Unknown schedule '${type}'. Available: ${Object.keys(byType).join(', ')}`);
+  }
+  return new Cls(withDefaultRate(type, config, defaultRate));
+}
+
+// Rebuild a schedule, including its state, from toJSON() output
+export function scheduleFromJSON(json) {
+  return createSchedule({ type: json.type, ...json.config }).loadState(json.state || {});
+}
@@ -0,0 +1,233 @@
+// search.js
+// Hyperparameter search over Network training configurations (Node: writes files).
+// A configuration uses the keys of an nnjs train config (layers, loss, normalization,
+// labels, optimizer, schedule, epochs, batchSize, clipNorm, augment, seed); the search
+// space maps keys, dotted for nested values such as 'optimizer.learningRate', to the
+// values to try. Results go to a JSON leaderboard and the best network can be saved.
+
+import fs from 'fs';
+import Network from './network.js';
+import RNG from './random.js';
+import { LambdaCallback } from './callbacks.js';
+import { crossValidate } from './validation.js';
+import { saveModel } from './cli.js';
+
+// Settings a trial falls back on when neither the base config nor the space sets them
+const TRIAL_DEFAULTS = { epochs: 10, batchSize: 16, optimizer: { type: 'sgd', learningRate: 0.05 } };
+
+// Copy of config with each dotted key in params set
+function applyParams(config, params) {
+  const result = JSON.parse(JSON.stringify(config));
+  for (const [key, value] of Object.entries(params)) {
+    const path = key.split('.');
+    let target = result;
+    for (const part of path.slice(0, -1)) {
+      if (typeof target[part] !== 'object' || target[part] === null) target[part] = {};
+      target = target[part];
+    }
+    target[path[path.length - 1]] = value;
+  }
+  return result;
+}
+
+// Every combination of the listed values; keys whose value is not an array stay fixed
+export function gridSearch(space) {
+  let combos = [{}];
+  for (const [key, values] of Object.entries(space)) {
+    const options = Array.isArray(values) ? values : [values];
+    combos = combos.flatMap(combo => options.map(v => ({ ...combo, [key]: v })));
+  }
+  return combos;
+}
+
+// n random configurations. An array is sampled uniformly; { min, max } uniformly, or
+// log-uniformly with log: true, rounded with int: true; anything else stays fixed.
+export function randomSearch(space, n, rng = new RNG()) {
+  const drawValue = spec => {
+    if (Array.isArray(spec)) return spec[rng.int(spec.length)];
+    if (spec && typeof spec === 'object' && 'min' in spec && 'max' in spec) {
+      const { min, max, log = false, int = false } = spec;
+      const v = log ? Math.exp(rng.uniform(Math.log(min), Math.log(max))) : rng.uniform(min, max);
+      return int ? Math.round(v) : v;
+    }
+    return spec;
+  };
+  return Array.from({ length: n }, () => Object.fromEntries(
+    Object.entries(space).map(([key, spec]) => [key, drawValue(spec)])
+  ));
+}
+
+function buildNetwork(config, seed) {
+  return new Network(config.layers, {
+    loss: config.loss,
+    seed: config.seed ?? seed,
+    normalization: config.normalization || null,
+    labels: config.labels || null
+  });
+}
+
+// Train to `epochs` total epochs, continuing from a previous trainingState() when given.
+// Returns the history and the state to continue from later.
+function trainNetwork(network, config, trainData, validation, epochs, resume = null) {
+  let state = null;
+  const capture = new LambdaCallback({ onTrainEnd: () => { state = network.trainingState(); } });
+  const history = network.SGD(trainData, epochs, config.batchSize, config.optimizer, validation, {
+    schedule: config.schedule,
+    clipNorm: config.clipNorm,
+    clipValue: config.clipValue,
+    augment: config.augment,
+    callbacks: [capture],
+    resume,
+    verbose: false
+  });
+  return { history, state };
+}
+
+const last = values => values[values.length - 1];
+
+// Run a search. strategy 'grid' tries every combination in space, 'random' draws `trials`
+// configurations. Each trial trains a network from `base` plus its params and is scored by
+// `metric` on validationData after its last epoch; with folds > 1 it is scored by k-fold
+// cross-validation on trainData instead (valAccuracy or valLoss, averaged over folds).
+// halving: { minEpochs, eta } runs successive halving: every trial trains minEpochs
+// epochs, the best 1/eta continue (resuming exactly) for eta times as many, and so on up
+// to the configured epochs. leaderboard / out: paths for the JSON results and the best
+// model (.json or .bin in `dtype`). Returns { best, trials }, best ranked first.
+export function runSearch(trainData, validationData, {
+  space,
+  base = {},
+  strategy = 'grid',
+  trials = 10,
+  halving = null,
+  folds = 0,
+  metric = 'valAccuracy',
+  mode = 'auto',
+  seed = 0,
+  leaderboard = null,
+  out = null,
+  dtype = 'float32',
+  verbose = true
+} = {}) {
+  if (!space || !Object.keys(space).length) throw new Error('runSearch needs a non-empty search space');
+  if (!['valAccuracy', 'valLoss'].includes(metric)) {
+    throw new Error(`metric must be 'valAccuracy' or 'valLoss', got '${metric}'`);
+  }
+  if (folds > 1 && halving) throw new Error('Successive halving cannot be combined with cross-validation folds');
+  if (folds <= 1 && !validationData) throw new Error('runSearch needs validation data (or folds > 1)');
+  const maximize = mode === 'auto' ? metric === 'valAccuracy' : mode === 'max';
+  const rng = new RNG(seed);
+  let candidates;
+  if (strategy === 'grid') candidates = gridSearch(space);
+  else if (strategy === 'random') candidates = randomSearch(space, trials, rng);
+  else throw new Error(`Unknown search strategy '${strategy}'. Use 'grid' or 'random'`);
+
+  const results = candidates.map((params, id) => ({
+    id,
+    params,
+    config: applyParams({ ...TRIAL_DEFAULTS, ...base }, params),
+    score: null,
+    valAccuracy: null,
+    valLoss: null,
+    epochs: 0,
+    rung: 0,
+    seconds: 0,
+    network: null,
+    state: null
+  }));
+  // later halving rungs rank first, then by score; unscored trials go last
+  const ranked = () => [...results].sort((a, b) => {
+    if (a.rung !== b.rung) return b.rung - a.rung;
+    if (a.score === null || b.score === null) return (a.score === null) - (b.score === null);
+    return maximize ? b.score - a.score : a.score - b.score;
+  });
+  const writeLeaderboard = () => {
+    if (!leaderboard) return;
+    const entries = ranked().map(({ id, params, score, valAccuracy, valLoss, epochs, rung, seconds }, i) => (
+      { rank: i + 1, id, params, score, valAccuracy, valLoss, epochs, rung, seconds }
+    ));
+    const board = { metric, mode: maximize ? 'max' : 'min', strategy, halving, folds, trials: entries };
+    fs.writeFileSync(leaderboard, JSON.stringify(board, null, 2));
+  };
+  const report = r => {
+    if (!verbose) return;
+    console.log(
+      `Trial ${r.id + 1}/${results.length} ${JSON.stringify(r.params)}: ${metric} ${r.score.toFixed(4)} ` +
+      `after ${r.epochs} epochs (${r.seconds.toFixed(1)}s)`
+    );
+  };
+  // Train (or keep training) one trial on the hold-out validation data
+  const runTrial = (r, epochs) => {
+    const start = Date.now();
+    if (!r.network) r.network = buildNetwork(r.config, seed);
+    const { history, state } = trainNetwork(r.network, r.config, trainData, validationData, epochs, r.state);
+    Object.assign(r, {
+      state,
+      epochs,
+      valAccuracy: last(history.valAccuracy),
+      valLoss: last(history.valLoss),
+      seconds: r.seconds + (Date.now() - start) / 1000
+    });
+    r.score = r[metric];
+    report(r);
+    writeLeaderboard();
+  };
+
+  if (halving) {
+    const { minEpochs = 1, eta = 3 } = halving;
+    let alive = results;
+    let budget = minEpochs;
+    for (let rung = 0; ; rung++) {
+      for (const r of alive) {
+        r.rung = rung;
+        runTrial(r, Math.min(budget, r.config.epochs));
+      }
+      const unfinished = alive.some(r => r.epochs < r.config.epochs);
+      if (alive.length <= 1 || !unfinished) break;
+      alive = ranked().filter(r => alive.includes(r)).slice(0, Math.max(1, Math.floor(alive.length / eta)));
+      for (const r of results) {
+        if (!alive.includes(r)) r.network = r.state = null; // free eliminated trials
+      }
+      budget *= eta;
+    }
+  } else if (folds > 1) {
+    for (const r of results) {
+      const start = Date.now();
+      const cv = crossValidate(
+        trainData,
+        () => buildNetwork(r.config, seed),
+        (network, tr, va) => trainNetwork(network, r.config, tr, va, r.config.epochs).history,
+        { k: folds, rng: new RNG(seed) }
+      );
+      Object.assign(r, {
+        epochs: r.config.epochs,
+        valAccuracy: cv.accuracy.mean,
+        valLoss: cv.loss.mean,
+        folds: cv.folds.map(f => ({ accuracy: f.accuracy, loss: f.loss })),
+        seconds: (Date.now() - start) / 1000
+      });
+      r.score = r[metric];
+      report(r);
+      writeLeaderboard();
+    }
+  } else {
+    for (const r of results) {
+      runTrial(r, r.config.epochs);
+      // only the best network so far is kept in memory
+      const best = ranked()[0];
+      for (const other of results) if (other !== best) other.network = other.state = null;
+    }
+  }
+
+  const best = ranked()[0];
+  if (!best.network) {
+    // cross-validation scores folds only; train the winner on all the training data
+    best.network = buildNetwork(best.config, seed);
+    trainNetwork(best.network, best.config, trainData, null, best.config.epochs);
+  }
+  best.network.metadata.search = { params: best.params, metric, score: best.score };
+  if (out) saveModel(best.network, out, dtype);
+  return {
+    best: { id: best.id, params: best.params, config: best.config, score: best.score, network: best.network },
+    trials: ranked().map(({ network, state, config, ...entry }) => entry)
+  };
+}
@@ -0,0 +1,89 @@
+// sequential.js
+// Sequential model builder: stack layers one call at a time, then build a Network.
+//   const net = new Sequential({ inputShape: [1, 28, 28] })
+//     .conv2d({ filters: 6, kernelSize: 5, padding: 'same' })
+//     .maxPool2d()
+//     .flatten()
+//     .dense(64, { activation: 'relu' })
+//     .dropout(0.2)
+//     .dense(10, { activation: 'softmax' })
+//     .build({ loss: 'categoricalCrossEntropy', seed: 1 });
+// add({ type, ...options }) stacks any registered layer type, including custom ones
+// (see registerLayer in layers.js).
+
+import Network from './network.js';
+
+export class Sequential {
+  // inputShape: shape of one input sample, e.g. [784] or [channels, height, width];
+  // inputSize is shorthand for a flat [inputSize]
+  constructor({ inputShape, inputSize } = {}) {
+    const shape = inputShape || (inputSize !== undefined ? [inputSize] : null);
+    if (!Array.isArray(shape) || !shape.length || !shape.every(d => Number.isInteger(d) && d > 0)) {
+      throw new Error(`Sequential needs an inputShape or inputSize, got ${JSON.stringify(inputShape ?? inputSize)}`);
+    }
+    this.inputShape = [...shape];
+    this.specs = [];
+  }
+
+  // Stack a layer spec { type, ...options }; returns this for chaining
+  add(spec) {
+    if (!spec || typeof spec.type !== 'string') {
+      throw new Error(`Sequential.add needs a { type, ...options } layer spec, got ${JSON.stringify(spec)}`);
+    }
+    this.specs.push({ ...spec });
+    return this;
+  }
+
+  dense(size, options = {}) {
+    return this.add({ type: 'dense', size, ...options });
+  }
+
+  dropout(rate, options = {}) {
+    return this.add({ type: 'dropout', rate, ...options });
+  }
+
+  activation(activation) {
+    return this.add({ type: 'activation', activation });
+  }
+
+  batchNorm(options = {}) {
+    return this.add({ type: 'batchNorm', ...options });
+  }
+
+  conv2d(options) {
+    return this.add({ type: 'conv2d', ...options });
+  }
+
+  maxPool2d(options = {}) {
+    return this.add({ type: 'maxPool2d', ...options });
+  }
+
+  avgPool2d(options = {}) {
+    return this.add({ type: 'avgPool2d', ...options });
+  }
+
+  flatten() {
+    return this.add({ type: 'flatten' });
+  }
+
+  reshape(shape) {
+    return this.add({ type: 'reshape', shape });
+  }
+
+  embedding(vocabSize, dim, options = {}) {
+    return this.add({ type: 'embedding', vocabSize, dim, ...options });
+  }
+
+  // The layer list accepted by the Network constructor
+  toSizes() {
+    return [{ shape: this.inputShape }, ...this.specs];
+  }
+
+  // A new Network with these layers; options as for the Network constructor
+  build(options = {}) {
+    if (!this.specs.length) throw new Error('Sequential has no layers');
+    return new Network(this.toSizes(), options);
+  }
+}
+
+export default Sequential;
@@ -0,0 +1,84 @@
+// Activation registry: every built-in derivative against finite differences, and
+// custom activations in a Network.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Matrix from '../matrix.js';
+import Network from '../network.js';
+import { registerActivation, getActivation, listActivations } from '../activations.js';
+
+const EPSILON = 1e-3;
+const TOLERANCE = 2e-3;
+
+// dL/dz for L = sum(weights * a), through the activation's derivative or backward
+function analyticGradient(act, z, weights) {
+  const a = act.forward(z);
+  return act.backward ? act.backward(weights, z, a) : weights.multiply(act.derivative(z, a));
+}
+
+function numericGradient(act, z, weights) {
+  const loss = m => act.forward(m).multiply(weights).toArray().reduce((s, v) => s + v, 0);
+  return z.map((_, i, j) => {
+    const plus = z.clone();
+    const minus = z.clone();
+    plus.set(i, j, z.get(i, j) + EPSILON);
+    minus.set(i, j, z.get(i, j) - EPSILON);
+    return (loss(plus) - loss(minus)) / (2 * EPSILON);
+  });
+}
+
+test('every built-in activation has a matching derivative', () => {
+  // avoid 0, where relu-like activations have a kink
+  const z = Matrix.from2DArray([[-2.1, 0.3], [0.7, -0.4], [1.9, -1.2]]);
+  const weights = Matrix.from2DArray([[0.5, -1], [2, 0.25], [-0.75, 1.5]]);
+  for (const name of listActivations()) {
+    const act = getActivation(name);
+    const analytic = analyticGradient(act, z, weights).toArray();
+    const numeric = numericGradient(act, z, weights).toArray();
+    analytic.forEach((g, k) => {
+      assert.ok(Math.abs(g - numeric[k]) < TOLERANCE, `${name}[${k}]: ${g} vs ${numeric[k]}`);
+    });
+  }
+});
+
+test('the registry lists the built-ins and rejects incomplete or unknown activations', () => {
+  for (const name of ['linear', 'sigmoid', 'tanh', 'relu', 'leakyRelu', 'elu', 'selu', 'gelu', 'swish', 'silu', 'softplus', 'softmax']) {
+    assert.ok(listActivations().includes(name), name);
+  }
+  assert.throws(() => registerActivation('broken', { forward: z => z }), /needs a derivative/);
+  assert.throws(() => registerActivation('broken', { derivative: z => z }), /needs a forward/);
+  assert.throws(() => getActivation('mish'), /Unknown activation 'mish'/);
+  assert.throws(() => new Network([2, { size: 2, activation: 'mish' }]), /Unknown activation 'mish'/);
+});
+
+test('layer specs pick activations, including registered ones', () => {
+  registerActivation('cube', {
+    forward: z => z.map(x => x ** 3),
+    derivative: z => z.map(x => 3 * x * x)
+  });
+  const net = new Network([3, { size: 4, activation: 'cube' }, { size: 2, activation: 'tanh' }, 2]);
+  assert.deepEqual(net.layers.map(l => l.activation), ['cube', 'tanh', 'softmax']);
+  const { activations } = net.feedforward([0.5, -0.5, 1]);
+  const z = Matrix.dot(net.layers[0].weights, activations[0]).addColumnVector(net.layers[0].biases);
+  assert.deepEqual(activations[1].toArray(), z.map(x => x ** 3).toArray());
+  assert.deepEqual(new Network([2, 3, 2]).layers.map(l => l.activation), ['sigmoid', 'softmax']);
+});
+
+test('non-softmax output layers backprop -sum(t log o) through their own activation', () => {
+  const net = new Network([2, 3, { size: 2, activation: 'sigmoid' }]);
+  const x = [0.4, -0.8];
+  const y = [1, 0];
+  const loss = () => -net.predict(x).reduce((s, o, k) => s + y[k] * Math.log(o), 0);
+  const { grads } = net.backprop(x, y);
+  const biases = net.layers[1].biases;
+  for (let i = 0; i < 2; i++) {
+    const b = biases.get(i, 0);
+    biases.set(i, 0, b + EPSILON);
+    const plus = loss();
+    biases.set(i, 0, b - EPSILON);
+    const minus = loss();
+    biases.set(i, 0, b);
+    const numeric = (plus - minus) / (2 * EPSILON);
+    assert.ok(Math.abs(grads[1].biases.get(i, 0) - numeric) < 1e-4, `${grads[1].biases.get(i, 0)} vs ${numeric}`);
+  }
+});
@@ -0,0 +1,115 @@
+// Split-head MultiHeadAttention against a naive per-head reference computed in doubles:
+// softmax(Q * K^T / sqrt(dK)) * V for each head, then concat and the output projection.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RNG from '../random.js';
+import '../transformer.js';
+
+const { MultiHeadAttention, Matrix, createCausalMask, createPaddingMask } = globalThis.Transformer;
+
+const TOLERANCE = 1e-5;
+
+function seededMatrix(rows, cols, random, scale = 1) {
+  const m = new Matrix(rows, cols);
+  for (let i = 0; i < m.data.length; i++) m.data[i] = (random() * 2 - 1) * scale;
+  return m;
+}
+
+function seededAttention(dModel, numHeads, seed) {
+  const rng = new RNG(seed);
+  const random = () => rng.next();
+  const mha = new MultiHeadAttention(dModel, numHeads);
+  for (const name of ['wQ', 'wK', 'wV', 'wO']) {
+    mha[name] = seededMatrix(dModel, dModel, random, Math.sqrt(1 / dModel));
+  }
+  return { mha, random };
+}
+
+function matmul(a, b) {
+  return a.map(row => b[0].map((_, j) => row.reduce((s, x, t) => s + x * b[t][j], 0)));
+}
+
+function naiveAttention(mha, query, key, value, mask) {
+  const { numHeads, dK } = mha;
+  const Q = matmul(query.to2DArray(), mha.wQ.to2DArray());
+  const K = matmul(key.to2DArray(), mha.wK.to2DArray());
+  const V = matmul(value.to2DArray(), mha.wV.to2DArray());
+  const concat = Q.map(() => new Array(mha.dModel).fill(0));
+  const weights = [];
+  for (let h = 0; h < numHeads; h++) {
+    const cols = Array.from({ length: dK }, (_, d) => h * dK + d);
+    const w = Q.map((q, i) => {
+      const scores = K.map((k, j) => {
+        if (mask && mask.get(i, j) === 0) return -Infinity;
+        return cols.reduce((s, c) => s + q[c] * k[c], 0) / Math.sqrt(dK);
+      });
+      const max = Math.max(...scores);
+      const exps = scores.map(s => Math.exp(s - max));
+      const sum = exps.reduce((a, b) => a + b, 0);
+      return exps.map(e => e / sum);
+    });
+    weights.push(w);
+    w.forEach((row, i) => {
+      for (const c of cols) concat[i][c] = row.reduce((s, x, j) => s + x * V[j][c], 0);
+    });
+  }
+  return { output: matmul(concat, mha.wO.to2DArray()), weights };
+}
+
+function assertClose(actual, expected, label) {
+  actual.forEach((row, i) => row.forEach((x, j) => {
+    const diff = Math.abs(x - expected[i][j]);
+    assert.ok(diff < TOLERANCE, `${label}[${i}][${j}]: ${x} vs ${expected[i][j]} (diff ${diff})`);
+  }));
+}
+
+function checkAgainstNaive({ dModel, numHeads, seqLen, keyLen = seqLen, mask = null, seed }) {
+  const { mha, random } = seededAttention(dModel, numHeads, seed);
+  const query = seededMatrix(seqLen, dModel, random);
+  const memory = keyLen === seqLen ? query : seededMatrix(keyLen, dModel, random);
+  const output = mha.forward(query, memory, memory, mask);
+  const expected = naiveAttention(mha, query, memory, memory, mask);
+  assertClose(output.to2DArray(), expected.output, 'output');
+  assert.equal(mha.attentionWeights.length, numHeads);
+  mha.attentionWeights.forEach((w, h) => assertClose(w.to2DArray(), expected.weights[h], `head ${h} weights`));
+  return mha;
+}
+
+test('matches the naive per-head loop without a mask', () => {
+  checkAgainstNaive({ dModel: 12, numHeads: 3, seqLen: 5, seed: 1 });
+  checkAgainstNaive({ dModel: 8, numHeads: 1, seqLen: 4, seed: 2 });
+});
+
+test('matches the naive per-head loop with keys longer than the queries', () => {
+  checkAgainstNaive({ dModel: 8, numHeads: 2, seqLen: 3, keyLen: 6, seed: 3 });
+});
+
+test('matches the naive per-head loop with a causal mask', () => {
+  const mha = checkAgainstNaive({ dModel: 16, numHeads: 4, seqLen: 6, mask: createCausalMask(6), seed: 4 });
+  for (const w of mha.attentionWeights) {
+    for (let i = 0; i < w.rows; i++) {
+      for (let j = i + 1; j < w.cols; j++) assert.equal(w.get(i, j), 0);
+    }
+  }
+});
+
+test('matches the naive per-head loop with a padding mask', () => {
+  const tokens = [5, 3, 7, 0, 0];
+  const mha = checkAgainstNaive({ dModel: 8, numHeads: 2, seqLen: 5, mask: createPaddingMask(tokens), seed: 5 });
+  for (const w of mha.attentionWeights) {
+    for (let i = 0; i < w.rows; i++) {
+      tokens.forEach((token, j) => {
+        if (token === 0) assert.equal(w.get(i, j), 0);
+      });
+    }
+  }
+});
+
+test('matches the naive per-head loop with causal and padding masks combined', () => {
+  const tokens = [4, 9, 2, 0];
+  const causal = createCausalMask(4);
+  const padding = createPaddingMask(tokens);
+  const mask = causal.map((v, i, j) => v * padding.get(i, j));
+  checkAgainstNaive({ dModel: 12, numHeads: 2, seqLen: 4, mask, seed: 6 });
+});
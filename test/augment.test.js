@@ -0,0 +1,138 @@
+// Image augmentation: the individual transforms on small images, the seeded Augmenter,
+// and the augment option of Network.SGD, fitDataset and checkpoint resume.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Network from '../network.js';
+import RNG from '../random.js';
+import { LambdaCallback } from '../callbacks.js';
+import { Checkpointer, loadCheckpoint } from '../checkpoint.js';
+import { Dataset, fitDataset } from '../dataset.js';
+import { Augmenter, createAugmenter, affine, elastic, dilate, erode, gaussianNoise } from '../augment.js';
+
+// 5x5 image with a single lit pixel at (x, y)
+const dot = (x, y, size = 5) => {
+  const image = new Float32Array(size * size);
+  image[y * size + x] = 1;
+  return image;
+};
+const close = (actual, expected, eps = 1e-5) =>
+  assert.ok(actual.every((v, i) => Math.abs(v - expected[i]) < eps), `${Array.from(actual)} != ${Array.from(expected)}`);
+
+test('affine shifts, rotates and leaves an image alone at identity', () => {
+  const image = Float32Array.from({ length: 25 }, (_, i) => i / 25);
+  close(affine(image, 5, 5), image);
+  close(affine(dot(1, 2), 5, 5, { shift: [2, -1] }), dot(3, 1));
+  // a quarter turn counter-clockwise on screen (y down) takes the right edge to the top
+  close(affine(dot(4, 2), 5, 5, { rotate: 90 }), dot(2, 0));
+  // pixels shifted in from outside take the fill value
+  assert.ok(affine(image, 5, 5, { shift: [1, 0] }, -1).filter((_, i) => i % 5 === 0).every(v => v === -1));
+});
+
+test('dilation thickens strokes and erosion thins them', () => {
+  const thick = dilate(dot(2, 2), 5, 5);
+  assert.equal(thick.reduce((s, v) => s + v, 0), 9);
+  assert.equal(thick[0], 0);
+  close(erode(thick, 5, 5), dot(2, 2));
+  assert.equal(dilate(dot(0, 0), 5, 5, 2).reduce((s, v) => s + v, 0), 9);
+});
+
+test('noise and elastic distortion draw from the RNG they are given', () => {
+  const flat = new Float32Array(10000);
+  const noisy = gaussianNoise(flat, 0.5, new RNG(3));
+  const mean = noisy.reduce((s, v) => s + v, 0) / noisy.length;
+  const std = Math.sqrt(noisy.reduce((s, v) => s + (v - mean) ** 2, 0) / noisy.length);
+  assert.ok(Math.abs(mean) < 0.02 && Math.abs(std - 0.5) < 0.02);
+
+  const image = Float32Array.from({ length: 64 }, (_, i) => (i % 8) / 8);
+  assert.deepEqual(elastic(image, 8, 8, {}, new RNG(5)), elastic(image, 8, 8, {}, new RNG(5)));
+  assert.notDeepEqual(elastic(image, 8, 8, {}, new RNG(5)), elastic(image, 8, 8, {}, new RNG(6)));
+  close(elastic(image, 8, 8, { alpha: 0 }, new RNG(5)), image);
+});
+
+test('an Augmenter is reproducible for a seed, clamps to its range and copies its input', () => {
+  const augmenter = new Augmenter({
+    width: 8, height: 8, rotate: 15, shift: 1, scale: 0.1, shear: 5,
+    elastic: { alpha: 2, sigma: 2 }, dilate: 0.3, erode: 0.3, noise: 0.1, range: [0, 1]
+  });
+  const image = Float32Array.from({ length: 64 }, (_, i) => (i % 3) / 2);
+  const a = augmenter.augment(image, new RNG(9));
+  assert.deepEqual(a, augmenter.augment(image, new RNG(9)));
+  assert.notDeepEqual(a, augmenter.augment(image, new RNG(10)));
+  assert.ok(a.every(v => v >= 0 && v <= 1));
+
+  const none = new Augmenter({ width: 8, height: 8 });
+  const copy = none.augment(image, new RNG(1));
+  assert.notEqual(copy, image);
+  assert.deepEqual(copy, image);
+});
+
+test('Augmenter rejects bad sizes and probabilities; createAugmenter accepts three forms', () => {
+  assert.throws(() => new Augmenter().augment(new Float32Array(10)), /expects 28x28 = 784 inputs, got 10/);
+  assert.throws(() => new Augmenter({ dilate: 0.6, erode: 0.5 }), /must not exceed 1/);
+
+  const augmenter = new Augmenter({ rotate: 5 });
+  assert.equal(createAugmenter(augmenter), augmenter);
+  assert.ok(createAugmenter({ shift: 2 }) instanceof Augmenter);
+  const fn = (x, rng) => x.map(v => v + rng.next());
+  assert.equal(createAugmenter(fn).augment, fn);
+});
+
+const data = Array.from({ length: 12 }, (_, k) => [[k % 2, (k >> 1) % 2, k % 3 / 3, 0.5], k % 2 ? [1, 0] : [0, 1]]);
+const makeNet = () => new Network([4, { size: 5, dropout: 0.2 }, 2], { seed: 4 });
+const jitter = { width: 2, height: 2, noise: 0.1 };
+
+test('SGD augments every training input once per epoch with the network RNG', () => {
+  const seen = [];
+  const net = makeNet();
+  net.SGD(data, 2, 5, 0.5, data, {
+    verbose: false,
+    augment: (x, rng) => {
+      assert.equal(rng, net.rng);
+      seen.push(x);
+      return x.map(v => v + 0.01);
+    }
+  });
+  assert.equal(seen.length, 2 * data.length);
+  assert.equal(new Set(seen).size, data.length);
+
+  // seeded runs reproduce, and the augmentation changes the result
+  const run = options => {
+    const n = makeNet();
+    n.SGD(data, 3, 4, 0.5, null, { verbose: false, ...options });
+    return n.getWeights();
+  };
+  assert.deepEqual(run({ augment: jitter }), run({ augment: jitter }));
+  assert.notDeepEqual(run({ augment: jitter }), run({}));
+});
+
+test('fitDataset takes the augment option too', async () => {
+  let calls = 0;
+  const net = makeNet();
+  await fitDataset(net, Dataset.fromArray(data), 2, 5, 0.5, null, {
+    verbose: false,
+    augment: x => { calls++; return x; }
+  });
+  assert.equal(calls, 2 * data.length);
+});
+
+test('an augmented run resumes from a mid-epoch checkpoint exactly', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nn-augment-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const train = (net, options = {}) => net.SGD(data, 3, 4, 0.5, null, { verbose: false, augment: jitter, ...options });
+
+  const reference = makeNet();
+  const expected = train(reference);
+  const crash = new LambdaCallback({ onBatchEnd(b, logs) { if (logs.step === 5) throw new Error('simulated crash'); } });
+  assert.throws(
+    () => train(makeNet(), { callbacks: [crash], checkpoint: new Checkpointer({ dir, everyBatches: 1 }) }),
+    /simulated crash/
+  );
+  const { network, resume } = loadCheckpoint(dir);
+  assert.equal(resume.step, 4);
+  assert.deepEqual(train(network, { callbacks: [new LambdaCallback({})], resume }), expected);
+  assert.deepEqual(network.getWeights(), reference.getWeights());
+});
@@ -0,0 +1,64 @@
+// Compute backend registry and the Matrix ops routed through it.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Matrix from '../matrix.js';
+import { cpuBackend, registerBackend, listBackends, isBackendAvailable, getBackendName } from '../backends.js';
+
+test('Node picks the cpu backend', () => {
+  assert.equal(Matrix.getBackend(), 'cpu');
+  assert.deepEqual(listBackends().slice(0, 2), ['cpu', 'webgl']);
+  assert.equal(isBackendAvailable('webgl'), false);
+});
+
+test('dot, add, subtract and multiply on the cpu backend', () => {
+  const a = Matrix.from2DArray([[1, 2, 3], [4, 5, 6]]);
+  const b = Matrix.from2DArray([[1, 0], [0, 1], [2, -1]]);
+  assert.deepEqual(Matrix.dot(a, b).to2DArray(), [[7, -1], [16, -1]]);
+  assert.deepEqual(a.add(a).to2DArray(), [[2, 4, 6], [8, 10, 12]]);
+  assert.deepEqual(a.subtract(1).to2DArray(), [[0, 1, 2], [3, 4, 5]]);
+  assert.deepEqual(a.multiply(a).to2DArray(), [[1, 4, 9], [16, 25, 36]]);
+  assert.throws(() => Matrix.dot(a, a), /Cannot multiply 2x3 with 2x3/);
+  assert.throws(() => a.add(b), /Dimension mismatch/);
+});
+
+test('a registered backend runs the ops, falling back to the cpu when it returns nothing', () => {
+  const calls = [];
+  // no name property: the registry key identifies it
+  registerBackend('counting', () => ({
+    dot(a, b) {
+      calls.push('dot');
+      return cpuBackend.dot(a, b);
+    },
+    add: () => null,
+    subtract: (a, b) => cpuBackend.subtract(a, b),
+    multiply: (a, b) => cpuBackend.multiply(a, b)
+  }));
+  try {
+    assert.equal(Matrix.setBackend('counting'), 'counting');
+    assert.equal(getBackendName(), 'counting');
+    assert.equal(Matrix.getBackend(), 'counting');
+    assert.equal(Matrix.getPerformanceInfo().backend, 'counting');
+    const m = Matrix.from2DArray([[1, 2], [3, 4]]);
+    assert.deepEqual(Matrix.dot(m, m).to2DArray(), [[7, 10], [15, 22]]);
+    assert.deepEqual(m.add(m).to2DArray(), [[2, 4], [6, 8]]);
+    assert.deepEqual(calls, ['dot']);
+  } finally {
+    Matrix.setBackend('cpu');
+  }
+});
+
+test('re-registering the active backend switches away from its old instance', () => {
+  registerBackend('swap', () => cpuBackend);
+  Matrix.setBackend('swap');
+  registerBackend('swap', () => cpuBackend);
+  assert.equal(getBackendName(), 'cpu');
+});
+
+test('setBackend rejects unknown and unavailable backends', () => {
+  registerBackend('missing', () => null);
+  assert.equal(isBackendAvailable('missing'), false);
+  assert.throws(() => Matrix.setBackend('nope'), /Unknown backend 'nope'/);
+  assert.throws(() => Matrix.setBackend('missing'), /not available in this environment/);
+  assert.equal(getBackendName(), 'cpu');
+});
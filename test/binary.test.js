@@ -0,0 +1,118 @@
+// Binary model container: float16 conversion, int8 quantization, round trips at
+// every dtype and rejection of corrupt files.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Network from '../network.js';
+import { toFloat16, fromFloat16, quantizeInt8, encodeModel, decodeModel } from '../binary.js';
+
+const makeNet = () => new Network([5, { size: 4, activation: 'relu' }, 3], { seed: 12, labels: ['a', 'b', 'c'] });
+const inputs = [[0.1, 0.5, 0.9, 0.3, 0.7], [1, 0, 0.25, 0.5, 0.75]];
+
+// Split a container into its JSON header and tensor data
+function unpack(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const headerLength = new DataView(buffer).getUint32(8, true);
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+  return { header, data: bytes.subarray(Math.ceil((12 + headerLength) / 8) * 8) };
+}
+
+// Reassemble a container after editing its header
+function repack(buffer, edit) {
+  const { header, data } = unpack(buffer);
+  edit(header);
+  const json = new TextEncoder().encode(JSON.stringify(header));
+  const dataStart = Math.ceil((12 + json.length) / 8) * 8;
+  const bytes = new Uint8Array(dataStart + data.length);
+  bytes.set(new Uint8Array(buffer, 0, 8));
+  new DataView(bytes.buffer).setUint32(8, json.length, true);
+  bytes.set(json, 12);
+  bytes.set(data, dataStart);
+  return bytes.buffer;
+}
+
+test('float16 conversion rounds to nearest even and keeps special values', () => {
+  for (const v of [0, 1, -2, 0.5, 65504, 2 ** -24, 2 ** -14]) assert.equal(fromFloat16(toFloat16(v)), v);
+  assert.equal(toFloat16(1), 0x3c00);
+  assert.equal(toFloat16(-0), 0x8000);
+  // 1 + 2^-11 is halfway between 1 and the next half; ties go to the even mantissa
+  assert.equal(toFloat16(1 + 2 ** -11), 0x3c00);
+  assert.equal(toFloat16(1 + 3 * 2 ** -11), 0x3c02);
+  assert.equal(fromFloat16(toFloat16(1e6)), Infinity);
+  assert.equal(fromFloat16(toFloat16(-Infinity)), -Infinity);
+  assert.ok(Number.isNaN(fromFloat16(toFloat16(NaN))));
+  assert.equal(toFloat16(2 ** -30), 0);
+  assert.ok(Math.abs(fromFloat16(toFloat16(Math.PI)) - Math.PI) < 2e-3);
+});
+
+test('int8 quantization uses one symmetric scale per row', () => {
+  const { q, scales } = quantizeInt8([0.5, -1, 0.25, 0, 0, 0], 2, 3);
+  assert.deepEqual(Array.from(q), [64, -127, 32, 0, 0, 0]);
+  assert.ok(Math.abs(scales[0] - 1 / 127) < 1e-9);
+  assert.equal(scales[1], 1); // all-zero rows keep a usable scale
+});
+
+test('models round trip at every dtype within that precision', () => {
+  const net = makeNet();
+  for (const [dtype, tolerance] of [['float32', 0], ['float16', 1e-3], ['int8', 2e-2]]) {
+    const buffer = encodeModel(net, { dtype });
+    const loaded = decodeModel(buffer);
+    assert.deepEqual(loaded.labels, ['a', 'b', 'c']);
+    assert.deepEqual(loaded.layers.map(l => l.activation), ['relu', 'softmax']);
+    net.layers.forEach((layer, i) => {
+      const before = layer.weights.toArray();
+      loaded.layers[i].weights.toArray().forEach((w, k) => {
+        assert.ok(Math.abs(w - before[k]) <= tolerance, `${dtype} layer ${i} weight ${k}`);
+      });
+      assert.deepEqual(loaded.layers[i].biases.toArray(), layer.biases.toArray());
+    });
+    // the dtype lives in the tensor descriptors only
+    const { header } = unpack(buffer);
+    assert.equal(header.layers[0].weights.dtype, dtype);
+    assert.equal(header.layers[0].biases.dtype, 'float32');
+    assert.equal(header.metadata.weightDtype, undefined);
+  }
+  assert.deepEqual(decodeModel(encodeModel(net)).predict(inputs[0]), net.predict(inputs[0]));
+});
+
+test('smaller dtypes give smaller files', () => {
+  const net = new Network([64, 32, 10], { seed: 13 });
+  const size = dtype => encodeModel(net, { dtype }).byteLength;
+  assert.ok(size('int8') < size('float16') && size('float16') < size('float32'));
+  assert.ok(size('float16') < 0.6 * size('float32'));
+});
+
+test('decodes Node Buffers that sit at an offset in a larger buffer', () => {
+  const net = makeNet();
+  const encoded = new Uint8Array(encodeModel(net));
+  const pool = Buffer.alloc(encoded.length + 3);
+  pool.set(encoded, 3);
+  const loaded = decodeModel(pool.subarray(3));
+  for (const x of inputs) assert.deepEqual(loaded.predict(x), net.predict(x));
+});
+
+test('corrupt containers are rejected with an Invalid model file error', () => {
+  const float32 = encodeModel(makeNet());
+  const int8 = encodeModel(makeNet(), { dtype: 'int8' });
+  const edited = (buffer, edit) => () => decodeModel(repack(buffer, edit));
+
+  assert.throws(() => decodeModel(new Uint8Array(8)), /missing 'NNJB' header/);
+  const future = new Uint8Array(float32.slice(0));
+  new DataView(future.buffer).setUint32(4, 99, true);
+  assert.throws(() => decodeModel(future), /container version 99 is newer than supported 1/);
+  assert.throws(() => decodeModel(float32.slice(0, 40)), /truncated header/);
+  assert.throws(() => decodeModel(float32.slice(0, float32.byteLength - 8)), /layer 1 biases runs past the end/);
+  assert.throws(() => encodeModel(makeNet(), { dtype: 'int4' }), /Unknown dtype 'int4'/);
+
+  assert.throws(edited(float32, h => { h.layers[0].weights.dtype = 'float64'; }), /layer 0 weights has unknown dtype 'float64'/);
+  assert.throws(edited(float32, h => { h.layers[0].weights.offset = -8; }), /layer 0 weights has bad offset '-8'/);
+  assert.throws(edited(float32, h => { h.layers[0].weights.offset = 1.5; }), /layer 0 weights has bad offset '1.5'/);
+  assert.throws(edited(float32, h => { h.layers[1].biases.length = -1; }), /layer 1 biases has bad length '-1'/);
+  assert.throws(edited(float32, h => { h.layers[1].biases.offset = 1e6; }), /layer 1 biases runs past the end/);
+  assert.throws(edited(int8, h => { delete h.layers[0].weights.rows; }), /layer 0 weights has \d+ int8 values in undefined rows/);
+  assert.throws(edited(int8, h => { h.layers[0].weights.rows = 7; }), /layer 0 weights has \d+ int8 values in 7 rows/);
+  assert.throws(edited(int8, h => { delete h.layers[0].weights.scalesOffset; }), /layer 0 weights has bad scalesOffset 'undefined'/);
+  assert.throws(edited(int8, h => { h.layers[0].weights.scalesOffset = -4; }), /layer 0 weights has bad scalesOffset '-4'/);
+  assert.throws(edited(int8, h => { h.layers[1].weights.scalesOffset = 1e6; }), /layer 1 weights scales run past the end/);
+  assert.throws(edited(float32, h => { h.layers[0].size = 2; }), /Invalid model file: layer 0 weights have/);
+});
@@ -0,0 +1,108 @@
+// SGD history and the callbacks in callbacks.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Network from '../network.js';
+import { Callback, LambdaCallback, EarlyStopping, ModelCheckpoint } from '../callbacks.js';
+
+const data = Array.from({ length: 20 }, (_, k) => [[k % 4 / 4, k % 5 / 5], k % 2 ? [1, 0] : [0, 1]]);
+const flatWeights = net => net.getWeights().flatMap(({ weights, biases }) => [...weights.toArray(), ...biases.toArray()]);
+
+// Replays a fixed sequence of epoch logs through a monitor, standing in for SGD
+function replay(callback, values, monitor = 'valLoss') {
+  const net = new Network([2, 2], { seed: 1 });
+  callback.setModel(net);
+  net.stopTraining = false;
+  callback.onTrainBegin({});
+  let epoch = 0;
+  for (; epoch < values.length && !net.stopTraining; epoch++) {
+    net.layers[0].biases.set(0, 0, epoch); // marks the weights with the epoch
+    callback.onEpochEnd(epoch, { [monitor]: values[epoch] });
+  }
+  callback.onTrainEnd({});
+  return { net, epochs: epoch };
+}
+
+test('SGD returns per-epoch history, with validation metrics only given test data', () => {
+  const net = new Network([2, 4, 2], { seed: 2 });
+  const history = net.SGD(data, 3, 5, 0.5, data.slice(0, 8), { verbose: false });
+  assert.deepEqual(history.epoch, [0, 1, 2]);
+  for (const key of ['loss', 'accuracy', 'valLoss', 'valAccuracy', 'lr']) {
+    assert.equal(history[key].length, 3, key);
+  }
+  assert.deepEqual(history.lr, [0.5, 0.5, 0.5]);
+  assert.ok(history.valAccuracy.every(a => a >= 0 && a <= 1));
+  const noVal = net.SGD(data, 2, 5, 0.5, null, { verbose: false });
+  assert.equal(noVal.loss.length, 2);
+  assert.deepEqual(noVal.valLoss, []);
+});
+
+test('hooks fire in order with batch and epoch logs', () => {
+  const events = [];
+  const net = new Network([2, 3, 2], { seed: 3 });
+  let model = null;
+  class Recorder extends Callback {
+    onTrainBegin(logs) { model = this.model; events.push(['trainBegin', logs.epochs]); }
+    onEpochBegin(e) { events.push(['epochBegin', e]); }
+    onBatchEnd(b, logs) { events.push(['batch', logs.epoch, b, logs.size]); }
+    onEpochEnd(e, logs) { events.push(['epochEnd', e, Object.keys(logs).sort().join()]); }
+    onTrainEnd(logs) { events.push(['trainEnd', logs.history.epoch.length]); }
+  }
+  net.SGD(data, 2, 8, 0.1, null, { verbose: false, callbacks: [new Recorder()] });
+  assert.equal(model, net);
+  assert.deepEqual(events, [
+    ['trainBegin', 2],
+    ['epochBegin', 0], ['batch', 0, 0, 8], ['batch', 0, 1, 8], ['batch', 0, 2, 4], ['epochEnd', 0, 'accuracy,loss,lr'],
+    ['epochBegin', 1], ['batch', 1, 0, 8], ['batch', 1, 1, 8], ['batch', 1, 2, 4], ['epochEnd', 1, 'accuracy,loss,lr'],
+    ['trainEnd', 2]
+  ]);
+});
+
+test('setting stopTraining from a callback ends the run after the current batch', () => {
+  const net = new Network([2, 2], { seed: 4 });
+  const stopper = new LambdaCallback({
+    onBatchEnd(batch, logs) { if (logs.step === 3) this.model.stopTraining = true; }
+  });
+  const history = net.SGD(data, 10, 5, 0.1, null, { verbose: false, callbacks: [stopper] });
+  assert.deepEqual(history.epoch, [0]);
+});
+
+test('EarlyStopping waits `patience` epochs and can restore the best weights', () => {
+  const { net, epochs } = replay(new EarlyStopping({ patience: 2, restoreBestWeights: true }), [0.9, 0.5, 0.6, 0.55, 0.1]);
+  assert.equal(epochs, 4);
+  assert.equal(net.layers[0].biases.get(0, 0), 1);
+
+  const kept = replay(new EarlyStopping({ patience: 2 }), [0.9, 0.5, 0.6, 0.55]);
+  assert.equal(kept.net.layers[0].biases.get(0, 0), 3);
+
+  // accuracy metrics are maximized, and minDelta ignores tiny gains
+  const acc = new EarlyStopping({ monitor: 'valAccuracy', patience: 1, minDelta: 0.05 });
+  assert.equal(replay(acc, [0.5, 0.52, 0.9], 'valAccuracy').epochs, 2);
+  assert.equal(acc.best, 0.5);
+});
+
+test('ModelCheckpoint saves on improvement unless saveBestOnly is off', () => {
+  const saved = [];
+  const checkpoint = new ModelCheckpoint({ save: (net, logs, epoch) => saved.push(epoch) });
+  replay(checkpoint, [0.5, 0.7, 0.3, 0.4]);
+  assert.deepEqual(saved, [0, 2]);
+  assert.equal(checkpoint.bestEpoch, 2);
+  assert.equal(checkpoint.bestWeights[0].biases.get(0, 0), 2);
+
+  saved.length = 0;
+  replay(new ModelCheckpoint({ monitor: 'loss', saveBestOnly: false, save: (net, logs, epoch) => saved.push(epoch) }),
+    [0.5, 0.7], 'loss');
+  assert.deepEqual(saved, [0, 1]);
+});
+
+test('monitors reject bad modes and metrics that are not logged', () => {
+  assert.throws(() => new EarlyStopping({ mode: 'up' }), /mode must be 'auto', 'min' or 'max'/);
+  const net = new Network([2, 2], { seed: 5 });
+  assert.throws(
+    () => net.SGD(data, 1, 5, 0.1, null, { verbose: false, callbacks: [new EarlyStopping()] }),
+    /metric 'valLoss' is not logged.*pass testData/
+  );
+  const before = flatWeights(net);
+  net.setWeights(net.getWeights());
+  assert.deepEqual(flatWeights(net), before);
+});
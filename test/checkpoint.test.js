@@ -0,0 +1,132 @@
+// Training checkpoints: exact resume after a crash, retention and index files, and
+// load errors. Checkpoints are written to a fresh temp directory per test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Network from '../network.js';
+import { Adam } from '../optimizers.js';
+import { EarlyStopping, LambdaCallback } from '../callbacks.js';
+import {
+  Checkpointer,
+  saveCheckpoint,
+  loadCheckpoint,
+  listCheckpoints,
+  latestCheckpoint,
+  bestCheckpoint
+} from '../checkpoint.js';
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'nn-checkpoint-'));
+
+const data = Array.from({ length: 30 }, (_, k) => [[k % 3 / 3, k % 5 / 5, k % 7 / 7], k % 2 ? [1, 0] : [0, 1]]);
+const testData = data.slice(0, 10);
+const EPOCHS = 3;
+const BATCH = 4; // 8 batches per epoch
+
+const makeNet = () => new Network([3, { size: 6, activation: 'relu', dropout: 0.3 }, 2], { seed: 21 });
+const flatWeights = net => net.layers.flatMap(l => [...l.weights.toArray(), ...l.biases.toArray()]);
+
+// Throws from onBatchEnd at the given step, before the checkpointer sees it
+const crashAt = step => new LambdaCallback({
+  onBatchEnd(batch, logs) {
+    if (logs.step === step) throw new Error('simulated crash');
+  }
+});
+
+function train(net, { dir = null, crash = 0, resume = null } = {}) {
+  return net.SGD(data, EPOCHS, BATCH, new Adam({ learningRate: 0.01 }), testData, {
+    verbose: false,
+    schedule: { type: 'plateau', patience: 1, factor: 0.5 },
+    callbacks: [new EarlyStopping({ patience: 5, restoreBestWeights: true }), crashAt(crash)],
+    checkpoint: dir ? new Checkpointer({ dir, everyBatches: 1, keepLast: 2 }) : undefined,
+    resume
+  });
+}
+
+test('a run resumed from a mid-epoch checkpoint matches an uninterrupted run exactly', () => {
+  const reference = makeNet();
+  const expected = train(reference);
+
+  const dir = tempDir();
+  assert.throws(() => train(makeNet(), { dir, crash: 11 }), /simulated crash/);
+  const { network, resume } = loadCheckpoint(dir);
+  assert.equal(resume.step, 10);
+  assert.equal(resume.epoch, 1);
+  assert.equal(resume.batch, 2);
+  const history = train(network, { dir, resume });
+
+  assert.deepEqual(history, expected);
+  assert.deepEqual(flatWeights(network), flatWeights(reference));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('retention keeps the newest and the best checkpoints and records them in the index', () => {
+  const dir = tempDir();
+  const net = makeNet();
+  const losses = [0.5, 0.2, 0.4, 0.6, 0.3];
+  const injectLoss = new LambdaCallback({
+    onEpochEnd(epoch, logs) { logs.valLoss = losses[epoch]; }
+  });
+  net.SGD(data, losses.length, 10, 0.1, testData, {
+    verbose: false,
+    callbacks: [injectLoss],
+    checkpoint: new Checkpointer({ dir, keepLast: 2, keepBest: 1, monitor: 'valLoss' })
+  });
+  const entries = listCheckpoints(dir);
+  assert.deepEqual(entries.map(e => [e.epoch, e.step, e.metric]), [[2, 6, 0.2], [4, 12, 0.6], [5, 15, 0.3]]);
+  assert.deepEqual(
+    fs.readdirSync(dir).sort(),
+    ['checkpoint-00000006.json', 'checkpoint-00000012.json', 'checkpoint-00000015.json', 'index.json']
+  );
+  assert.equal(latestCheckpoint(dir), path.join(dir, 'checkpoint-00000015.json'));
+  assert.equal(bestCheckpoint(dir), path.join(dir, 'checkpoint-00000006.json'));
+  const { network, logs } = loadCheckpoint(latestCheckpoint(dir));
+  assert.equal(logs.valLoss, 0.3);
+  assert.deepEqual(flatWeights(network), flatWeights(net));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('callback state survives a checkpoint', () => {
+  const stopper = new EarlyStopping({ patience: 4, restoreBestWeights: true });
+  stopper.setModel(makeNet());
+  stopper.onTrainBegin();
+  stopper.onEpochEnd(0, { valLoss: 0.4 });
+  stopper.onEpochEnd(1, { valLoss: 0.5 });
+  const restored = new EarlyStopping({ patience: 4, restoreBestWeights: true });
+  restored.loadState(JSON.parse(JSON.stringify(stopper.getState())));
+  assert.equal(restored.best, 0.4);
+  assert.equal(restored.wait, 1);
+  assert.equal(restored.bestEpoch, 0);
+  assert.deepEqual(flatWeights({ layers: restored.bestWeights }), flatWeights({ layers: stopper.bestWeights }));
+});
+
+test('bad checkpoints and mismatched resumes are rejected', () => {
+  const dir = tempDir();
+  assert.throws(() => loadCheckpoint(dir), /No checkpoints in/);
+  assert.equal(latestCheckpoint(dir), null);
+  assert.equal(bestCheckpoint(dir), null);
+  const file = path.join(dir, 'other.json');
+  fs.writeFileSync(file, JSON.stringify({ format: 'something-else' }));
+  assert.throws(() => loadCheckpoint(file), /expected format 'nn-in-js\/checkpoint'/);
+  fs.writeFileSync(file, JSON.stringify({ format: 'nn-in-js/checkpoint', version: 99 }));
+  assert.throws(() => loadCheckpoint(file), /version 99 is newer than supported 1/);
+
+  assert.throws(() => makeNet().trainingState(), /only available while SGD or fitDataset is running/);
+  assert.throws(() => new Checkpointer({ dir, keepLast: 0 }), /must keep at least one checkpoint/);
+
+  let saved = null;
+  const net = makeNet();
+  net.SGD(data, 1, BATCH, 0.1, null, {
+    verbose: false,
+    callbacks: [new LambdaCallback({ onBatchEnd(b) { if (b === 2) saved = saveCheckpoint(this.model, file); } })]
+  });
+  assert.equal(saved.training.batch, 3);
+  const { resume } = loadCheckpoint(file);
+  assert.throws(
+    () => makeNet().SGD(data, 1, 5, 0.1, null, { verbose: false, resume }),
+    /Cannot resume: the run used 30 samples in batches of 4, got 30 in batches of 5/
+  );
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,184 @@
+// nnjs CLI: argument parsing, config resolution and the commands end to end on
+// small record files in a temp directory.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import { parseArgs, resolveConfig, loadModel, run, DEFAULT_CONFIG } from '../cli.js';
+import { loadPairs } from '../dataset.js';
+
+// Four-pixel "images": class 1 when the left half is brighter
+const records = Array.from({ length: 40 }, (_, i) => {
+  const left = i % 2 ? 200 : 30;
+  return { image: [left, left - 10, 255 - left, 245 - left], label: i % 2 };
+});
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nn-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = name => path.join(dir, name);
+  fs.writeFileSync(file('train.json'), JSON.stringify(records));
+  fs.writeFileSync(file('test.json.gz'), gzipSync(JSON.stringify(records.slice(0, 10))));
+  fs.writeFileSync(file('run.json'), JSON.stringify({
+    layers: [4, { size: 6, activation: 'relu' }, 2],
+    normalization: { scale: 1 / 255, offset: 0 },
+    labels: ['dark', 'light'],
+    epochs: 5,
+    batchSize: 8,
+    optimizer: { type: 'adam', learningRate: 0.05 },
+    seed: 3,
+    verbose: false
+  }));
+  return file;
+}
+
+// Run a command with console.log captured
+async function capture(t, argv) {
+  const lines = [];
+  t.mock.method(console, 'log', (...args) => lines.push(args.join(' ')));
+  try {
+    return { result: await run(argv), output: lines.join('\n') };
+  } finally {
+    t.mock.restoreAll();
+  }
+}
+
+test('parseArgs splits positionals from camelCased, typed flags', () => {
+  assert.deepEqual(parseArgs(['train', '--batch-size', '32', '--lr=0.01', '--resume', 'extra']), {
+    positional: ['train', 'extra'],
+    flags: { batchSize: 32, lr: 0.01, resume: true }
+  });
+  const { flags } = parseArgs(['--out', 'a.json', '--out', 'b.bin', '--optimizer', '{"type":"adam"}', '--layers', '784,10']);
+  assert.deepEqual(flags, { out: ['a.json', 'b.bin'], optimizer: { type: 'adam' }, layers: '784,10' });
+  assert.throws(() => parseArgs(['--epochs']), /Missing value for --epochs/);
+});
+
+test('resolveConfig layers defaults, the config file and flags', t => {
+  const file = setup(t);
+  const config = resolveConfig({
+    config: file('run.json'),
+    data: 'd.json',
+    lr: 0.2,
+    layers: '4,3,2',
+    checkpointDir: 'ckpt',
+    out: 'm.bin'
+  });
+  assert.equal(config.train, 'd.json');
+  assert.deepEqual(config.layers, [4, 3, 2]);
+  assert.deepEqual(config.optimizer, { type: 'adam', learningRate: 0.2 });
+  assert.deepEqual(config.checkpoint, { dir: 'ckpt' });
+  assert.deepEqual(config.out, ['m.bin']);
+  assert.equal(config.epochs, 5);
+  assert.equal(config.dtype, DEFAULT_CONFIG.dtype);
+  assert.deepEqual(resolveConfig({ optimizer: 'momentum', quiet: true }).optimizer, { type: 'momentum' });
+  assert.equal(resolveConfig({ quiet: true }).verbose, false);
+  assert.throws(() => resolveConfig({ epoch: 3 }), /Unknown config keys: epoch/);
+});
+
+test('train saves models that evaluate, predict and inspect can read', async t => {
+  const file = setup(t);
+  const { result: net } = await capture(t, ['train', '--config', file('run.json'), '--data', file('train.json'),
+    '--validation-split', '0.25', '--out', file('m.json'), '--out', file('m.bin'), '--dtype', 'float16']);
+  assert.deepEqual(net.labels, ['dark', 'light']);
+  assert.equal(net.metadata.seed, 3);
+  assert.equal(net.metadata.training.samples, 30);
+  const json = loadModel(file('m.json'));
+  assert.deepEqual(json.predict([0.5, 0.5, 0.5, 0.5]), net.predict([0.5, 0.5, 0.5, 0.5]));
+  assert.equal(loadModel(file('m.bin')).layers[0].weights.rows, 6);
+
+  const { result: report, output } = await capture(t, ['evaluate', '--model', file('m.bin'), '--data', file('test.json.gz'), '--k', '1']);
+  assert.equal(report.samples, 10);
+  assert.equal(report.accuracy, 1);
+  assert.match(output, /Accuracy: 100\.00%/);
+
+  fs.writeFileSync(file('inputs.json'), JSON.stringify([[220, 210, 35, 25], { image: [20, 10, 235, 225] }]));
+  const { result: predictions, output: lines } = await capture(t, ['predict', file('m.json'), file('inputs.json'), '--top', '2']);
+  assert.deepEqual(predictions.map(p => p.label), ['light', 'dark']);
+  assert.equal(predictions[0].top.length, 2);
+  assert.deepEqual(JSON.parse(lines.split('\n')[1]), JSON.parse(JSON.stringify(predictions[1])));
+
+  const { output: info } = await capture(t, ['inspect', file('m.json')]);
+  assert.match(info, /model \(nn-in-js\/network v1\)/);
+  assert.match(info, /Parameters: 44/);
+  assert.match(info, /Labels: dark, light/);
+});
+
+test('train --resume continues from the checkpoint dir and fails when it is empty', async t => {
+  const file = setup(t);
+  const base = ['train', '--config', file('run.json'), '--data', file('train.json'), '--out', file('m.json')];
+  await assert.rejects(run([...base, '--resume']), /--resume needs a checkpoint dir/);
+  const dir = file('ckpt');
+  await assert.rejects(run([...base, '--resume', '--checkpoint-dir', dir]), new RegExp(`no checkpoint found in ${dir}`));
+
+  const { result: full } = await capture(t, [...base, '--checkpoint-dir', dir]);
+  const { output: info } = await capture(t, ['inspect', dir]);
+  assert.match(info, /checkpoint/);
+  assert.match(info, /Checkpoint: epoch 5 of 5/);
+  // rerunning with more epochs continues from the last checkpoint instead of starting over
+  const { result: resumed, output } = await capture(t, [...base, '--checkpoint-dir', dir, '--resume', '--epochs', '7', '--verbose', 'true']);
+  assert.match(output, /Resuming from .*checkpoint-00000025\.json \(epoch 5, batch 0\)/);
+  assert.equal(resumed.metadata.training.epochs, 7);
+  assert.notDeepEqual(resumed.predict([0.5, 0.5, 0.5, 0.5]), full.predict([0.5, 0.5, 0.5, 0.5]));
+});
+
+test('search ranks the trials, writes the leaderboard and saves the best model', async t => {
+  const file = setup(t);
+  const config = JSON.parse(fs.readFileSync(file('run.json'), 'utf8'));
+  config.search = { space: { 'optimizer.learningRate': [0.0001, 0.05] }, leaderboard: file('board.json') };
+  fs.writeFileSync(file('search.json'), JSON.stringify(config));
+  const { result: best, output } = await capture(t, ['search', '--config', file('search.json'), '--data', file('train.json'),
+    '--validation-split', '0.25', '--out', file('best.bin'), '--verbose', 'true']);
+  assert.deepEqual(best.params, { 'optimizer.learningRate': 0.05 });
+  assert.match(output, /Trial 2\/2/);
+  assert.match(output, /Best: \{"optimizer.learningRate":0.05\}/);
+  const board = JSON.parse(fs.readFileSync(file('board.json'), 'utf8'));
+  assert.deepEqual(board.trials.map(e => e.id), [1, 0]);
+  assert.deepEqual(loadModel(file('best.bin')).metadata.search.params, best.params);
+
+  delete config.search;
+  fs.writeFileSync(file('search.json'), JSON.stringify(config));
+  await assert.rejects(run(['search', '--config', file('search.json')]), /No search space/);
+});
+
+test('loading and run reject bad input', async t => {
+  const file = setup(t);
+  const { result: net } = await capture(t, ['train', '--config', file('run.json'), '--data', file('train.json'), '--out', file('m.json')]);
+  fs.writeFileSync(file('short.json'), JSON.stringify([{ image: [1, 2, 3], label: 0 }]));
+  await assert.rejects(loadPairs(file('short.json'), net), /record 0 has 3 inputs, the model expects 4/);
+  fs.writeFileSync(file('named.json'), JSON.stringify([{ image: [1, 2, 3, 4], label: 'light' }, { image: [1, 2, 3, 4], label: 'grey' }]));
+  await assert.rejects(loadPairs(file('named.json'), net), /record 1 has label "grey" outside the 2 classes/);
+  await assert.rejects(run(['train', '--layers', '4,2']), /No training data/);
+  assert.throws(() => run(['fly']), /Unknown command 'fly'/);
+  const { output } = await capture(t, ['help', 'train']);
+  assert.match(output, /Usage: nnjs train/);
+});
+
+test('train --stream checkpoints and resumes to the same model as an uninterrupted run', async t => {
+  const file = setup(t);
+  const base = ['train', '--config', file('run.json'), '--data', file('train.json'), '--stream', '--shuffle-buffer', '8'];
+  const { result: full } = await capture(t, [...base, '--epochs', '5', '--checkpoint-dir', file('a'), '--out', file('a.json')]);
+  await capture(t, [...base, '--epochs', '3', '--checkpoint-dir', file('b'), '--out', file('b.json')]);
+  const { result: resumed } = await capture(t, [...base, '--epochs', '5', '--checkpoint-dir', file('b'), '--resume', '--out', file('b.json')]);
+  assert.deepEqual(resumed.getWeights(), full.getWeights());
+  await assert.rejects(run([...base, '--validation-split', '0.2']), /--stream does not support a validation split/);
+});
+
+test('train --workers matches single-threaded training, streamed or not', async t => {
+  const file = setup(t);
+  const base = ['train', '--config', file('run.json'), '--data', file('train.json')];
+  const { result: single } = await capture(t, [...base, '--out', file('a.json')]);
+  const { result: pooled } = await capture(t, [...base, '--workers', '2', '--out', file('b.json')]);
+  assert.deepEqual(pooled.getWeights(), single.getWeights());
+  const { result: streamed } = await capture(t, [...base, '--stream', '--workers', '2', '--out', file('c.json')]);
+  assert.equal(streamed.metadata.training.samples, 40);
+
+  fs.writeFileSync(file('conv.json'), JSON.stringify({
+    layers: [{ shape: [1, 2, 2] }, { type: 'conv2d', filters: 2, kernelSize: 2 }, { type: 'flatten' }, 2],
+    verbose: false
+  }));
+  await assert.rejects(run(['train', '--config', file('conv.json'), '--data', file('train.json'), '--workers', '2']),
+    /--workers supports networks of dense layers only; this one has conv2d, flatten layers/);
+});
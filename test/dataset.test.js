@@ -0,0 +1,169 @@
+// Streaming datasets: every reader on small fixture files written to a temp directory,
+// gzip, batching and the shuffle buffer, corrupt input, and fitDataset training.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import Network from '../network.js';
+import RNG from '../random.js';
+import { LambdaCallback } from '../callbacks.js';
+import { Checkpointer, latestCheckpoint, loadCheckpoint } from '../checkpoint.js';
+import { Dataset, detectFormat, openDataset, toTrainingPairs, loadPairs, scoreDataset, fitDataset } from '../dataset.js';
+
+let dir;
+const file = name => path.join(dir, name);
+const write = (name, contents) => {
+  fs.writeFileSync(file(name), contents);
+  return file(name);
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nn-dataset-'));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const records = Array.from({ length: 12 }, (_, i) => ({ image: [i, 255 - i, i % 3], label: i % 2 }));
+const plain = async dataset => (await dataset.toArray()).map(({ x, label }) => [Array.from(x), label]);
+const expected = records.map(r => [r.image, r.label]);
+
+// IDX file: zero bytes, element type, dimension count, big-endian dims, big-endian data
+function idx(type, dims, values, bytesPer, setter) {
+  const header = 4 + 4 * dims.length;
+  const view = new DataView(new ArrayBuffer(header + values.length * bytesPer));
+  view.setUint8(2, type);
+  view.setUint8(3, dims.length);
+  dims.forEach((d, k) => view.setUint32(4 + 4 * k, d));
+  values.forEach((v, k) => view[setter](header + k * bytesPer, v));
+  return Buffer.from(view.buffer);
+}
+
+test('JSON arrays are parsed incrementally across chunk boundaries', async () => {
+  // ~300 KB, several read chunks; strings hold brackets, commas and escaped quotes
+  const big = Array.from({ length: 3000 }, (_, i) => ({ note: `a "[x]", {y}\\ ${i}`, image: [i, i / 7, -i], label: i % 10 }));
+  const text = JSON.stringify(big, null, 1);
+  const parsed = await plain(openDataset(write('big.json', text)));
+  assert.equal(parsed.length, 3000);
+  assert.deepEqual(parsed[2999], [[2999, Math.fround(2999 / 7), -2999], 9]);
+  assert.deepEqual(await plain(openDataset(write('small.json.gz', gzipSync(JSON.stringify(records))))), expected);
+  assert.deepEqual(await plain(openDataset(write('empty.json', ' [ ] '))), []);
+});
+
+test('NDJSON, CSV and IDX readers produce the same records', async () => {
+  const ndjson = records.map(r => JSON.stringify(r)).join('\n\n') + '\n';
+  assert.deepEqual(await plain(openDataset(write('r.ndjson', ndjson))), expected);
+  assert.deepEqual(await plain(openDataset(write('r.jsonl.gz', gzipSync(ndjson)))), expected);
+
+  const csv = ['label,a,b,c', ...records.map(r => [r.label, ...r.image].join(','))].join('\r\n');
+  assert.deepEqual(await plain(openDataset(write('r.csv', csv))), expected);
+  const lastColumn = records.map(r => [...r.image, r.label ? 'odd' : 'even'].join(',')).join('\n');
+  const named = await plain(openDataset(write('named.csv', lastColumn), { labelColumn: 3, header: false }));
+  assert.deepEqual(named[1], [[1, 254, 1], 'odd']);
+
+  const images = records.flatMap(r => r.image);
+  write('train-images-idx3-ubyte.gz', gzipSync(idx(0x08, [12, 3, 1], images, 1, 'setUint8')));
+  write('train-labels-idx1-ubyte', idx(0x08, [12], records.map(r => r.label), 1, 'setUint8'));
+  assert.deepEqual(await plain(openDataset(file('train-images-idx3-ubyte.gz'))), expected);
+  // multi-byte elements are big-endian
+  write('floats.idx', idx(0x0d, [12, 3], images.map(v => v + 0.5), 4, 'setFloat32'));
+  write('ints.idx', idx(0x0b, [12, 1], records.map(r => -r.label), 2, 'setInt16'));
+  const floats = await plain(openDataset(file('floats.idx'), { labels: file('ints.idx') }));
+  assert.deepEqual(floats[3], [[3.5, 252.5, 0.5], -1]);
+
+  assert.equal(detectFormat('a/b.jsonl.gz'), 'ndjson');
+  assert.equal(detectFormat('t10k-images-idx3-ubyte'), 'idx');
+  assert.throws(() => detectFormat('data.bin'), /Cannot tell the format of data.bin/);
+});
+
+test('datasets map, filter, take, skip and batch', async () => {
+  const numbers = Dataset.fromArray([0, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(await numbers.map((v, i) => v * 10 + i).take(3).toArray(), [0, 11, 22]);
+  assert.deepEqual(await numbers.filter(v => v % 2).skip(1).toArray(), [3, 5]);
+  assert.deepEqual(await numbers.batch(3).toArray(), [[0, 1, 2], [3, 4, 5], [6]]);
+  assert.deepEqual(await numbers.take(0).toArray(), []);
+  // every pass re-reads the source
+  const batches = openDataset(file('r.ndjson')).batch(5);
+  assert.deepEqual((await batches.toArray()).map(b => b.length), [5, 5, 2]);
+  assert.deepEqual((await batches.toArray()).map(b => b.length), [5, 5, 2]);
+});
+
+test('the shuffle buffer permutes within reach of its size', async () => {
+  const items = Array.from({ length: 200 }, (_, i) => i);
+  const small = Dataset.fromArray(items).shuffle(10, new RNG(1));
+  const first = await small.toArray();
+  const second = await small.toArray();
+  assert.deepEqual([...first].sort((a, b) => a - b), items);
+  assert.notDeepEqual(first, second); // a new order every pass
+  // an item read at position i cannot be emitted before position i - bufferSize
+  first.forEach((item, pos) => assert.ok(pos >= item - 10, `${item} at ${pos}`));
+  const full = await Dataset.fromArray(items).shuffle(1000, new RNG(2)).toArray();
+  assert.deepEqual(full, new RNG(2).shuffle([...items]));
+});
+
+test('corrupt, truncated and missing files are reported', async () => {
+  const json = JSON.stringify(records);
+  await assert.rejects(openDataset(write('cut.json', json.slice(0, -20))).toArray(), /cut.json: truncated JSON array/);
+  await assert.rejects(openDataset(write('obj.json', '{"image": [1], "label": 0}')).toArray(), /expected a JSON array of records/);
+  await assert.rejects(openDataset(write('bad.json', '[{"image": [1], "label": 0}, {"image": [1], "label": 0,}]')).toArray(), /bad.json: invalid JSON/);
+  await assert.rejects(openDataset(write('bad.ndjson', '{"image": [1], "label": 0}\n{"image": [1], "lab')).toArray(), /bad.ndjson: invalid JSON/);
+  await assert.rejects(openDataset(write('nolabel.ndjson', '{"image": [1]}')).toArray(), /expected records with 'image' and 'label' fields/);
+  await assert.rejects(openDataset(write('cut.json.gz', gzipSync(json).subarray(0, 40))).toArray(), /unexpected end of file/);
+  await assert.rejects(openDataset(write('junk.json.gz', 'not gzip at all')).toArray(), /incorrect header check/);
+
+  const images = idx(0x08, [12, 3], records.flatMap(r => r.image), 1, 'setUint8');
+  write('short-labels.idx', idx(0x08, [5], [0, 1, 0, 1, 0], 1, 'setUint8'));
+  await assert.rejects(
+    openDataset(write('cut.idx', images.subarray(0, images.length - 4)), { labels: file('train-labels-idx1-ubyte') }).toArray(),
+    /cut.idx: truncated IDX file \(10 of 12 items\)/
+  );
+  await assert.rejects(openDataset(write('fake.idx', 'text'), { labels: file('train-labels-idx1-ubyte') }).toArray(), /not an IDX file/);
+  await assert.rejects(
+    openDataset(write('few.idx', images), { labels: file('short-labels.idx') }).toArray(),
+    /short-labels.idx has fewer labels than/
+  );
+  await assert.rejects(openDataset(write('orphan-images-idx3-ubyte', images)).toArray(), /pass the matching IDX labels file/);
+
+  assert.throws(() => openDataset(file('missing.json')), /missing.json: no such file/);
+  assert.throws(() => openDataset(file('missing.csv.gz')), /missing.csv.gz: no such file/);
+  assert.throws(() => openDataset(file('r.ndjson'), { format: 'parquet' }), /Unknown dataset format 'parquet'/);
+});
+
+test('training pairs apply the normalization and label names of the network', async () => {
+  const net = new Network([3, 2], { seed: 1, labels: ['even', 'odd'], normalization: { scale: 1 / 255, offset: 0 } });
+  const pairs = await loadPairs(file('named.csv'), net, { labelColumn: 3, header: false });
+  assert.deepEqual(Array.from(pairs[1][1]), [0, 1]);
+  assert.ok(Math.abs(pairs[1][0][1] - 254 / 255) < 1e-6);
+  const wide = new Network([4, 2], { seed: 1 });
+  await assert.rejects(loadPairs(file('r.ndjson'), wide), /r.ndjson: record 0 has 3 inputs, the model expects 4/);
+
+  const score = await scoreDataset(net, Dataset.fromArray(pairs), 5);
+  const inMemory = net.score(pairs);
+  assert.equal(score.samples, 12);
+  assert.equal(score.correct, inMemory.correct);
+  assert.ok(Math.abs(score.loss - inMemory.loss) < 1e-6);
+});
+
+test('fitDataset resumes from an end-of-epoch checkpoint with the same stream order', async () => {
+  const makeNet = () => new Network([3, { size: 5, dropout: 0.2 }, 2], { seed: 7, normalization: { scale: 1 / 255, offset: 0 } });
+  const fit = (net, options) => {
+    const stream = toTrainingPairs(openDataset(file('r.ndjson')), net).shuffle(4, net.rng);
+    return fitDataset(net, stream, 4, 5, { type: 'momentum', learningRate: 0.1 }, null, { verbose: false, ...options });
+  };
+  const reference = makeNet();
+  const expectedHistory = await fit(reference);
+  assert.equal(reference.metadata.training.samples, 12);
+
+  const ckpt = path.join(dir, 'stream-checkpoints');
+  const crash = new LambdaCallback({ onEpochBegin(e) { if (e === 2) throw new Error('simulated crash'); } });
+  await assert.rejects(fit(makeNet(), { callbacks: [crash], checkpoint: new Checkpointer({ dir: ckpt }) }), /simulated crash/);
+  const { network, resume } = loadCheckpoint(latestCheckpoint(ckpt));
+  assert.equal(resume.epoch, 2);
+  const history = await fit(network, { callbacks: [new LambdaCallback({})], checkpoint: new Checkpointer({ dir: ckpt }), resume });
+  assert.deepEqual(history, expectedHistory);
+  assert.deepEqual(network.getWeights(), reference.getWeights());
+
+  // a checkpoint taken mid-epoch cannot be replayed from a stream
+  await assert.rejects(fit(makeNet(), { resume: { ...resume, batch: 1 } }), /fitDataset resumes only from end-of-epoch checkpoints/);
+});
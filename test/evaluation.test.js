@@ -0,0 +1,94 @@
+// Classification metrics and report formatting in evaluation.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Network from '../network.js';
+import {
+  confusionMatrix,
+  classificationReport,
+  topKAccuracy,
+  logLoss,
+  calibrationHistogram,
+  evaluateModel,
+  evaluatePredictions,
+  formatTable,
+  formatReport
+} from '../evaluation.js';
+
+const close = (a, b, tolerance = 1e-9) => assert.ok(Math.abs(a - b) < tolerance, `${a} vs ${b}`);
+
+test('confusion matrix rows are actual classes and columns predictions', () => {
+  assert.deepEqual(confusionMatrix([0, 1, 1, 2, 0], [0, 1, 2, 2, 1], 3), [
+    [1, 0, 0],
+    [1, 1, 0],
+    [0, 1, 1]
+  ]);
+});
+
+test('per-class precision, recall and F1 with macro and micro averages', () => {
+  const matrix = [
+    [3, 1],
+    [2, 4]
+  ];
+  const report = classificationReport(matrix, ['cat', 'dog']);
+  const [cat, dog] = report.perClass;
+  assert.equal(cat.label, 'cat');
+  close(cat.precision, 3 / 5);
+  close(cat.recall, 3 / 4);
+  close(cat.f1, 2 * 0.6 * 0.75 / 1.35);
+  assert.equal(cat.support, 4);
+  close(dog.precision, 4 / 5);
+  close(dog.recall, 4 / 6);
+  close(report.macro.recall, (3 / 4 + 4 / 6) / 2);
+  // micro averages pool the counts, which for single-label data equals accuracy
+  close(report.micro.precision, 0.7);
+  close(report.micro.f1, 0.7);
+  // a class never predicted or present scores 0 rather than NaN
+  assert.deepEqual(classificationReport([[2, 0], [0, 0]]).perClass[1], {
+    label: '1', precision: 0, recall: 0, f1: 0, support: 0
+  });
+});
+
+test('top-k accuracy, log-loss and calibration', () => {
+  const probs = [[0.7, 0.2, 0.1], [0.3, 0.6, 0.1], [0.5, 0.15, 0.35], [0.25, 0.35, 0.4]];
+  const actual = [0, 0, 2, 1];
+  assert.equal(topKAccuracy(probs, actual, 1), 0.25);
+  assert.equal(topKAccuracy(probs, actual, 2), 1);
+  close(logLoss(probs, actual), -(Math.log(0.7) + Math.log(0.3) + Math.log(0.35) + Math.log(0.35)) / 4);
+  assert.ok(Number.isFinite(logLoss([[1, 0]], [1])));
+
+  const { bins, ece } = calibrationHistogram(probs, actual, 2);
+  assert.deepEqual(bins.map(b => b.count), [1, 3]);
+  close(bins[1].confidence, (0.7 + 0.6 + 0.5) / 3);
+  close(bins[1].accuracy, 1 / 3);
+  close(ece, 1 / 4 * 0.4 + 3 / 4 * Math.abs(1 / 3 - 0.6));
+});
+
+test('evaluateModel agrees with Network.evaluate and predict', () => {
+  const net = new Network([3, 5, 4], { seed: 6 });
+  const data = Array.from({ length: 30 }, (_, i) => {
+    const target = [0, 0, 0, 0];
+    target[i % 4] = 1;
+    return [[i % 3 / 3, i % 5 / 5, i % 7 / 7], target];
+  });
+  const report = evaluateModel(net, data, { k: 2, batchSize: 7 });
+  assert.equal(report.samples, 30);
+  close(report.accuracy, net.evaluate(data) / 30);
+  assert.deepEqual(net.predictBatch(data.map(([x]) => x), 7)[11], net.predict(data[11][0]));
+  assert.equal(report.confusionMatrix.flat().reduce((s, v) => s + v, 0), 30);
+  assert.equal(report.topK.k, 2);
+});
+
+test('reports render as aligned text tables', () => {
+  assert.equal(formatTable(['a', 'long'], [[1, 2], [333, 4]]), [
+    '  a  long',
+    '---  ----',
+    '  1     2',
+    '333     4'
+  ].join('\n'));
+  const text = formatReport(evaluatePredictions([[0.9, 0.1], [0.2, 0.8], [0.6, 0.4]], [0, 1, 1], { k: 1, labels: ['no', 'yes'] }));
+  assert.match(text, /Accuracy: 66\.67%/);
+  assert.match(text, /macro avg/);
+  assert.match(text, /actual \\ pred\s+no\s+yes/);
+  assert.match(text, /Calibration:/);
+});
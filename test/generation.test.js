@@ -0,0 +1,128 @@
+// Transformer generation: seeded sampling, top-k and top-p filtering, stop tokens, beam
+// search length penalties, the old generate(prompt, maxLength) form and generateStream.
+// Most tests replace _nextTokenLogits with fixed logits, so the expected tokens are known.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../transformer.js';
+
+const { Transformer, resolveGenerationConfig, DEFAULT_GENERATION_CONFIG } = globalThis.Transformer;
+
+const VOCAB = 10;
+const prompt = [1, 2];
+
+const smallModel = () => new Transformer({ dModel: 8, numHeads: 2, numLayers: 1, maxLen: 128, vocabSize: VOCAB });
+
+// A model whose next-token logits come from logitsFor(sequence)
+function scriptedModel(logitsFor) {
+  const model = smallModel();
+  model._nextTokenLogits = sequence => logitsFor(sequence);
+  return model;
+}
+
+// Logits with the given probabilities for the listed token IDs and ~0 for the rest
+const logitsOf = probs => Array.from({ length: VOCAB }, (_, i) => Math.log(probs[i] || 1e-12));
+
+async function collect(iterator) {
+  const tokens = [];
+  for await (const token of iterator) tokens.push(token);
+  return tokens;
+}
+
+test('a seed makes sampling reproducible; greedy and temperature 0 take the argmax', () => {
+  const model = smallModel();
+  const options = { maxNewTokens: 12, temperature: 1.5, seed: 7 };
+  const a = model.generate(prompt, options);
+  assert.equal(a.length, prompt.length + 12);
+  assert.deepEqual(a.slice(0, 2), prompt);
+  assert.deepEqual(model.generate(prompt, options), a);
+  assert.notDeepEqual(model.generate(prompt, { ...options, seed: 8 }), a);
+
+  const greedy = model.generate(prompt, { maxNewTokens: 6, greedy: true });
+  assert.deepEqual(model.generate(prompt, { maxNewTokens: 6, temperature: 0, seed: 3 }), greedy);
+  // greedy decoding picks the argmax of the full forward pass at every step
+  for (let i = prompt.length; i < greedy.length; i++) {
+    const logits = model._nextTokenLogits(greedy.slice(0, i));
+    assert.equal(greedy[i], logits.indexOf(Math.max(...logits)));
+  }
+});
+
+test('topK and topP sample only from the most likely tokens', () => {
+  const probs = [0.4, 0.3, 0.2, 0.05, 0.05];
+  const model = scriptedModel(() => logitsOf(probs));
+  const sample = options => model.generate(prompt, { maxNewTokens: 300, seed: 1, ...options }).slice(prompt.length);
+  const seen = tokens => [...new Set(tokens)].sort();
+
+  assert.deepEqual(seen(sample({})), [0, 1, 2, 3, 4]);
+  assert.deepEqual(seen(sample({ topK: 2 })), [0, 1]);
+  assert.deepEqual(seen(sample({ topK: 1 })), [0]);
+  // the nucleus is the smallest set of tokens whose probabilities reach topP
+  assert.deepEqual(seen(sample({ topP: 0.85 })), [0, 1, 2]);
+  assert.deepEqual(seen(sample({ topP: 0.65 })), [0, 1]);
+  assert.deepEqual(seen(sample({ topP: 0.1 })), [0]);
+  assert.deepEqual(seen(sample({ topK: 3, topP: 0.5 })), [0, 1]);
+  // sampled frequencies follow the renormalized probabilities
+  const twoWay = sample({ topK: 2 });
+  const zeros = twoWay.filter(token => token === 0).length / twoWay.length;
+  assert.ok(Math.abs(zeros - 0.4 / 0.7) < 0.08, `token 0 sampled ${zeros} of the time`);
+});
+
+test('a stop token ends generation and is included in the output', async () => {
+  // the most likely next token is the sequence length
+  const model = scriptedModel(sequence => logitsOf({ [sequence.length % VOCAB]: 0.9 }));
+  assert.deepEqual(model.generate(prompt, { greedy: true, maxNewTokens: 5 }), [1, 2, 2, 3, 4, 5, 6]);
+  assert.deepEqual(model.generate(prompt, { greedy: true, maxNewTokens: 5, stopTokens: [4, 9] }), [1, 2, 2, 3, 4]);
+  assert.deepEqual(model.generate(prompt, { greedy: true, stopTokens: [2] }), [1, 2, 2]);
+  // a stop token that is never generated leaves maxNewTokens in charge
+  assert.deepEqual(model.generate(prompt, { greedy: true, maxNewTokens: 3, stopTokens: [0] }), [1, 2, 2, 3, 4]);
+  assert.deepEqual(await collect(model.generateStream(prompt, { greedy: true, stopTokens: [5] })), [2, 3, 4, 5]);
+  // beam search finishes a beam at its stop token too
+  assert.deepEqual(model.generate(prompt, { numBeams: 2, maxNewTokens: 8, stopTokens: [4] }), [1, 2, 2, 3, 4]);
+});
+
+test('beam search ranks by logProb / length^lengthPenalty', () => {
+  // token 2 stops at once with probability 0.5; token 0 starts a longer sequence of likely tokens
+  const model = scriptedModel(sequence => (sequence.length === prompt.length
+    ? logitsOf({ 0: 0.45, 1: 0.05, 2: 0.5 })
+    : logitsOf({ 0: 0.9, 1: 0.09, 2: 0.01 })));
+  const beams = lengthPenalty => model.generate(prompt, { numBeams: 2, maxNewTokens: 4, stopTokens: [2], lengthPenalty });
+  // log 0.5 beats log 0.45 + 3 log 0.9 when length does not count ...
+  assert.deepEqual(beams(0), [1, 2, 2]);
+  // ... and loses to it divided by 4 under the default penalty of 1
+  assert.deepEqual(beams(1), [1, 2, 0, 0, 0, 0]);
+  assert.equal(DEFAULT_GENERATION_CONFIG.lengthPenalty, 1);
+  assert.deepEqual(model.generate(prompt, { numBeams: 2, maxNewTokens: 4, stopTokens: [2] }), beams(1));
+});
+
+test('generate(prompt, maxLength) still means maxNewTokens', t => {
+  const model = smallModel();
+  // the unseeded sampler draws from Math.random
+  t.mock.method(Math, 'random', () => 0.5);
+  const tokens = model.generate(prompt, 50);
+  assert.equal(tokens.length, prompt.length + 50);
+  assert.deepEqual(model.generate(prompt, { maxNewTokens: 50 }), tokens);
+  assert.equal(resolveGenerationConfig(7).maxNewTokens, 7);
+  assert.equal(model.generate(prompt, 0).length, prompt.length);
+});
+
+test('generateStream yields the same tokens as generate, sampled or from beam search', async () => {
+  const model = smallModel();
+  for (const options of [{ maxNewTokens: 8, seed: 4, topK: 3 }, { maxNewTokens: 5, numBeams: 3 }]) {
+    const stream = model.generateStream(prompt, options);
+    assert.equal(typeof stream[Symbol.asyncIterator], 'function');
+    assert.deepEqual(await collect(stream), model.generate(prompt, options).slice(prompt.length));
+  }
+  // it checks the config when iterated
+  await assert.rejects(collect(model.generateStream(prompt, { topP: 0 })), /topP must be in \(0, 1\]/);
+});
+
+test('generation rejects bad configs and models without a vocabulary', () => {
+  const model = smallModel();
+  assert.throws(() => model.generate(prompt, { topK: -1 }), /Invalid generation config: topK must be an integer >= 0/);
+  assert.throws(() => model.generate(prompt, { temperature: -1 }), /temperature must be >= 0/);
+  assert.throws(() => model.generate(prompt, { numBeams: 1.5 }), /numBeams must be an integer >= 1/);
+  assert.throws(() => model.generate(prompt, { stopTokens: 3 }), /stopTokens must be an array/);
+  assert.throws(() => model.generate(prompt, { repetitionPenalty: 0 }), /repetitionPenalty must be > 0/);
+  const encoder = new Transformer({ dModel: 8, numHeads: 2, numLayers: 1 });
+  assert.throws(() => encoder.generate(prompt), /Vocab size must be set for text generation/);
+});
@@ -0,0 +1,121 @@
+// Finite-difference checks of the transformer backward passes: every parameter gradient
+// from Transformer.backward against central differences of the cross-entropy loss.
+// Matrices are float32, so the step is large and the tolerance loose enough for its
+// rounding, yet far below the size of a wrong gradient.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../transformer.js';
+
+const { Transformer, Matrix, createRandom, createCausalMask, createPaddingMask, crossEntropyLoss } = globalThis.Transformer;
+
+const EPSILON = 1e-2;
+const RTOL = 2e-2;
+const ATOL = 2e-4;
+const SAMPLES_PER_PARAMETER = 8;
+
+// A small model with seeded weights; layer norm and biases moved off their 1/0 start
+// so their gradients are not special cases
+function seededModel(seed) {
+  const random = createRandom(seed);
+  const model = new Transformer({ dModel: 8, numHeads: 2, numLayers: 2, dFF: 12, vocabSize: 7, maxLen: 16 });
+  for (const { name, value } of model.parameters()) {
+    const offset = /gamma$/.test(name) ? 1 : 0;
+    const scale = /gamma$|beta$|b1$|b2$/.test(name) ? 0.25 : Math.sqrt(1 / 8);
+    for (let i = 0; i < value.data.length; i++) value.data[i] = offset + (random() * 2 - 1) * scale;
+  }
+  return model;
+}
+
+// Largest mismatch, as a multiple of the allowed error, between the analytic and numeric
+// gradients of a few entries of every parameter whose name matches pattern
+function checkParameters(model, lossAt, pattern) {
+  model.zeroGrad();
+  lossAt(true);
+  const params = model.parameters().filter(({ name }) => pattern.test(name));
+  assert.ok(params.length > 0, `no parameters match ${pattern}`);
+  const failures = [];
+  for (const { name, value, grad } of params) {
+    const stride = Math.max(1, Math.floor(value.data.length / SAMPLES_PER_PARAMETER));
+    for (let k = 0; k < value.data.length; k += stride) {
+      const original = value.data[k];
+      value.data[k] = original + EPSILON;
+      const plus = lossAt(false);
+      value.data[k] = original - EPSILON;
+      const minus = lossAt(false);
+      value.data[k] = original;
+      const numeric = (plus - minus) / (2 * EPSILON);
+      const analytic = grad.data[k];
+      const allowed = ATOL + RTOL * Math.max(Math.abs(numeric), Math.abs(analytic));
+      if (Math.abs(numeric - analytic) > allowed) failures.push(`${name}[${k}]: ${analytic} vs ${numeric}`);
+    }
+  }
+  assert.deepEqual(failures, []);
+}
+
+// Next-token loss of a token sequence under mask; with backward, also fills the grads
+function tokenLoss(model, tokens, mask) {
+  const input = Matrix.fromArray(tokens.slice(0, -1));
+  const targets = tokens.slice(1);
+  return backward => {
+    const { loss, grad } = crossEntropyLoss(model.forward(input, mask), targets);
+    if (backward) model.backward(grad);
+    return loss;
+  };
+}
+
+const TOKENS = [1, 3, 3, 6, 0, 2];
+
+test('layer norm gradients match finite differences', () => {
+  const model = seededModel(1);
+  checkParameters(model, tokenLoss(model, TOKENS, createCausalMask(5)), /layerNorm\d\.(gamma|beta)$/);
+});
+
+test('attention gradients match finite differences', () => {
+  const model = seededModel(2);
+  checkParameters(model, tokenLoss(model, TOKENS, createCausalMask(5)), /attention\.w[QKVO]$/);
+});
+
+test('attention gradients match finite differences under a padding mask', () => {
+  const model = seededModel(3);
+  const tokens = [4, 2, 5, 0, 0, 1];
+  checkParameters(model, tokenLoss(model, tokens, createPaddingMask(tokens.slice(0, -1))), /attention\.w[QKVO]$/);
+});
+
+test('feed-forward gradients match finite differences', () => {
+  const model = seededModel(4);
+  checkParameters(model, tokenLoss(model, TOKENS, createCausalMask(5)), /feedForward\.(w1|b1|w2|b2)$/);
+});
+
+test('embedding and output projection gradients match finite differences', () => {
+  const model = seededModel(5);
+  checkParameters(model, tokenLoss(model, TOKENS, createCausalMask(5)), /^(embedding|outputProjection)$/);
+});
+
+test('the gradient w.r.t. vector input matches finite differences', () => {
+  const random = createRandom(6);
+  const model = new Transformer({ dModel: 6, numHeads: 3, numLayers: 1, dFF: 8 });
+  const x = new Matrix(4, 6);
+  const weights = new Matrix(4, 6);
+  for (let i = 0; i < x.data.length; i++) {
+    x.data[i] = random() * 2 - 1;
+    weights.data[i] = random() * 2 - 1;
+  }
+  const mask = createPaddingMask([5, 2, 0, 0]);
+  const lossAt = () => model.forward(x, mask).multiply(weights).data.reduce((a, b) => a + b, 0);
+  model.forward(x, mask);
+  const dx = model.backward(weights);
+  const failures = [];
+  for (let k = 0; k < x.data.length; k++) {
+    const original = x.data[k];
+    x.data[k] = original + EPSILON;
+    const plus = lossAt();
+    x.data[k] = original - EPSILON;
+    const minus = lossAt();
+    x.data[k] = original;
+    const numeric = (plus - minus) / (2 * EPSILON);
+    const allowed = ATOL + RTOL * Math.max(Math.abs(numeric), Math.abs(dx.data[k]));
+    if (Math.abs(numeric - dx.data[k]) > allowed) failures.push(`x[${k}]: ${dx.data[k]} vs ${numeric}`);
+  }
+  assert.deepEqual(failures, []);
+});
@@ -0,0 +1,113 @@
+// Key/value cache: decoding through a KVCache gives bit-identical logits to full causal
+// forward passes, as benchmark.js checks, for sampling, greedy decoding and beam search.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../transformer.js';
+
+const { Transformer, Matrix, createCausalMask } = globalThis.Transformer;
+
+const makeModel = () => new Transformer({ dModel: 16, numHeads: 4, numLayers: 2, maxLen: 40, vocabSize: 12 });
+const prompt = [3, 1, 4, 1, 5];
+
+const sameBits = (actual, expected) => actual.length === expected.length && actual.every((v, j) => Object.is(v, expected[j]));
+
+// As benchmark.js: the rows of a full causal forward pass against the same sequence fed
+// through a KVCache, chunk by chunk
+function assertCachedLogitsMatch(model, sequence, chunks) {
+  const full = model.forward(Matrix.fromArray(sequence), createCausalMask(sequence.length));
+  const kvCache = model.createKVCache();
+  let t = 0;
+  for (const size of chunks) {
+    const rows = model.forward(Matrix.fromArray(sequence.slice(t, t + size)), createCausalMask(size, t), kvCache);
+    assert.equal(kvCache.length, t + size);
+    assert.ok(sameBits(rows.data, full.data.subarray(t * full.cols, (t + size) * full.cols)), `positions ${t}..${t + size - 1}`);
+    t += size;
+  }
+  assert.equal(t, sequence.length);
+}
+
+test('cached forward passes are bit-identical to the full causal forward pass', () => {
+  const model = makeModel();
+  const sequence = [...prompt, 9, 2, 6, 5, 3, 5, 8];
+  assertCachedLogitsMatch(model, sequence, sequence.map(() => 1));
+  assertCachedLogitsMatch(model, sequence, [prompt.length, ...sequence.slice(prompt.length).map(() => 1)]);
+  assertCachedLogitsMatch(model, sequence, [3, 4, 5]);
+});
+
+// Record the logits of every decoding step of model.generate(prompt, options)
+function recordSteps(model, options) {
+  const steps = [];
+  const nextTokenLogits = model._nextTokenLogits;
+  model._nextTokenLogits = (sequence, kvCache) => {
+    const logits = nextTokenLogits.call(model, sequence, kvCache);
+    steps.push({ sequence: sequence.slice(), logits, cached: Boolean(kvCache) });
+    return logits;
+  };
+  try {
+    return { tokens: model.generate(prompt, options), steps };
+  } finally {
+    delete model._nextTokenLogits;
+  }
+}
+
+function assertCacheChangesNothing(model, options) {
+  const cached = recordSteps(model, { ...options, useCache: true });
+  const uncached = recordSteps(model, { ...options, useCache: false });
+  assert.ok(cached.steps.every(step => step.cached) && uncached.steps.every(step => !step.cached));
+  assert.deepEqual(cached.tokens, uncached.tokens);
+  assert.equal(cached.steps.length, uncached.steps.length);
+  cached.steps.forEach((step, i) => {
+    assert.deepEqual(step.sequence, uncached.steps[i].sequence);
+    assert.ok(sameBits(step.logits, uncached.steps[i].logits), `step ${i} of ${JSON.stringify(options)}`);
+  });
+  return cached.tokens;
+}
+
+test('generation gives bit-identical logits and the same tokens with and without the cache', () => {
+  const model = makeModel();
+  assertCacheChangesNothing(model, { greedy: true, maxNewTokens: 20 });
+  assertCacheChangesNothing(model, { maxNewTokens: 20, seed: 5, topK: 6, topP: 0.9, repetitionPenalty: 1.3, presencePenalty: 0.2 });
+});
+
+test('beam search gives bit-identical logits and the same beams with and without the cache', () => {
+  const model = makeModel();
+  // beams branch from a shared parent every step, so their caches get cloned
+  const tokens = assertCacheChangesNothing(model, { numBeams: 3, maxNewTokens: 12 });
+  assert.equal(tokens.length, prompt.length + 12);
+  // and beams finishing at stop tokens drop out of the search
+  const [stop] = tokens.slice(prompt.length + 2);
+  assertCacheChangesNothing(model, { numBeams: 4, maxNewTokens: 12, stopTokens: [stop], lengthPenalty: 0.5 });
+});
+
+test('generateStream decodes with the cache by default', async () => {
+  const model = makeModel();
+  const options = { maxNewTokens: 10, seed: 2 };
+  const tokens = [];
+  for await (const token of model.generateStream(prompt, options)) tokens.push(token);
+  assert.deepEqual(tokens, model.generate(prompt, { ...options, useCache: false }).slice(prompt.length));
+});
+
+test('a cloned cache is independent of the original', () => {
+  const model = makeModel();
+  const prefill = cache => model.forward(Matrix.fromArray(prompt), createCausalMask(prompt.length), cache);
+  const step = (cache, token) => model.forward(Matrix.fromArray([token]), createCausalMask(1, cache.length), cache).data;
+  const kvCache = model.createKVCache();
+  prefill(kvCache);
+  const branch = kvCache.clone();
+  step(kvCache, 2);
+  step(kvCache, 4);
+  assert.equal(kvCache.length, prompt.length + 2);
+  assert.equal(branch.length, prompt.length);
+  // the branch continues as if the original had never moved on
+  const fresh = model.createKVCache();
+  prefill(fresh);
+  assert.ok(sameBits(step(branch, 7), step(fresh, 7)));
+});
+
+test('decoding rejects empty prompts and sequences longer than maxLen', () => {
+  const model = makeModel();
+  assert.throws(() => model.generate([], 3), /Generation needs a prompt of at least one token/);
+  assert.throws(() => model.generate(prompt, { maxNewTokens: 40, useCache: true }), /Sequence of 41 positions exceeds maxLen 40/);
+  assert.throws(() => model.generate(prompt, { maxNewTokens: 40, useCache: false }), /Sequence of 41 positions exceeds maxLen 40/);
+});
@@ -0,0 +1,176 @@
+// Convolution, pooling, flatten and batch norm layers: backward passes against central
+// differences, shapes, mixed networks end to end, saving, and what rejects them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Network, { MODEL_VERSION } from '../network.js';
+import Matrix from '../matrix.js';
+import RNG from '../random.js';
+import { encodeModel, decodeModel } from '../binary.js';
+import { WorkerPool } from '../parallel.js';
+import { Conv2D, MaxPool2D, AvgPool2D, Flatten, BatchNorm, createLayer, listLayers } from '../layers.js';
+
+const EPS = 1e-3;
+
+const randomMatrix = (rows, cols, rng, scale = 1) => new Matrix(rows, cols, Float32Array.from({ length: rows * cols }, () => rng.uniform(-scale, scale)));
+
+// Central differences of f() in every entry of m, which f reads
+function numericGradient(f, m) {
+  return Array.from(m.data, (v, k) => {
+    m.data[k] = v + EPS;
+    const up = f();
+    m.data[k] = v - EPS;
+    const down = f();
+    m.data[k] = v;
+    return (up - down) / (2 * EPS);
+  });
+}
+
+function assertGradient(analytic, numeric, what) {
+  analytic.forEach((a, k) => {
+    const tolerance = 5e-3 * Math.max(1, Math.abs(numeric[k]));
+    assert.ok(Math.abs(a - numeric[k]) < tolerance, `${what}[${k}]: ${a} vs ${numeric[k]}`);
+  });
+}
+
+// Check backward() of a layer on input x against the loss sum(output * weights of R)
+function checkLayer(layer, x, rng, { training = false } = {}) {
+  const r = randomMatrix(layer.outputShape.reduce((n, d) => n * d, 1), x.cols, rng);
+  const loss = () => {
+    const { output } = layer.forward(x, training);
+    return output.data.reduce((s, v, k) => s + v * r.data[k], 0);
+  };
+  const { cache } = layer.forward(x, training);
+  const { delta, grads } = layer.backward(r, cache);
+  assertGradient(Array.from(delta.data), numericGradient(loss, x), 'input');
+  for (const [name, param] of Object.entries(layer.params())) {
+    assertGradient(Array.from(grads[name].data), numericGradient(loss, param), name);
+  }
+}
+
+test('conv2d backward matches central differences, with padding and stride', () => {
+  const rng = new RNG(1);
+  const configs = [
+    { filters: 3, kernelSize: 3, activation: 'tanh' },
+    { filters: 2, kernelSize: [3, 2], stride: 2, padding: 1, activation: 'linear' },
+    { filters: 2, kernelSize: 3, padding: 'same', activation: 'sigmoid', l2: 0.1 }
+  ];
+  for (const options of configs) {
+    const layer = new Conv2D([2, 5, 6], { ...options, rng });
+    layer.biases = randomMatrix(layer.filters, 1, rng, 0.5);
+    checkLayer(layer, randomMatrix(2 * 5 * 6, 3, rng), rng);
+  }
+});
+
+test('pooling backward matches central differences', () => {
+  const rng = new RNG(2);
+  // distinct values a step apart, so no window max changes within EPS
+  const values = rng.shuffle(Array.from({ length: 2 * 6 * 6 * 2 }, (_, k) => k * 0.01));
+  const x = new Matrix(2 * 6 * 6, 2, Float32Array.from(values));
+  checkLayer(new MaxPool2D([2, 6, 6], { size: 2 }), x, rng);
+  checkLayer(new MaxPool2D([2, 6, 6], { size: 3, stride: 1 }), x, rng);
+  checkLayer(new AvgPool2D([2, 6, 6], { size: 2 }), x, rng);
+  checkLayer(new AvgPool2D([2, 6, 6], { size: [2, 3], stride: [2, 3] }), x, rng);
+});
+
+test('batch norm backward matches central differences through the batch statistics', () => {
+  const rng = new RNG(3);
+  const image = new BatchNorm([3, 2, 2], { activation: 'tanh' });
+  image.gamma = randomMatrix(3, 1, rng);
+  image.beta = randomMatrix(3, 1, rng);
+  checkLayer(image, randomMatrix(12, 4, rng), rng, { training: true });
+  const flat = new BatchNorm([5]);
+  flat.gamma = randomMatrix(5, 1, rng);
+  checkLayer(flat, randomMatrix(5, 6, rng), rng, { training: true });
+});
+
+test('batch norm normalizes with batch statistics while training and running averages after', () => {
+  const rng = new RNG(4);
+  const layer = new BatchNorm([2], { momentum: 0.5 });
+  const x = randomMatrix(2, 8, rng, 3).map(v => v + 5);
+  const { output } = layer.forward(x, true);
+  for (let c = 0; c < 2; c++) {
+    const row = Array.from(output.data.subarray(c * 8, (c + 1) * 8));
+    const mean = row.reduce((s, v) => s + v, 0) / row.length;
+    const variance = row.reduce((s, v) => s + (v - mean) ** 2, 0) / row.length;
+    assert.ok(Math.abs(mean) < 1e-5 && Math.abs(variance - 1) < 1e-3);
+  }
+  assert.ok(layer.runningMean.data.every(m => m > 2 && m < 3.5)); // halfway from 0 to ~5
+  const before = layer.runningMean.toArray();
+  layer.forward(x, false);
+  assert.deepEqual(layer.runningMean.toArray(), before);
+});
+
+test('flatten, shapes and the layer registry', () => {
+  const flatten = new Flatten([2, 3, 4]);
+  assert.deepEqual(flatten.outputShape, [24]);
+  const x = randomMatrix(24, 2, new RNG(5));
+  assert.equal(flatten.forward(x).output, x);
+  assert.deepEqual(new Conv2D([1, 28, 28], { filters: 6, kernelSize: 5, padding: 2 }).outputShape, [6, 28, 28]);
+  assert.deepEqual(new Conv2D([1, 28, 28], { filters: 4, kernelSize: 5, stride: 2 }).outputShape, [4, 12, 12]);
+  assert.deepEqual(new MaxPool2D([6, 28, 28]).outputShape, [6, 14, 14]);
+  assert.deepEqual(listLayers(), [
+    'dense', 'dropout', 'activation', 'reshape', 'embedding', 'conv2d', 'maxPool2d', 'avgPool2d', 'flatten', 'batchNorm'
+  ]);
+  assert.ok(createLayer({ type: 'avgPool2d', size: 2 }, [1, 4, 4]) instanceof AvgPool2D);
+
+  assert.throws(() => createLayer({ type: 'conv3d' }, [1, 4, 4]), /Unknown layer type 'conv3d'/);
+  assert.throws(() => new Conv2D([1, 4, 4], {}), /positive filters count, got undefined/);
+  assert.throws(() => new Conv2D([16], { filters: 2 }), /conv2d needs \[channels, height, width\] inputs/);
+  assert.throws(() => new Conv2D([1, 4, 4], { filters: 2, kernelSize: 2, padding: 'same' }), /odd kernel size/);
+  assert.throws(() => new MaxPool2D([1, 3, 3], { size: 4 }), /a 4 window does not fit an input of 3/);
+});
+
+const lenet = () => new Network([
+  { shape: [1, 8, 8] },
+  { type: 'conv2d', filters: 3, kernelSize: 3, padding: 1, activation: 'linear', l2: 0.01 },
+  { type: 'batchNorm', activation: 'tanh' },
+  { type: 'avgPool2d', size: 2 },
+  { type: 'conv2d', filters: 4, kernelSize: 3, activation: 'tanh' },
+  { type: 'flatten' },
+  { size: 5, activation: 'tanh' },
+  3
+], { seed: 6 });
+
+test('network backprop through conv, batch norm and pooling matches central differences', () => {
+  const net = lenet();
+  const rng = new RNG(7);
+  const x = randomMatrix(64, 3, rng);
+  const y = Matrix.fromColumns([[1, 0, 0], [0, 0, 1], [0, 1, 0]]);
+  const { grads } = net.backprop(x, y);
+  const loss = () => net.lossFn.value(net.feedforward(x, true).activations.at(-1), y);
+  net.layers.forEach((layer, l) => {
+    for (const [name, param] of Object.entries(layer.params())) {
+      assertGradient(Array.from(grads[l][name].data), numericGradient(loss, param), `layer ${l} ${name}`);
+    }
+  });
+});
+
+test('a convolutional network trains, saves as version 2 and reloads in both formats', () => {
+  const rng = new RNG(8);
+  // class 0: bright top half, class 1: bright bottom half
+  const data = Array.from({ length: 24 }, (_, k) => {
+    const c = k % 2;
+    const image = Array.from({ length: 64 }, (_, p) => ((p < 32) === (c === 0) ? 0.8 : 0.1) + rng.uniform(0, 0.1));
+    return [image, c ? [0, 1, 0] : [1, 0, 0]];
+  });
+  const net = lenet();
+  const history = net.SGD(data, 8, 4, { type: 'adam', learningRate: 0.01 }, data, { verbose: false });
+  assert.equal(history.valAccuracy.at(-1), 1);
+  assert.deepEqual(net.layers.map(l => l.outputShape), [[3, 8, 8], [3, 8, 8], [3, 4, 4], [4, 2, 2], [16], [5], [3]]);
+
+  const json = JSON.parse(JSON.stringify(net));
+  assert.equal(json.version, MODEL_VERSION);
+  assert.deepEqual(json.inputShape, [1, 8, 8]);
+  const sample = data[1][0];
+  assert.deepEqual(Network.fromJSON(json).predict(sample), net.predict(sample));
+  assert.deepEqual(decodeModel(encodeModel(net)).predict(sample), net.predict(sample));
+  const int8 = decodeModel(encodeModel(net, { dtype: 'int8' }));
+  assert.deepEqual(int8.layers[1].runningVar.toArray(), net.layers[1].runningVar.toArray());
+  assert.ok(int8.predict(sample).every((v, i) => Math.abs(v - net.predict(sample)[i]) < 0.05));
+});
+
+test('worker pools reject networks with these layers', () => {
+  assert.throws(() => new WorkerPool(lenet(), { workers: 1 }),
+    /WorkerPool supports networks of dense layers only, got conv2d, batchNorm, avgPool2d, flatten layers/);
+});
@@ -0,0 +1,96 @@
+// Loss registry: gradients against finite differences, fused deltas, and losses
+// plugged into a Network.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Matrix from '../matrix.js';
+import Network from '../network.js';
+import { getActivation } from '../activations.js';
+import { createLoss, registerLoss, listLosses } from '../losses.js';
+
+const EPSILON = 1e-4;
+
+function numericGradient(loss, output, target) {
+  return output.map((_, i, j) => {
+    const plus = output.clone();
+    const minus = output.clone();
+    plus.set(i, j, output.get(i, j) + EPSILON);
+    minus.set(i, j, output.get(i, j) - EPSILON);
+    return (loss.value(plus, target) - loss.value(minus, target)) / (2 * EPSILON);
+  });
+}
+
+function assertClose(actual, expected, tolerance, label) {
+  actual.toArray().forEach((v, k) => {
+    const e = expected.toArray()[k];
+    assert.ok(Math.abs(v - e) < tolerance, `${label}[${k}]: ${v} vs ${e}`);
+  });
+}
+
+// two samples (columns) of three outputs
+const output = Matrix.from2DArray([[0.2, 0.7], [0.5, 0.1], [0.3, 0.2]]);
+const target = Matrix.from2DArray([[0, 1], [1, 0], [0, 0]]);
+
+test('every built-in gradient matches its value', () => {
+  const specs = ['mse', 'mae', { type: 'huber', delta: 0.3 }, 'binaryCrossEntropy',
+    'categoricalCrossEntropy', { type: 'categoricalCrossEntropy', labelSmoothing: 0.1 }];
+  for (const spec of specs) {
+    const loss = createLoss(spec);
+    assertClose(loss.gradient(output, target), numericGradient(loss, output, target), 1e-3, loss.type);
+  }
+});
+
+test('values follow their definitions', () => {
+  // squared errors summed over samples, averaged over the 3 units
+  assert.ok(Math.abs(createLoss('mse').value(output, target) - (0.04 + 0.25 + 0.09 + 0.09 + 0.01 + 0.04) / 3) < 1e-6);
+  assert.ok(Math.abs(createLoss('categoricalCrossEntropy').value(output, target) + Math.log(0.5) + Math.log(0.7)) < 1e-6);
+  // label smoothing spreads e / K over every class
+  const smoothed = createLoss({ type: 'categoricalCrossEntropy', labelSmoothing: 0.3 });
+  const t = Matrix.from2DArray([[1], [0], [0]]);
+  const o = Matrix.from2DArray([[0.8], [0.1], [0.1]]);
+  const expected = -(0.8 * Math.log(0.8) + 0.1 * Math.log(0.1) + 0.1 * Math.log(0.1));
+  assert.ok(Math.abs(smoothed.value(o, t) - expected) < 1e-6);
+});
+
+test('fused deltas equal the gradient pushed through the paired activation', () => {
+  const z = Matrix.from2DArray([[0.3, -1.2], [1.1, 0.4], [-0.5, 0.9]]);
+  for (const type of ['binaryCrossEntropy', 'categoricalCrossEntropy']) {
+    const loss = createLoss(type);
+    const act = getActivation(loss.fusedWith);
+    const a = act.forward(z);
+    const viaActivation = act.backward
+      ? act.backward(loss.gradient(a, target), z, a)
+      : loss.gradient(a, target).multiply(act.derivative(z, a));
+    assertClose(loss.delta(a, target), viaActivation, 1e-4, type);
+  }
+});
+
+test('the registry accepts custom losses and rejects bad specs', () => {
+  registerLoss('sumSquares', () => ({
+    value: (o, t) => o.subtract(t).toArray().reduce((s, d) => s + d * d, 0),
+    gradient: (o, t) => o.subtract(t).map(d => 2 * d)
+  }));
+  assert.ok(listLosses().includes('sumSquares'));
+  assert.equal(createLoss('sumSquares').type, 'sumSquares');
+  const custom = { value: () => 0, gradient: o => o };
+  assert.equal(createLoss(custom), custom);
+  assert.throws(() => createLoss('hinge'), /Unknown loss 'hinge'/);
+  assert.throws(() => registerLoss('bad', {}), /factory function/);
+  registerLoss('incomplete', () => ({ value: () => 0 }));
+  assert.throws(() => createLoss('incomplete'), /must provide value\(\) and gradient\(\)/);
+  assert.throws(() => createLoss({ type: 'categoricalCrossEntropy', labelSmoothing: 1 }), /labelSmoothing/);
+});
+
+test('a Network trains a linear regression with a configured loss', () => {
+  const net = new Network([2, { size: 1, activation: 'linear' }], { loss: 'mse' });
+  assert.equal(net.lossFn.type, 'mse');
+  const data = [];
+  for (let k = 0; k < 40; k++) {
+    const x = [(k % 7) / 7, (k % 5) / 5];
+    data.push([x, [0.5 * x[0] - 0.25 * x[1] + 0.1]]);
+  }
+  const before = net.loss(data);
+  net.SGD(data, 30, 8, 0.5);
+  assert.ok(net.loss(data) < before / 10, `${net.loss(data)} vs ${before}`);
+  assert.equal(new Network([2, 2]).lossFn.type, 'categoricalCrossEntropy');
+});
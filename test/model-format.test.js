@@ -0,0 +1,87 @@
+// Versioned model files: Network.toJSON/fromJSON round trips, legacy weights arrays
+// and validation errors.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Network, { MODEL_FORMAT, MODEL_VERSION } from '../network.js';
+
+const inputs = [[0.1, 0.9, 0.4], [0.7, 0.2, 0.5]];
+
+function makeNet() {
+  return new Network([3, { size: 4, activation: 'relu', l2: 0.01 }, { size: 2, activation: 'softmax' }], {
+    seed: 9,
+    loss: { type: 'categoricalCrossEntropy', labelSmoothing: 0.1 },
+    normalization: { scale: 0.5, offset: -1 },
+    labels: ['no', 'yes'],
+    metadata: { dataset: 'toy' }
+  });
+}
+
+// A file written by toJSON and passed through JSON text, as on disk
+const save = net => JSON.parse(JSON.stringify(net));
+
+test('a saved model reloads with identical architecture, settings and outputs', () => {
+  const net = makeNet();
+  const json = save(net);
+  assert.equal(json.format, MODEL_FORMAT);
+  // dense-only models keep version 1
+  assert.equal(json.version, 1);
+  assert.equal(json.inputSize, 3);
+  const loaded = Network.fromJSON(json);
+  assert.deepEqual(loaded.layers.map(l => [l.activation, l.l2, l.weights.rows, l.weights.cols]),
+    [['relu', 0.01, 4, 3], ['softmax', 0, 2, 4]]);
+  assert.equal(loaded.lossFn.type, 'categoricalCrossEntropy');
+  assert.deepEqual(loaded.lossFn.options, { labelSmoothing: 0.1 });
+  assert.deepEqual(loaded.labels, ['no', 'yes']);
+  assert.deepEqual(loaded.metadata, { dataset: 'toy' });
+  assert.deepEqual(loaded.normalize([2, 4]), [0, 1]);
+  for (const x of inputs) assert.deepEqual(loaded.predict(x), net.predict(x));
+  assert.deepEqual(save(loaded), json);
+});
+
+test('training records its settings in the metadata', () => {
+  const net = makeNet();
+  const data = inputs.map((x, i) => [x, i ? [0, 1] : [1, 0]]);
+  net.SGD(data, 2, 1, { type: 'adam', learningRate: 0.01 }, data, { verbose: false });
+  const { training } = Network.fromJSON(save(net)).metadata;
+  assert.equal(training.epochs, 2);
+  assert.equal(training.batchSize, 1);
+  assert.equal(training.samples, 2);
+  assert.equal(training.optimizer.type, 'adam');
+  assert.equal(training.optimizer.learningRate, 0.01);
+  assert.ok(Number.isFinite(training.final.valLoss));
+});
+
+test('legacy bare weights arrays load as sigmoid layers with a softmax output', () => {
+  const net = new Network([3, 4, 2], { seed: 10 });
+  const legacy = net.layers.map(layer => ({
+    weights: layer.weights.toArray(),
+    biases: layer.biases.toArray(),
+    rows: layer.weights.rows,
+    cols: layer.weights.cols
+  }));
+  const loaded = Network.fromJSON(legacy);
+  assert.deepEqual(loaded.layers.map(l => l.activation), ['sigmoid', 'softmax']);
+  assert.deepEqual(loaded.normalization, { scale: 1 / 255, offset: 0 });
+  for (const x of inputs) assert.deepEqual(loaded.predict(x), net.predict(x));
+});
+
+test('invalid files are rejected with the first problem found', () => {
+  const broken = edit => {
+    const json = save(makeNet());
+    edit(json);
+    return () => Network.fromJSON(json);
+  };
+  assert.throws(() => Network.fromJSON(null), /Invalid model file: expected a JSON object/);
+  assert.throws(() => Network.fromJSON([]), /Invalid model file: no layers/);
+  assert.throws(broken(j => { j.format = 'other'; }), /unknown format 'other'/);
+  assert.throws(broken(j => { j.version = MODEL_VERSION + 1; }), /newer than the supported version/);
+  assert.throws(broken(j => { j.inputSize = 0; }), /bad inputSize '0'/);
+  assert.throws(broken(j => { j.layers[1].activation = 'mystery'; }), /layer 1 uses unregistered activation 'mystery'/);
+  assert.throws(broken(j => { j.layers[0].weights.pop(); }), /layer 0 weights have 11 values, expected 12 \(4x3\)/);
+  assert.throws(broken(j => { j.layers[1].biases = [0]; }), /layer 1 biases have 1 values, expected 2/);
+  assert.throws(broken(j => { j.layers[0].weights[0] = null; }), /layer 0 contains non-numeric or non-finite values/);
+  assert.throws(broken(j => { j.loss = { type: 'mystery' }; }), /unregistered loss 'mystery'/);
+  assert.throws(broken(j => { j.labels = ['one']; }), /expected 2 labels, got 1/);
+  assert.throws(() => new Network([3, 2], { labels: ['a'] }), /Got 1 labels for 2 outputs/);
+});
@@ -0,0 +1,75 @@
+// Batched Network passes: one sample per matrix column gives the same results as
+// running the samples one at a time.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Matrix from '../matrix.js';
+import Network from '../network.js';
+
+const TOLERANCE = 1e-5;
+
+function assertClose(actual, expected, label) {
+  assert.equal(actual.length, expected.length, `${label}: length`);
+  actual.forEach((v, i) => {
+    assert.ok(Math.abs(v - expected[i]) < TOLERANCE, `${label}[${i}]: ${v} vs ${expected[i]}`);
+  });
+}
+
+function samples(count, inputs, classes) {
+  return Array.from({ length: count }, (_, s) => {
+    const x = Array.from({ length: inputs }, (_, i) => Math.sin(s * 7 + i));
+    const y = new Array(classes).fill(0);
+    y[s % classes] = 1;
+    return [x, y];
+  });
+}
+
+test('Matrix batch helpers', () => {
+  const m = Matrix.fromColumns([[1, 2, 3], [4, 5, 6]]);
+  assert.deepEqual(m.to2DArray(), [[1, 4], [2, 5], [3, 6]]);
+  assert.deepEqual(m.column(1), [4, 5, 6]);
+  assert.deepEqual(m.addColumnVector(Matrix.fromArray([10, 20, 30])).to2DArray(), [[11, 14], [22, 25], [33, 36]]);
+  assert.deepEqual(m.rowSums().toArray(), [5, 7, 9]);
+  assert.throws(() => Matrix.fromColumns([[1, 2], [3]]), /Column 1 has length 1, expected 2/);
+  assert.throws(() => m.addColumnVector(Matrix.fromArray([1, 2])), /Cannot broadcast 2x1 over 3x2/);
+});
+
+test('a batched forward pass matches one sample at a time', () => {
+  const net = new Network([5, 4, 3]);
+  const data = samples(6, 5, 3);
+  const { activations } = net.feedforward(Matrix.fromColumns(data.map(([x]) => x)));
+  const out = activations[activations.length - 1];
+  data.forEach(([x], j) => {
+    const column = out.column(j);
+    assertClose(column, net.predict(x), `sample ${j}`);
+    assert.ok(Math.abs(column.reduce((a, b) => a + b, 0) - 1) < TOLERANCE, 'softmax columns sum to 1');
+  });
+});
+
+test('batch gradients are the sum of the per-sample gradients', () => {
+  const net = new Network([4, 6, 3]);
+  const data = samples(5, 4, 3);
+  const batch = net.backprop(
+    Matrix.fromColumns(data.map(([x]) => x)),
+    Matrix.fromColumns(data.map(([, y]) => y))
+  );
+  const singles = data.map(([x, y]) => net.backprop(x, y));
+  net.layers.forEach((_, l) => {
+    for (const key of ['weights', 'biases']) {
+      const total = batch.grads[l][key].data;
+      const sum = singles.reduce((acc, g) => acc.map((v, i) => v + g.grads[l][key].data[i]), new Array(total.length).fill(0));
+      assertClose(Array.from(total), sum, `layer ${l} ${key}`);
+    }
+  });
+});
+
+test('evaluate counts argmax matches across batch boundaries', () => {
+  const net = new Network([3, 4, 2]);
+  const data = samples(7, 3, 2);
+  const expected = data.filter(([x, y]) => {
+    const out = net.predict(x);
+    return out.indexOf(Math.max(...out)) === y.indexOf(1);
+  }).length;
+  assert.equal(net.evaluate(data, 3), expected);
+  assert.equal(net.evaluate(data), expected);
+});
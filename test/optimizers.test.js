@@ -0,0 +1,71 @@
+// Optimizer update rules and saving/restoring their state mid-run.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Matrix from '../matrix.js';
+import Network from '../network.js';
+import { SGD, Momentum, Adam, AdamW, createOptimizer, optimizerFromJSON } from '../optimizers.js';
+
+const TOLERANCE = 1e-6;
+
+function assertClose(actual, expected, label = 'value') {
+  actual.forEach((v, i) => {
+    assert.ok(Math.abs(v - expected[i]) < TOLERANCE, `${label}[${i}]: ${v} vs ${expected[i]}`);
+  });
+}
+
+const param = (key, value, grad, decay = true) => ({
+  key,
+  value: Matrix.fromArray(value),
+  grad: Matrix.fromArray(grad),
+  decay
+});
+
+test('SGD and momentum update rules', () => {
+  const [w] = new SGD({ learningRate: 0.5 }).step([param('w0', [1, 2], [0.2, -0.4])]);
+  assertClose(w.toArray(), [0.9, 2.2]);
+
+  const momentum = new Momentum({ learningRate: 0.1, momentum: 0.5 });
+  let value = [1];
+  for (const expected of [0.9, 0.75]) {
+    value = momentum.step([param('w0', value, [1])])[0].toArray();
+    assertClose(value, [expected]);
+  }
+});
+
+test('Adam takes a learning-rate sized first step and AdamW decays weights only', () => {
+  const [w] = new Adam({ learningRate: 0.01 }).step([param('w0', [1, 1], [5, -0.1])]);
+  assertClose(w.toArray(), [0.99, 1.01]);
+
+  const adamw = new AdamW({ learningRate: 0.01, weightDecay: 0.1 });
+  const [weights, biases] = adamw.step([param('w0', [1], [0]), param('b0', [1], [0], false)]);
+  assertClose(weights.toArray(), [1 - 0.01 * 0.1]);
+  assertClose(biases.toArray(), [1]);
+});
+
+test('a restored optimizer continues exactly like the original', () => {
+  for (const type of ['momentum', 'nesterov', 'rmsprop', 'adam', 'adamw']) {
+    const original = createOptimizer({ type, learningRate: 0.05 });
+    let value = [0.5, -0.25, 2];
+    const grad = t => value.map((v, i) => v * (i + 1) + t);
+    for (let t = 0; t < 3; t++) value = original.step([param('w0', value, grad(t))])[0].toArray();
+
+    const restored = optimizerFromJSON(JSON.parse(JSON.stringify(original.toJSON())));
+    assert.equal(restored.constructor, original.constructor);
+    assert.deepEqual(restored.config(), original.config());
+    const a = original.step([param('w0', value, grad(3))])[0];
+    const b = restored.step([param('w0', value, grad(3))])[0];
+    assert.deepEqual(b.toArray(), a.toArray(), type);
+  }
+});
+
+test('createOptimizer accepts names, specs and instances', () => {
+  assert.ok(createOptimizer('adam') instanceof Adam);
+  assert.equal(createOptimizer({ type: 'Momentum', momentum: 0.8 }).momentum, 0.8);
+  const sgd = new SGD();
+  assert.equal(createOptimizer(sgd), sgd);
+  assert.throws(() => createOptimizer('adagrad'), /Unknown optimizer 'adagrad'/);
+  const plain = Network.toOptimizer(0.3);
+  assert.ok(plain instanceof SGD);
+  assert.equal(plain.learningRate, 0.3);
+});
@@ -0,0 +1,74 @@
+// Data-parallel gradients: a WorkerPool must reproduce single-threaded backprop and
+// seeded SGD bit for bit, and reject networks it was not built for.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Network from '../network.js';
+import Matrix from '../matrix.js';
+import RNG from '../random.js';
+import { WorkerPool } from '../parallel.js';
+
+const rng = new RNG(2);
+// 7 classes of 12 inputs; an odd sample count so the workers' shares differ in size
+const data = Array.from({ length: 75 }, (_, k) => [
+  Array.from({ length: 12 }, () => rng.next()),
+  Array.from({ length: 7 }, (_, c) => (c === k % 7 ? 1 : 0))
+]);
+const layers = [12, { size: 9, activation: 'relu', dropout: 0.3 }, { size: 5, activation: 'tanh', dropout: 0.1 }, 7];
+const makeNet = () => new Network(layers, { seed: 11 });
+const flat = net => net.getWeights().flatMap(({ weights, biases }) => [...weights.data, ...biases.data]);
+const sameBits = (a, b) => a.length === b.length && a.every((v, i) => Object.is(v, b[i]));
+
+test('pool backprop returns the same gradients and output as Network.backprop', t => {
+  const pool = new WorkerPool(makeNet(), { workers: 3, batchSize: 4 });
+  t.after(() => pool.close());
+  const x = Matrix.fromColumns(data.slice(0, 10).map(([input]) => input));
+  const y = Matrix.fromColumns(data.slice(0, 10).map(([, target]) => target));
+  // both draw their dropout masks from a network seeded alike
+  const expected = makeNet().backprop(x, y);
+  const actual = pool.backprop(makeNet(), x, y);
+  expected.grads.forEach((layerGrads, l) => {
+    for (const [key, m] of Object.entries(layerGrads)) {
+      assert.ok(sameBits(actual.grads[l][key].data, m.data), `layer ${l} ${key}`);
+    }
+  });
+  assert.ok(sameBits(actual.output.data, expected.output.data));
+});
+
+test('SGD with a pool trains to bit-identical weights, dropout included', t => {
+  const train = parallel => {
+    const net = makeNet();
+    const history = net.SGD(data, 3, 16, { type: 'adam', learningRate: 0.01 }, data.slice(0, 20), {
+      parallel,
+      clipNorm: 1,
+      verbose: false
+    });
+    return { weights: flat(net), history };
+  };
+  const single = train(null);
+  for (const workers of [1, 2, 4]) {
+    const pool = new WorkerPool(makeNet(), { workers });
+    t.after(() => pool.close());
+    const pooled = train(pool);
+    assert.ok(sameBits(pooled.weights, single.weights), `${workers} workers`);
+    assert.deepEqual(pooled.history, single.history);
+  }
+});
+
+test('a pool rejects other architectures and bad settings, and fails once closed', () => {
+  assert.throws(() => new WorkerPool(makeNet(), { workers: 0 }), /workers must be a positive integer, got 0/);
+  const pool = new WorkerPool(makeNet(), { workers: 1 });
+  const other = new Network([12, 9, 7]);
+  const x = Matrix.fromColumns([data[0][0]]);
+  const y = Matrix.fromColumns([data[0][1]]);
+  assert.throws(() => pool.backprop(other, x, y), /does not match the architecture/);
+  pool.close();
+  assert.throws(() => pool.backprop(makeNet(), x, y), /WorkerPool is closed/);
+});
+
+test('a worker that fails to start reports its error', () => {
+  assert.throws(
+    () => new WorkerPool(makeNet(), { workers: 1, modules: ['/nonexistent/custom-activations.js'] }),
+    /WorkerPool worker failed: .*custom-activations\.js/
+  );
+});
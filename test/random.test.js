@@ -0,0 +1,89 @@
+// Seedable RNG, weight initializers and reproducible seeded training.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Matrix from '../matrix.js';
+import Network from '../network.js';
+import RNG, { getRNG, seed } from '../random.js';
+import { initialize, defaultInitializer, registerInitializer, listInitializers } from '../initializers.js';
+
+const draw = (rng, n) => Array.from({ length: n }, () => rng.next());
+
+test('the same seed gives the same sequence, and state snapshots resume it', () => {
+  assert.deepEqual(draw(new RNG(7), 5), draw(new RNG(7), 5));
+  assert.notDeepEqual(draw(new RNG(7), 5), draw(new RNG(8), 5));
+  const rng = new RNG(3);
+  rng.normal(); // leaves a cached spare value
+  const snapshot = rng.getState();
+  const expected = [rng.normal(), rng.next(), rng.int(10)];
+  rng.seed(99).setState(snapshot);
+  assert.deepEqual([rng.normal(), rng.next(), rng.int(10)], expected);
+  seed(11);
+  const shared = draw(getRNG(), 3);
+  seed(11);
+  assert.deepEqual(draw(getRNG(), 3), shared);
+});
+
+test('draws stay in range and shuffle permutes', () => {
+  const rng = new RNG(1);
+  for (let k = 0; k < 1000; k++) {
+    const u = rng.uniform(-2, 3);
+    assert.ok(u >= -2 && u < 3);
+    const i = rng.int(4);
+    assert.ok(Number.isInteger(i) && i >= 0 && i < 4);
+  }
+  const values = Array.from({ length: 20000 }, () => rng.normal(1, 2));
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const std = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length);
+  assert.ok(Math.abs(mean - 1) < 0.05 && Math.abs(std - 2) < 0.05, `${mean} ${std}`);
+  const shuffled = rng.shuffle([0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual([...shuffled].sort(), [0, 1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('initializers respect their scale', () => {
+  const rng = new RNG(5);
+  const maxAbs = m => Math.max(...m.toArray().map(Math.abs));
+  const std = m => Math.sqrt(m.toArray().reduce((s, v) => s + v * v, 0) / m.data.length);
+  assert.ok(maxAbs(initialize('xavierUniform', 30, 50, rng)) <= Math.sqrt(6 / 80));
+  assert.ok(maxAbs(initialize('heUniform', 30, 50, rng)) <= Math.sqrt(6 / 50));
+  assert.ok(Math.abs(std(initialize('heNormal', 200, 100, rng)) - Math.sqrt(2 / 100)) < 0.005);
+  assert.ok(Math.abs(std(initialize('lecunNormal', 200, 100, rng)) - Math.sqrt(1 / 100)) < 0.005);
+  assert.deepEqual(initialize('zeros', 2, 3).toArray(), [0, 0, 0, 0, 0, 0]);
+  assert.equal(defaultInitializer('relu'), 'heNormal');
+  assert.equal(defaultInitializer('selu'), 'lecunNormal');
+  assert.equal(defaultInitializer('sigmoid'), 'xavierUniform');
+});
+
+test('orthogonal initialization gives orthonormal rows or columns', () => {
+  for (const [rows, cols] of [[4, 9], [9, 4]]) {
+    const w = initialize('orthogonal', rows, cols, new RNG(2));
+    const gram = rows <= cols ? Matrix.dot(w, Matrix.transpose(w)) : Matrix.dot(Matrix.transpose(w), w);
+    const k = Math.min(rows, cols);
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < k; j++) {
+        assert.ok(Math.abs(gram.get(i, j) - (i === j ? 1 : 0)) < 1e-5, `${rows}x${cols} (${i},${j})`);
+      }
+    }
+  }
+});
+
+test('the registry accepts custom initializers and rejects unknown names', () => {
+  registerInitializer('ones', (rows, cols) => Matrix.zeros(rows, cols).map(() => 1));
+  assert.ok(listInitializers().includes('ones'));
+  const net = new Network([2, { size: 3, init: 'ones' }, 2], { seed: 1 });
+  assert.deepEqual(net.layers[0].weights.toArray(), [1, 1, 1, 1, 1, 1]);
+  assert.deepEqual(net.layers[0].biases.toArray(), [0, 0, 0]);
+  assert.throws(() => initialize('fancy', 2, 2), /Unknown initializer 'fancy'/);
+  assert.throws(() => registerInitializer('bad', null), /must be a function/);
+});
+
+test('seeded networks train to identical weights, dropout and shuffling included', () => {
+  const data = Array.from({ length: 24 }, (_, k) => [[k % 3 / 3, k % 4 / 4], k % 2 ? [1, 0] : [0, 1]]);
+  const train = s => {
+    const net = new Network([2, { size: 6, activation: 'relu', dropout: 0.3 }, 2], { seed: s });
+    net.SGD(data.slice(), 3, 5, 0.2);
+    return net.layers.flatMap(l => [...l.weights.toArray(), ...l.biases.toArray()]);
+  };
+  assert.deepEqual(train(4), train(4));
+  assert.notDeepEqual(train(4), train(5));
+});
@@ -0,0 +1,58 @@
+// Weight penalties, dropout and gradient clipping.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Network, { Layer } from '../network.js';
+
+const data = Array.from({ length: 8 }, (_, s) => {
+  const x = [Math.sin(s), Math.cos(s), s / 8];
+  const y = [0, 0];
+  y[s % 2] = 1;
+  return [x, y];
+});
+
+// Every weight and bias as one flat array
+const snapshot = net => net.layers.flatMap(l => [...l.weights.data, ...l.biases.data]);
+
+test('L1 and L2 penalties add to the loss and the weight gradient', () => {
+  const layer = new Layer(2, 1, 'sigmoid', { l1: 0.5, l2: 2 });
+  layer.weights.data.set([1, -3]);
+  assert.equal(layer.regularizationLoss(), 0.5 * 4 + 1 * 10);
+  assert.deepEqual(layer.regularizationGradient().toArray(), [0.5 + 2, -0.5 - 6]);
+  assert.equal(new Layer(2, 1).regularizationGradient(), null);
+
+  const net = new Network([3, { size: 4, l2: 0.1 }, 2]);
+  const plain = net.score(data).loss - net.regularizationLoss();
+  assert.ok(net.regularizationLoss() > 0);
+  assert.ok(Math.abs(net.loss(data) - (plain + net.regularizationLoss())) < 1e-9);
+});
+
+test('dropout is only active in training and rescales kept units', () => {
+  const net = new Network([3, { size: 50, dropout: 0.5 }, 2]);
+  const [x] = data[0];
+  assert.deepEqual(net.predict(x), net.predict(x));
+  const { caches } = net.feedforward(x, true);
+  const values = new Set(caches[0].mask.data);
+  assert.deepEqual([...values].sort(), [0, 2]);
+  assert.equal(caches[1].mask, null);
+  assert.equal(net.feedforward(x).caches[0].mask, null);
+});
+
+test('invalid dropout settings are rejected', () => {
+  assert.throws(() => new Layer(2, 2, 'sigmoid', { dropout: 1 }), /Dropout rate must be in \[0, 1\)/);
+  assert.throws(() => new Network([2, 3, { size: 2, dropout: 0.5 }]), /not supported on the output layer/);
+});
+
+test('clipValue bounds every gradient entry and clipNorm the global norm', () => {
+  for (const [options, check] of [
+    [{ clipValue: 0.01 }, steps => steps.every(d => Math.abs(d) <= 0.01 + 1e-7)],
+    [{ clipNorm: 0.01 }, steps => Math.sqrt(steps.reduce((s, d) => s + d * d, 0)) <= 0.01 + 1e-7]
+  ]) {
+    const net = new Network([3, 6, 2]);
+    const before = snapshot(net);
+    net.updateMiniBatch(data, 1, options);
+    const steps = snapshot(net).map((v, i) => v - before[i]);
+    assert.ok(steps.some(d => d !== 0));
+    assert.ok(check(steps), JSON.stringify(options));
+  }
+});
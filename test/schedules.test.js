@@ -0,0 +1,74 @@
+// Learning-rate schedules, their defaults from the optimizer, and save/restore.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Network from '../network.js';
+import { Adam } from '../optimizers.js';
+import { createSchedule, scheduleFromJSON } from '../schedules.js';
+
+const close = (a, b) => Math.abs(a - b) < 1e-12;
+
+test('step, exponential and cosine schedules', () => {
+  const step = createSchedule({ type: 'step', initialRate: 0.1, stepSize: 2, gamma: 0.5 });
+  assert.deepEqual([0, 1, 2, 3, 4].map(e => step.getRate(0, e)), [0.1, 0.1, 0.05, 0.05, 0.025]);
+
+  const exponential = createSchedule({ type: 'exponential', initialRate: 1, gamma: 0.5, by: 'step' });
+  assert.equal(exponential.getRate(3, 0), 0.125);
+
+  const cosine = createSchedule({ type: 'cosine', initialRate: 1, minRate: 0, period: 4, periodMult: 2 });
+  assert.equal(cosine.getRate(0, 0), 1);
+  assert.ok(close(cosine.getRate(0, 2), 0.5));
+  assert.equal(cosine.getRate(0, 4), 1, 'restarts after the first period');
+  assert.ok(close(cosine.getRate(0, 8), 0.5), 'the second period is twice as long');
+});
+
+test('warmup ramps to the wrapped schedule', () => {
+  const warmup = createSchedule({ type: 'warmup', warmup: 4, after: { type: 'constant', rate: 0.4 } });
+  assert.deepEqual([0, 1, 2, 3, 4, 10].map(s => warmup.getRate(s, 0)), [0.1, 0.2, 0.30000000000000004, 0.4, 0.4, 0.4]);
+});
+
+test('reduce-on-plateau cuts the rate after patience epochs without improvement', () => {
+  const plateau = createSchedule({ type: 'plateau', initialRate: 1, factor: 0.5, patience: 2 });
+  const rates = [0.5, 0.6, 0.6, 0.55, 0.6, 0.59].map(metric => {
+    plateau.observe(metric);
+    return plateau.getRate();
+  });
+  assert.deepEqual(rates, [1, 1, 1, 0.5, 0.5, 0.25]);
+});
+
+test('specs without a starting rate start from the default rate', () => {
+  assert.equal(createSchedule({ type: 'cosine', period: 10 }, 0.001).getRate(0, 0), 0.001);
+  assert.equal(createSchedule({ type: 'cosine', initialRate: 0.05 }, 0.001).getRate(0, 0), 0.05);
+  assert.equal(createSchedule('constant', 0.002).getRate(0, 0), 0.002);
+  assert.equal(createSchedule({ type: 'plateau' }, 0.003).getRate(), 0.003);
+  const warmup = createSchedule({ type: 'warmup', warmup: 2, after: { type: 'step', stepSize: 100 } }, 0.004);
+  assert.equal(warmup.getRate(5, 0), 0.004);
+  assert.equal(createSchedule({ type: 'warmup', warmup: 2 }, 0.005).getRate(5, 0), 0.005);
+  assert.equal(createSchedule({ type: 'cosine' }).getRate(0, 0), 0.01);
+});
+
+test('SGD starts a schedule spec from the optimizer learning rate', () => {
+  const net = new Network([2, 2]);
+  const optimizer = new Adam({ learningRate: 0.002 });
+  const data = [[[0, 1], [1, 0]], [[1, 0], [0, 1]]];
+  const log = console.log;
+  console.log = () => {};
+  try {
+    net.SGD(data, 1, 2, optimizer, null, { schedule: { type: 'cosine', period: 4 } });
+  } finally {
+    console.log = log;
+  }
+  assert.equal(optimizer.learningRate, 0.002);
+  assert.throws(() => createSchedule({ type: 'linear' }), /Unknown schedule 'linear'/);
+});
+
+test('a restored schedule has the same config and state', () => {
+  const plateau = createSchedule({ type: 'plateau', initialRate: 0.1, patience: 1 });
+  plateau.observe(0.9);
+  plateau.observe(0.8);
+  const restored = scheduleFromJSON(JSON.parse(JSON.stringify(plateau.toJSON())));
+  assert.deepEqual(restored.toJSON(), plateau.toJSON());
+  assert.equal(restored.getRate(), plateau.getRate());
+  const warmup = createSchedule({ type: 'warmup', after: { type: 'cosine', initialRate: 0.2 } });
+  assert.deepEqual(scheduleFromJSON(warmup.toJSON()).toJSON(), warmup.toJSON());
+});
@@ -0,0 +1,104 @@
+// Hyperparameter search: grid and random configurations, trial ranking and the
+// leaderboard, successive halving, cross-validated scoring and saving the best model.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Network from '../network.js';
+import RNG from '../random.js';
+import { loadModel } from '../cli.js';
+import { gridSearch, randomSearch, runSearch } from '../search.js';
+
+const data = Array.from({ length: 24 }, (_, i) => [[i % 2, (i >> 1) % 2, 1 - (i % 2)], i % 2 ? [1, 0] : [0, 1]]);
+const base = { layers: [3, { size: 4, dropout: 0.1 }, 2], epochs: 4, batchSize: 6, optimizer: { type: 'momentum' } };
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nn-search-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return name => path.join(dir, name);
+}
+
+test('gridSearch yields every combination and keeps scalar keys fixed', () => {
+  assert.deepEqual(gridSearch({ a: [1, 2], b: ['x', 'y'], c: 3 }), [
+    { a: 1, b: 'x', c: 3 }, { a: 1, b: 'y', c: 3 }, { a: 2, b: 'x', c: 3 }, { a: 2, b: 'y', c: 3 }
+  ]);
+});
+
+test('randomSearch draws lists, linear, log and integer ranges from a seeded RNG', () => {
+  const space = { lr: { min: 1e-4, max: 1e-1, log: true }, units: { min: 8, max: 64, int: true }, act: ['relu', 'tanh'], fixed: 5 };
+  const configs = randomSearch(space, 200, new RNG(1));
+  assert.deepEqual(randomSearch(space, 200, new RNG(1)), configs);
+  assert.ok(configs.every(c => c.lr >= 1e-4 && c.lr <= 1e-1 && Number.isInteger(c.units) && c.units >= 8 && c.units <= 64));
+  assert.deepEqual(new Set(configs.map(c => c.act)), new Set(['relu', 'tanh']));
+  assert.ok(configs.every(c => c.fixed === 5));
+  // log-uniform: about a third of the draws fall in each decade
+  const small = configs.filter(c => c.lr < 1e-3).length;
+  assert.ok(small > 40 && small < 95, `${small} draws below 1e-3`);
+});
+
+test('runSearch ranks the trials, writes the leaderboard and saves the best model', t => {
+  const file = tempDir(t);
+  const { best, trials } = runSearch(data, data, {
+    space: { 'optimizer.learningRate': [0.0001, 0.5], batchSize: [4, 6] },
+    base,
+    leaderboard: file('board.json'),
+    out: file('best.bin'),
+    dtype: 'float16',
+    verbose: false
+  });
+  assert.equal(trials.length, 4);
+  assert.equal(best.params['optimizer.learningRate'], 0.5);
+  assert.equal(best.config.optimizer.type, 'momentum');
+  assert.equal(best.score, trials[0].score);
+  assert.ok(trials.every((e, i) => i === 0 || e.score <= trials[i - 1].score));
+
+  const board = JSON.parse(fs.readFileSync(file('board.json'), 'utf8'));
+  assert.equal(board.metric, 'valAccuracy');
+  assert.equal(board.mode, 'max');
+  assert.deepEqual(board.trials.map(e => e.rank), [1, 2, 3, 4]);
+  assert.deepEqual(board.trials.map(e => e.id), trials.map(e => e.id));
+
+  const saved = loadModel(file('best.bin'));
+  assert.deepEqual(saved.metadata.search, { params: best.params, metric: 'valAccuracy', score: best.score });
+  const sample = [1, 0, 0];
+  assert.ok(saved.predict(sample).every((v, i) => Math.abs(v - best.network.predict(sample)[i]) < 1e-2));
+
+  runSearch(data, data, { space: { batchSize: [4] }, base, metric: 'valLoss', out: file('best.json'), verbose: false });
+  assert.equal(loadModel(file('best.json')).metadata.search.metric, 'valLoss');
+});
+
+test('successive halving keeps the best trials and resumes them exactly', () => {
+  const space = { 'optimizer.learningRate': [0.0001, 0.001, 0.3, 0.5] };
+  const options = { base, metric: 'valLoss', seed: 5, verbose: false };
+  const { best, trials } = runSearch(data, data, { ...options, space, halving: { minEpochs: 1, eta: 2 } });
+  // 4 trials for 1 epoch, the best 2 for 2, the best of those for 4
+  assert.deepEqual(trials.map(e => [e.rung, e.epochs]), [[2, 4], [1, 2], [0, 1], [0, 1]]);
+  assert.ok(best.params['optimizer.learningRate'] >= 0.3);
+
+  // the winner, trained 1 + 1 + 2 epochs across rungs, matches a single 4-epoch run
+  const direct = runSearch(data, data, { ...options, space: best.params });
+  assert.deepEqual(best.network.getWeights(), direct.best.network.getWeights());
+  assert.equal(best.score, direct.best.score);
+});
+
+test('with folds, trials are scored by cross-validation and the winner trained on all the data', () => {
+  const { best, trials } = runSearch(data, null, {
+    space: { 'optimizer.learningRate': [0.0001, 0.5] }, base, folds: 3, verbose: false
+  });
+  assert.equal(trials[0].folds.length, 3);
+  const mean = trials[0].folds.reduce((s, f) => s + f.accuracy, 0) / 3;
+  assert.ok(Math.abs(trials[0].valAccuracy - mean) < 1e-12);
+  assert.ok(best.network instanceof Network);
+  assert.equal(best.network.metadata.training.samples, data.length);
+});
+
+test('runSearch rejects bad settings', () => {
+  const options = { space: { batchSize: [4] }, base, verbose: false };
+  assert.throws(() => runSearch(data, data, { ...options, space: {} }), /non-empty search space/);
+  assert.throws(() => runSearch(data, data, { ...options, metric: 'f1' }), /metric must be 'valAccuracy' or 'valLoss', got 'f1'/);
+  assert.throws(() => runSearch(data, data, { ...options, folds: 3, halving: {} }), /cannot be combined/);
+  assert.throws(() => runSearch(data, null, options), /needs validation data/);
+  assert.throws(() => runSearch(data, data, { ...options, strategy: 'bayes' }), /Unknown search strategy 'bayes'/);
+});
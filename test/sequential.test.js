@@ -0,0 +1,143 @@
+// The generic layer interface and Sequential: builder equivalence, the dropout,
+// activation, reshape and embedding layers, custom registered layers, and fused loss
+// gradients through a separate activation layer.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Network from '../network.js';
+import Matrix from '../matrix.js';
+import RNG from '../random.js';
+import { Sequential } from '../sequential.js';
+import { BaseLayer, Dropout, Embedding, registerLayer } from '../layers.js';
+import { createLoss, outputGradient } from '../losses.js';
+import { unsupportedLayers } from '../parallel.js';
+
+const flat = net => net.layers.flatMap(layer => Object.values(layer.params()).flatMap(m => [...m.data]));
+const data = Array.from({ length: 16 }, (_, k) => [[k % 2, (k >> 1) % 2, (k >> 2) % 2, 0.5], k % 2 ? [1, 0] : [0, 1]]);
+
+test('Sequential builds the same network as the equivalent layer list', () => {
+  const built = new Sequential({ inputSize: 4 })
+    .dense(6, { activation: 'relu' })
+    .dropout(0.25)
+    .dense(2, { activation: 'softmax' })
+    .build({ seed: 3 });
+  const listed = new Network([4, { type: 'dense', size: 6, activation: 'relu' }, { type: 'dropout', rate: 0.25 },
+    { type: 'dense', size: 2, activation: 'softmax' }], { seed: 3 });
+  assert.deepEqual(built.layers.map(l => l.type), ['dense', 'dropout', 'dense']);
+  assert.deepEqual(flat(built), flat(listed));
+  built.SGD(data, 3, 4, 0.5, null, { verbose: false });
+  listed.SGD(data, 3, 4, 0.5, null, { verbose: false });
+  assert.deepEqual(flat(built), flat(listed));
+
+  const image = new Sequential({ inputShape: [1, 6, 6] })
+    .conv2d({ filters: 2, kernelSize: 3, padding: 'same' })
+    .batchNorm()
+    .maxPool2d()
+    .avgPool2d({ size: 3 })
+    .flatten()
+    .reshape([2])
+    .dense(3, { activation: 'softmax' });
+  assert.deepEqual(image.toSizes()[0], { shape: [1, 6, 6] });
+  assert.deepEqual(image.build().layers.map(l => l.outputShape), [[2, 6, 6], [2, 6, 6], [2, 3, 3], [2, 1, 1], [2], [2], [3]]);
+});
+
+test('Sequential rejects bad input shapes, layer specs and empty models', () => {
+  assert.throws(() => new Sequential(), /needs an inputShape or inputSize, got undefined/);
+  assert.throws(() => new Sequential({ inputShape: [0, 4] }), /got \[0,4\]/);
+  assert.throws(() => new Sequential({ inputSize: 4 }).add({ size: 3 }), /needs a \{ type, \.\.\.options \} layer spec/);
+  assert.throws(() => new Sequential({ inputSize: 4 }).build(), /Sequential has no layers/);
+  assert.throws(() => new Sequential({ inputSize: 4 }).add({ type: 'lstm' }).build(), /Unknown layer type 'lstm'/);
+  assert.throws(() => new Sequential({ inputSize: 4 }).reshape([3]).build(), /Cannot reshape \[4\] to \[3\]/);
+});
+
+test('a separate softmax activation layer trains exactly like a softmax dense layer', () => {
+  const separate = new Sequential({ inputSize: 4 }).dense(3, { activation: 'tanh' })
+    .dense(2, { activation: 'linear', init: 'xavierUniform' }).activation('softmax').build({ seed: 5 });
+  const fused = new Sequential({ inputSize: 4 }).dense(3, { activation: 'tanh' })
+    .dense(2, { activation: 'softmax', init: 'xavierUniform' }).build({ seed: 5 });
+  assert.deepEqual(flat(separate), flat(fused));
+  const x = Matrix.fromColumns(data.map(([input]) => input));
+  const y = Matrix.fromColumns(data.map(([, target]) => target));
+  const a = separate.backprop(x, y).grads;
+  const b = fused.backprop(x, y).grads;
+  assert.deepEqual(a[0], b[0]);
+  assert.deepEqual(a[1], b[1]);
+  assert.deepEqual(a[2], {});
+
+  const loss = createLoss('categoricalCrossEntropy');
+  const output = Matrix.fromColumns([[0.2, 0.8]]);
+  const target = Matrix.fromColumns([[0, 1]]);
+  const grad = outputGradient(loss, output, target);
+  assert.equal(grad.fused.activation, 'softmax');
+  assert.deepEqual(grad.fused.delta, loss.delta(output, target));
+  assert.equal(outputGradient(createLoss('mse'), output, target).fused, undefined);
+});
+
+test('a dropout layer masks only while training and rescales the kept values', () => {
+  const layer = new Dropout([200], { rate: 0.5, rng: new RNG(1) });
+  const x = Matrix.ones(200, 1);
+  assert.equal(layer.forward(x).output, x);
+  const { output, cache } = layer.forward(x, true);
+  assert.deepEqual(new Set(output.data), new Set([0, 2]));
+  assert.deepEqual(layer.backward(Matrix.ones(200, 1), cache).delta, output);
+  assert.throws(() => new Dropout([2], { rate: 1 }), /Dropout rate must be in \[0, 1\)/);
+});
+
+test('an embedding layer looks up rows and sums their gradients per token id', () => {
+  const layer = new Embedding([3], { vocabSize: 4, dim: 2, rng: new RNG(2) });
+  assert.deepEqual(layer.outputShape, [3, 2]);
+  const ids = Matrix.fromColumns([[1, 3, 1], [0, 0, 2]]);
+  const { output, cache } = layer.forward(ids);
+  const row = id => Array.from(layer.weights.data.subarray(id * 2, id * 2 + 2));
+  assert.deepEqual([output.get(0, 0), output.get(1, 0)], row(1));
+  assert.deepEqual([output.get(2, 1), output.get(3, 1)], row(0));
+  const { grads, delta } = layer.backward(Matrix.ones(6, 2), cache, false);
+  assert.equal(delta, null);
+  assert.deepEqual(Array.from(grads.weights.data), [2, 2, 2, 2, 1, 1, 1, 1]);
+  assert.throws(() => layer.forward(Matrix.fromColumns([[1, 4, 0]])), /token id 4 is outside \[0, 4\)/);
+  assert.throws(() => new Embedding([2, 2], { vocabSize: 4, dim: 2 }), /needs \[length\] inputs of token ids/);
+
+  const net = new Sequential({ inputSize: 3 }).embedding(4, 2).flatten().dense(2, { activation: 'softmax' }).build({ seed: 1 });
+  const table = () => Array.from(net.layers[0].weights.data);
+  const before = table();
+  net.SGD([[[1, 3, 1], [1, 0]], [[0, 0, 1], [0, 1]]], 2, 2, 0.5, null, { verbose: false });
+  // the rows of ids in the data are trained; id 2 never occurs and keeps its row
+  const after = table();
+  for (const id of [0, 1, 3]) assert.notDeepEqual(after.slice(id * 2, id * 2 + 2), before.slice(id * 2, id * 2 + 2));
+  assert.deepEqual(after.slice(4, 6), before.slice(4, 6));
+});
+
+// The readme's example of a custom layer
+class Scale extends BaseLayer {
+  constructor(shape, { factor = 1 }) {
+    super('scale', shape);
+    this.factor = factor;
+  }
+
+  forward(x) {
+    return { output: x.map(v => v * this.factor), cache: null };
+  }
+
+  backward(grad) {
+    return { delta: grad.map(v => v * this.factor), grads: {} };
+  }
+
+  config() {
+    return { factor: this.factor };
+  }
+}
+registerLayer('scale', (shape, options) => new Scale(shape, options));
+
+test('registered custom layers train, save and reload', () => {
+  const net = new Sequential({ inputSize: 4 }).dense(3, { activation: 'tanh' }).add({ type: 'scale', factor: 3 })
+    .dense(2, { activation: 'softmax' }).build({ seed: 4 });
+  const [x] = data[1];
+  const hidden = net.layers[0].forward(Matrix.fromColumns([x])).output;
+  assert.deepEqual(net.layers[1].forward(hidden).output.data, hidden.data.map(v => v * 3));
+  net.SGD(data, 2, 4, 0.5, null, { verbose: false });
+  const json = JSON.parse(JSON.stringify(net));
+  assert.deepEqual(json.layers[1], { type: 'scale', factor: 3 });
+  assert.deepEqual(Network.fromJSON(json).predict(x), net.predict(x));
+  // only dense layers run on worker pools
+  assert.deepEqual(unsupportedLayers(net), ['scale']);
+});
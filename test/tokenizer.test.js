@@ -0,0 +1,129 @@
+// Char, word and byte-level BPE tokenizers: round trips, special tokens, padding into
+// createPaddingMask, and save()/loadTokenizer().
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../tokenizer.js';
+import '../transformer.js';
+
+const { Tokenizer, CharTokenizer, WordTokenizer, BPETokenizer, loadTokenizer } = globalThis.Tokenizers;
+const { createPaddingMask } = globalThis.Transformer;
+
+const corpus = [
+  'the quick brown fox jumps over the lazy dog.',
+  'the lazy dog sleeps; the quick fox runs!',
+  'naïve café — 東京 🦊 emoji and ünïcödé text, with numbers 12345 and 678.',
+  "it's what they're doing, and we'll see what you've done."
+].join('\n');
+
+test('CharTokenizer round-trips its corpus and maps unseen characters to UNK', () => {
+  const tok = CharTokenizer.train(corpus);
+  assert.equal(tok.padId, 0);
+  assert.deepEqual([tok.bosId, tok.eosId, tok.unkId], [1, 2, 3]);
+  assert.equal(tok.vocabSize, 4 + new Set(corpus).size);
+  // one token per code point, so the emoji is one token
+  assert.equal(tok.encode('🦊').length, 1);
+  assert.equal(tok.decode(tok.encode(corpus)), corpus);
+
+  const ids = tok.encode('fox€', { addBos: true, addEos: true });
+  assert.equal(ids[0], tok.bosId);
+  assert.equal(ids.at(-1), tok.eosId);
+  assert.equal(ids.at(-2), tok.unkId);
+  assert.equal(tok.decode(ids), 'fox<unk>');
+  assert.equal(tok.decode(ids, { skipSpecial: false }), '<bos>fox<unk><eos>');
+});
+
+test('WordTokenizer round-trips normalized whitespace and respects its vocabulary limits', () => {
+  const tok = WordTokenizer.train(corpus);
+  const text = 'the quick brown fox jumps over the lazy dog.';
+  assert.equal(tok.decode(tok.encode(text)), text);
+  assert.equal(tok.decode(tok.encode('  the\n\tlazy   dog. ')), 'the lazy dog.');
+  assert.equal(tok.decode(tok.encode('the purple dog.')), 'the <unk> dog.');
+  // the most frequent word gets the first regular ID
+  assert.deepEqual(tok.encode('the'), [4]);
+
+  const small = WordTokenizer.train(corpus, { maxWords: 3, minFrequency: 2 });
+  assert.deepEqual(small.words, ['the', 'and', 'fox']);
+  const lower = WordTokenizer.train('The the THE', { lowercase: true });
+  assert.deepEqual(lower.words, ['the']);
+  assert.deepEqual(lower.encode('THE'), [4]);
+});
+
+test('BPETokenizer round-trips any text, including bytes it never saw', () => {
+  const tok = BPETokenizer.train(corpus, { vocabSize: 320, minFrequency: 1 });
+  assert.equal(tok.vocabSize, 320);
+  assert.equal(tok.merges.length, 320 - 4 - 256);
+  // by default, training stops when no pair occurs twice
+  const frequent = BPETokenizer.train(corpus, { vocabSize: 320 });
+  assert.ok(frequent.vocabSize < 320);
+  assert.deepEqual(frequent.merges, tok.merges.slice(0, frequent.merges.length));
+  for (const text of [corpus, 'Ωmega ✓ unseen glyphs 𝔘𝔫𝔦𝔠𝔬𝔡𝔢', '', '   spaces\n\n and\ttabs ']) {
+    const ids = tok.encode(text);
+    assert.ok(!ids.includes(tok.unkId));
+    assert.equal(tok.decode(ids), text);
+  }
+  // merges compress the corpus they were learned from, more merges more so
+  assert.ok(tok.encode(corpus).length < frequent.encode(corpus).length);
+  assert.ok(frequent.encode(corpus).length < new TextEncoder().encode(corpus).length);
+
+  // special tokens in text become their IDs unless allowSpecial is off
+  const ids = tok.encode('fox<eos>');
+  assert.equal(ids.at(-1), tok.eosId);
+  assert.ok(!tok.encode('fox<eos>', { allowSpecial: false }).includes(tok.eosId));
+  assert.equal(tok.decode(tok.encode('fox<eos>', { allowSpecial: false })), 'fox<eos>');
+  assert.throws(() => BPETokenizer.train(corpus, { vocabSize: 100 }), /vocabSize must be at least 260/);
+});
+
+test('a trained BPE tokenizer reloads identically through save() and loadTokenizer()', () => {
+  const tok = BPETokenizer.train(corpus, { vocabSize: 300, specialTokens: { sep: '<sep>' } });
+  const restored = loadTokenizer(tok.save());
+  assert.ok(restored instanceof BPETokenizer);
+  assert.deepEqual(restored.merges, tok.merges);
+  assert.deepEqual(restored.specialTokens, tok.specialTokens);
+  assert.equal(restored.vocabSize, tok.vocabSize);
+  assert.equal(restored.save(), tok.save());
+  const text = `${corpus}<sep>and a sentence it never saw`;
+  assert.deepEqual(restored.encode(text), tok.encode(text));
+  assert.equal(restored.decode(restored.encode(text), { skipSpecial: false }), text);
+  // the parsed object loads too
+  assert.deepEqual(loadTokenizer(JSON.parse(tok.save())).encode(text), tok.encode(text));
+
+  for (const other of [CharTokenizer.train(corpus), WordTokenizer.train(corpus, { lowercase: true })]) {
+    const copy = loadTokenizer(other.save());
+    assert.equal(copy.constructor, other.constructor);
+    assert.deepEqual(copy.encode(corpus), other.encode(corpus));
+  }
+});
+
+test('padded sequences give createPaddingMask masks that hide exactly the padding', () => {
+  const tok = BPETokenizer.train(corpus, { vocabSize: 300 });
+  const sequences = ['the quick brown fox', 'the dog', 'hi'].map(text => tok.encode(text, { addBos: true, addEos: true }));
+  const padded = tok.pad(sequences);
+  const length = Math.max(...sequences.map(s => s.length));
+  assert.ok(padded.every(ids => ids.length === length));
+  padded.forEach((ids, i) => {
+    const mask = createPaddingMask(ids, tok.padId);
+    assert.equal(mask.rows, length);
+    for (let r = 0; r < length; r++) {
+      for (let c = 0; c < length; c++) assert.equal(mask.get(r, c), c < sequences[i].length ? 1 : 0);
+    }
+    // padding decodes to nothing
+    assert.equal(tok.decode(ids), tok.decode(sequences[i]));
+  });
+  // a shorter length truncates
+  assert.deepEqual(tok.pad(sequences, 2), sequences.map(ids => ids.slice(0, 2)));
+});
+
+test('tokenizers reject bad special tokens, IDs and files', () => {
+  assert.throws(() => new CharTokenizer(['a'], { specialTokens: { sep: '<pad>' } }), /distinct non-empty strings/);
+  assert.throws(() => new CharTokenizer(['a', 'a']), /characters must be distinct/);
+  assert.throws(() => new WordTokenizer(['a', 'a']), /words must be distinct/);
+  assert.throws(() => new BPETokenizer([[256, 97]]), /BPE merge 0 refers to an unknown symbol/);
+  const tok = CharTokenizer.train('ab');
+  assert.ok(tok instanceof Tokenizer);
+  assert.throws(() => tok.decode([6]), /Token ID 6 is outside the vocabulary of 6 tokens/);
+  assert.throws(() => tok.decode([1.5]), /Token ID 1.5 is outside/);
+  assert.throws(() => loadTokenizer('{}'), /expected format 'nn-in-js\/tokenizer'/);
+  assert.throws(() => loadTokenizer({ ...tok.toJSON(), version: 2 }), /version 2 is newer than 1/);
+  assert.throws(() => loadTokenizer({ ...tok.toJSON(), type: 'sentencepiece' }), /unknown type 'sentencepiece'/);
+});
@@ -0,0 +1,39 @@
+// TransformerTrainer: seeded shuffling makes training reproducible.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../transformer.js';
+
+const { Transformer, TransformerTrainer } = globalThis.Transformer;
+
+const CONFIG = { dModel: 8, numHeads: 2, numLayers: 1, dFF: 16, vocabSize: 10, maxLen: 16 };
+const SEQUENCES = Array.from({ length: 12 }, (_, s) => Array.from({ length: 6 }, (_, t) => (s + 3 * t) % 10));
+
+// A model with the same starting weights as model
+function copyOf(model) {
+  const copy = new Transformer(CONFIG);
+  const source = model.parameters();
+  copy.parameters().forEach(({ value }, i) => value.data.set(source[i].value.data));
+  return copy;
+}
+
+function trainedWeights(model, seed) {
+  const trainer = new TransformerTrainer(model, { learningRate: 1e-2, seed });
+  const losses = trainer.train(SEQUENCES, { epochs: 3, batchSize: 4 });
+  return { losses, weights: model.parameters().map(({ value }) => Array.from(value.data)) };
+}
+
+test('the same seed gives identical trained weights', () => {
+  const model = new Transformer(CONFIG);
+  const a = trainedWeights(copyOf(model), 7);
+  const b = trainedWeights(copyOf(model), 7);
+  assert.deepEqual(a.losses, b.losses);
+  assert.deepEqual(a.weights, b.weights);
+});
+
+test('a different seed shuffles differently', () => {
+  const model = new Transformer(CONFIG);
+  const a = trainedWeights(copyOf(model), 7);
+  const b = trainedWeights(copyOf(model), 8);
+  assert.notDeepEqual(a.weights, b.weights);
+});
@@ -0,0 +1,74 @@
+// Stratified train/validation/test splits, k-fold folds and cross-validation.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Network from '../network.js';
+import RNG from '../random.js';
+import { trainValTestSplit, kFold, crossValidate } from '../validation.js';
+
+// 30 samples of class 0, 10 of class 1 and 20 of class 2; the input holds the sample index
+const classes = [...Array(30).fill(0), ...Array(10).fill(1), ...Array(20).fill(2)];
+const data = classes.map((c, i) => [[i], [0, 1, 2].map(k => (k === c ? 1 : 0))]);
+const classOf = ([, y]) => y.indexOf(1);
+const counts = part => [0, 1, 2].map(c => part.filter(s => classOf(s) === c).length);
+const ids = part => part.map(([x]) => x[0]).sort((a, b) => a - b);
+
+test('trainValTestSplit is a seeded, stratified partition', () => {
+  const split = trainValTestSplit(data, { validation: 0.1, test: 0.2, rng: new RNG(1) });
+  assert.deepEqual(counts(split.test), [6, 2, 4]);
+  assert.deepEqual(counts(split.validation), [3, 1, 2]);
+  assert.deepEqual(counts(split.train), [21, 7, 14]);
+  assert.deepEqual(ids([...split.train, ...split.validation, ...split.test]), data.map((_, i) => i));
+  assert.deepEqual(trainValTestSplit(data, { validation: 0.1, test: 0.2, rng: new RNG(1) }), split);
+  assert.notDeepEqual(trainValTestSplit(data, { validation: 0.1, test: 0.2, rng: new RNG(2) }), split);
+  // the classes are interleaved again rather than left in blocks
+  assert.notDeepEqual(split.train.map(classOf), [...split.train.map(classOf)].sort());
+
+  const plain = trainValTestSplit(data, { validation: 0.25, stratify: false, rng: new RNG(1) });
+  assert.equal(plain.validation.length, 15);
+  assert.equal(plain.test.length, 0);
+});
+
+test('trainValTestSplit rejects fractions that leave no training data', () => {
+  assert.throws(() => trainValTestSplit(data, { validation: 0.5, test: 0.5 }), /sum to less than 1, got 0.5 and 0.5/);
+  assert.throws(() => trainValTestSplit(data, { validation: -0.1 }), /must be >= 0/);
+});
+
+test('kFold puts every sample in exactly one validation fold, classes spread evenly', () => {
+  const folds = kFold(data, 5, { rng: new RNG(3) });
+  assert.equal(folds.length, 5);
+  assert.deepEqual(ids(folds.flatMap(f => f.validation)), data.map((_, i) => i));
+  for (const { train, validation } of folds) {
+    assert.deepEqual(counts(validation), [6, 2, 4]);
+    assert.equal(train.length + validation.length, data.length);
+    assert.ok(!validation.some(s => train.includes(s)));
+  }
+  assert.deepEqual(kFold(data, 5, { rng: new RNG(3) }), folds);
+  assert.throws(() => kFold(data, 1), /k must be an integer between 2 and 60, got 1/);
+  assert.throws(() => kFold(data, 2.5), /got 2.5/);
+});
+
+test('crossValidate trains a fresh network per fold and summarizes the scores', () => {
+  const separable = Array.from({ length: 24 }, (_, i) => [[i % 2, 1 - (i % 2)], i % 2 ? [1, 0] : [0, 1]]);
+  const built = [];
+  const cv = crossValidate(
+    separable,
+    () => {
+      const net = new Network([2, 4, 2], { seed: built.length });
+      built.push(net);
+      return net;
+    },
+    (net, train, validation) => {
+      assert.equal(train.length + validation.length, separable.length);
+      return net.SGD(train, 20, 4, 1, validation, { verbose: false });
+    },
+    { k: 3, rng: new RNG(0) }
+  );
+  assert.equal(built.length, 3);
+  assert.equal(cv.folds.length, 3);
+  assert.equal(cv.folds[0].history.epoch.length, 20);
+  assert.equal(cv.accuracy.mean, 1);
+  assert.equal(cv.accuracy.std, 0);
+  const losses = cv.folds.map(f => f.loss);
+  assert.ok(Math.abs(cv.loss.mean - losses.reduce((s, v) => s + v, 0) / 3) < 1e-12);
+});
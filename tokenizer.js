@@ -0,0 +1,401 @@
+// Tokenizers for the transformer library: they turn text into token IDs for
+// Transformer.forward/generate and back. Every tokenizer reserves the first IDs for its
+// special tokens, PAD first, so padId is 0 by default, the padToken createPaddingMask
+// expects. Tokenizers are trained from a text corpus, saved with save() and restored
+// with loadTokenizer().
+
+const TOKENIZER_FORMAT = 'nn-in-js/tokenizer';
+const TOKENIZER_VERSION = 1;
+
+const DEFAULT_SPECIAL_TOKENS = { pad: '<pad>', bos: '<bos>', eos: '<eos>', unk: '<unk>' };
+
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Sort by count (descending), then by code point, so training is deterministic
+function byCount(counts) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+}
+
+// BASE TOKENIZER
+// Subclasses provide _encodeText(text) -> ids for text without special tokens,
+// _decodeIds(ids) -> text for IDs that are not special, _config() for save(), and set
+// this.size to the number of regular tokens.
+class Tokenizer {
+  // specialTokens: strings for pad, bos, eos and unk (defaults above), plus any extra
+  // special tokens, e.g. { sep: '<sep>' }. They get IDs 0, 1, ... in that order.
+  constructor(type, specialTokens = {}) {
+    this.type = type;
+    this.specialTokens = { ...DEFAULT_SPECIAL_TOKENS, ...specialTokens };
+    const tokens = Object.values(this.specialTokens);
+    if (tokens.some(t => typeof t !== 'string' || !t) || new Set(tokens).size !== tokens.length) {
+      throw new Error('Special tokens must be distinct non-empty strings');
+    }
+    this.specialIds = new Map(tokens.map((token, id) => [token, id]));
+    // longest first, so a special token containing another one wins
+    const alternatives = tokens.slice().sort((a, b) => b.length - a.length).map(escapeRegExp);
+    this._specialPattern = new RegExp(`(${alternatives.join('|')})`);
+    this.size = 0;
+  }
+
+  get padId() {
+    return this.specialIds.get(this.specialTokens.pad);
+  }
+
+  get bosId() {
+    return this.specialIds.get(this.specialTokens.bos);
+  }
+
+  get eosId() {
+    return this.specialIds.get(this.specialTokens.eos);
+  }
+
+  get unkId() {
+    return this.specialIds.get(this.specialTokens.unk);
+  }
+
+  // Special tokens plus regular tokens; use it as the Transformer's vocabSize
+  get vocabSize() {
+    return this.specialIds.size + this.size;
+  }
+
+  // Text -> token IDs. addBos / addEos wrap the result in BOS and EOS. With allowSpecial,
+  // special token strings in the text (e.g. '<eos>') become their IDs.
+  encode(text, { addBos = false, addEos = false, allowSpecial = true } = {}) {
+    const ids = addBos ? [this.bosId] : [];
+    const parts = allowSpecial ? text.split(this._specialPattern) : [text];
+    for (const part of parts) {
+      if (!part) continue;
+      if (allowSpecial && this.specialIds.has(part)) {
+        ids.push(this.specialIds.get(part));
+        continue;
+      }
+      for (const id of this._encodeText(part)) {
+        ids.push(id);
+      }
+    }
+    if (addEos) ids.push(this.eosId);
+    return ids;
+  }
+
+  // Token IDs -> text. With skipSpecial, PAD, BOS, EOS and extra special tokens are
+  // dropped; UNK is always written as its token string.
+  decode(ids, { skipSpecial = true } = {}) {
+    const pieces = [];
+    let run = [];
+    const flush = () => {
+      if (run.length) pieces.push(this._decodeIds(run));
+      run = [];
+    };
+    for (const id of ids) {
+      if (!Number.isInteger(id) || id < 0 || id >= this.vocabSize) {
+        throw new Error(`Token ID ${id} is outside the vocabulary of ${this.vocabSize} tokens`);
+      }
+      if (id >= this.specialIds.size) {
+        run.push(id);
+        continue;
+      }
+      flush();
+      if (!skipSpecial || id === this.unkId) pieces.push(Object.values(this.specialTokens)[id]);
+    }
+    flush();
+    return pieces.join(this._separator());
+  }
+
+  // Pad (or truncate) ID sequences to a common length, by default the longest one
+  pad(sequences, length = Math.max(...sequences.map(s => s.length))) {
+    return sequences.map(ids => {
+      const padded = ids.slice(0, length);
+      while (padded.length < length) padded.push(this.padId);
+      return padded;
+    });
+  }
+
+  // What decode puts between decoded pieces
+  _separator() {
+    return '';
+  }
+
+  toJSON() {
+    return {
+      format: TOKENIZER_FORMAT,
+      version: TOKENIZER_VERSION,
+      type: this.type,
+      specialTokens: this.specialTokens,
+      ...this._config()
+    };
+  }
+
+  // JSON string for loadTokenizer()
+  save() {
+    return JSON.stringify(this);
+  }
+}
+
+// CHARACTER-LEVEL TOKENIZER
+// One token per character (Unicode code point); characters not in the vocabulary map to UNK
+class CharTokenizer extends Tokenizer {
+  constructor(chars, { specialTokens = {} } = {}) {
+    super('char', specialTokens);
+    this.chars = chars.slice();
+    this.charIds = new Map(this.chars.map((ch, i) => [ch, this.specialIds.size + i]));
+    if (this.charIds.size !== this.chars.length) {
+      throw new Error('CharTokenizer characters must be distinct');
+    }
+    this.size = this.chars.length;
+  }
+
+  // Vocabulary of every character in text, in code point order
+  static train(text, options = {}) {
+    const chars = Array.from(new Set(text)).sort((a, b) => a.codePointAt(0) - b.codePointAt(0));
+    return new CharTokenizer(chars, options);
+  }
+
+  _encodeText(text) {
+    const ids = [];
+    for (const ch of text) {
+      ids.push(this.charIds.has(ch) ? this.charIds.get(ch) : this.unkId);
+    }
+    return ids;
+  }
+
+  _decodeIds(ids) {
+    return ids.map(id => this.chars[id - this.specialIds.size]).join('');
+  }
+
+  _config() {
+    return { chars: this.chars };
+  }
+}
+
+// WORD-LEVEL TOKENIZER
+// Splits text on whitespace; words not in the vocabulary map to UNK. decode joins words
+// with single spaces.
+class WordTokenizer extends Tokenizer {
+  constructor(words, { lowercase = false, specialTokens = {} } = {}) {
+    super('word', specialTokens);
+    this.words = words.slice();
+    this.lowercase = lowercase;
+    this.wordIds = new Map(this.words.map((word, i) => [word, this.specialIds.size + i]));
+    if (this.wordIds.size !== this.words.length) {
+      throw new Error('WordTokenizer words must be distinct');
+    }
+    this.size = this.words.length;
+  }
+
+  // Vocabulary of the words in text seen at least minFrequency times, most frequent
+  // first, keeping at most maxWords of them
+  static train(text, { maxWords = Infinity, minFrequency = 1, lowercase = false, specialTokens = {} } = {}) {
+    const counts = new Map();
+    for (const word of WordTokenizer.split(lowercase ? text.toLowerCase() : text)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    const words = byCount(counts)
+      .filter(([, count]) => count >= minFrequency)
+      .slice(0, maxWords)
+      .map(([word]) => word);
+    return new WordTokenizer(words, { lowercase, specialTokens });
+  }
+
+  static split(text) {
+    return text.split(/\s+/).filter(Boolean);
+  }
+
+  _encodeText(text) {
+    return WordTokenizer.split(this.lowercase ? text.toLowerCase() : text)
+      .map(word => (this.wordIds.has(word) ? this.wordIds.get(word) : this.unkId));
+  }
+
+  _decodeIds(ids) {
+    return ids.map(id => this.words[id - this.specialIds.size]).join(' ');
+  }
+
+  _separator() {
+    return ' ';
+  }
+
+  _config() {
+    return { lowercase: this.lowercase, words: this.words };
+  }
+}
+
+// BYTE-LEVEL BPE TOKENIZER
+// Text is UTF-8 encoded and split into words (a leading space stays with its word); each
+// word starts as one symbol per byte, and learned merges join adjacent symbols. Symbols
+// 0-255 are the bytes and symbol 256 + i is merge i; the token ID of a symbol is offset by
+// the special tokens. Every string can be encoded, so UNK never appears.
+const BPE_PRETOKENIZE = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+const BPE_CACHE_LIMIT = 10000;
+
+// Map key of an adjacent symbol pair
+const pairKey = (a, b) => a * 0x100000 + b;
+
+class BPETokenizer extends Tokenizer {
+  // merges: [left, right] symbol pairs, in the order they were learned
+  constructor(merges = [], { specialTokens = {} } = {}) {
+    super('bpe', specialTokens);
+    this.merges = merges.map(([a, b]) => [a, b]);
+    this.ranks = new Map();
+    this.symbolBytes = Array.from({ length: 256 }, (_, b) => [b]);
+    this.merges.forEach(([a, b], i) => {
+      if (!(a < 256 + i && b < 256 + i)) throw new Error(`BPE merge ${i} refers to an unknown symbol`);
+      this.ranks.set(pairKey(a, b), i);
+      this.symbolBytes.push([...this.symbolBytes[a], ...this.symbolBytes[b]]);
+    });
+    this.size = this.symbolBytes.length;
+    this.encoder = new TextEncoder();
+    this.decoder = new TextDecoder();
+    this.cache = new Map(); // word -> symbols
+  }
+
+  // Learn merges from a text corpus until the vocabulary (special tokens, the 256 bytes
+  // and the merges) reaches vocabSize, or no pair occurs minFrequency times. Each step
+  // merges the most frequent adjacent pair, ties going to the lowest symbols.
+  static train(text, { vocabSize = 1000, minFrequency = 2, specialTokens = {} } = {}) {
+    const tokenizer = new BPETokenizer([], { specialTokens });
+    if (vocabSize < tokenizer.vocabSize) {
+      throw new Error(`BPE vocabSize must be at least ${tokenizer.vocabSize} (special tokens and bytes)`);
+    }
+    const wordCounts = new Map();
+    for (const word of text.match(BPE_PRETOKENIZE) || []) {
+      wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+    }
+    const words = Array.from(wordCounts, ([word, count]) => ({ symbols: Array.from(tokenizer.encoder.encode(word)), count }));
+    const merges = [];
+
+    while (tokenizer.vocabSize + merges.length < vocabSize) {
+      // Count adjacent pairs over the corpus
+      const pairCounts = new Map();
+      for (const { symbols, count } of words) {
+        for (let i = 0; i + 1 < symbols.length; i++) {
+          const key = pairKey(symbols[i], symbols[i + 1]);
+          pairCounts.set(key, (pairCounts.get(key) || 0) + count);
+        }
+      }
+      let best = -1;
+      let bestCount = 0;
+      for (const [key, count] of pairCounts) {
+        if (count > bestCount || (count === bestCount && key < best)) {
+          best = key;
+          bestCount = count;
+        }
+      }
+      if (bestCount < minFrequency || best < 0) break;
+
+      // Replace the pair by its new symbol in every word
+      const pair = [Math.floor(best / 0x100000), best % 0x100000];
+      const symbol = 256 + merges.length;
+      merges.push(pair);
+      for (const word of words) {
+        word.symbols = mergePair(word.symbols, pair[0], pair[1], symbol);
+      }
+    }
+
+    return new BPETokenizer(merges, { specialTokens });
+  }
+
+  _encodeText(text) {
+    const ids = [];
+    const offset = this.specialIds.size;
+    for (const word of text.match(BPE_PRETOKENIZE) || []) {
+      for (const symbol of this._encodeWord(word)) {
+        ids.push(offset + symbol);
+      }
+    }
+    return ids;
+  }
+
+  // Apply the merges to one word, lowest rank first, as during training
+  _encodeWord(word) {
+    if (this.cache.has(word)) return this.cache.get(word);
+    let symbols = Array.from(this.encoder.encode(word));
+    for (;;) {
+      let bestRank = Infinity;
+      for (let i = 0; i + 1 < symbols.length; i++) {
+        const rank = this.ranks.get(pairKey(symbols[i], symbols[i + 1]));
+        if (rank !== undefined && rank < bestRank) bestRank = rank;
+      }
+      if (bestRank === Infinity) break;
+      const [a, b] = this.merges[bestRank];
+      symbols = mergePair(symbols, a, b, 256 + bestRank);
+    }
+    if (this.cache.size >= BPE_CACHE_LIMIT) this.cache.clear();
+    this.cache.set(word, symbols);
+    return symbols;
+  }
+
+  // Bytes of a run of tokens, decoded as UTF-8 (invalid sequences become U+FFFD)
+  _decodeIds(ids) {
+    const bytes = [];
+    for (const id of ids) {
+      for (const b of this.symbolBytes[id - this.specialIds.size]) bytes.push(b);
+    }
+    return this.decoder.decode(new Uint8Array(bytes));
+  }
+
+  _config() {
+    return { merges: this.merges };
+  }
+}
+
+// Replace every adjacent (a, b) in symbols by symbol
+function mergePair(symbols, a, b, symbol) {
+  const result = [];
+  for (let i = 0; i < symbols.length; i++) {
+    if (i + 1 < symbols.length && symbols[i] === a && symbols[i + 1] === b) {
+      result.push(symbol);
+      i++;
+    } else {
+      result.push(symbols[i]);
+    }
+  }
+  return result;
+}
+
+// LOADING
+// Rebuild a tokenizer from save() output (a JSON string or the parsed object)
+function loadTokenizer(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!data || data.format !== TOKENIZER_FORMAT) {
+    throw new Error(`Invalid tokenizer file: expected format '${TOKENIZER_FORMAT}'`);
+  }
+  if (data.version > TOKENIZER_VERSION) {
+    throw new Error(`Invalid tokenizer file: version ${data.version} is newer than ${TOKENIZER_VERSION}`);
+  }
+  const { specialTokens } = data;
+  switch (data.type) {
+    case 'char':
+      return new CharTokenizer(data.chars, { specialTokens });
+    case 'word':
+      return new WordTokenizer(data.words, { lowercase: data.lowercase, specialTokens });
+    case 'bpe':
+      return new BPETokenizer(data.merges, { specialTokens });
+    default:
+      throw new Error(`Invalid tokenizer file: unknown type '${data.type}'`);
+  }
+}
+
+// EXPORTS
+// Universal module definition, as in transformer.js; as an ES module in Node the
+// exports land on globalThis.Tokenizers
+(function (root, factory) {
+  if (typeof exports === 'object' && typeof module !== 'undefined') {
+    // Node.js
+    module.exports = factory();
+  } else if (typeof define === 'function' && define.amd) {
+    // AMD
+    define([], factory);
+  } else {
+    // Browser globals
+    root.Tokenizers = factory();
+  }
+}(typeof self !== 'undefined' ? self : globalThis, function () {
+  return {
+    Tokenizer,
+    CharTokenizer,
+    WordTokenizer,
+    BPETokenizer,
+    loadTokenizer,
+    DEFAULT_SPECIAL_TOKENS
+  };
+}));
@@ -1,3 +1,9 @@
+// Every component has forward(), which caches what its backward() needs, and backward(),
+// which takes the gradient w.r.t. its output, adds the gradients of its parameters to
+// this.grads and returns the gradient w.r.t. its input. parameters() lists
+// { name, value, grad } for TransformerTrainer, which trains a Transformer on
+// next-token prediction.
+
 // MATRIX UTILITIES
 class Matrix {
   constructor(rows, cols, data = null) {
@@ -145,6 +151,34 @@ class Matrix {
   }
 }
 
+// GRADIENT HELPERS
+// Add m into target in place; backward passes accumulate parameter gradients this way
+function accumulate(target, m) {
+  for (let i = 0; i < target.data.length; i++) {
+    target.data[i] += m.data[i];
+  }
+}
+
+// Column sums as a (1 x cols) row, the gradient of a bias added to every row
+function sumRows(mat) {
+  const result = new Matrix(1, mat.cols);
+  for (let i = 0; i < mat.rows; i++) {
+    for (let j = 0; j < mat.cols; j++) {
+      result.data[j] += mat.get(i, j);
+    }
+  }
+  return result;
+}
+
+// { name, value, grad } for each parameter of a component (the keys of its grads)
+function namedParameters(component, prefix) {
+  return Object.keys(component.grads).map(name => ({
+    name: prefix + name,
+    value: component[name],
+    grad: component.grads[name]
+  }));
+}
+
 // ACTIVATION FUNCTIONS
 function softmax(mat) {
   const result = new Matrix(mat.rows, mat.cols);
@@ -166,6 +200,21 @@ function softmax(mat) {
   return result;
 }
 
+// Gradient w.r.t. the softmax input from the gradient w.r.t. its output probs, row by row
+function softmaxBackward(probs, grad) {
+  const result = new Matrix(probs.rows, probs.cols);
+  for (let i = 0; i < probs.rows; i++) {
+    let dot = 0;
+    for (let j = 0; j < probs.cols; j++) {
+      dot += probs.get(i, j) * grad.get(i, j);
+    }
+    for (let j = 0; j < probs.cols; j++) {
+      result.set(i, j, probs.get(i, j) * (grad.get(i, j) - dot));
+    }
+  }
+  return result;
+}
+
 function relu(mat) {
   return mat.map(x => Math.max(0, x));
 }
@@ -174,6 +223,40 @@ function gelu(mat) {
   return mat.map(x => 0.5 * x * (1 + Math.tanh(Math.sqrt(2 / Math.PI) * (x + 0.044715 * Math.pow(x, 3)))));
 }
 
+// Gradient w.r.t. the gelu input x from the gradient w.r.t. its output
+function geluBackward(x, grad) {
+  const c = Math.sqrt(2 / Math.PI);
+  return x.map((v, i, j) => {
+    const t = Math.tanh(c * (v + 0.044715 * v * v * v));
+    const dt = (1 - t * t) * c * (1 + 3 * 0.044715 * v * v);
+    return grad.get(i, j) * (0.5 * (1 + t) + 0.5 * v * dt);
+  });
+}
+
+// LOSS
+// Mean cross-entropy of softmax(logits) row by row against target token ids; rows whose
+// target is ignoreIndex do not count. Returns the loss and its gradient w.r.t. the logits.
+function crossEntropyLoss(logits, targets, ignoreIndex = -1) {
+  const probs = softmax(logits);
+  const grad = new Matrix(logits.rows, logits.cols);
+  const count = targets.filter(t => t !== ignoreIndex).length;
+  let loss = 0;
+
+  for (let i = 0; i < logits.rows; i++) {
+    const target = targets[i];
+    if (target === ignoreIndex) continue;
+    if (!(target >= 0 && target < logits.cols)) {
+      throw new Error(`Target ${target} is outside the vocabulary of ${logits.cols} tokens`);
+    }
+    loss -= Math.log(Math.max(probs.get(i, target), 1e-12));
+    for (let j = 0; j < logits.cols; j++) {
+      grad.set(i, j, (probs.get(i, j) - (j === target ? 1 : 0)) / count);
+    }
+  }
+
+  return { loss: count ? loss / count : 0, grad };
+}
+
 // LAYER NORMALIZATION
 class LayerNorm {
   constructor(size, eps = 1e-6) {
@@ -181,11 +264,14 @@ class LayerNorm {
     this.eps = eps;
     this.gamma = Matrix.ones(1, size);
     this.beta = Matrix.zeros(1, size);
+    this.grads = { gamma: Matrix.zeros(1, size), beta: Matrix.zeros(1, size) };
   }
 
   forward(x) {
     const batchSize = x.rows;
     const result = new Matrix(batchSize, this.size);
+    const xhat = new Matrix(batchSize, this.size);
+    const stds = new Float32Array(batchSize);
     
     for (let i = 0; i < batchSize; i++) {
       // Calculate mean
@@ -203,17 +289,50 @@ class LayerNorm {
       }
       const variance = varSum / this.size;
       const std = Math.sqrt(variance + this.eps);
+      stds[i] = std;
       
       // Normalize and scale
       for (let j = 0; j < this.size; j++) {
         const normalized = (x.get(i, j) - mean) / std;
         const scaled = normalized * this.gamma.get(0, j) + this.beta.get(0, j);
+        xhat.set(i, j, normalized);
         result.set(i, j, scaled);
       }
     }
     
+    this.cache = { xhat, stds };
     return result;
   }
+
+  backward(grad) {
+    const { xhat, stds } = this.cache;
+    const n = this.size;
+    const dx = new Matrix(grad.rows, n);
+
+    for (let i = 0; i < grad.rows; i++) {
+      // Gradient w.r.t. the normalized values, and its sums for the mean and variance terms
+      let sum = 0;
+      let sumXhat = 0;
+      for (let j = 0; j < n; j++) {
+        const g = grad.get(i, j);
+        this.grads.gamma.data[j] += g * xhat.get(i, j);
+        this.grads.beta.data[j] += g;
+        const dxhat = g * this.gamma.get(0, j);
+        sum += dxhat;
+        sumXhat += dxhat * xhat.get(i, j);
+      }
+      for (let j = 0; j < n; j++) {
+        const dxhat = grad.get(i, j) * this.gamma.get(0, j);
+        dx.set(i, j, (dxhat - sum / n - xhat.get(i, j) * sumXhat / n) / stds[i]);
+      }
+    }
+
+    return dx;
+  }
+
+  parameters(prefix = '') {
+    return namedParameters(this, prefix);
+  }
 }
 
 // POSITIONAL ENCODING 
@@ -241,18 +360,80 @@ class PositionalEncoding {
     return pe;
   }
 
-  forward(x) {
+  // offset: position of the first row, for inputs that continue a sequence
+  forward(x, offset = 0) {
     const seqLen = x.rows;
     const result = new Matrix(seqLen, this.dModel);
+    if (offset + seqLen > this.maxLen) {
+      throw new Error(`Sequence of ${offset + seqLen} positions exceeds maxLen ${this.maxLen}`);
+    }
     
     for (let i = 0; i < seqLen; i++) {
       for (let j = 0; j < this.dModel; j++) {
-        result.set(i, j, x.get(i, j) + this.encodings.get(i, j));
+        result.set(i, j, x.get(i, j) + this.encodings.get(offset + i, j));
       }
     }
     
     return result;
   }
+
+  // The encodings are fixed, so the gradient passes through unchanged
+  backward(grad) {
+    return grad;
+  }
+}
+
+// KEY/VALUE CACHE
+// Rows appended over time, with doubling capacity; matrix() views the filled rows
+class RowBuffer {
+  constructor(cols, capacity = 16) {
+    this.cols = cols;
+    this.length = 0;
+    this.data = new Float32Array(cols * capacity);
+  }
+
+  append(mat) {
+    const needed = (this.length + mat.rows) * this.cols;
+    if (needed > this.data.length) {
+      const data = new Float32Array(Math.max(needed, this.data.length * 2));
+      data.set(this.data.subarray(0, this.length * this.cols));
+      this.data = data;
+    }
+    this.data.set(mat.data, this.length * this.cols);
+    this.length += mat.rows;
+  }
+
+  matrix() {
+    return new Matrix(this.length, this.cols, this.data.subarray(0, this.length * this.cols));
+  }
+
+  clone() {
+    const copy = new RowBuffer(this.cols, 0);
+    copy.data = this.data.slice(0, this.length * this.cols);
+    copy.length = this.length;
+    return copy;
+  }
+}
+
+// Per-head keys and values of every position a model has processed, one entry per
+// transformer block, so a decoding step only computes the newest position. Create one
+// with Transformer.createKVCache() and pass it to forward(); length counts the positions.
+class KVCache {
+  constructor(numLayers) {
+    this.length = 0;
+    this.layers = Array.from({ length: numLayers }, () => ({ keys: null, values: null }));
+  }
+
+  // Independent copy, e.g. for a beam that branches
+  clone() {
+    const copy = new KVCache(this.layers.length);
+    copy.length = this.length;
+    copy.layers = this.layers.map(({ keys, values }) => ({
+      keys: keys && keys.map(buffer => buffer.clone()),
+      values: values && values.map(buffer => buffer.clone())
+    }));
+    return copy;
+  }
 }
 
 // MULTI-HEAD ATTENTION 
@@ -272,27 +453,128 @@ class MultiHeadAttention {
     this.wK = Matrix.random(dModel, dModel, scale);
     this.wV = Matrix.random(dModel, dModel, scale);
     this.wO = Matrix.random(dModel, dModel, scale);
+
+    this.grads = {
+      wQ: Matrix.zeros(dModel, dModel),
+      wK: Matrix.zeros(dModel, dModel),
+      wV: Matrix.zeros(dModel, dModel),
+      wO: Matrix.zeros(dModel, dModel)
+    };
+
+    // Per-head attention weights of the last forward call
+    this.attentionWeights = null;
   }
 
-  forward(query, key, value, mask = null) {
-    const batchSize = query.rows;
-    const seqLen = query.rows;
-    
+  // query: (seqLen x dModel), key/value: (keyLen x dModel), mask: (seqLen x keyLen)
+  // with 0 for blocked positions. Each head attends with its own dK-wide slice of Q, K
+  // and V; after a call, this.attentionWeights holds every head's (seqLen x keyLen)
+  // attention weights. With layerCache (an entry of KVCache.layers), key and value are
+  // only the new positions: their keys and values are appended to the cache and the
+  // query attends to all cached positions, so keyLen counts those. backward() needs a
+  // forward pass without a cache.
+  forward(query, key, value, mask = null, layerCache = null) {
     // Linear transformations
     const Q = Matrix.dot(query, this.wQ);
     const K = Matrix.dot(key, this.wK);
     const V = Matrix.dot(value, this.wV);
     
-    // Reshape for multi-head attention (simplified for single batch)
-    const attention = this._scaledDotProductAttention(Q, K, V, mask);
+    // Attention per head, on dK-wide column slices
+    const heads = [];
+    const qs = [];
+    const ks = [];
+    const vs = [];
+    this.attentionWeights = [];
+    if (layerCache && !layerCache.keys) {
+      layerCache.keys = Array.from({ length: this.numHeads }, () => new RowBuffer(this.dK));
+      layerCache.values = Array.from({ length: this.numHeads }, () => new RowBuffer(this.dK));
+    }
+    for (let h = 0; h < this.numHeads; h++) {
+      qs.push(this._headSlice(Q, h));
+      if (layerCache) {
+        layerCache.keys[h].append(this._headSlice(K, h));
+        layerCache.values[h].append(this._headSlice(V, h));
+        ks.push(layerCache.keys[h].matrix());
+        vs.push(layerCache.values[h].matrix());
+      } else {
+        ks.push(this._headSlice(K, h));
+        vs.push(this._headSlice(V, h));
+      }
+      const { output, weights } = this._scaledDotProductAttention(qs[h], ks[h], vs[h], mask);
+      heads.push(output);
+      this.attentionWeights.push(weights);
+    }
     
-    // Output projection
-    return Matrix.dot(attention, this.wO);
+    // Concatenate the heads, then output projection
+    const concat = this._concatHeads(heads);
+    this.cache = { query, key, value, qs, ks, vs, concat, weights: this.attentionWeights };
+    return Matrix.dot(concat, this.wO);
+  }
+
+  // Gradients w.r.t. query, key and value from the gradient w.r.t. the output. Masked
+  // positions have zero attention weight, so they get no gradient.
+  backward(grad) {
+    const { query, key, value, qs, ks, vs, concat, weights } = this.cache;
+    accumulate(this.grads.wO, Matrix.dot(Matrix.transpose(concat), grad));
+    const dConcat = Matrix.dot(grad, Matrix.transpose(this.wO));
+
+    // Back through each head's softmax(Q * K^T / sqrt(dK)) * V
+    const scale = 1.0 / Math.sqrt(this.dK);
+    const dQs = [];
+    const dKs = [];
+    const dVs = [];
+    for (let h = 0; h < this.numHeads; h++) {
+      const dHead = this._headSlice(dConcat, h);
+      dVs.push(Matrix.dot(Matrix.transpose(weights[h]), dHead));
+      const dWeights = Matrix.dot(dHead, Matrix.transpose(vs[h]));
+      const dScores = softmaxBackward(weights[h], dWeights).multiply(scale);
+      dQs.push(Matrix.dot(dScores, ks[h]));
+      dKs.push(Matrix.dot(Matrix.transpose(dScores), qs[h]));
+    }
+
+    // Back through the linear transformations
+    const dQ = this._concatHeads(dQs);
+    const dK = this._concatHeads(dKs);
+    const dV = this._concatHeads(dVs);
+    accumulate(this.grads.wQ, Matrix.dot(Matrix.transpose(query), dQ));
+    accumulate(this.grads.wK, Matrix.dot(Matrix.transpose(key), dK));
+    accumulate(this.grads.wV, Matrix.dot(Matrix.transpose(value), dV));
+    return {
+      dQuery: Matrix.dot(dQ, Matrix.transpose(this.wQ)),
+      dKey: Matrix.dot(dK, Matrix.transpose(this.wK)),
+      dValue: Matrix.dot(dV, Matrix.transpose(this.wV))
+    };
+  }
+
+  parameters(prefix = '') {
+    return namedParameters(this, prefix);
+  }
+
+  // Columns [h * dK, (h + 1) * dK) of x
+  _headSlice(x, h) {
+    const result = new Matrix(x.rows, this.dK);
+    for (let i = 0; i < x.rows; i++) {
+      for (let j = 0; j < this.dK; j++) {
+        result.set(i, j, x.get(i, h * this.dK + j));
+      }
+    }
+    return result;
+  }
+
+  // Place head outputs side by side: (seqLen x dK) each -> (seqLen x dModel)
+  _concatHeads(heads) {
+    const result = new Matrix(heads[0].rows, this.dModel);
+    heads.forEach((head, h) => {
+      for (let i = 0; i < head.rows; i++) {
+        for (let j = 0; j < this.dK; j++) {
+          result.set(i, h * this.dK + j, head.get(i, j));
+        }
+      }
+    });
+    return result;
   }
 
+  // Attention for one head: softmax(Q * K^T / sqrt(dK)) * V, plus the softmax weights
   _scaledDotProductAttention(Q, K, V, mask = null) {
-    const seqLen = Q.rows;
-    
     // Calculate attention scores: Q * K^T
     const scores = Matrix.dot(Q, Matrix.transpose(K));
     
@@ -308,10 +590,10 @@ class MultiHeadAttention {
     }
     
     // Apply softmax
-    const attentionWeights = softmax(maskedScores);
+    const weights = softmax(maskedScores);
     
     // Apply attention weights to values
-    return Matrix.dot(attentionWeights, V);
+    return { output: Matrix.dot(weights, V), weights };
   }
 }
 
@@ -326,6 +608,12 @@ class FeedForward {
     this.b1 = Matrix.zeros(1, this.dFF);
     this.w2 = Matrix.random(this.dFF, dModel, scale);
     this.b2 = Matrix.zeros(1, dModel);
+    this.grads = {
+      w1: Matrix.zeros(dModel, this.dFF),
+      b1: Matrix.zeros(1, this.dFF),
+      w2: Matrix.zeros(this.dFF, dModel),
+      b2: Matrix.zeros(1, dModel)
+    };
   }
 
   forward(x) {
@@ -354,8 +642,28 @@ class FeedForward {
       }
     }
     
+    this.cache = { x, withBias1, activated };
     return withBias2;
   }
+
+  backward(grad) {
+    const { x, withBias1, activated } = this.cache;
+
+    // Second linear transformation
+    accumulate(this.grads.w2, Matrix.dot(Matrix.transpose(activated), grad));
+    accumulate(this.grads.b2, sumRows(grad));
+
+    // GELU, then the first linear transformation
+    const dHidden = geluBackward(withBias1, Matrix.dot(grad, Matrix.transpose(this.w2)));
+    accumulate(this.grads.w1, Matrix.dot(Matrix.transpose(x), dHidden));
+    accumulate(this.grads.b1, sumRows(dHidden));
+
+    return Matrix.dot(dHidden, Matrix.transpose(this.w1));
+  }
+
+  parameters(prefix = '') {
+    return namedParameters(this, prefix);
+  }
 }
 
 // TRANSFORMER BLOCK
@@ -367,9 +675,10 @@ class TransformerBlock {
     this.layerNorm2 = new LayerNorm(dModel);
   }
 
-  forward(x, mask = null) {
+  // layerCache: this block's KVCache entry, for incremental decoding
+  forward(x, mask = null, layerCache = null) {
     // Self-attention with residual connection
-    const attnOutput = this.attention.forward(x, x, x, mask);
+    const attnOutput = this.attention.forward(x, x, x, mask, layerCache);
     const normed1 = this.layerNorm1.forward(x.add(attnOutput));
     
     // Feed-forward with residual connection
@@ -378,6 +687,26 @@ class TransformerBlock {
     
     return normed2;
   }
+
+  backward(grad) {
+    // Feed-forward sublayer: the residual path and the feed-forward path both reach normed1
+    const dSum2 = this.layerNorm2.backward(grad);
+    const dNormed1 = dSum2.add(this.feedForward.backward(dSum2));
+
+    // Attention sublayer: x is the residual input as well as query, key and value
+    const dSum1 = this.layerNorm1.backward(dNormed1);
+    const { dQuery, dKey, dValue } = this.attention.backward(dSum1);
+    return dSum1.add(dQuery).add(dKey).add(dValue);
+  }
+
+  parameters(prefix = '') {
+    return [
+      ...this.attention.parameters(`${prefix}attention.`),
+      ...this.feedForward.parameters(`${prefix}feedForward.`),
+      ...this.layerNorm1.parameters(`${prefix}layerNorm1.`),
+      ...this.layerNorm2.parameters(`${prefix}layerNorm2.`)
+    ];
+  }
 }
 
 // TRANSFORMER ENCODER 
@@ -393,17 +722,159 @@ class TransformerEncoder {
     }
   }
 
-  forward(x, mask = null) {
+  // With a KVCache, x holds the positions after the cached ones
+  forward(x, mask = null, kvCache = null) {
     // Add positional encoding
-    let output = this.positionalEncoding.forward(x);
+    let output = this.positionalEncoding.forward(x, kvCache ? kvCache.length : 0);
     
     // Pass through transformer blocks
-    for (const block of this.blocks) {
-      output = block.forward(output, mask);
-    }
+    this.blocks.forEach((block, i) => {
+      output = block.forward(output, mask, kvCache ? kvCache.layers[i] : null);
+    });
     
+    if (kvCache) kvCache.length += x.rows;
     return output;
   }
+
+  backward(grad) {
+    let dx = grad;
+    for (let i = this.blocks.length - 1; i >= 0; i--) {
+      dx = this.blocks[i].backward(dx);
+    }
+    return this.positionalEncoding.backward(dx);
+  }
+
+  parameters(prefix = '') {
+    return this.blocks.flatMap((block, i) => block.parameters(`${prefix}blocks.${i}.`));
+  }
+}
+
+// GENERATION
+// Options for Transformer.generate / generateStream:
+//   maxNewTokens        tokens to generate at most
+//   greedy              always take the most likely token (also when temperature is 0)
+//   temperature         logits are divided by it before sampling; < 1 sharpens
+//   topK                sample only from the k most likely tokens (0: all)
+//   topP                nucleus sampling: the smallest set of likely tokens whose
+//                       probabilities sum to at least topP (1: all)
+//   repetitionPenalty   > 1 makes tokens already in the sequence less likely: positive
+//                       logits are divided by it, negative ones multiplied
+//   presencePenalty     subtracted from the logits of tokens already in the sequence
+//   stopTokens          token IDs that end generation (they are included in the output)
+//   numBeams            > 1 runs beam search instead of sampling
+//   lengthPenalty       beam scores are logProb / length^lengthPenalty
+//   seed                seeds the sampling RNG for reproducible output (null: Math.random)
+//   useCache            decode with a KVCache, processing one new position per step;
+//                       false recomputes the whole sequence, with identical output
+const DEFAULT_GENERATION_CONFIG = {
+  maxNewTokens: 50,
+  greedy: false,
+  temperature: 1.0,
+  topK: 0,
+  topP: 1.0,
+  repetitionPenalty: 1.0,
+  presencePenalty: 0,
+  stopTokens: [],
+  numBeams: 1,
+  lengthPenalty: 1.0,
+  seed: null,
+  useCache: true
+};
+
+// Defaults plus options, checked
+function resolveGenerationConfig(options = {}) {
+  const config = {
+    ...DEFAULT_GENERATION_CONFIG,
+    ...(typeof options === 'number' ? { maxNewTokens: options } : options)
+  };
+  const check = (ok, message) => {
+    if (!ok) throw new Error(`Invalid generation config: ${message}`);
+  };
+  check(Number.isInteger(config.maxNewTokens) && config.maxNewTokens >= 0, 'maxNewTokens must be an integer >= 0');
+  check(config.temperature >= 0, 'temperature must be >= 0');
+  check(Number.isInteger(config.topK) && config.topK >= 0, 'topK must be an integer >= 0');
+  check(config.topP > 0 && config.topP <= 1, 'topP must be in (0, 1]');
+  check(config.repetitionPenalty > 0, 'repetitionPenalty must be > 0');
+  check(Array.isArray(config.stopTokens), 'stopTokens must be an array of token IDs');
+  check(Number.isInteger(config.numBeams) && config.numBeams >= 1, 'numBeams must be an integer >= 1');
+  return config;
+}
+
+// Seedable generator (mulberry32, as in random.js) returning floats in [0, 1);
+// Math.random without a seed
+function createRandom(seed = null) {
+  if (seed === null || seed === undefined) return Math.random;
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Repetition and presence penalties on a copy of the logits, for the tokens in sequence
+function applyPenalties(logits, sequence, { repetitionPenalty, presencePenalty }) {
+  if (repetitionPenalty === 1 && !presencePenalty) return logits;
+  const result = logits.slice();
+  for (const token of new Set(sequence)) {
+    if (token < 0 || token >= result.length) continue;
+    const v = result[token];
+    result[token] = (v > 0 ? v / repetitionPenalty : v * repetitionPenalty) - presencePenalty;
+  }
+  return result;
+}
+
+function softmaxArray(values) {
+  const max = Math.max(...values);
+  const exps = values.map(v => Math.exp(v - max));
+  const sum = exps.reduce((a, b) => a + b, 0);
+  return exps.map(e => e / sum);
+}
+
+function logSoftmax(values) {
+  const max = Math.max(...values);
+  const logSum = max + Math.log(values.reduce((sum, v) => sum + Math.exp(v - max), 0));
+  return values.map(v => v - logSum);
+}
+
+// Indices of the k largest values, largest first
+function topIndices(values, k) {
+  return values.map((v, i) => i).sort((a, b) => values[b] - values[a]).slice(0, k);
+}
+
+// Next token from (penalized) logits: argmax when greedy, otherwise a sample after
+// temperature, top-k and top-p filtering
+function selectToken(logits, config, random) {
+  if (config.greedy || config.temperature === 0) {
+    return topIndices(logits, 1)[0];
+  }
+
+  const probs = softmaxArray(logits.map(v => v / config.temperature));
+  let candidates = topIndices(probs, config.topK > 0 ? config.topK : probs.length);
+  if (config.topP < 1) {
+    let cumSum = 0;
+    const nucleus = [];
+    for (const token of candidates) {
+      nucleus.push(token);
+      cumSum += probs[token];
+      if (cumSum >= config.topP) break;
+    }
+    candidates = nucleus;
+  }
+
+  // Sample from the renormalized candidates
+  const total = candidates.reduce((sum, token) => sum + probs[token], 0);
+  const rand = random() * total;
+  let cumSum = 0;
+  for (const token of candidates) {
+    cumSum += probs[token];
+    if (rand < cumSum) {
+      return token;
+    }
+  }
+  return candidates[candidates.length - 1];
 }
 
 // TRANSFORMER MODEL 
@@ -432,18 +903,27 @@ class Transformer {
     if (vocabSize) {
       this.outputProjection = Matrix.random(dModel, vocabSize, Math.sqrt(1.0 / dModel));
     }
+
+    this.grads = vocabSize
+      ? { embedding: Matrix.zeros(vocabSize, dModel), outputProjection: Matrix.zeros(dModel, vocabSize) }
+      : {};
   }
 
-  forward(input, mask = null) {
+  // kvCache: a KVCache from createKVCache(); input then continues the cached positions,
+  // and a mask must cover them too, e.g. createCausalMask(input.rows, kvCache.length)
+  forward(input, mask = null, kvCache = null) {
     let x = input;
+    let tokens = null;
     
     // Apply embedding if input is token indices
     if (this.vocabSize && input.cols === 1) {
+      tokens = input;
       x = this._applyEmbedding(input);
     }
     
     // Pass through encoder
-    const encoded = this.encoder.forward(x, mask);
+    const encoded = this.encoder.forward(x, mask, kvCache);
+    this.cache = { tokens, encoded };
     
     // Apply output projection if available
     if (this.outputProjection) {
@@ -453,6 +933,45 @@ class Transformer {
     return encoded;
   }
 
+  // Backpropagate the gradient w.r.t. the output of the last forward call. Parameter
+  // gradients add up in grads (see zeroGrad); returns the gradient w.r.t. the input
+  // vectors, or null for token input.
+  backward(grad) {
+    const { tokens, encoded } = this.cache;
+    let dEncoded = grad;
+    if (this.outputProjection) {
+      accumulate(this.grads.outputProjection, Matrix.dot(Matrix.transpose(encoded), grad));
+      dEncoded = Matrix.dot(grad, Matrix.transpose(this.outputProjection));
+    }
+
+    const dx = this.encoder.backward(dEncoded);
+    if (!tokens) return dx;
+
+    // Each embedding row gets the gradients of the positions holding its token
+    for (let i = 0; i < tokens.rows; i++) {
+      const tokenId = Math.floor(tokens.get(i, 0));
+      for (let j = 0; j < this.dModel; j++) {
+        this.grads.embedding.data[tokenId * this.dModel + j] += dx.get(i, j);
+      }
+    }
+    return null;
+  }
+
+  createKVCache() {
+    return new KVCache(this.encoder.blocks.length);
+  }
+
+  // Every trainable parameter as { name, value, grad }, e.g. 'encoder.blocks.0.attention.wQ'
+  parameters() {
+    return [...namedParameters(this, ''), ...this.encoder.parameters('encoder.')];
+  }
+
+  zeroGrad() {
+    for (const { grad } of this.parameters()) {
+      grad.data.fill(0);
+    }
+  }
+
   _applyEmbedding(tokenIndices) {
     const seqLen = tokenIndices.rows;
     const embedded = new Matrix(seqLen, this.dModel);
@@ -467,60 +986,255 @@ class Transformer {
     return embedded;
   }
 
-  // Generate text (simple greedy decoding)
-  generate(prompt, maxLength = 50) {
+  // Generate tokens after prompt (an array of token IDs) and return prompt plus the new
+  // tokens. options: a generation config (see DEFAULT_GENERATION_CONFIG), or a number
+  // for maxNewTokens. Samples from the softmax by default; greedy or temperature 0
+  // takes the most likely token, numBeams > 1 runs beam search.
+  generate(prompt, options = {}) {
+    const config = this._generationConfig(options, prompt);
+    const generated = config.numBeams > 1
+      ? this._beamSearch(prompt, config)
+      : Array.from(this._generateTokens(prompt, config));
+    return [...prompt, ...generated];
+  }
+
+  // The same generation as an async iterator over the new tokens, one at a time:
+  //   for await (const token of model.generateStream(prompt, { topP: 0.9 })) { ... }
+  // It waits a macrotask between tokens so a page stays responsive. Beam search knows
+  // its best sequence only at the end, so its tokens all arrive then.
+  async *generateStream(prompt, options = {}) {
+    const config = this._generationConfig(options, prompt);
+    const tokens = config.numBeams > 1 ? this._beamSearch(prompt, config) : this._generateTokens(prompt, config);
+    for (const token of tokens) {
+      yield token;
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  _generationConfig(options, prompt) {
     if (!this.vocabSize) {
       throw new Error('Vocab size must be set for text generation');
     }
-    
-    let sequence = Matrix.fromArray(prompt);
-    
-    for (let i = 0; i < maxLength; i++) {
-      const output = this.forward(sequence);
-      const lastOutput = new Matrix(1, this.vocabSize);
-      
-      // Get the last token's logits
-      for (let j = 0; j < this.vocabSize; j++) {
-        lastOutput.set(0, j, output.get(output.rows - 1, j));
+    if (!prompt.length) {
+      throw new Error('Generation needs a prompt of at least one token');
+    }
+    return resolveGenerationConfig(options);
+  }
+
+  // Logits for the token after sequence, as an array. Decoding is causal: every position
+  // attends to itself and earlier ones. Without a cache the whole sequence is processed;
+  // with one, only the tokens in sequence it has not seen yet, with identical results.
+  _nextTokenLogits(sequence, kvCache = null) {
+    const past = kvCache ? kvCache.length : 0;
+    const input = Matrix.fromArray(sequence.slice(past));
+    const output = this.forward(input, createCausalMask(input.rows, past), kvCache);
+    const last = output.rows - 1;
+    return Array.from(output.data.subarray(last * output.cols, (last + 1) * output.cols));
+  }
+
+  // Sampling or greedy decoding, yielding each new token; stops after a stop token
+  *_generateTokens(prompt, config) {
+    const random = createRandom(config.seed);
+    const kvCache = config.useCache ? this.createKVCache() : null;
+    const sequence = prompt.slice();
+
+    for (let i = 0; i < config.maxNewTokens; i++) {
+      const logits = applyPenalties(this._nextTokenLogits(sequence, kvCache), sequence, config);
+      const nextToken = selectToken(logits, config, random);
+      sequence.push(nextToken);
+      yield nextToken;
+      if (config.stopTokens.includes(nextToken)) return;
+    }
+  }
+
+  // Beam search: keep the numBeams most likely continuations (by summed log-probability of
+  // the penalized logits). A beam ending in a stop token is finished; the search ends
+  // when numBeams beams have finished or after maxNewTokens. The best beam by
+  // logProb / length^lengthPenalty wins, so lengthPenalty > 1 favours longer outputs.
+  _beamSearch(prompt, config) {
+    const { numBeams, stopTokens, lengthPenalty } = config;
+    let beams = [{ tokens: [], logProb: 0, kvCache: config.useCache ? this.createKVCache() : null }];
+    const finished = [];
+
+    for (let i = 0; i < config.maxNewTokens && beams.length; i++) {
+      // Expand every beam with its numBeams most likely tokens
+      const candidates = [];
+      for (const beam of beams) {
+        const sequence = [...prompt, ...beam.tokens];
+        const logits = this._nextTokenLogits(sequence, beam.kvCache);
+        const logProbs = logSoftmax(applyPenalties(logits, sequence, config));
+        for (const token of topIndices(logProbs, numBeams)) {
+          candidates.push({ tokens: [...beam.tokens, token], logProb: beam.logProb + logProbs[token], parent: beam });
+        }
       }
-      
-      // Apply softmax and get next token
-      const probs = softmax(lastOutput);
-      const nextToken = this._sampleFromDistribution(probs);
-      
-      // Add to sequence
-      const newSequence = new Matrix(sequence.rows + 1, 1);
-      for (let j = 0; j < sequence.rows; j++) {
-        newSequence.set(j, 0, sequence.get(j, 0));
+
+      // Keep the best numBeams unfinished candidates; beams from the same parent get
+      // their own copy of its cache
+      candidates.sort((x, y) => y.logProb - x.logProb);
+      beams = [];
+      const used = new Set();
+      for (const { tokens, logProb, parent } of candidates) {
+        if (stopTokens.includes(tokens[tokens.length - 1])) {
+          finished.push({ tokens, logProb });
+        } else if (beams.length < numBeams) {
+          let kvCache = parent.kvCache;
+          if (kvCache && used.has(parent)) kvCache = kvCache.clone();
+          used.add(parent);
+          beams.push({ tokens, logProb, kvCache });
+        }
       }
-      newSequence.set(sequence.rows, 0, nextToken);
-      sequence = newSequence;
+      if (finished.length >= numBeams) break;
     }
-    
-    return sequence.toArray();
+
+    const score = beam => beam.logProb / Math.pow(Math.max(beam.tokens.length, 1), lengthPenalty);
+    const ranked = [...finished, ...beams].sort((x, y) => score(y) - score(x));
+    return ranked.length ? ranked[0].tokens : [];
   }
+}
 
-  _sampleFromDistribution(probs) {
-    const rand = Math.random();
-    let cumSum = 0;
-    
-    for (let i = 0; i < probs.cols; i++) {
-      cumSum += probs.get(0, i);
-      if (rand <= cumSum) {
-        return i;
+// TRAINER
+// Next-token prediction: a sequence of token ids trains the model to predict token i + 1
+// from tokens 0..i, under a causal mask, with cross-entropy loss. Options: learningRate,
+// optimizer ('adam' or 'sgd'), beta1/beta2/epsilon for Adam, and clipNorm, which rescales
+// the gradients when their global L2 norm exceeds it (0 turns clipping off).
+class TransformerTrainer {
+  constructor(model, {
+    learningRate = 1e-3,
+    optimizer = 'adam',
+    beta1 = 0.9,
+    beta2 = 0.999,
+    epsilon = 1e-8,
+    clipNorm = 1.0,
+    seed = null
+  } = {}) {
+    if (!model.vocabSize) {
+      throw new Error('TransformerTrainer needs a model with a vocabSize');
+    }
+    if (optimizer !== 'adam' && optimizer !== 'sgd') {
+      throw new Error(`Unknown optimizer '${optimizer}'. Use 'adam' or 'sgd'`);
+    }
+    this.model = model;
+    this.learningRate = learningRate;
+    this.optimizer = optimizer;
+    this.beta1 = beta1;
+    this.beta2 = beta2;
+    this.epsilon = epsilon;
+    this.clipNorm = clipNorm;
+    // shuffles the training sequences; seeded, a run is reproducible (see createRandom)
+    this.random = createRandom(seed);
+    this.steps = 0;
+    this.moments = {}; // Adam first and second moments by parameter name
+  }
+
+  // Logits for every position but the last, and the tokens they should predict
+  _predict(tokens) {
+    if (tokens.length < 2) {
+      throw new Error('Training sequences need at least 2 tokens');
+    }
+    const input = Matrix.fromArray(tokens.slice(0, -1));
+    const logits = this.model.forward(input, createCausalMask(input.rows));
+    return crossEntropyLoss(logits, tokens.slice(1));
+  }
+
+  // One optimizer step on a batch of token sequences; returns their mean loss
+  trainStep(batch) {
+    this.model.zeroGrad();
+    let loss = 0;
+    for (const tokens of batch) {
+      const result = this._predict(tokens);
+      this.model.backward(result.grad.multiply(1 / batch.length));
+      loss += result.loss;
+    }
+
+    const params = this.model.parameters();
+    this._clip(params);
+    this._update(params);
+    return loss / batch.length;
+  }
+
+  // Mean loss over sequences, without training
+  evaluate(sequences) {
+    let loss = 0;
+    for (const tokens of sequences) {
+      loss += this._predict(tokens).loss;
+    }
+    return loss / sequences.length;
+  }
+
+  // Train for a number of epochs in batches, shuffling the sequences every epoch.
+  // onEpochEnd(epoch, loss) runs after each epoch. Returns the mean loss of every epoch.
+  train(sequences, { epochs = 1, batchSize = 8, shuffle = true, onEpochEnd = null } = {}) {
+    const losses = [];
+    const order = sequences.slice();
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      if (shuffle) {
+        for (let i = order.length - 1; i > 0; i--) {
+          const j = Math.floor(this.random() * (i + 1));
+          [order[i], order[j]] = [order[j], order[i]];
+        }
+      }
+      let total = 0;
+      for (let start = 0; start < order.length; start += batchSize) {
+        const batch = order.slice(start, start + batchSize);
+        total += this.trainStep(batch) * batch.length;
+      }
+      losses.push(total / order.length);
+      if (onEpochEnd) onEpochEnd(epoch, losses[epoch]);
+    }
+    return losses;
+  }
+
+  _clip(params) {
+    if (!this.clipNorm) return;
+    let sq = 0;
+    for (const { grad } of params) {
+      for (let i = 0; i < grad.data.length; i++) sq += grad.data[i] * grad.data[i];
+    }
+    const norm = Math.sqrt(sq);
+    if (norm <= this.clipNorm) return;
+    const scale = this.clipNorm / norm;
+    for (const { grad } of params) {
+      for (let i = 0; i < grad.data.length; i++) grad.data[i] *= scale;
+    }
+  }
+
+  // Update every parameter in place
+  _update(params) {
+    this.steps++;
+    const lr = this.learningRate;
+    if (this.optimizer === 'sgd') {
+      for (const { value, grad } of params) {
+        for (let i = 0; i < value.data.length; i++) value.data[i] -= lr * grad.data[i];
+      }
+      return;
+    }
+
+    const { beta1, beta2, epsilon } = this;
+    const correction1 = 1 - Math.pow(beta1, this.steps);
+    const correction2 = 1 - Math.pow(beta2, this.steps);
+    for (const { name, value, grad } of params) {
+      if (!this.moments[name]) {
+        this.moments[name] = { m: new Float32Array(value.data.length), v: new Float32Array(value.data.length) };
+      }
+      const { m, v } = this.moments[name];
+      for (let i = 0; i < value.data.length; i++) {
+        const g = grad.data[i];
+        m[i] = beta1 * m[i] + (1 - beta1) * g;
+        v[i] = beta2 * v[i] + (1 - beta2) * g * g;
+        value.data[i] -= lr * (m[i] / correction1) / (Math.sqrt(v[i] / correction2) + epsilon);
       }
     }
-    
-    return probs.cols - 1;
   }
 }
 
 // UTILITY FUNCTIONS 
-function createCausalMask(seqLen) {
-  const mask = new Matrix(seqLen, seqLen);
+// (seqLen x (pastLength + seqLen)): position i may attend to every position up to itself,
+// including pastLength earlier positions held in a KVCache
+function createCausalMask(seqLen, pastLength = 0) {
+  const mask = new Matrix(seqLen, pastLength + seqLen);
   for (let i = 0; i < seqLen; i++) {
-    for (let j = 0; j < seqLen; j++) {
-      mask.set(i, j, j <= i ? 1 : 0);
+    for (let j = 0; j < pastLength + seqLen; j++) {
+      mask.set(i, j, j <= pastLength + i ? 1 : 0);
     }
   }
   return mask;
@@ -540,7 +1254,8 @@ function createPaddingMask(tokens, padToken = 0) {
 }
 
 // EXPORTS 
-// Universal module definition for compatibility
+// Universal module definition for compatibility; as an ES module in Node the exports
+// land on globalThis.Transformer
 (function (root, factory) {
   if (typeof exports === 'object' && typeof module !== 'undefined') {
     // Node.js
@@ -552,7 +1267,7 @@ function createPaddingMask(tokens, padToken = 0) {
     // Browser globals
     root.Transformer = factory();
   }
-}(typeof self !== 'undefined' ? self : this, function () {
+}(typeof self !== 'undefined' ? self : globalThis, function () {
   return {
     // Core classes
     Transformer,
@@ -562,15 +1277,27 @@ function createPaddingMask(tokens, padToken = 0) {
     FeedForward,
     LayerNorm,
     PositionalEncoding,
+    TransformerTrainer,
+    KVCache,
     
     // Utility classes
     Matrix,
     
+    // Generation
+    DEFAULT_GENERATION_CONFIG,
+    resolveGenerationConfig,
+    createRandom,
+
     // Activation functions
     softmax,
     relu,
     gelu,
     
+    // Gradients and loss
+    softmaxBackward,
+    geluBackward,
+    crossEntropyLoss,
+
     // Utility functions
     createCausalMask,
     createPaddingMask
@@ -0,0 +1,82 @@
+// validation.js
+// Splitting [input, oneHot] data for model selection: stratified train/validation/test
+// splits, k-fold cross-validation folds, and a cross-validation runner. Stratified
+// splits keep every class in the same proportion in each part. Randomness comes from
+// the RNG passed in, so splits are reproducible.
+
+import { getRNG } from './random.js';
+
+const argmax = arr => {
+  let best = 0;
+  for (let i = 1; i < arr.length; i++) if (arr[i] > arr[best]) best = i;
+  return best;
+};
+
+// Indices of data grouped by class (argmax of the target), each group shuffled
+function shuffledClassIndices(data, rng) {
+  const groups = new Map();
+  data.forEach(([, y], i) => {
+    const c = argmax(y);
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(i);
+  });
+  return [...groups.keys()].sort((a, b) => a - b).map(c => rng.shuffle(groups.get(c)));
+}
+
+// Split data into { train, validation, test } with the given fractions for validation and
+// test (the rest is training data). With stratify, every class is split separately.
+export function trainValTestSplit(data, { validation = 0.1, test = 0, stratify = true, rng = getRNG() } = {}) {
+  if (!(validation >= 0 && test >= 0 && validation + test < 1)) {
+    throw new Error(`validation and test fractions must be >= 0 and sum to less than 1, got ${validation} and ${test}`);
+  }
+  const groups = stratify ? shuffledClassIndices(data, rng) : [rng.shuffle(data.map((_, i) => i))];
+  const parts = { train: [], validation: [], test: [] };
+  for (const indices of groups) {
+    const nTest = Math.round(indices.length * test);
+    const nVal = Math.round(indices.length * validation);
+    parts.test.push(...indices.slice(0, nTest));
+    parts.validation.push(...indices.slice(nTest, nTest + nVal));
+    parts.train.push(...indices.slice(nTest + nVal));
+  }
+  // interleave the classes again
+  for (const key of Object.keys(parts)) parts[key] = rng.shuffle(parts[key]).map(i => data[i]);
+  return parts;
+}
+
+// k folds of { train, validation }; each sample is in exactly one validation part.
+// Stratified folds deal every class round-robin across the folds.
+export function kFold(data, k = 5, { stratify = true, rng = getRNG() } = {}) {
+  if (!(Number.isInteger(k) && k >= 2 && k <= data.length)) {
+    throw new Error(`k must be an integer between 2 and ${data.length}, got ${k}`);
+  }
+  const foldOf = new Array(data.length);
+  const groups = stratify ? shuffledClassIndices(data, rng) : [rng.shuffle(data.map((_, i) => i))];
+  let next = 0;
+  for (const indices of groups) {
+    for (const i of indices) foldOf[i] = next++ % k;
+  }
+  return Array.from({ length: k }, (_, f) => ({
+    train: data.filter((_, i) => foldOf[i] !== f),
+    validation: data.filter((_, i) => foldOf[i] === f)
+  }));
+}
+
+const mean = values => values.reduce((s, v) => s + v, 0) / values.length;
+const std = values => {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - m) ** 2)));
+};
+
+// Train a fresh network on each of k folds and score it on the held-out part.
+// build() returns a new Network; train(network, trainData, validationData) trains it
+// (e.g. by calling network.SGD). Returns per-fold scores with their mean and std.
+export function crossValidate(data, build, train, { k = 5, stratify = true, rng = getRNG() } = {}) {
+  const folds = kFold(data, k, { stratify, rng }).map(({ train: trainData, validation }) => {
+    const network = build();
+    const history = train(network, trainData, validation);
+    const score = network.score(validation);
+    return { accuracy: score.correct / validation.length, loss: score.loss, history };
+  });
+  const summary = key => ({ mean: mean(folds.map(f => f[key])), std: std(folds.map(f => f[key])) });
+  return { folds, accuracy: summary('accuracy'), loss: summary('loss') };
+}